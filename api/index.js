@@ -1,34 +1,45 @@
 require("dotenv").config();
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
 const express = require("express");
-const { MongoClient, ObjectId } = require("mongodb");
+const { ObjectId } = require("mongodb");
+const LabelRenderer = require("../lib/label-renderer");
+const LabelZpl = require("../lib/zpl");
+const LabelPresets = require("../lib/presets");
+const LabelLint = require("../lib/label-lint");
+const LabelCottageRules = require("../lib/cottage-rules");
+const LabelNetQuantity = require("../lib/net-quantity");
+const LabelRuns = require("../lib/production-runs");
+const LabelTrace = require("../lib/traceability");
+const LabelIngredients = require("../lib/label-ingredients");
+const LabelArchive = require("../lib/archive");
+const LabelBulk = require("../lib/bulk-labels");
+const LabelIngredientParser = require("../lib/ingredient-parser");
+const LabelSchemas = require("../lib/schemas");
+const LabelStorage = require("../lib/storage");
+const LabelSync = require("../lib/sync-queue");
 
 const app = express();
-const MONGODB_URI =
-	process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/label_creator";
-const DB_NAME = process.env.MONGODB_DB || "test";
+// MongoDB or JSON files, per LABEL_STORAGE (see lib/storage.js)
+const STORAGE_CONFIG = LabelStorage.getStorageConfig(process.env);
+const STATE_RULES_DIR =
+	process.env.STATE_RULES_DIR || path.join(__dirname, "..", "rules", "states");
 
-let cachedDb = null;
+let dbPromise = null;
 
-function withTimeout(promise, ms) {
-	const timeout = new Promise((_, reject) =>
-		setTimeout(() => reject(new Error(`Timeout after ${ms}ms`)), ms)
-	);
-	return Promise.race([promise, timeout]);
-}
-
-async function getDb() {
-	if (cachedDb) {
-		return cachedDb;
+// The database every route works through, connected on first use. Requests arriving while it
+// connects share the one connection (the file store must not be loaded twice); a failed
+// connection is retried by the next request
+function getDb() {
+	if (!dbPromise) {
+		dbPromise = LabelStorage.openStorage(STORAGE_CONFIG).catch((err) => {
+			dbPromise = null;
+			throw err;
+		});
 	}
-	console.log("Connecting to MongoDB...");
-	const client = new MongoClient(MONGODB_URI, {
-		serverSelectionTimeoutMS: 5000,
-		connectTimeoutMS: 5000,
-	});
-	await withTimeout(client.connect(), 8000);
-	console.log("MongoDB connected");
-	cachedDb = client.db(DB_NAME);
-	return cachedDb;
+	return dbPromise;
 }
 
 const defaultPresets = [
@@ -69,24 +80,57 @@ const defaultPresets = [
 	},
 ];
 
-app.use(express.json());
+// Load the per-state cottage food rule packs (one JSON file per state)
+function loadStatePacks(dir) {
+	if (!fs.existsSync(dir)) return [];
+	return fs
+		.readdirSync(dir)
+		.filter((file) => file.endsWith(".json"))
+		.sort()
+		.map((file) => JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")));
+}
+
+LabelCottageRules.registerStatePacks(loadStatePacks(STATE_RULES_DIR));
+
+// Workspace archives (POST /api/import) are well over the default 100kb
+app.use(express.json({ limit: "10mb" }));
 
 // Static files (for local development only)
 if (process.env.NODE_ENV !== "production") {
-	const path = require("path");
 	const staticDir = path.join(__dirname, "..");
+	// Never hand out the file store's data (accounts, sessions, labels) when it lives in here
+	app.use((req, res, next) => {
+		let file;
+		try {
+			file = path.join(staticDir, decodeURIComponent(req.path));
+		} catch (err) {
+			return res.status(400).end();
+		}
+		const relative = path.relative(STORAGE_CONFIG.dataDir, file);
+		if (!relative.startsWith("..") && !path.isAbsolute(relative)) {
+			return res.status(404).end();
+		}
+		next();
+	});
 	app.use(express.static(staticDir));
 	app.get("/", (req, res) => {
 		res.sendFile(path.join(staticDir, "index.html"));
 	});
 }
 
+// Client-facing copy of a document: _id becomes id and the workspace owner is left out
 function stripMongoId(doc) {
 	if (!doc) return doc;
-	const { _id, ...rest } = doc;
+	const { _id, ownerId, ...rest } = doc;
 	return { id: _id.toString(), ...rest };
 }
 
+// Query limited to the signed-in user's workspace; every labels, presets, runs and businesses query
+// goes through this
+function owned(req, query = {}) {
+	return { ...query, ownerId: req.auth.ownerId };
+}
+
 // Helper for backward compatibility - support both ObjectId and legacy custom id
 function getPresetQuery(id) {
 	try {
@@ -101,6 +145,514 @@ function getPresetQuery(id) {
 	return { id: id };
 }
 
+// True for the 24-character hex ids MongoDB generates
+function isObjectId(id) {
+	return typeof id === "string" && /^[0-9a-f]{24}$/i.test(id);
+}
+
+// Route guard for /:id routes of collections without legacy ids - a malformed id is a 400, not a
+// 500 from the ObjectId constructor
+function requireObjectId(req, res, next) {
+	if (isObjectId(req.params.id)) return next();
+	res
+		.status(400)
+		.json({ error: "Invalid ID", fields: { id: "Not a valid ID" } });
+}
+
+// Conflict check for changes replayed by offline clients: they send If-Match with the version
+// (LabelSync.getVersion) of the document they changed. When it has changed since, sends a 412 with
+// { error, current } and returns false; requests without If-Match (or "*") always pass
+function checkVersion(req, res, doc, name) {
+	const expected = (req.get("If-Match") || "").trim().replace(/^"(.*)"$/, "$1");
+	if (!expected || expected === "*" || expected === LabelSync.getVersion(doc)) {
+		return true;
+	}
+	res.status(412).json({
+		error: `${name} was changed by someone else since you last loaded it`,
+		current: stripMongoId(doc),
+	});
+	return false;
+}
+
+// Check a request body against its schema in lib/schemas.js. Returns the body without read-only
+// fields, or sends a 400 with { error, fields } (field path -> message) and returns null.
+// options.partial is for updates, which only send the fields that change
+function validateBody(res, schemaName, body, options = {}) {
+	const { value, errors } = LabelSchemas.validate(schemaName, body, options);
+	if (Object.keys(errors).length === 0) return value;
+	res.status(400).json({
+		error: `Invalid ${schemaName}: ${LabelSchemas.summarizeErrors(errors)}`,
+		fields: errors,
+	});
+	return null;
+}
+
+// Lookup function over the workspace's saved presets (by client-facing id)
+async function loadPresetLookup(db, ownerId) {
+	const presets = (
+		await db.collection("presets").find({ ownerId }).toArray()
+	).map(stripMongoId);
+	return (id) => presets.find((p) => p.id === id);
+}
+
+// Check a preset's references against the workspace's saved presets
+// Returns an error message for missing references or a reference cycle, otherwise null
+async function validatePresetReferences(db, ownerId, preset) {
+	if (LabelPresets.getPresetReferences(preset).length === 0) return null;
+	const getPresetById = await loadPresetLookup(db, ownerId);
+	const missing = LabelPresets.findMissingReferences(preset, getPresetById);
+	if (missing.length > 0) {
+		return `Referenced ingredient not found: ${missing.join(", ")}`;
+	}
+	const cycle = LabelPresets.findReferenceCycle(preset, getPresetById);
+	if (cycle) {
+		return `Circular ingredient reference: ${cycle.join(" → ")}`;
+	}
+	return null;
+}
+
+// Preset sub-ingredients from request input - a comma-separated string is split with the same
+// parser as the UI, so "Chips (sugar, cocoa), salt" is two entries
+function parsePresetIngredients(value) {
+	if (typeof value === "string")
+		return LabelIngredientParser.splitTopLevel(value);
+	return Array.isArray(value) ? value : [];
+}
+
+// Run the compliance linter on a label about to be saved
+async function lintLabelForSave(db, ownerId, label) {
+	const getPresetById = await loadPresetLookup(db, ownerId);
+	return LabelLint.lintLabel(label, { getPresetById });
+}
+
+// Strict mode (?strict=true or LABEL_LINT_STRICT=true) refuses labels with compliance errors
+function isStrictLint(req) {
+	return (
+		req.query.strict === "true" ||
+		req.query.strict === "1" ||
+		process.env.LABEL_LINT_STRICT === "true"
+	);
+}
+
+// ===== ACCOUNTS =====
+// Local accounts with scrypt-hashed passwords. Signing in returns a random session token; clients
+// send it as "Authorization: Bearer <token>" and only its SHA-256 hash is stored. Each user belongs
+// to one workspace, identified by the id of the user who created it (ownerId on every document).
+const SESSION_DAYS = 30;
+const INVITE_DAYS = 7;
+const scrypt = util.promisify(crypto.scrypt);
+
+// API paths (under /api) that work without signing in
+const PUBLIC_API_PATHS = [
+	"/test",
+	"/state-rules",
+	"/auth/signup",
+	"/auth/login",
+	"/auth/invite",
+];
+
+// POST paths viewers may call - they change nothing
+const VIEWER_POST_PATHS = ["/auth/logout", "/ingredients/parse"];
+
+// A request's path under /api as routes match it: any case, trailing slash optional
+function getApiPath(req) {
+	return req.path.replace(/\/+$/, "").toLowerCase();
+}
+
+async function hashPassword(password) {
+	const salt = crypto.randomBytes(16).toString("hex");
+	const key = await scrypt(password, salt, 64);
+	return `scrypt:${salt}:${key.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+	const [scheme, salt, hash] = String(stored || "").split(":");
+	if (scheme !== "scrypt" || !salt || !hash) return false;
+	const key = await scrypt(password, salt, 64);
+	const expected = Buffer.from(hash, "hex");
+	return (
+		expected.length === key.length && crypto.timingSafeEqual(key, expected)
+	);
+}
+
+function hashToken(token) {
+	return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function normalizeEmail(email) {
+	return String(email || "")
+		.trim()
+		.toLowerCase();
+}
+
+function daysFromNow(days) {
+	return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// A user as the API returns it - never the password hash
+function toAccount(user) {
+	return {
+		id: user._id.toString(),
+		email: user.email,
+		name: user.name || "",
+		role: user.role,
+		ownerId: user.ownerId,
+		createdAt: user.createdAt,
+	};
+}
+
+// Start a session for a user; returns the token, which is only ever sent to the client
+async function createSession(db, user) {
+	const token = crypto.randomBytes(32).toString("hex");
+	const now = new Date().toISOString();
+	await db.collection("sessions").insertOne({
+		tokenHash: hashToken(token),
+		userId: user._id.toString(),
+		createdAt: now,
+		expiresAt: daysFromNow(SESSION_DAYS),
+	});
+	return token;
+}
+
+// Pending invite for a token, or null when it's unknown or expired
+async function findInvite(db, token) {
+	if (!token) return null;
+	return db.collection("invites").findOne({
+		tokenHash: hashToken(token),
+		expiresAt: { $gt: new Date().toISOString() },
+	});
+}
+
+// Documents saved before accounts existed have no owner; the first account to sign up takes them
+async function claimLegacyData(db, ownerId) {
+	await Promise.all(
+		["labels", "presets", "runs", "business", "businesses"].map((name) =>
+			db
+				.collection(name)
+				.updateMany({ ownerId: { $exists: false } }, { $set: { ownerId } })
+		)
+	);
+}
+
+// Resolve the bearer token to req.auth = { user, userId, ownerId, role, sessionId }; other /api
+// requests without a valid session get a 401
+async function authenticate(req, res, next) {
+	if (PUBLIC_API_PATHS.includes(getApiPath(req))) return next();
+	try {
+		const match = (req.get("Authorization") || "").match(/^Bearer\s+(\S+)$/i);
+		if (!match) {
+			return res.status(401).json({ error: "Sign in to continue" });
+		}
+		const db = await getDb();
+		const session = await db.collection("sessions").findOne({
+			tokenHash: hashToken(match[1]),
+			expiresAt: { $gt: new Date().toISOString() },
+		});
+		const user =
+			session &&
+			(await db
+				.collection("users")
+				.findOne({ _id: new ObjectId(session.userId) }));
+		if (!user) {
+			return res
+				.status(401)
+				.json({ error: "Your session has expired - sign in again" });
+		}
+		req.auth = {
+			user,
+			userId: user._id.toString(),
+			ownerId: user.ownerId,
+			role: user.role,
+			sessionId: session._id,
+		};
+		next();
+	} catch (err) {
+		console.error("Authentication error", err);
+		res.status(500).json({ error: "Failed to check session" });
+	}
+}
+
+// Viewers can read everything in their workspace but change nothing
+function enforceRole(req, res, next) {
+	if (
+		!req.auth ||
+		req.auth.role !== "viewer" ||
+		req.method === "GET" ||
+		VIEWER_POST_PATHS.includes(getApiPath(req))
+	) {
+		return next();
+	}
+	res.status(403).json({ error: "Viewers can't make changes" });
+}
+
+function requireOwner(req, res, next) {
+	if (req.auth.role === "owner") return next();
+	res.status(403).json({ error: "Only workspace owners can manage the team" });
+}
+
+app.use("/api", authenticate, enforceRole);
+
+// Create an account. Body: { name, email, password, inviteToken } - without an invite the account
+// gets its own workspace (the very first account also takes any data saved before accounts
+// existed); with one it joins the inviter's workspace in the invited role.
+// Returns { token, user }
+app.post("/api/auth/signup", async (req, res) => {
+	try {
+		const input = validateBody(res, "signup", req.body);
+		if (!input) return;
+		const db = await getDb();
+		const users = db.collection("users");
+		const email = normalizeEmail(input.email);
+		if (await users.findOne({ email })) {
+			return res.status(409).json({
+				error: "An account with this email already exists",
+				fields: { email: "Already registered - sign in instead" },
+			});
+		}
+		let invite = null;
+		if (input.inviteToken) {
+			invite = await findInvite(db, input.inviteToken);
+			if (!invite) {
+				return res
+					.status(400)
+					.json({ error: "This invite link is invalid or has expired" });
+			}
+			if (invite.email !== email) {
+				return res.status(400).json({
+					error: `This invite is for ${invite.email}`,
+					fields: { email: `Use ${invite.email}` },
+				});
+			}
+		}
+
+		const isFirstAccount = (await users.countDocuments({})) === 0;
+		const _id = new ObjectId();
+		const user = {
+			_id,
+			email,
+			name: (input.name || "").trim(),
+			passwordHash: await hashPassword(input.password),
+			ownerId: invite ? invite.ownerId : _id.toString(),
+			role: invite ? invite.role : "owner",
+			createdAt: new Date().toISOString(),
+		};
+		await users.insertOne(user);
+		if (invite) {
+			await db.collection("invites").deleteOne({ _id: invite._id });
+		} else if (isFirstAccount) {
+			await claimLegacyData(db, user.ownerId);
+		}
+		const token = await createSession(db, user);
+		res.status(201).json({ token, user: toAccount(user) });
+	} catch (err) {
+		console.error("POST /api/auth/signup error", err);
+		res.status(500).json({ error: "Failed to create account" });
+	}
+});
+
+// Body: { email, password } - returns { token, user }
+app.post("/api/auth/login", async (req, res) => {
+	try {
+		const input = validateBody(res, "login", req.body);
+		if (!input) return;
+		const db = await getDb();
+		const user = await db
+			.collection("users")
+			.findOne({ email: normalizeEmail(input.email) });
+		if (!user || !(await verifyPassword(input.password, user.passwordHash))) {
+			return res.status(401).json({ error: "Incorrect email or password" });
+		}
+		const token = await createSession(db, user);
+		res.json({ token, user: toAccount(user) });
+	} catch (err) {
+		console.error("POST /api/auth/login error", err);
+		res.status(500).json({ error: "Failed to sign in" });
+	}
+});
+
+// End the current session
+app.post("/api/auth/logout", async (req, res) => {
+	try {
+		const db = await getDb();
+		await db.collection("sessions").deleteOne({ _id: req.auth.sessionId });
+		res.json({ success: true });
+	} catch (err) {
+		console.error("POST /api/auth/logout error", err);
+		res.status(500).json({ error: "Failed to sign out" });
+	}
+});
+
+app.get("/api/auth/me", (req, res) => {
+	res.json({ user: toAccount(req.auth.user) });
+});
+
+// Who an invite link is for, so the sign-up form can fill in the email
+// Query: token - returns { email, role }
+app.get("/api/auth/invite", async (req, res) => {
+	try {
+		const db = await getDb();
+		const invite = await findInvite(db, req.query.token);
+		if (!invite) {
+			return res
+				.status(404)
+				.json({ error: "This invite link is invalid or has expired" });
+		}
+		res.json({ email: invite.email, role: invite.role });
+	} catch (err) {
+		console.error("GET /api/auth/invite error", err);
+		res.status(500).json({ error: "Failed to look up invite" });
+	}
+});
+
+// ===== TEAM =====
+// Members and pending invites of the workspace (owners only)
+// Returns { members: [user], invites: [{ id, email, role, createdAt, expiresAt }] }
+app.get("/api/team", requireOwner, async (req, res) => {
+	try {
+		const db = await getDb();
+		const [members, invites] = await Promise.all([
+			db.collection("users").find(owned(req)).sort({ createdAt: 1 }).toArray(),
+			db
+				.collection("invites")
+				.find(owned(req, { expiresAt: { $gt: new Date().toISOString() } }))
+				.sort({ createdAt: 1 })
+				.toArray(),
+		]);
+		res.json({
+			members: members.map(toAccount),
+			invites: invites.map(({ tokenHash, ...invite }) => stripMongoId(invite)),
+		});
+	} catch (err) {
+		console.error("GET /api/team error", err);
+		res.status(500).json({ error: "Failed to fetch team" });
+	}
+});
+
+// Invite a teammate. Body: { email, role } - a new invite replaces an earlier one for the same email.
+// Returns { invite, token, link }; the link is sent by the owner, the server sends no email
+app.post("/api/team/invites", requireOwner, async (req, res) => {
+	try {
+		const input = validateBody(res, "invite", req.body);
+		if (!input) return;
+		const db = await getDb();
+		const email = normalizeEmail(input.email);
+		if (await db.collection("users").findOne({ email })) {
+			return res.status(409).json({
+				error: "That email already has an account",
+				fields: { email: "Already has an account" },
+			});
+		}
+		await db.collection("invites").deleteMany(owned(req, { email }));
+		const token = crypto.randomBytes(24).toString("hex");
+		const invite = {
+			email,
+			role: input.role,
+			ownerId: req.auth.ownerId,
+			invitedBy: req.auth.userId,
+			tokenHash: hashToken(token),
+			createdAt: new Date().toISOString(),
+			expiresAt: daysFromNow(INVITE_DAYS),
+		};
+		await db.collection("invites").insertOne(invite);
+		const { tokenHash, ...visible } = invite;
+		res.status(201).json({
+			invite: stripMongoId(visible),
+			token,
+			link: `${req.protocol}://${req.get("host")}/?invite=${token}`,
+		});
+	} catch (err) {
+		console.error("POST /api/team/invites error", err);
+		res.status(500).json({ error: "Failed to create invite" });
+	}
+});
+
+app.delete(
+	"/api/team/invites/:id",
+	requireOwner,
+	requireObjectId,
+	async (req, res) => {
+		try {
+			const db = await getDb();
+			const result = await db
+				.collection("invites")
+				.deleteOne(owned(req, { _id: new ObjectId(req.params.id) }));
+			if (!result.deletedCount)
+				return res.status(404).json({ error: "Invite not found" });
+			res.json({ success: true });
+		} catch (err) {
+			console.error("DELETE /api/team/invites/:id error", err);
+			res.status(500).json({ error: "Failed to cancel invite" });
+		}
+	}
+);
+
+// Error message when the signed-in owner may not change or remove a member, otherwise null -
+// nobody changes their own access, and the account that created the workspace stays its owner
+function checkMemberChange(req) {
+	if (req.params.id === req.auth.userId) {
+		return "You can't change your own access";
+	}
+	if (req.params.id === req.auth.ownerId) {
+		return "The workspace creator is always an owner";
+	}
+	return null;
+}
+
+// Change a member's role. Body: { role }
+app.put(
+	"/api/team/members/:id",
+	requireOwner,
+	requireObjectId,
+	async (req, res) => {
+		try {
+			const input = validateBody(res, "member", req.body);
+			if (!input) return;
+			const changeError = checkMemberChange(req);
+			if (changeError) return res.status(400).json({ error: changeError });
+			const db = await getDb();
+			const result = await db
+				.collection("users")
+				.findOneAndUpdate(
+					owned(req, { _id: new ObjectId(req.params.id) }),
+					{ $set: { role: input.role } },
+					{ returnDocument: "after" }
+				);
+			if (!result) return res.status(404).json({ error: "Member not found" });
+			res.json(toAccount(result));
+		} catch (err) {
+			console.error("PUT /api/team/members/:id error", err);
+			res.status(500).json({ error: "Failed to update member" });
+		}
+	}
+);
+
+// Remove a member from the workspace. Their account stays, with a new empty workspace of their
+// own, and their sessions end
+app.delete(
+	"/api/team/members/:id",
+	requireOwner,
+	requireObjectId,
+	async (req, res) => {
+		try {
+			const changeError = checkMemberChange(req);
+			if (changeError) return res.status(400).json({ error: changeError });
+			const db = await getDb();
+			const result = await db
+				.collection("users")
+				.updateOne(owned(req, { _id: new ObjectId(req.params.id) }), {
+					$set: { ownerId: req.params.id, role: "owner" },
+				});
+			if (!result.matchedCount)
+				return res.status(404).json({ error: "Member not found" });
+			await db.collection("sessions").deleteMany({ userId: req.params.id });
+			res.json({ success: true });
+		} catch (err) {
+			console.error("DELETE /api/team/members/:id error", err);
+			res.status(500).json({ error: "Failed to remove member" });
+		}
+	}
+);
+
 // Test endpoint
 app.get("/api/test", (req, res) => {
 	console.log("Test endpoint hit");
@@ -113,7 +665,7 @@ app.get("/api/labels", async (req, res) => {
 		const db = await getDb();
 		const labels = await db
 			.collection("labels")
-			.find({})
+			.find(owned(req))
 			.sort({ createdAt: 1 })
 			.toArray();
 		res.json(labels.map(stripMongoId));
@@ -123,65 +675,420 @@ app.get("/api/labels", async (req, res) => {
 	}
 });
 
+// Render a label with the shared renderer
+// Query: format = html | text | markdown | json (default html)
+const RENDER_CONTENT_TYPES = {
+	html: "text/html",
+	text: "text/plain",
+	markdown: "text/markdown",
+};
+
+app.get("/api/labels/:id/render", requireObjectId, async (req, res) => {
+	try {
+		const format = req.query.format || "html";
+		if (!LabelRenderer.FORMATS.includes(format)) {
+			return res.status(400).json({
+				error: `Unsupported format "${format}". Use one of: ${LabelRenderer.FORMATS.join(", ")}`,
+			});
+		}
+
+		const db = await getDb();
+		const label = await db
+			.collection("labels")
+			.findOne(owned(req, { _id: new ObjectId(req.params.id) }));
+		if (!label) return res.status(404).json({ error: "Label not found" });
+
+		const output = LabelRenderer.renderLabel(label, format);
+		if (format === "json") return res.json(output);
+		res.type(RENDER_CONTENT_TYPES[format]).send(output);
+	} catch (err) {
+		console.error("GET /api/labels/:id/render error", err);
+		res.status(500).json({ error: "Failed to render label" });
+	}
+});
+
+// Export a label as ZPL for Zebra thermal printers
+// Query: dpi, width, height, unit (in|mm), copies - size defaults to the label's own size,
+// then the default size of its business profile. Copies or a size printers can't take are a 400.
+app.get("/api/labels/:id/zpl", requireObjectId, async (req, res) => {
+	try {
+		const optionsError = LabelZpl.getOptionsError(req.query);
+		if (optionsError) return res.status(400).json({ error: optionsError });
+		const db = await getDb();
+		const label = await db
+			.collection("labels")
+			.findOne(owned(req, { _id: new ObjectId(req.params.id) }));
+		if (!label) return res.status(404).json({ error: "Label not found" });
+
+		const business = getLabelBusiness(await loadBusinesses(db, req), label);
+		const size =
+			req.query.width && req.query.height
+				? req.query
+				: label.labelSize ||
+					(business && business.defaultLabelSize) ||
+					LabelZpl.DEFAULT_SIZE;
+		const zpl = LabelZpl.labelToZpl(label, {
+			dpi: req.query.dpi,
+			width: size.width,
+			height: size.height,
+			unit: size.unit,
+			copies: req.query.copies,
+		});
+
+		const fileName =
+			(label.name || "label").replace(/[^a-z0-9]+/gi, "-").toLowerCase() ||
+			"label";
+		res.set("Content-Disposition", `attachment; filename="${fileName}.zpl"`);
+		res.type("text/plain").send(zpl);
+	} catch (err) {
+		console.error("GET /api/labels/:id/zpl error", err);
+		res.status(500).json({ error: "Failed to export label as ZPL" });
+	}
+});
+
+// Label document from request input, keeping only known fields
+function buildLabelDocument(input, now) {
+	return {
+		name: input.name || "",
+		text: input.text || "",
+		color: input.color || "",
+		creationMode: input.creationMode || "manual",
+		selectedPresetIds: input.selectedPresetIds || [],
+		additionalIngredientsText: input.additionalIngredientsText || "",
+		// Labels sent without an ingredient list get one parsed from their text
+		ingredients:
+			Array.isArray(input.ingredients) && input.ingredients.length > 0
+				? input.ingredients
+				: LabelIngredientParser.listIngredientNames(input.text),
+		createdAt: input.createdAt || now,
+		netQuantity: input.netQuantity || "",
+		netQuantityUnit: input.netQuantityUnit || "oz",
+		shelfLifeDays: parseInt(input.shelfLifeDays, 10) || null,
+		netCount: input.netCount || "",
+		netCountUnit: input.netCountUnit || "",
+		showBlankQuantity: !!input.showBlankQuantity,
+		netQuantityBase: LabelNetQuantity.getCanonicalAmount(
+			input.netQuantity,
+			input.netQuantityUnit || "oz"
+		),
+		allergens: input.allergens || [],
+		allergenDetails: input.allergenDetails || "",
+		dismissedAllergenTerms: input.dismissedAllergenTerms || [],
+		businessId: input.businessId || "",
+		businessName: input.businessName || "",
+		businessAddress: input.businessAddress || "",
+		businessCity: input.businessCity || "",
+		businessState: input.businessState || "",
+		businessZip: input.businessZip || "",
+		businessPhone: input.businessPhone || "",
+		businessPermit: input.businessPermit || "",
+		businessCounty: input.businessCounty || "",
+		includeCottageDisclaimer: !!input.includeCottageDisclaimer,
+		labelSize: input.labelSize || null,
+		recipe: input.recipe || null,
+		nutrition: input.nutrition || null,
+		nutritionFacts: input.nutritionFacts || null,
+	};
+}
+
 app.post("/api/labels", async (req, res) => {
 	try {
+		const input = validateBody(res, "label", req.body);
+		if (!input) return;
 		const db = await getDb();
-		const input = req.body || {};
-		const now = new Date().toISOString();
-		const label = {
-			name: input.name || "",
-			text: input.text || "",
-			creationMode: input.creationMode || "manual",
-			selectedPresetIds: input.selectedPresetIds || [],
-			additionalIngredientsText: input.additionalIngredientsText || "",
-			ingredients: input.ingredients || [],
-			createdAt: input.createdAt || now,
-			netQuantity: input.netQuantity || "",
-			netQuantityUnit: input.netQuantityUnit || "oz",
-			allergens: input.allergens || [],
-			allergenDetails: input.allergenDetails || "",
-			businessId: input.businessId || "",
-			includeCottageDisclaimer: !!input.includeCottageDisclaimer,
-		};
+		const withBusiness = withBusinessProfile(
+			input,
+			await loadBusinesses(db, req)
+		);
+		if (!withBusiness) {
+			return res.status(400).json({
+				error: "Business profile not found",
+				fields: { businessId: "Business profile not found" },
+			});
+		}
+		const label = buildLabelDocument(withBusiness, new Date().toISOString());
+		const lint = await lintLabelForSave(db, req.auth.ownerId, label);
+		if (!lint.ok && isStrictLint(req)) {
+			return res
+				.status(422)
+				.json({ error: "Label is not compliant", issues: lint.issues });
+		}
+		label.ownerId = req.auth.ownerId;
 		await db.collection("labels").insertOne(label);
-		res.status(201).json(stripMongoId(label));
+		res.status(201).json({ ...stripMongoId(label), lint });
 	} catch (err) {
 		console.error("POST /api/labels error", err);
 		res.status(500).json({ error: "Failed to create label" });
 	}
 });
 
-app.put("/api/labels/:id", async (req, res) => {
+app.put("/api/labels/:id", requireObjectId, async (req, res) => {
 	try {
+		const input = validateBody(res, "label", req.body, { partial: true });
+		if (!input) return;
 		const db = await getDb();
 		const updates = {
-			...(req.body || {}),
+			...input,
 			updatedAt: new Date().toISOString(),
 		};
-		// Remove fields that shouldn't be updated
-		delete updates._id;
-		delete updates.id;
+		const query = owned(req, { _id: new ObjectId(req.params.id) });
+		const existing = await db.collection("labels").findOne(query);
+		if (!existing) return res.status(404).json({ error: "Label not found" });
+		if (!checkVersion(req, res, existing, "This label")) return;
+		// Moving to another business profile brings its details unless they're sent too
+		if (updates.businessId) {
+			const withBusiness = withBusinessProfile(
+				updates,
+				await loadBusinesses(db, req)
+			);
+			if (!withBusiness) {
+				return res.status(400).json({
+					error: "Business profile not found",
+					fields: { businessId: "Business profile not found" },
+				});
+			}
+			Object.assign(updates, withBusiness);
+		}
+		// The canonical amount always follows the declared quantity and unit
+		if ("netQuantity" in updates || "netQuantityUnit" in updates) {
+			const merged = { ...existing, ...updates };
+			updates.netQuantityBase = LabelNetQuantity.getCanonicalAmount(
+				merged.netQuantity,
+				merged.netQuantityUnit
+			);
+		}
+		// New text without an ingredient list gets one parsed from it
+		if (
+			typeof updates.text === "string" &&
+			!(Array.isArray(updates.ingredients) && updates.ingredients.length > 0)
+		) {
+			updates.ingredients = LabelIngredientParser.listIngredientNames(
+				updates.text
+			);
+		}
+		const lint = await lintLabelForSave(db, req.auth.ownerId, {
+			...existing,
+			...updates,
+		});
+		if (!lint.ok && isStrictLint(req)) {
+			return res
+				.status(422)
+				.json({ error: "Label is not compliant", issues: lint.issues });
+		}
 		const result = await db
 			.collection("labels")
-			.findOneAndUpdate(
-				{ _id: new ObjectId(req.params.id) },
-				{ $set: updates },
-				{ returnDocument: "after" }
-			);
+			.findOneAndUpdate(query, { $set: updates }, { returnDocument: "after" });
 		if (!result) return res.status(404).json({ error: "Label not found" });
-		res.json(stripMongoId(result));
+		res.json({ ...stripMongoId(result), lint });
 	} catch (err) {
 		console.error("PUT /api/labels/:id error", err);
 		res.status(500).json({ error: "Failed to update label" });
 	}
 });
 
-app.delete("/api/labels/:id", async (req, res) => {
+// Create many labels at once; each row succeeds or fails on its own
+// Body: { labels: [{ row, ...label }] } with presets already resolved (as the UI sends them), or
+// { csv } with CSV or tab-separated rows, parsed here against the saved presets (see lib/bulk-labels.js).
+// Rows get the details of their businessId's profile (CSV rows: the default profile) and CSV rows the
+// cottage food disclaimer. With ?strict=true rows
+// with lint errors fail. Returns { created, failed, results: [{ row, status, name, errors, label }] }
+app.post("/api/labels/bulk", async (req, res) => {
 	try {
+		const body = req.body || {};
+		if (!Array.isArray(body.labels) && typeof body.csv !== "string") {
+			return res.status(400).json({ error: "Provide labels or csv" });
+		}
 		const db = await getDb();
-		const result = await db
-			.collection("labels")
-			.deleteOne({ _id: new ObjectId(req.params.id) });
+		const presets = (
+			await db.collection("presets").find(owned(req)).toArray()
+		).map(stripMongoId);
+		const getPresetById = (id) => presets.find((preset) => preset.id === id);
+		const businesses = await loadBusinesses(db, req);
+
+		let rows;
+		if (typeof body.csv === "string") {
+			const labels = await db.collection("labels").find(owned(req)).toArray();
+			rows = LabelBulk.parseBulkLabels(body.csv, {
+				presets,
+				labels: labels.map(stripMongoId),
+			}).rows.map((parsed) => {
+				const { value, errors } = LabelSchemas.validate("label", parsed.label);
+				return {
+					row: parsed.row,
+					input: withBusinessProfile(
+						{ includeCottageDisclaimer: true, ...value },
+						businesses
+					),
+					errors: Object.keys(errors).length
+						? [...parsed.errors, LabelSchemas.summarizeErrors(errors)]
+						: parsed.errors,
+				};
+			});
+		} else {
+			rows = body.labels.map((item, index) => {
+				const { row, ...fields } = item || {};
+				const { value, errors } = LabelSchemas.validate("label", fields);
+				return {
+					row: row || index + 1,
+					input: value,
+					errors: Object.keys(errors).length
+						? [LabelSchemas.summarizeErrors(errors)]
+						: [],
+				};
+			});
+		}
+		if (rows.length === 0) {
+			return res.status(400).json({ error: "No rows to import" });
+		}
+		if (rows.length > LabelBulk.MAX_ROWS) {
+			return res.status(400).json({
+				error: `Too many rows (${rows.length}) - import at most ${LabelBulk.MAX_ROWS} at a time`,
+			});
+		}
+
+		const now = new Date().toISOString();
+		const results = [];
+		for (const { row, input, errors } of rows) {
+			if (errors.length > 0) {
+				results.push({
+					row,
+					status: "error",
+					name: typeof input.name === "string" ? input.name : "",
+					errors,
+				});
+				continue;
+			}
+			const withBusiness = withBusinessProfile(input, businesses);
+			if (!withBusiness) {
+				results.push({
+					row,
+					status: "error",
+					name: input.name,
+					errors: ["Business profile not found"],
+				});
+				continue;
+			}
+			const label = buildLabelDocument(withBusiness, now);
+			const rowErrors = [];
+			if (!String(label.name).trim()) rowErrors.push("Name is required");
+			if (!String(label.text).trim())
+				rowErrors.push("Ingredients are required");
+			const missing = label.selectedPresetIds.filter(
+				(id) => !getPresetById(id)
+			);
+			if (missing.length > 0) {
+				rowErrors.push(`Unknown preset ID: ${missing.join(", ")}`);
+			}
+			if (rowErrors.length === 0) {
+				const lint = LabelLint.lintLabel(label, { getPresetById });
+				if (!lint.ok && isStrictLint(req)) {
+					rowErrors.push(...lint.errors.map((issue) => issue.message));
+				} else {
+					label.ownerId = req.auth.ownerId;
+					await db.collection("labels").insertOne(label);
+					results.push({
+						row,
+						status: "created",
+						name: label.name,
+						errors: [],
+						label: { ...stripMongoId(label), lint },
+					});
+					continue;
+				}
+			}
+			results.push({
+				row,
+				status: "error",
+				name: label.name,
+				errors: rowErrors,
+			});
+		}
+
+		const created = results.filter((result) => result.status === "created");
+		res.json({
+			created: created.length,
+			failed: results.length - created.length,
+			results,
+		});
+	} catch (err) {
+		console.error("POST /api/labels/bulk error", err);
+		res.status(500).json({ error: "Failed to import labels" });
+	}
+});
+
+// Rebuild the ingredient statement, allergens and Nutrition Facts of preset-mode labels from the
+// current presets
+// Body: { labelIds } to regenerate chosen labels, or { presetId } for every label the preset change affects
+app.post("/api/labels/regenerate", async (req, res) => {
+	try {
+		const input = validateBody(res, "regenerate", req.body || {});
+		if (!input) return;
+		const { labelIds, presetId } = input;
+		if (!Array.isArray(labelIds) && !presetId) {
+			return res
+				.status(400)
+				.json({ error: "Provide labelIds or presetId to regenerate" });
+		}
+		const db = await getDb();
+		const getPresetById = await loadPresetLookup(db, req.auth.ownerId);
+		const query = Array.isArray(labelIds)
+			? {
+					_id: {
+						$in: labelIds
+							.filter((id) => ObjectId.isValid(id))
+							.map((id) => new ObjectId(id)),
+					},
+				}
+			: { creationMode: "preset" };
+		const labels = (
+			await db.collection("labels").find(owned(req, query)).toArray()
+		)
+			.map(stripMongoId)
+			.filter(
+				(label) =>
+					!presetId ||
+					LabelIngredients.labelUsesPreset(label, presetId, getPresetById)
+			);
+
+		const updated = [];
+		const skipped = [];
+		for (const label of labels) {
+			const fresh = LabelIngredients.regenerateLabel(label, getPresetById);
+			if (!fresh) {
+				skipped.push(label.id);
+				continue;
+			}
+			const updates = { ...fresh, updatedAt: new Date().toISOString() };
+			const result = await db
+				.collection("labels")
+				.findOneAndUpdate(
+					owned(req, { _id: new ObjectId(label.id) }),
+					{ $set: updates },
+					{ returnDocument: "after" }
+				);
+			if (!result) continue;
+			const saved = stripMongoId(result);
+			updated.push({
+				...saved,
+				previousText: label.text || "",
+				lint: LabelLint.lintLabel(saved, { getPresetById }),
+			});
+		}
+		res.json({ updated, skipped });
+	} catch (err) {
+		console.error("POST /api/labels/regenerate error", err);
+		res.status(500).json({ error: "Failed to regenerate labels" });
+	}
+});
+
+app.delete("/api/labels/:id", requireObjectId, async (req, res) => {
+	try {
+		const db = await getDb();
+		const query = owned(req, { _id: new ObjectId(req.params.id) });
+		const existing = await db.collection("labels").findOne(query);
+		if (!existing) return res.status(404).json({ error: "Label not found" });
+		if (!checkVersion(req, res, existing, "This label")) return;
+		const result = await db.collection("labels").deleteOne(query);
 		if (!result.deletedCount)
 			return res.status(404).json({ error: "Label not found" });
 		res.json({ success: true });
@@ -196,13 +1103,18 @@ app.get("/api/presets", async (req, res) => {
 	try {
 		const db = await getDb();
 		const col = db.collection("presets");
-		let presets = await col.find({}).sort({ createdAt: 1 }).toArray();
-		if (presets.length === 0) {
+		let presets = await col.find(owned(req)).sort({ createdAt: 1 }).toArray();
+		if (presets.length === 0 && req.auth.role !== "viewer") {
+			// New workspaces start with the default presets (viewers can't add them)
 			const now = new Date().toISOString();
-			const docs = defaultPresets.map((p) => ({ ...p, createdAt: now }));
+			const docs = defaultPresets.map((p) => ({
+				...p,
+				ownerId: req.auth.ownerId,
+				createdAt: now,
+			}));
 			await col.insertMany(docs);
 			// Re-query to get the inserted documents with their _ids
-			presets = await col.find({}).sort({ createdAt: 1 }).toArray();
+			presets = await col.find(owned(req)).sort({ createdAt: 1 }).toArray();
 		}
 		res.json(presets.map(stripMongoId));
 	} catch (err) {
@@ -220,16 +1132,21 @@ app.get("/api/presets/search", async (req, res) => {
 
 		if (!query.trim()) {
 			// Return all presets if no search query
-			const presets = await col.find({}).sort({ createdAt: 1 }).toArray();
+			const presets = await col
+				.find(owned(req))
+				.sort({ createdAt: 1 })
+				.toArray();
 			return res.json(presets.map(stripMongoId));
 		}
 
 		// Case-insensitive partial match on name, brandName, or ingredients array
 		const regex = { $regex: query.trim(), $options: "i" };
 		const presets = await col
-			.find({
-				$or: [{ name: regex }, { brandName: regex }, { ingredients: regex }],
-			})
+			.find(
+				owned(req, {
+					$or: [{ name: regex }, { brandName: regex }, { ingredients: regex }],
+				})
+			)
 			.sort({ createdAt: 1 })
 			.toArray();
 
@@ -242,15 +1159,26 @@ app.get("/api/presets/search", async (req, res) => {
 
 app.post("/api/presets", async (req, res) => {
 	try {
+		const input = validateBody(res, "preset", req.body);
+		if (!input) return;
 		const db = await getDb();
-		const input = req.body || {};
 		const preset = {
 			name: input.name || "",
 			brandName: input.brandName || "",
-			ingredients: input.ingredients || [],
+			ingredients: parsePresetIngredients(input.ingredients),
+			nutrients: input.nutrients || null,
+			allergenTags: input.allergenTags || [],
 			createdAt: new Date().toISOString(),
 		};
-		const result = await db.collection("presets").insertOne(preset);
+		const referenceError = await validatePresetReferences(
+			db,
+			req.auth.ownerId,
+			preset
+		);
+		if (referenceError) return res.status(400).json({ error: referenceError });
+		const result = await db
+			.collection("presets")
+			.insertOne({ ...preset, ownerId: req.auth.ownerId });
 		// Return the preset with the MongoDB-generated _id converted to id
 		res.status(201).json(stripMongoId({ _id: result.insertedId, ...preset }));
 	} catch (err) {
@@ -259,18 +1187,138 @@ app.post("/api/presets", async (req, res) => {
 	}
 });
 
+// Create or update many presets at once; each row succeeds or fails on its own
+// Body: { presets: [{ row, id, name, brandName, ingredients }] } as built by lib/preset-import.js - rows with
+// an id replace that preset's name, brand and sub-ingredients, the rest are created
+// Returns { created, updated, failed, results: [{ row, status, name, errors, preset }] }
+app.post("/api/presets/bulk", async (req, res) => {
+	try {
+		const body = req.body || {};
+		if (!Array.isArray(body.presets) || body.presets.length === 0) {
+			return res.status(400).json({ error: "No presets to import" });
+		}
+		if (body.presets.length > LabelBulk.MAX_ROWS) {
+			return res.status(400).json({
+				error: `Too many rows (${body.presets.length}) - import at most ${LabelBulk.MAX_ROWS} at a time`,
+			});
+		}
+		const db = await getDb();
+		const now = new Date().toISOString();
+		const results = [];
+		for (const [index, input] of body.presets.entries()) {
+			const { row: rowNumber, ...rowFields } = input || {};
+			const row = rowNumber || index + 1;
+			const { value, errors: fieldErrors } = LabelSchemas.validate(
+				"preset",
+				rowFields
+			);
+			const fields = {
+				name: String(value.name || "").trim(),
+				brandName: String(value.brandName || "").trim(),
+				ingredients: parsePresetIngredients(value.ingredients),
+			};
+			const errors = Object.keys(fieldErrors).length
+				? [LabelSchemas.summarizeErrors(fieldErrors)]
+				: [];
+
+			let existing = null;
+			if (input && input.id) {
+				existing = await db
+					.collection("presets")
+					.findOne(owned(req, getPresetQuery(input.id)));
+				if (!existing) errors.push(`Preset ${input.id} not found`);
+			}
+			if (errors.length === 0) {
+				const referenceError = await validatePresetReferences(
+					db,
+					req.auth.ownerId,
+					existing ? { ...stripMongoId(existing), ...fields } : fields
+				);
+				if (referenceError) errors.push(referenceError);
+			}
+			if (errors.length > 0) {
+				results.push({ row, status: "error", name: fields.name, errors });
+				continue;
+			}
+
+			if (existing) {
+				const updated = await db
+					.collection("presets")
+					.findOneAndUpdate(
+						{ _id: existing._id },
+						{ $set: { ...fields, updatedAt: now } },
+						{ returnDocument: "after" }
+					);
+				results.push({
+					row,
+					status: "updated",
+					name: fields.name,
+					errors: [],
+					preset: stripMongoId(updated),
+				});
+			} else {
+				const preset = {
+					...fields,
+					nutrients: null,
+					allergenTags: [],
+					ownerId: req.auth.ownerId,
+					createdAt: now,
+				};
+				await db.collection("presets").insertOne(preset);
+				results.push({
+					row,
+					status: "created",
+					name: fields.name,
+					errors: [],
+					preset: stripMongoId(preset),
+				});
+			}
+		}
+
+		const count = (status) =>
+			results.filter((result) => result.status === status).length;
+		res.json({
+			created: count("created"),
+			updated: count("updated"),
+			failed: count("error"),
+			results,
+		});
+	} catch (err) {
+		console.error("POST /api/presets/bulk error", err);
+		res.status(500).json({ error: "Failed to import presets" });
+	}
+});
+
 app.put("/api/presets/:id", async (req, res) => {
 	try {
+		const input = validateBody(res, "preset", req.body, { partial: true });
+		if (!input) return;
 		const db = await getDb();
 		const updates = {
-			...(req.body || {}),
+			...input,
 			updatedAt: new Date().toISOString(),
 		};
-		// Remove id fields that shouldn't be updated
-		delete updates._id;
-		delete updates.id;
+		if (updates.ingredients !== undefined) {
+			updates.ingredients = parsePresetIngredients(updates.ingredients);
+		}
 		// Use backward-compatible query (ObjectId or legacy custom id)
-		const query = getPresetQuery(req.params.id);
+		const query = owned(req, getPresetQuery(req.params.id));
+		const existing = await db.collection("presets").findOne(query);
+		if (!existing) return res.status(404).json({ error: "Preset not found" });
+		if (!checkVersion(req, res, existing, "This ingredient")) return;
+		if (updates.ingredients) {
+			const referenceError = await validatePresetReferences(
+				db,
+				req.auth.ownerId,
+				{
+					...stripMongoId(existing),
+					...updates,
+				}
+			);
+			if (referenceError) {
+				return res.status(400).json({ error: referenceError });
+			}
+		}
 		const result = await db
 			.collection("presets")
 			.findOneAndUpdate(query, { $set: updates }, { returnDocument: "after" });
@@ -282,22 +1330,376 @@ app.put("/api/presets/:id", async (req, res) => {
 	}
 });
 
+// Labels whose ingredient statement would change if regenerated from the preset as saved now
+// Returns [{ id, name, before, after }]
+app.get("/api/presets/:id/affected-labels", async (req, res) => {
+	try {
+		const db = await getDb();
+		const getPresetById = await loadPresetLookup(db, req.auth.ownerId);
+		if (!getPresetById(req.params.id)) {
+			return res.status(404).json({ error: "Preset not found" });
+		}
+		const labels = (
+			await db
+				.collection("labels")
+				.find(owned(req, { creationMode: "preset" }))
+				.toArray()
+		).map(stripMongoId);
+		res.json(
+			LabelIngredients.findAffectedLabels(
+				labels,
+				req.params.id,
+				getPresetById
+			).map(({ label, before, after }) => ({
+				id: label.id,
+				name: label.name,
+				before,
+				after,
+			}))
+		);
+	} catch (err) {
+		console.error("GET /api/presets/:id/affected-labels error", err);
+		res.status(500).json({ error: "Failed to find affected labels" });
+	}
+});
+
+// Deleting a preset that labels or other presets use is refused with 409 and the usage, unless
+// ?force=true (remove it from them) or ?replaceWith=<presetId> (point them at another preset).
+// Affected labels are regenerated; returns { success, labels, presets } with the updated documents
 app.delete("/api/presets/:id", async (req, res) => {
 	try {
 		const db = await getDb();
 		// Use backward-compatible query (ObjectId or legacy custom id)
-		const query = getPresetQuery(req.params.id);
+		const query = owned(req, getPresetQuery(req.params.id));
+		const existing = await db.collection("presets").findOne(query);
+		if (!existing) return res.status(404).json({ error: "Preset not found" });
+		if (!checkVersion(req, res, existing, "This ingredient")) return;
+		const preset = stripMongoId(existing);
+		const force = req.query.force === "true" || req.query.force === "1";
+		const replaceWith = req.query.replaceWith || "";
+
+		const presets = (
+			await db.collection("presets").find(owned(req)).toArray()
+		).map(stripMongoId);
+		const labels = (
+			await db.collection("labels").find(owned(req)).toArray()
+		).map(stripMongoId);
+		const usage = LabelTrace.findPresetUsage(preset.id, { labels, presets });
+		const inUse = usage.labels.length > 0 || usage.presets.length > 0;
+		if (inUse && !force && !replaceWith) {
+			return res.status(409).json({
+				error: `"${preset.name}" is used in ${usage.labels.length} label(s) and ${usage.presets.length} other ingredient(s)`,
+				labels: usage.labels.map(({ label, reasons }) => ({
+					id: label.id,
+					name: label.name,
+					reasons,
+				})),
+				presets: usage.presets.map(({ id, name }) => ({ id, name })),
+			});
+		}
+		if (
+			replaceWith &&
+			(replaceWith === preset.id ||
+				!presets.some((item) => item.id === replaceWith))
+		) {
+			return res.status(400).json({ error: "Replacement preset not found" });
+		}
+
+		// Presets as they will be after the delete, with references moved or dropped
+		const updatedPresets = usage.presets.map((item) =>
+			LabelPresets.replacePresetReference(item, preset.id, replaceWith)
+		);
+		const remaining = presets
+			.filter((item) => item.id !== preset.id)
+			.map(
+				(item) =>
+					updatedPresets.find((updated) => updated.id === item.id) || item
+			);
+		const getPresetById = (id) => remaining.find((item) => item.id === id);
+		for (const item of updatedPresets) {
+			const cycle = LabelPresets.findReferenceCycle(item, getPresetById);
+			if (cycle) {
+				return res.status(400).json({
+					error: `Circular ingredient reference: ${cycle.join(" → ")}`,
+				});
+			}
+		}
+
+		const now = new Date().toISOString();
+		for (const item of updatedPresets) {
+			item.updatedAt = now;
+			await db
+				.collection("presets")
+				.updateOne(owned(req, getPresetQuery(item.id)), {
+					$set: { ingredients: item.ingredients, updatedAt: now },
+				});
+		}
+		const updatedLabels = [];
+		for (const { label } of usage.labels) {
+			const updates = {
+				...LabelIngredients.replaceSelectedPreset(
+					label,
+					preset.id,
+					replaceWith
+				),
+				updatedAt: now,
+			};
+			Object.assign(
+				updates,
+				LabelIngredients.regenerateLabel(
+					{ ...label, ...updates },
+					getPresetById
+				)
+			);
+			await db
+				.collection("labels")
+				.updateOne(owned(req, { _id: new ObjectId(label.id) }), {
+					$set: updates,
+				});
+			updatedLabels.push({ ...label, ...updates });
+		}
+
 		const result = await db.collection("presets").deleteOne(query);
 		if (!result.deletedCount)
 			return res.status(404).json({ error: "Preset not found" });
-		res.json({ success: true });
+		res.json({ success: true, labels: updatedLabels, presets: updatedPresets });
 	} catch (err) {
 		console.error("DELETE /api/presets/:id error", err);
 		res.status(500).json({ error: "Failed to delete preset" });
 	}
 });
 
-// ===== BUSINESS INFO =====
+// ===== PRODUCTION RUNS =====
+// List runs, newest bake date first
+// Query: q (lot code, label name or date), labelId, from / to (bake date range, YYYY-MM-DD)
+app.get("/api/runs", async (req, res) => {
+	try {
+		const db = await getDb();
+		const search = validateBody(res, "run search", req.query, {
+			ignoreUnknown: true,
+		});
+		if (!search) return;
+		const filter = owned(req);
+		const query = (search.q || "").trim();
+		if (query) {
+			const regex = {
+				$regex: query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+				$options: "i",
+			};
+			filter.$or = [
+				{ lotCode: regex },
+				{ labelName: regex },
+				{ bakeDate: regex },
+				{ bestByDate: regex },
+			];
+		}
+		if (search.labelId) filter.labelId = search.labelId;
+		if (search.from || search.to) {
+			filter.bakeDate = {};
+			if (search.from) filter.bakeDate.$gte = search.from;
+			if (search.to) filter.bakeDate.$lte = search.to;
+		}
+		const runs = await db
+			.collection("runs")
+			.find(filter)
+			.sort({ bakeDate: -1, sequence: -1 })
+			.toArray();
+		res.json(runs.map(stripMongoId));
+	} catch (err) {
+		console.error("GET /api/runs error", err);
+		res.status(500).json({ error: "Failed to fetch runs" });
+	}
+});
+
+// Start a production run: { labelId, quantity, bakeDate }
+// The best-by date comes from the label's shelf life and the lot code from the lot pattern of the
+// label's business profile
+app.post("/api/runs", async (req, res) => {
+	try {
+		const input = validateBody(res, "run", req.body);
+		if (!input) return;
+		if (!ObjectId.isValid(input.labelId)) {
+			return res.status(400).json({
+				error: "A valid labelId is required",
+				fields: { labelId: "Has the wrong format" },
+			});
+		}
+		if (!LabelRuns.parseDate(input.bakeDate)) {
+			return res.status(400).json({
+				error: "bakeDate must be a date in YYYY-MM-DD format",
+				fields: { bakeDate: "Is not a real date" },
+			});
+		}
+
+		const db = await getDb();
+		const label = await db
+			.collection("labels")
+			.findOne(owned(req, { _id: new ObjectId(input.labelId) }));
+		if (!label) return res.status(404).json({ error: "Label not found" });
+		const business =
+			getLabelBusiness(await loadBusinesses(db, req), label) || {};
+		const sequence = LabelRuns.nextSequence(
+			await db
+				.collection("runs")
+				.find(owned(req, { bakeDate: input.bakeDate }))
+				.toArray(),
+			input.bakeDate
+		);
+
+		const run = {
+			...LabelRuns.createRun(stripMongoId(label), {
+				quantity: Number(input.quantity),
+				bakeDate: input.bakeDate,
+				sequence,
+				lotPattern: business.lotCodePattern,
+			}),
+			ownerId: req.auth.ownerId,
+			createdAt: new Date().toISOString(),
+		};
+		// Recalls go by lot code, so two runs must never share one (e.g. a pattern without {seq})
+		if (
+			await db.collection("runs").findOne(owned(req, { lotCode: run.lotCode }))
+		) {
+			return res.status(409).json({
+				error: `Lot code ${run.lotCode} is already used by another run - add {seq} to the business profile's lot code pattern`,
+			});
+		}
+		await db.collection("runs").insertOne(run);
+		res.status(201).json(stripMongoId(run));
+	} catch (err) {
+		console.error("POST /api/runs error", err);
+		res.status(500).json({ error: "Failed to create run" });
+	}
+});
+
+// Render a run's label with its dates and lot code stamped on
+app.get("/api/runs/:id/render", requireObjectId, async (req, res) => {
+	try {
+		const format = req.query.format || "html";
+		if (!LabelRenderer.FORMATS.includes(format)) {
+			return res.status(400).json({
+				error: `Unsupported format "${format}". Use one of: ${LabelRenderer.FORMATS.join(", ")}`,
+			});
+		}
+
+		const db = await getDb();
+		const run = await db
+			.collection("runs")
+			.findOne(owned(req, { _id: new ObjectId(req.params.id) }));
+		if (!run) return res.status(404).json({ error: "Run not found" });
+
+		const output = LabelRenderer.renderLabel(
+			LabelRuns.applyRunToLabel(run),
+			format
+		);
+		if (format === "json") return res.json(output);
+		res.type(RENDER_CONTENT_TYPES[format]).send(output);
+	} catch (err) {
+		console.error("GET /api/runs/:id/render error", err);
+		res.status(500).json({ error: "Failed to render run" });
+	}
+});
+
+app.delete("/api/runs/:id", requireObjectId, async (req, res) => {
+	try {
+		const db = await getDb();
+		const result = await db
+			.collection("runs")
+			.deleteOne(owned(req, { _id: new ObjectId(req.params.id) }));
+		if (!result.deletedCount)
+			return res.status(404).json({ error: "Run not found" });
+		res.json({ success: true });
+	} catch (err) {
+		console.error("DELETE /api/runs/:id error", err);
+		res.status(500).json({ error: "Failed to delete run" });
+	}
+});
+
+// ===== TRACEABILITY =====
+// Which labels and production runs used a preset, brand or ingredient
+// Query: presetId, brandName, ingredient (at least one), from / to (run bake dates), format (json|csv)
+app.get("/api/trace", async (req, res) => {
+	try {
+		const search = validateBody(res, "trace search", req.query, {
+			ignoreUnknown: true,
+		});
+		if (!search) return;
+		const criteria = {
+			presetId: search.presetId || "",
+			brandName: search.brandName || "",
+			ingredient: search.ingredient || "",
+			from: search.from || "",
+			to: search.to || "",
+		};
+		if (!LabelTrace.hasCriteria(criteria)) {
+			return res.status(400).json({
+				error: "Provide a presetId, brandName or ingredient to trace",
+			});
+		}
+		const format = search.format || "json";
+
+		const db = await getDb();
+		const [labels, presets, runs] = await Promise.all(
+			["labels", "presets", "runs"].map((name) =>
+				db.collection(name).find(owned(req)).toArray()
+			)
+		);
+		const result = LabelTrace.traceIngredient(criteria, {
+			labels: labels.map(stripMongoId),
+			presets: presets.map(stripMongoId),
+			runs: runs.map(stripMongoId),
+		});
+
+		if (format === "csv") {
+			res.attachment("traceability.csv");
+			return res.type("text/csv").send(LabelTrace.toCsv(result));
+		}
+		res.json({
+			targets: result.targets,
+			labels: result.labels.map(({ label, reasons }) => ({
+				id: label.id,
+				name: label.name,
+				reasons,
+			})),
+			runs: result.runs.map(({ run, reasons }) => {
+				const { labelSnapshot, ...summary } = run;
+				return { ...summary, reasons };
+			}),
+		});
+	} catch (err) {
+		console.error("GET /api/trace error", err);
+		res.status(500).json({ error: "Failed to trace ingredient" });
+	}
+});
+
+// ===== INGREDIENT PARSING =====
+// Parse an ingredient statement the way the UI does, e.g. for API clients building labels
+// Body: { text } - returns { items, tree, names }: the top-level items, the nested tree (see
+// lib/ingredient-parser.js) and every ingredient name at every level
+app.post("/api/ingredients/parse", (req, res) => {
+	const text = (req.body || {}).text;
+	if (typeof text !== "string") {
+		return res.status(400).json({ error: "Provide text" });
+	}
+	res.json({
+		items: LabelIngredientParser.splitTopLevel(text),
+		tree: LabelIngredientParser.parseIngredientTree(text),
+		names: LabelIngredientParser.listIngredientNames(text),
+	});
+});
+
+// ===== STATE RULES =====
+app.get("/api/state-rules", (req, res) => {
+	res.json({
+		default: LabelCottageRules.DEFAULT_PACK,
+		states: LabelCottageRules.listStatePacks(),
+	});
+});
+
+// ===== BUSINESS PROFILES =====
+// A workspace can sell under several names or addresses; each is a profile in the businesses
+// collection. Labels store the businessId of their profile plus a copy of its details, and the
+// default profile is used for labels created without one.
 function emptyBusiness() {
 	return {
 		businessName: "",
@@ -306,32 +1708,482 @@ function emptyBusiness() {
 		businessState: "",
 		businessZip: "",
 		businessPhone: "",
+		businessPermit: "",
+		businessCounty: "",
+		lotCodePattern: LabelRuns.DEFAULT_LOT_PATTERN,
+		defaultLabelSize: null,
+	};
+}
+
+// The workspace's profiles, oldest first. A workspace from before profiles existed has its single
+// business document moved into businesses as the default profile, with its labels pointed at it
+async function loadBusinesses(db, req) {
+	const col = db.collection("businesses");
+	const businesses = await col
+		.find(owned(req))
+		.sort({ createdAt: 1 })
+		.toArray();
+	if (businesses.length > 0) return businesses;
+	const legacy = await db.collection("business").findOne(owned(req));
+	if (!legacy) return [];
+	const { _id, ...fields } = legacy;
+	const profile = {
+		...emptyBusiness(),
+		...fields,
+		isDefault: true,
+		ownerId: req.auth.ownerId,
+		createdAt: new Date().toISOString(),
 	};
+	await col.insertOne(profile);
+	await db
+		.collection("labels")
+		.updateMany(owned(req, { businessId: { $in: ["", null] } }), {
+			$set: { businessId: profile._id.toString() },
+		});
+	await db.collection("business").deleteOne({ _id });
+	return [profile];
 }
 
+// The profile new labels get, or null when there are none
+function getDefaultBusiness(businesses) {
+	return (
+		businesses.find((business) => business.isDefault) || businesses[0] || null
+	);
+}
+
+function findBusiness(businesses, id) {
+	return businesses.find((business) => business._id.toString() === id) || null;
+}
+
+// The profile a label uses: its own, else the default
+function getLabelBusiness(businesses, label) {
+	return (
+		findBusiness(businesses, label.businessId) || getDefaultBusiness(businesses)
+	);
+}
+
+// The details of a profile that labels carry
+function getBusinessFields(business) {
+	const fields = {};
+	Object.keys(LabelCottageRules.BUSINESS_FIELDS).forEach((key) => {
+		if (business) fields[key] = business[key] || "";
+	});
+	return fields;
+}
+
+// Label input with its profile's details filled in where the input has none - input.businessId
+// names the profile, otherwise the default one is used. Returns null for an unknown businessId
+function withBusinessProfile(input, businesses) {
+	const business = input.businessId
+		? findBusiness(businesses, input.businessId)
+		: getDefaultBusiness(businesses);
+	if (input.businessId && !business) return null;
+	return {
+		...getBusinessFields(business),
+		...input,
+		businessId: business ? business._id.toString() : "",
+	};
+}
+
+// Keep exactly one default profile: the current default, else the oldest
+async function ensureDefaultBusiness(db, req) {
+	const col = db.collection("businesses");
+	const current = getDefaultBusiness(
+		await col.find(owned(req)).sort({ createdAt: 1 }).toArray()
+	);
+	if (!current) return;
+	await col.updateMany(owned(req, { _id: { $ne: current._id } }), {
+		$set: { isDefault: false },
+	});
+	await col.updateOne({ _id: current._id }, { $set: { isDefault: true } });
+}
+
+// Copy a profile's current details onto the given labels; returns the updated labels
+async function applyBusinessToLabels(db, req, business, labels) {
+	const updates = {
+		...getBusinessFields(business),
+		businessId: business._id.toString(),
+		updatedAt: new Date().toISOString(),
+	};
+	await db
+		.collection("labels")
+		.updateMany(
+			owned(req, { _id: { $in: labels.map((label) => label._id) } }),
+			{ $set: updates }
+		);
+	return labels.map((label) => stripMongoId({ ...label, ...updates }));
+}
+
+app.get("/api/businesses", async (req, res) => {
+	try {
+		const db = await getDb();
+		res.json((await loadBusinesses(db, req)).map(stripMongoId));
+	} catch (err) {
+		console.error("GET /api/businesses error", err);
+		res.status(500).json({ error: "Failed to fetch business profiles" });
+	}
+});
+
+// The first profile of a workspace is its default; isDefault: true makes a later one the default
+app.post("/api/businesses", async (req, res) => {
+	try {
+		const input = validateBody(res, "business", req.body);
+		if (!input) return;
+		const db = await getDb();
+		const businesses = await loadBusinesses(db, req);
+		const business = {
+			...emptyBusiness(),
+			...input,
+			isDefault: businesses.length === 0 || input.isDefault === true,
+			ownerId: req.auth.ownerId,
+			createdAt: new Date().toISOString(),
+		};
+		if (business.isDefault) {
+			await db
+				.collection("businesses")
+				.updateMany(owned(req), { $set: { isDefault: false } });
+		}
+		await db.collection("businesses").insertOne(business);
+		res.status(201).json(stripMongoId(business));
+	} catch (err) {
+		console.error("POST /api/businesses error", err);
+		res.status(500).json({ error: "Failed to create business profile" });
+	}
+});
+
+// Update a profile. Labels keep the details they were saved with until
+// POST /api/businesses/:id/apply copies the new ones onto them
+app.put("/api/businesses/:id", requireObjectId, async (req, res) => {
+	try {
+		const input = validateBody(res, "business", req.body, { partial: true });
+		if (!input) return;
+		const db = await getDb();
+		const updates = { ...input, updatedAt: new Date().toISOString() };
+		// A profile stops being the default when another one becomes it
+		if (updates.isDefault !== true) delete updates.isDefault;
+		const query = owned(req, { _id: new ObjectId(req.params.id) });
+		const existing = await db.collection("businesses").findOne(query);
+		if (!existing) {
+			return res.status(404).json({ error: "Business profile not found" });
+		}
+		if (!checkVersion(req, res, existing, "This business profile")) return;
+		if (updates.isDefault) {
+			await db
+				.collection("businesses")
+				.updateMany(owned(req), { $set: { isDefault: false } });
+		}
+		const result = await db
+			.collection("businesses")
+			.findOneAndUpdate(query, { $set: updates }, { returnDocument: "after" });
+		res.json(stripMongoId(result));
+	} catch (err) {
+		console.error("PUT /api/businesses/:id error", err);
+		res.status(500).json({ error: "Failed to update business profile" });
+	}
+});
+
+// Copy a profile's current details (e.g. a new address) onto every label that uses it
+// Returns { updated } with the updated labels
+app.post("/api/businesses/:id/apply", requireObjectId, async (req, res) => {
+	try {
+		const db = await getDb();
+		const businesses = await loadBusinesses(db, req);
+		const business = findBusiness(businesses, req.params.id);
+		if (!business) {
+			return res.status(404).json({ error: "Business profile not found" });
+		}
+		const labels = await db
+			.collection("labels")
+			.find(owned(req, { businessId: req.params.id }))
+			.toArray();
+		const updated = await applyBusinessToLabels(db, req, business, labels);
+		res.json({ updated });
+	} catch (err) {
+		console.error("POST /api/businesses/:id/apply error", err);
+		res.status(500).json({ error: "Failed to update labels" });
+	}
+});
+
+// Deleting a profile that labels use is refused with 409 and the label count, unless
+// ?replaceWith=<businessId> moves them to another profile (and copies its details onto them).
+// Returns { success, labels } with the moved labels
+app.delete("/api/businesses/:id", requireObjectId, async (req, res) => {
+	try {
+		const db = await getDb();
+		const businesses = await loadBusinesses(db, req);
+		const business = findBusiness(businesses, req.params.id);
+		if (!business) {
+			return res.status(404).json({ error: "Business profile not found" });
+		}
+		if (!checkVersion(req, res, business, "This business profile")) return;
+		const labels = await db
+			.collection("labels")
+			.find(owned(req, { businessId: req.params.id }))
+			.toArray();
+		const replaceWith = req.query.replaceWith || "";
+		const replacement =
+			replaceWith && replaceWith !== req.params.id
+				? findBusiness(businesses, replaceWith)
+				: null;
+		if (replaceWith && !replacement) {
+			return res
+				.status(400)
+				.json({ error: "Replacement business profile not found" });
+		}
+		if (labels.length > 0 && !replacement) {
+			return res.status(409).json({
+				error: `"${business.businessName || "This profile"}" is used by ${labels.length} label(s) - move them to another profile first`,
+				labels: labels.length,
+			});
+		}
+
+		const moved = replacement
+			? await applyBusinessToLabels(db, req, replacement, labels)
+			: [];
+		await db.collection("businesses").deleteOne({ _id: business._id });
+		await ensureDefaultBusiness(db, req);
+		res.json({ success: true, labels: moved });
+	} catch (err) {
+		console.error("DELETE /api/businesses/:id error", err);
+		res.status(500).json({ error: "Failed to delete business profile" });
+	}
+});
+
+// The default profile, for clients from before profiles existed
 app.get("/api/business", async (req, res) => {
 	try {
 		const db = await getDb();
-		const doc = await db.collection("business").findOne({});
-		res.json(doc ? stripMongoId(doc) : emptyBusiness());
+		const business = getDefaultBusiness(await loadBusinesses(db, req));
+		res.json(business ? stripMongoId(business) : emptyBusiness());
 	} catch (err) {
 		console.error("GET /api/business error", err);
 		res.status(500).json({ error: "Failed to fetch business info" });
 	}
 });
 
+// Replace the default profile's details (creating it if there are no profiles yet)
 app.post("/api/business", async (req, res) => {
 	try {
+		const input = validateBody(res, "business", req.body);
+		if (!input) return;
 		const db = await getDb();
-		const data = { ...emptyBusiness(), ...(req.body || {}) };
-		await db.collection("business").replaceOne({}, data, { upsert: true });
-		res.json(data);
+		const current = getDefaultBusiness(await loadBusinesses(db, req));
+		const data = {
+			...emptyBusiness(),
+			...input,
+			isDefault: true,
+			ownerId: req.auth.ownerId,
+			createdAt: current ? current.createdAt : new Date().toISOString(),
+		};
+		if (current) {
+			data.updatedAt = new Date().toISOString();
+			await db.collection("businesses").replaceOne({ _id: current._id }, data);
+		} else {
+			await db.collection("businesses").insertOne(data);
+		}
+		res.json(stripMongoId({ _id: current ? current._id : data._id, ...data }));
 	} catch (err) {
 		console.error("POST /api/business error", err);
 		res.status(500).json({ error: "Failed to save business info" });
 	}
 });
 
+// ===== BACKUP & RESTORE =====
+// The whole workspace as one versioned JSON archive
+app.get("/api/export", async (req, res) => {
+	try {
+		const db = await getDb();
+		const [businesses, presets, labels, runs] = await Promise.all([
+			loadBusinesses(db, req),
+			db
+				.collection("presets")
+				.find(owned(req))
+				.sort({ createdAt: 1 })
+				.toArray(),
+			db.collection("labels").find(owned(req)).sort({ createdAt: 1 }).toArray(),
+			db.collection("runs").find(owned(req)).sort({ createdAt: 1 }).toArray(),
+		]);
+		const archive = LabelArchive.createArchive({
+			businesses: businesses.map(stripMongoId),
+			presets: presets.map(stripMongoId),
+			labels: labels.map(stripMongoId),
+			runs: runs.map(stripMongoId),
+		});
+		res.setHeader(
+			"Content-Disposition",
+			`attachment; filename="label-workspace-${archive.exportedAt.slice(0, 10)}.json"`
+		);
+		res.json(archive);
+	} catch (err) {
+		console.error("GET /api/export error", err);
+		res.status(500).json({ error: "Failed to export workspace" });
+	}
+});
+
+// Check every archived business profile, preset and label against its schema in lib/schemas.js, the
+// way the create routes would. Returns null, or { error, fields } for the first document that fails,
+// with field paths like "labels.2.text"
+function validateArchiveDocuments(archive) {
+	const collections = [
+		[
+			"businesses",
+			"business",
+			"business",
+			LabelArchive.getArchiveBusinesses(archive),
+		],
+		["presets", "preset", "preset", archive.presets || []],
+		["labels", "label", "label", archive.labels || []],
+		["runs", "archivedRun", "run", archive.runs || []],
+	];
+	for (const [key, schemaName, noun, docs] of collections) {
+		for (let index = 0; index < docs.length; index++) {
+			const { errors } = LabelSchemas.validate(schemaName, docs[index]);
+			if (Object.keys(errors).length === 0) continue;
+			const doc = docs[index] || {};
+			const name = doc.name || doc.businessName || doc.lotCode;
+			const fields = {};
+			Object.entries(errors).forEach(([field, message]) => {
+				fields[field ? `${key}.${index}.${field}` : `${key}.${index}`] =
+					message;
+			});
+			return {
+				error: `Invalid ${noun} ${name ? `"${name}" ` : ""}(${key}[${index}]): ${LabelSchemas.summarizeErrors(errors)}`,
+				fields,
+			};
+		}
+	}
+	return null;
+}
+
+// Restore an archive from GET /api/export
+// Query: mode = merge (default - add to the workspace, reusing presets with the same name and brand
+// and business profiles with the same name and address) or replace (delete business profiles, labels,
+// presets and runs first). Every document gets a new id and the references between them
+// (selectedPresetIds, nested presets, label business profiles, run labels) are remapped.
+// Version 1 archives' single business becomes a profile. Archived documents are validated like
+// create request bodies; the first invalid one is refused with 400 { error, fields }. Runs whose lot
+// code the workspace (or an earlier run in the archive) already has are skipped and counted in
+// skippedRuns, since lot codes must stay unique.
+app.post("/api/import", async (req, res) => {
+	try {
+		const mode = req.query.mode || "merge";
+		if (!LabelArchive.IMPORT_MODES.includes(mode)) {
+			return res.status(400).json({
+				error: `Invalid mode. Use one of: ${LabelArchive.IMPORT_MODES.join(", ")}`,
+			});
+		}
+		const archive = req.body;
+		const archiveError = LabelArchive.validateArchive(archive);
+		if (archiveError) return res.status(400).json({ error: archiveError });
+		const documentError = validateArchiveDocuments(archive);
+		if (documentError) return res.status(400).json(documentError);
+
+		const db = await getDb();
+		let findExistingPreset = null;
+		let findExistingBusiness = null;
+		const currentBusinesses =
+			mode === "merge" ? await loadBusinesses(db, req) : [];
+		if (mode === "merge") {
+			const businessIds = {};
+			currentBusinesses.forEach((business) => {
+				const key = LabelArchive.getBusinessKey(business);
+				if (!businessIds[key]) businessIds[key] = business._id.toString();
+			});
+			findExistingBusiness = (business) =>
+				businessIds[LabelArchive.getBusinessKey(business)] || null;
+			const existingIds = {};
+			(await db.collection("presets").find(owned(req)).toArray())
+				.map(stripMongoId)
+				.forEach((preset) => {
+					const key = LabelPresets.getPresetKey(preset);
+					if (!existingIds[key]) existingIds[key] = preset.id;
+				});
+			findExistingPreset = (preset) =>
+				existingIds[LabelPresets.getPresetKey(preset)] || null;
+		}
+		const remapped = LabelArchive.remapArchive(archive, {
+			newId: () => new ObjectId().toString(),
+			findExistingPreset,
+			findExistingBusiness,
+		});
+		// Merged profiles join as extra ones; the workspace keeps its default
+		if (currentBusinesses.length > 0) {
+			remapped.businesses.forEach((business) => {
+				business.isDefault = false;
+			});
+		}
+
+		const lotCodes = new Set(
+			mode === "merge"
+				? (await db.collection("runs").find(owned(req)).toArray()).map(
+						(run) => run.lotCode
+					)
+				: []
+		);
+		const runCount = remapped.runs.length;
+		remapped.runs = remapped.runs.filter((run) => {
+			if (lotCodes.has(run.lotCode)) return false;
+			lotCodes.add(run.lotCode);
+			return true;
+		});
+
+		if (mode === "replace") {
+			await Promise.all(
+				["business", "businesses", "labels", "presets", "runs"].map((name) =>
+					db.collection(name).deleteMany(owned(req))
+				)
+			);
+		}
+
+		const toDocument = ({ id, ...rest }) => ({
+			_id: new ObjectId(id),
+			...rest,
+			ownerId: req.auth.ownerId,
+		});
+		remapped.businesses = remapped.businesses.map((business) => ({
+			...emptyBusiness(),
+			...business,
+		}));
+		for (const name of ["businesses", "presets", "labels", "runs"]) {
+			if (remapped[name].length > 0) {
+				await db.collection(name).insertMany(remapped[name].map(toDocument));
+			}
+		}
+		await ensureDefaultBusiness(db, req);
+
+		res.json({
+			mode,
+			presets: remapped.presets.length,
+			reusedPresets: remapped.reusedPresets,
+			labels: remapped.labels.length,
+			runs: remapped.runs.length,
+			skippedRuns: runCount - remapped.runs.length,
+			businesses: remapped.businesses.length,
+			reusedBusinesses: remapped.reusedBusinesses,
+		});
+	} catch (err) {
+		console.error("POST /api/import error", err);
+		res.status(500).json({ error: "Failed to import workspace" });
+	}
+});
+
+// Request bodies the JSON parser refused: malformed JSON or over the size limit
+app.use((err, req, res, next) => {
+	if (err.type === "entity.too.large") {
+		return res.status(413).json({
+			error: "Request body is too large",
+			fields: {},
+		});
+	}
+	if (err.type === "entity.parse.failed" || err instanceof SyntaxError) {
+		return res.status(400).json({
+			error: "Request body is not valid JSON",
+			fields: {},
+		});
+	}
+	next(err);
+});
+
 const port = process.env.PORT || 3000;
 if (require.main === module) {
 	app.listen(port, () => {
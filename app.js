@@ -1,10 +1,168 @@
-// Label Creator App - CRUD Operations with Local Storage and Preset Management
+// Label Creator App - CRUD Operations with an Offline Cache and Preset Management
+
+// Label stock profiles for print sheets (all measurements in inches)
+// Cells are numbered left to right, top to bottom, starting at 1
+const LABEL_STOCKS = [
+	{
+		id: "avery-5160",
+		name: 'Avery 5160 (1" x 2-5/8", 30 per sheet)',
+		pageWidth: 8.5,
+		pageHeight: 11,
+		marginTop: 0.5,
+		marginLeft: 0.1875,
+		labelWidth: 2.625,
+		labelHeight: 1,
+		columns: 3,
+		rows: 10,
+		columnGap: 0.125,
+		rowGap: 0,
+	},
+	{
+		id: "avery-5163",
+		name: 'Avery 5163 (2" x 4", 10 per sheet)',
+		pageWidth: 8.5,
+		pageHeight: 11,
+		marginTop: 0.5,
+		marginLeft: 0.15625,
+		labelWidth: 4,
+		labelHeight: 2,
+		columns: 2,
+		rows: 5,
+		columnGap: 0.1875,
+		rowGap: 0,
+	},
+	{
+		id: "avery-5164",
+		name: 'Avery 5164 (3-1/3" x 4", 6 per sheet)',
+		pageWidth: 8.5,
+		pageHeight: 11,
+		marginTop: 0.5,
+		marginLeft: 0.15625,
+		labelWidth: 4,
+		labelHeight: 3.3333,
+		columns: 2,
+		rows: 3,
+		columnGap: 0.1875,
+		rowGap: 0,
+	},
+	{
+		id: "avery-22806",
+		name: 'Avery 22806 (2" x 2" square, 12 per sheet)',
+		pageWidth: 8.5,
+		pageHeight: 11,
+		marginTop: 0.625,
+		marginLeft: 0.625,
+		labelWidth: 2,
+		labelHeight: 2,
+		columns: 3,
+		rows: 4,
+		columnGap: 0.625,
+		rowGap: 0.5833,
+	},
+	{
+		id: "generic-2x3",
+		name: '2" x 3" (10 per sheet)',
+		pageWidth: 8.5,
+		pageHeight: 11,
+		marginTop: 0.5,
+		marginLeft: 1,
+		labelWidth: 3,
+		labelHeight: 2,
+		columns: 2,
+		rows: 5,
+		columnGap: 0.5,
+		rowGap: 0,
+	},
+];
+
+// Common physical label sizes offered in the Create Label form
+const LABEL_SIZES = [
+	{ id: "2x2in", name: '2" x 2"', width: 2, height: 2, unit: "in" },
+	{ id: "2.625x1in", name: '2-5/8" x 1"', width: 2.625, height: 1, unit: "in" },
+	{ id: "3x2in", name: '3" x 2"', width: 3, height: 2, unit: "in" },
+	{ id: "4x2in", name: '4" x 2"', width: 4, height: 2, unit: "in" },
+	{ id: "4x3in", name: '4" x 3"', width: 4, height: 3, unit: "in" },
+	{ id: "50x50mm", name: "50 x 50 mm", width: 50, height: 50, unit: "mm" },
+];
+
+// FDA minimum type size for label text other than the principal display panel
+const FDA_MIN_FONT_PT = LabelRenderer.MIN_FONT_PT;
+
+// Error spans for fields the API rejects (lib/schemas.js), per form. Nested paths like
+// "recipe.amounts.extra:salt.amount" use their top-level field; the first field listed for a span
+// is shown without its name
+const FIELD_ERROR_SPANS = {
+	label: {
+		name: "name-error",
+		text: "text-error",
+		ingredients: "text-error",
+		selectedPresetIds: "preset-select-error",
+		additionalIngredientsText: "preset-select-error",
+		recipe: "recipe-error",
+		netQuantity: "quantity-error",
+		netQuantityUnit: "quantity-error",
+		netCount: "quantity-error",
+		netCountUnit: "quantity-error",
+		labelSize: "size-error",
+		allergens: "allergen-error",
+		allergenDetails: "allergen-error",
+		nutrition: "nutrition-error",
+		nutritionFacts: "nutrition-error",
+		businessId: "business-select-error",
+	},
+	preset: {
+		name: "preset-name-error",
+		brandName: "preset-name-error",
+		ingredients: "preset-ingredients-error",
+		allergenTags: "preset-ingredients-error",
+		nutrients: "preset-ingredients-error",
+	},
+	business: {
+		businessName: "business-name-error",
+		businessAddress: "business-name-error",
+		businessCity: "business-name-error",
+		businessState: "business-name-error",
+		businessZip: "business-name-error",
+		businessPhone: "business-name-error",
+		businessPermit: "business-name-error",
+		businessCounty: "business-name-error",
+		lotCodePattern: "business-name-error",
+		defaultLabelSize: "business-name-error",
+		isDefault: "business-name-error",
+	},
+	login: {
+		email: "login-email-error",
+		password: "login-password-error",
+	},
+	signup: {
+		email: "signup-email-error",
+		name: "signup-name-error",
+		password: "signup-password-error",
+		inviteToken: "signup-email-error",
+	},
+	invite: {
+		email: "invite-email-error",
+		role: "invite-email-error",
+	},
+};
+
+// localStorage key for the session token from sign-in
+const AUTH_TOKEN_KEY = "labelCreatorAuthToken";
+
+// How often to check whether the server is back while offline (ms)
+const RECONNECT_INTERVAL = 30000;
+
+// Display names for workspace roles (lib/schemas.js ROLES)
+const ROLE_NAMES = { owner: "Owner", editor: "Editor", viewer: "Viewer" };
 
 class LabelManager {
 	constructor() {
 		this.labels = [];
 		this.presets = [];
-		this.businessInfo = this.getEmptyBusinessInfo();
+		this.runs = [];
+		this.printRun = null; // Production run whose stamped label the print modal prints
+		this.businesses = []; // Business profiles; each label names its own by businessId
+		this.editingBusinessId = null; // Profile shown in the Business tab, null for a new one
 		this.editingLabelId = null;
 		this.editingPresetId = null;
 		this.lastCreatedLabelId = null; // Track last created label for copy
@@ -16,7 +174,30 @@ class LabelManager {
 		this.ingredientSelectSearchResults = null; // null means show all, array means show filtered
 		this.ingredientSelectDebounceTimer = null; // Timer for debounced search
 		this.selectedPresetOrder = []; // Ordered list of selected preset IDs for reordering
+		this.printCopies = {}; // Copy counts per label ID for print sheets
+		this.labelChanges = []; // { label, before, after } for labels a preset edit would change
+		this.usagePresetId = null; // Preset shown in the where-used modal
+		this.bulkRows = []; // Validated rows from the bulk import preview
+		this.presetImportRows = []; // Validated rows from the ingredient import preview
+		this.recipeAmounts = {}; // { amount, unit } per selected preset ID, or "extra:<name>" for additional ingredients
+		this.derivedAllergens = { allergens: [], sources: {} }; // Allergens implied by selected ingredients
+		this.allergenOverrides = new Set(); // Implied allergens the user deliberately unchecked
+		this.dismissedAllergenTerms = new Set(); // Lowercase keywords the user marked as not an allergen
+		this.currentUser = null; // Signed-in account { id, email, name, role, ownerId }
+		this.team = { members: [], invites: [] }; // Workspace team, loaded for owners
+		this.isOnline = navigator.onLine !== false; // Whether the server answered the last request
+		this.syncQueue = []; // Label, preset and business changes waiting for the server (lib/sync-queue.js)
+		this.syncConflicts = []; // { change, name, status, message, current } the server refused on replay
+		this.syncOwnerId = null; // Workspace the queue belongs to, once restored from the offline cache
+		this.syncing = false;
+		this.dataLoaded = false; // Whether labels, presets and profiles are loaded and worth caching
+		this.cacheSaveTimer = null;
+		this.reconnectTimer = null;
+		this.inviteToken =
+			new URLSearchParams(window.location.search).get("invite") || ""; // From an invite link
 		this.initializeElements();
+		this.renderPresetNutrientInputs();
+		this.renderPresetAllergenTags([]);
 		this.attachEventListeners();
 		this.render();
 		this.renderPresets();
@@ -26,10 +207,11 @@ class LabelManager {
 		this.populateBusinessInfo();
 		// Update business tab indicator
 		this.updateBusinessTabIndicator();
+		this.renderStateRequirements();
 		// Disable copy button initially
 		this.updateCopyPreviewButton();
-		// Load data from backend
-		this.loadInitialData();
+		// Restore the saved session (or ask to sign in), then load data from backend
+		this.startSession();
 	}
 
 	// Default empty business info object
@@ -41,44 +223,98 @@ class LabelManager {
 			businessState: "",
 			businessZip: "",
 			businessPhone: "",
+			businessPermit: "",
+			businessCounty: "",
+			lotCodePattern: LabelRuns.DEFAULT_LOT_PATTERN,
+			defaultLabelSize: null,
 		};
 	}
 
-	// Load initial data from backend
+	// Load initial data from backend; without a connection, from the offline cache
 	async loadInitialData() {
+		const cached = await this.restoreSyncQueue();
 		try {
-			const [labels, presets, businessInfo] = await Promise.all([
-				this.apiRequest("/api/labels", { method: "GET", silent: true }),
-				this.apiRequest("/api/presets", { method: "GET", silent: true }),
-				this.apiRequest("/api/business", { method: "GET", silent: true }),
-			]);
-
-			this.labels = Array.isArray(labels) ? labels : [];
-			this.presets = Array.isArray(presets) ? presets : [];
-			this.businessInfo = businessInfo || this.getEmptyBusinessInfo();
+			const [labels, presets, businesses, stateRules, runs] = await Promise.all(
+				[
+					this.apiRequest("/api/labels", { method: "GET", silent: true }),
+					this.apiRequest("/api/presets", { method: "GET", silent: true }),
+					this.apiRequest("/api/businesses", { method: "GET", silent: true }),
+					// Older servers have no state packs - fall back to the default rules
+					this.apiRequest("/api/state-rules", {
+						method: "GET",
+						silent: true,
+					}).catch(() => null),
+					this.apiRequest("/api/runs", { method: "GET", silent: true }).catch(
+						() => []
+					),
+				]
+			);
+
+			if (stateRules && Array.isArray(stateRules.states)) {
+				LabelCottageRules.registerStatePacks(stateRules.states);
+			}
+
+			// Changes still waiting for the server show on top of what it has
+			const data = LabelSync.applyQueue(
+				{
+					labels: Array.isArray(labels) ? labels : [],
+					presets: Array.isArray(presets) ? presets : [],
+					businesses: Array.isArray(businesses) ? businesses : [],
+				},
+				this.syncQueue
+			);
+			this.labels = data.labels;
+			this.presets = data.presets;
+			this.runs = Array.isArray(runs) ? runs : [];
+			this.businesses = data.businesses;
+			this.dataLoaded = true;
+			this.scheduleCacheSave();
+			this.syncPendingChanges();
 		} catch (error) {
+			// An expired session already brought up the sign-in screen
+			if (error.status === 401) return;
 			console.error("Failed to load initial data", error);
-			this.showToast(
-				"Unable to load data from server. Starting with empty state.",
-				"error"
-			);
+			if (!error.status && cached) {
+				this.restoreOfflineData(cached);
+				this.showToast(
+					"You're offline - showing the data saved on this device. Changes will sync when the server is back.",
+					"info"
+				);
+			} else {
+				this.showToast(
+					"Unable to load data from server. Starting with empty state.",
+					"error"
+				);
+			}
 		} finally {
-			this.render();
-			this.renderPresets();
-			this.renderPresetCheckboxes();
-			this.populateBusinessInfo();
-			this.updateBusinessTabIndicator();
-			this.updateCopyPreviewButton();
+			if (!this.getBusinessById(this.editingBusinessId)) {
+				this.editingBusinessId = (this.getDefaultBusiness() || {}).id || null;
+			}
+			this.renderAll();
 		}
 	}
 
+	// Re-render every view from the loaded data
+	renderAll() {
+		this.render();
+		this.renderPresets();
+		this.renderPresetCheckboxes();
+		this.populateBusinessInfo();
+		this.updateBusinessTabIndicator();
+		this.renderStateRequirements();
+		this.renderRuns();
+		this.updateCopyPreviewButton();
+	}
+
 	// Generic API helper
 	async apiRequest(path, options = {}) {
+		const token = this.getAuthToken();
 		try {
 			const response = await fetch(path, {
 				method: options.method || "GET",
 				headers: {
 					"Content-Type": "application/json",
+					...(token ? { Authorization: `Bearer ${token}` } : {}),
 					...(options.headers || {}),
 				},
 				body:
@@ -87,6 +323,8 @@ class LabelManager {
 						: options.body,
 			});
 
+			// Any answer, even an error, means the server is reachable
+			this.setOnline(true);
 			const contentType = response.headers.get("content-type") || "";
 			let data = null;
 			if (contentType.includes("application/json")) {
@@ -94,57 +332,169 @@ class LabelManager {
 			}
 
 			if (!response.ok) {
+				// The session expired or was ended elsewhere - sign in again
+				if (response.status === 401 && token) this.endSession();
 				const message =
 					(data && data.error) ||
 					`Request failed with status ${response.status}`;
+				if (data && data.fields && options.fieldErrors) {
+					this.showFieldErrors(options.fieldErrors, data.fields);
+				}
 				if (!options.silent) {
 					this.showToast(message, "error");
 				}
-				throw new Error(message);
+				const error = new Error(message);
+				error.status = response.status;
+				error.data = data;
+				throw error;
 			}
 
 			return data;
 		} catch (error) {
 			console.error("API request error for", path, error);
-			if (!options.silent) {
+			if (!error.status) this.setOnline(false);
+			// Server errors were shown above
+			if (!options.silent && !error.status) {
 				this.showToast("Network error. Please try again.", "error");
 			}
 			throw error;
 		}
 	}
 
-	// Save business info to backend
-	async saveBusinessInfo(info) {
-		const payload = { ...this.businessInfo, ...info };
+	// Empty the error spans of a form (see FIELD_ERROR_SPANS)
+	clearFieldErrors(form) {
+		Object.values(FIELD_ERROR_SPANS[form] || {}).forEach((spanId) => {
+			const span = document.getElementById(spanId);
+			if (span) span.textContent = "";
+		});
+	}
+
+	// Show field errors from a rejected request in the form's error spans
+	// form: "label" | "preset" | "business" (see FIELD_ERROR_SPANS)
+	showFieldErrors(form, fields) {
+		const spans = FIELD_ERROR_SPANS[form] || {};
+		const messages = {};
+		Object.entries(fields).forEach(([path, message]) => {
+			const field = path.split(".")[0];
+			const spanId = spans[field];
+			if (!spanId) return;
+			const primary = Object.keys(spans).find((key) => spans[key] === spanId);
+			const text = path === primary ? message : `${path}: ${message}`;
+			(messages[spanId] = messages[spanId] || []).push(text);
+		});
+		Object.entries(messages).forEach(([spanId, texts]) => {
+			const span = document.getElementById(spanId);
+			if (span) span.textContent = texts.join("; ");
+		});
+	}
+
+	// Business profile by ID
+	getBusinessById(id) {
+		return this.businesses.find((business) => business.id === id);
+	}
+
+	// The profile new labels get, or null when there are none
+	getDefaultBusiness() {
+		return (
+			this.businesses.find((business) => business.isDefault) ||
+			this.businesses[0] ||
+			null
+		);
+	}
+
+	// The profile a label uses: its own, else the default (an empty one when there are none)
+	getLabelBusiness(label) {
+		return (
+			(label && this.getBusinessById(label.businessId)) ||
+			this.getDefaultBusiness() ||
+			this.getEmptyBusinessInfo()
+		);
+	}
+
+	// The profile picked in the Create Label form
+	getFormBusiness() {
+		return (
+			this.getBusinessById(this.labelBusiness.value) ||
+			this.getEmptyBusinessInfo()
+		);
+	}
+
+	// The details of a profile that get printed on its labels
+	getBusinessFields(business) {
+		const fields = {};
+		Object.keys(LabelCottageRules.BUSINESS_FIELDS).forEach((key) => {
+			fields[key] = business[key] || "";
+		});
+		return fields;
+	}
+
+	// Name for a profile in pickers and messages
+	getBusinessDisplayName(business) {
+		const name = business.businessName || "Unnamed profile";
+		return business.businessCity ? `${name} - ${business.businessCity}` : name;
+	}
+
+	// Labels of a profile saved with details it no longer has (e.g. before an address change)
+	getOutdatedBusinessLabels(business) {
+		const fields = this.getBusinessFields(business);
+		return this.labels.filter(
+			(label) =>
+				label.businessId === business.id &&
+				Object.keys(fields).some((key) => (label[key] || "") !== fields[key])
+		);
+	}
+
+	// Save the profile shown in the Business tab, creating it when it's new
+	// Returns the saved profile, or null when the save failed
+	async saveBusiness(info) {
+		const id = this.editingBusinessId;
 		try {
-			const saved = await this.apiRequest("/api/business", {
-				method: "POST",
-				body: payload,
-			});
-			this.businessInfo = saved || payload;
+			const saved = await this.sendChange(
+				{
+					collection: "businesses",
+					action: id ? "update" : "create",
+					id,
+					body: info,
+				},
+				{ fieldErrors: "business" }
+			);
+			if (saved.isDefault) {
+				this.businesses.forEach((business) => {
+					business.isDefault = false;
+				});
+			}
+			this.businesses = id
+				? this.businesses.map((business) =>
+						business.id === id ? saved : business
+					)
+				: [...this.businesses, saved];
+			this.editingBusinessId = saved.id;
+			this.populateBusinessInfo();
 			this.updateBusinessTabIndicator();
+			return saved;
 		} catch (error) {
-			console.error("Failed to save business info", error);
+			console.error("Failed to save business profile", error);
 			// apiRequest already displays a toast on error
+			return null;
 		}
 	}
 
-	// Check if required business info is filled out
-	isBusinessInfoComplete() {
+	// Check if a business profile has every field its state requires
+	isBusinessComplete(business) {
+		const pack = LabelCottageRules.getStatePack(business.businessState);
 		return (
-			this.businessInfo.businessName &&
-			this.businessInfo.businessAddress &&
-			this.businessInfo.businessCity &&
-			this.businessInfo.businessState &&
-			this.businessInfo.businessZip
+			LabelCottageRules.findMissingBusinessFields(business, pack).length === 0
 		);
 	}
 
-	// Update the business tab indicator (checkmark or exclamation)
+	// Update the business tab indicator (checkmark or exclamation) - every profile must be complete
 	updateBusinessTabIndicator() {
 		const businessTabBtn = document.querySelector('[data-tab="business"]');
 		if (businessTabBtn) {
-			if (this.isBusinessInfoComplete()) {
+			if (
+				this.businesses.length > 0 &&
+				this.businesses.every((business) => this.isBusinessComplete(business))
+			) {
 				businessTabBtn.innerHTML = "Business ✓";
 				businessTabBtn.classList.add("tab-complete");
 				businessTabBtn.classList.remove("tab-incomplete");
@@ -158,10 +508,12 @@ class LabelManager {
 		this.updateBusinessWarningOverlay();
 	}
 
-	// Show/hide the business warning overlay on Create Label tab
+	// Show/hide the business warning overlay on Create Label tab - labels need one complete profile
 	updateBusinessWarningOverlay() {
 		if (this.businessWarningOverlay) {
-			if (this.isBusinessInfoComplete()) {
+			if (
+				this.businesses.some((business) => this.isBusinessComplete(business))
+			) {
 				this.businessWarningOverlay.classList.add("hidden");
 			} else {
 				this.businessWarningOverlay.classList.remove("hidden");
@@ -169,28 +521,170 @@ class LabelManager {
 		}
 	}
 
-	// Populate business fields from saved info
+	// Populate business fields from the profile being edited (blank for a new one)
 	populateBusinessInfo() {
-		if (this.businessInfo.businessName) {
-			this.businessName.value = this.businessInfo.businessName;
+		const business =
+			this.getBusinessById(this.editingBusinessId) ||
+			this.getEmptyBusinessInfo();
+		this.businessName.value = business.businessName || "";
+		this.businessAddress.value = business.businessAddress || "";
+		this.businessCity.value = business.businessCity || "";
+		this.businessState.value = business.businessState || "";
+		this.businessZip.value = business.businessZip || "";
+		this.businessPhone.value = business.businessPhone || "";
+		this.businessPermit.value = business.businessPermit || "";
+		this.businessCounty.value = business.businessCounty || "";
+		this.lotCodePattern.value = business.lotCodePattern || "";
+		const defaultSize = business.defaultLabelSize;
+		this.businessLabelWidth.value = defaultSize ? defaultSize.width : "";
+		this.businessLabelHeight.value = defaultSize ? defaultSize.height : "";
+		this.businessLabelUnit.value = (defaultSize && defaultSize.unit) || "in";
+		// The first profile is always the default; another becomes it by being made the default
+		const firstProfile = this.businesses.length === 0;
+		this.businessDefault.checked = !!business.isDefault || firstProfile;
+		this.businessDefault.disabled = !!business.isDefault || firstProfile;
+		this.deleteBusinessBtn.style.display = business.id ? "" : "none";
+		this.renderBusinessProfiles();
+		this.renderBusinessApply();
+		this.updateLabelSizeOptions();
+	}
+
+	// Fill the profile pickers of the Business tab and the Create Label form
+	renderBusinessProfiles() {
+		const addOption = (select, value, text) => {
+			const option = document.createElement("option");
+			option.value = value;
+			option.textContent = text;
+			select.appendChild(option);
+		};
+		const optionText = (business) =>
+			`${this.getBusinessDisplayName(business)}${business.isDefault ? " (default)" : ""}`;
+
+		this.businessProfileSelect.innerHTML = "";
+		this.businesses.forEach((business) =>
+			addOption(this.businessProfileSelect, business.id, optionText(business))
+		);
+		if (!this.editingBusinessId) {
+			addOption(this.businessProfileSelect, "", "New profile");
 		}
-		if (this.businessInfo.businessAddress) {
-			this.businessAddress.value = this.businessInfo.businessAddress;
+		this.businessProfileSelect.value = this.editingBusinessId || "";
+
+		// Keep the form's choice; new labels start on the default profile
+		const selected =
+			this.labelBusiness.value || (this.getDefaultBusiness() || {}).id;
+		this.labelBusiness.innerHTML = "";
+		if (this.businesses.length === 0) {
+			addOption(this.labelBusiness, "", "Add a business profile first");
 		}
-		if (this.businessInfo.businessCity) {
-			this.businessCity.value = this.businessInfo.businessCity;
+		this.businesses.forEach((business) =>
+			addOption(this.labelBusiness, business.id, optionText(business))
+		);
+		this.labelBusiness.value = this.getBusinessById(selected)
+			? selected
+			: (this.getDefaultBusiness() || {}).id || "";
+	}
+
+	// Offer to update the labels still showing older details of the profile being edited
+	renderBusinessApply() {
+		const business = this.getBusinessById(this.editingBusinessId);
+		const count = business
+			? this.getOutdatedBusinessLabels(business).length
+			: 0;
+		this.businessApply.style.display = count > 0 ? "flex" : "none";
+		this.businessApplyText.textContent = `${count} label${count === 1 ? "" : "s"} still show${count === 1 ? "s" : ""} older details of this profile.`;
+	}
+
+	// Show another profile in the Business tab; an empty id starts a new one
+	switchBusinessProfile(id) {
+		this.editingBusinessId = id || null;
+		document.getElementById("business-name-error").textContent = "";
+		this.populateBusinessInfo();
+		this.renderStateRequirements();
+		if (!id) this.businessName.focus();
+	}
+
+	// Copy the current details of the profile being edited onto all of its labels
+	async applyBusinessToLabels() {
+		const business = this.getBusinessById(this.editingBusinessId);
+		if (!business) return;
+		const count = this.getOutdatedBusinessLabels(business).length;
+		if (
+			!confirm(
+				`Update ${count} label${count === 1 ? "" : "s"} with the current details of "${this.getBusinessDisplayName(business)}"?`
+			)
+		) {
+			return;
 		}
-		if (this.businessInfo.businessState) {
-			this.businessState.value = this.businessInfo.businessState;
+		try {
+			const result = await this.apiRequest(
+				`/api/businesses/${business.id}/apply`,
+				{ method: "POST" }
+			);
+			this.replaceLabels(result.updated);
+			this.renderBusinessApply();
+			const updated = result.updated.length;
+			this.showToast(`Updated ${updated} label${updated === 1 ? "" : "s"}`);
+		} catch (error) {
+			console.error("Failed to update labels", error);
 		}
-		if (this.businessInfo.businessZip) {
-			this.businessZip.value = this.businessInfo.businessZip;
+	}
+
+	// Delete the profile being edited; its labels move to the default (or another) profile
+	async deleteBusiness() {
+		const business = this.getBusinessById(this.editingBusinessId);
+		if (!business) return;
+		const name = this.getBusinessDisplayName(business);
+		const count = this.labels.filter(
+			(label) => label.businessId === business.id
+		).length;
+		const others = this.businesses.filter((other) => other.id !== business.id);
+		const replacement =
+			others.find((other) => other.isDefault) || others[0] || null;
+		if (count > 0 && !replacement) {
+			this.showToast(
+				`"${name}" is used by ${count} label${count === 1 ? "" : "s"} - add another profile to move them to first`,
+				"error"
+			);
+			return;
 		}
-		if (this.businessInfo.businessPhone) {
-			this.businessPhone.value = this.businessInfo.businessPhone;
+		const question =
+			count > 0
+				? `Delete "${name}"? Its ${count} label${count === 1 ? "" : "s"} will move to "${this.getBusinessDisplayName(replacement)}" and get its details.`
+				: `Delete "${name}"?`;
+		if (!confirm(question)) return;
+
+		try {
+			const query =
+				count > 0 ? `?replaceWith=${encodeURIComponent(replacement.id)}` : "";
+			// Moving labels to another profile is the server's job, so that can't wait in the queue
+			const result = await this.sendChange(
+				{ collection: "businesses", action: "delete", id: business.id, query },
+				{ queue: count === 0 }
+			);
+			// The server picks a new default when this one was it
+			this.businesses = result.queued
+				? others
+				: await this.apiRequest("/api/businesses");
+			this.replaceLabels(result.labels || []);
+			this.editingBusinessId = (this.getDefaultBusiness() || {}).id || null;
+			this.switchBusinessProfile(this.editingBusinessId);
+			this.updateBusinessTabIndicator();
+			this.showToast(`Deleted "${name}"`);
+		} catch (error) {
+			console.error("Failed to delete business profile", error);
 		}
 	}
 
+	// Swap updated labels from the server into the list and re-render it
+	replaceLabels(updated) {
+		updated.forEach((label) => {
+			const index = this.labels.findIndex((item) => item.id === label.id);
+			if (index !== -1) this.labels[index] = label;
+		});
+		this.render();
+		this.scheduleCacheSave();
+	}
+
 	// Initialize DOM elements
 	initializeElements() {
 		// Label form elements
@@ -222,6 +716,11 @@ class LabelManager {
 		this.presetName = document.getElementById("preset-name");
 		this.presetBrandName = document.getElementById("preset-brand-name");
 		this.presetIngredients = document.getElementById("preset-ingredients");
+		this.presetNutrients = document.getElementById("preset-nutrients");
+		this.presetAllergenTags = document.getElementById("preset-allergen-tags");
+		this.presetReferenceSelect = document.getElementById(
+			"preset-reference-select"
+		);
 		this.presetSubmitBtn = document.getElementById("preset-submit-btn");
 		this.presetCancelBtn = document.getElementById("preset-cancel-btn");
 		this.presetFormTitle = document.getElementById("preset-form-title");
@@ -241,27 +740,219 @@ class LabelManager {
 			"selected-presets-group"
 		);
 		this.selectedPresetsList = document.getElementById("selected-presets-list");
+		this.missingPresetsWarning = document.getElementById(
+			"missing-presets-warning"
+		);
 		this.toastContainer = document.getElementById("toast-container");
 
+		// Sync status chip and modal elements
+		this.syncStatus = document.getElementById("sync-status");
+		this.syncModal = document.getElementById("sync-modal");
+		this.syncClose = document.getElementById("sync-close");
+		this.syncSummary = document.getElementById("sync-summary");
+		this.syncPendingList = document.getElementById("sync-pending");
+		this.syncConflictList = document.getElementById("sync-conflicts");
+		this.syncNowBtn = document.getElementById("sync-now-btn");
+
 		// Help modal elements
 		this.helpBtn = document.getElementById("help-btn");
 		this.helpModal = document.getElementById("help-modal");
 		this.helpClose = document.getElementById("help-close");
 
+		// Print sheet modal elements
+		this.openPrintBtn = document.getElementById("open-print-btn");
+		this.printModal = document.getElementById("print-modal");
+		this.printClose = document.getElementById("print-close");
+		this.printStock = document.getElementById("print-stock");
+		this.printStockDetails = document.getElementById("print-stock-details");
+		this.printStartCell = document.getElementById("print-start-cell");
+		this.printLabelList = document.getElementById("print-label-list");
+		this.printSheetMap = document.getElementById("print-sheet-map");
+		this.printSummary = document.getElementById("print-summary");
+
+		// Ingredient usage modal elements
+		this.presetUsageModal = document.getElementById("preset-usage-modal");
+		this.presetUsageClose = document.getElementById("preset-usage-close");
+		this.presetUsageTitle = document.getElementById("preset-usage-title");
+		this.presetUsageList = document.getElementById("preset-usage-list");
+		this.presetDeleteOptions = document.getElementById("preset-delete-options");
+		this.presetReplaceSelect = document.getElementById("preset-replace-select");
+		this.presetReplaceBtn = document.getElementById("preset-replace-btn");
+		this.presetForceDeleteBtn = document.getElementById(
+			"preset-force-delete-btn"
+		);
+
+		// Regenerate labels modal elements
+		this.regenerateModal = document.getElementById("regenerate-modal");
+		this.regenerateClose = document.getElementById("regenerate-close");
+		this.regenerateIntro = document.getElementById("regenerate-intro");
+		this.regenerateSelectAll = document.getElementById("regenerate-select-all");
+		this.regenerateList = document.getElementById("regenerate-list");
+		this.regenerateSubmitBtn = document.getElementById("regenerate-submit-btn");
+		this.regenerateSkipBtn = document.getElementById("regenerate-skip-btn");
+		this.printSubmitBtn = document.getElementById("print-submit-btn");
+
+		// Thermal printer (ZPL) options
+		this.zplDpi = document.getElementById("zpl-dpi");
+		this.zplSize = document.getElementById("zpl-size");
+
 		// FDA food labeling elements
 		this.netQuantity = document.getElementById("net-quantity");
 		this.netQuantityUnit = document.getElementById("net-quantity-unit");
+		this.netCountRow = document.getElementById("net-count-row");
+		this.netCount = document.getElementById("net-count");
+		this.netCountUnit = document.getElementById("net-count-unit");
+		this.shelfLifeDays = document.getElementById("shelf-life-days");
+
+		// Production run elements
+		this.runLabel = document.getElementById("run-label");
+		this.runQuantity = document.getElementById("run-quantity");
+		this.runBakeDate = document.getElementById("run-bake-date");
+		this.runSummary = document.getElementById("run-summary");
+		this.runError = document.getElementById("run-error");
+		this.createRunBtn = document.getElementById("create-run-btn");
+		this.runSearch = document.getElementById("run-search");
+		this.runsList = document.getElementById("runs-list");
+		this.runsEmpty = document.getElementById("runs-empty");
+		this.runCount = document.getElementById("run-count");
+
+		// Traceability elements
+		this.tracePreset = document.getElementById("trace-preset");
+		this.traceBrand = document.getElementById("trace-brand");
+		this.traceBrands = document.getElementById("trace-brands");
+		this.traceIngredient = document.getElementById("trace-ingredient");
+		this.traceFrom = document.getElementById("trace-from");
+		this.traceTo = document.getElementById("trace-to");
+		this.traceError = document.getElementById("trace-error");
+		this.traceBtn = document.getElementById("trace-btn");
+		this.traceExportBtn = document.getElementById("trace-export-btn");
+		this.traceResults = document.getElementById("trace-results");
+
+		// Bulk label import
+		this.bulkImport = document.getElementById("bulk-import");
+		this.bulkFile = document.getElementById("bulk-file");
+		this.bulkTemplateBtn = document.getElementById("bulk-template-btn");
+		this.bulkText = document.getElementById("bulk-text");
+		this.bulkPreviewBtn = document.getElementById("bulk-preview-btn");
+		this.bulkImportBtn = document.getElementById("bulk-import-btn");
+		this.bulkPreview = document.getElementById("bulk-preview");
+		this.bulkSummary = document.getElementById("bulk-summary");
+
+		// Ingredient import
+		this.presetImportSource = document.getElementById("preset-import-source");
+		this.presetImportCsv = document.getElementById("preset-import-csv");
+		this.presetImportSpec = document.getElementById("preset-import-spec");
+		this.presetImportFile = document.getElementById("preset-import-file");
+		this.presetImportTemplateBtn = document.getElementById(
+			"preset-import-template-btn"
+		);
+		this.presetImportName = document.getElementById("preset-import-name");
+		this.presetImportBrand = document.getElementById("preset-import-brand");
+		this.presetImportText = document.getElementById("preset-import-text");
+		this.presetImportTidy = document.getElementById("preset-import-tidy");
+		this.presetImportPreviewBtn = document.getElementById(
+			"preset-import-preview-btn"
+		);
+		this.presetImportBtn = document.getElementById("preset-import-btn");
+		this.presetImportPreview = document.getElementById("preset-import-preview");
+		this.presetImportSummary = document.getElementById("preset-import-summary");
 		this.showBlankQuantity = document.getElementById("show-blank-quantity");
 		this.quantityError = document.getElementById("quantity-error");
 		this.allergenDetails = document.getElementById("allergen-details");
+		this.allergenWarning = document.getElementById("allergen-warning");
+		this.allergenSuggestions = document.getElementById("allergen-suggestions");
+		this.allergenError = document.getElementById("allergen-error");
 		this.businessName = document.getElementById("business-name");
 		this.businessAddress = document.getElementById("business-address");
 		this.businessCity = document.getElementById("business-city");
 		this.businessState = document.getElementById("business-state");
 		this.businessZip = document.getElementById("business-zip");
 		this.businessPhone = document.getElementById("business-phone");
+		this.businessPermit = document.getElementById("business-permit");
+		this.businessCounty = document.getElementById("business-county");
+		this.stateRequirements = document.getElementById("state-requirements");
+		this.lotCodePattern = document.getElementById("lot-code-pattern");
+		this.cottageDisclaimerHint = document.getElementById(
+			"cottage-disclaimer-hint"
+		);
 		this.cottageDisclaimer = document.getElementById("cottage-disclaimer");
+		this.businessLabelWidth = document.getElementById("business-label-width");
+		this.businessLabelHeight = document.getElementById("business-label-height");
+		this.businessLabelUnit = document.getElementById("business-label-unit");
+
+		// Label size elements
+		this.labelSizeSelect = document.getElementById("label-size-select");
+		this.customSizeGroup = document.getElementById("custom-size-group");
+		this.labelWidth = document.getElementById("label-width");
+		this.labelHeight = document.getElementById("label-height");
+		this.labelSizeUnit = document.getElementById("label-size-unit");
+		this.sizeError = document.getElementById("size-error");
+
+		// Nutrition Facts elements
+		// Recipe mode elements
+		this.recipeGroup = document.getElementById("recipe-group");
+		this.recipeEnabled = document.getElementById("recipe-enabled");
+		this.recipeFields = document.getElementById("recipe-fields");
+		this.recipeOrder = document.getElementById("recipe-order");
+		this.recipeGroupMinor = document.getElementById("recipe-group-minor");
+		this.recipeSummary = document.getElementById("recipe-summary");
+		this.recipeError = document.getElementById("recipe-error");
+		this.additionalAmounts = document.getElementById("additional-amounts");
+
+		this.nutritionEnabled = document.getElementById("nutrition-enabled");
+		this.nutritionFields = document.getElementById("nutrition-fields");
+		this.servingSize = document.getElementById("serving-size");
+		this.servingSizeGrams = document.getElementById("serving-size-grams");
+		this.servingsPerContainer = document.getElementById(
+			"servings-per-container"
+		);
+		this.nutritionFormat = document.getElementById("nutrition-format");
+		this.nutritionError = document.getElementById("nutrition-error");
 		this.saveBusinessBtn = document.getElementById("save-business-btn");
+		this.labelBusiness = document.getElementById("label-business");
+		this.businessProfileSelect = document.getElementById(
+			"business-profile-select"
+		);
+		this.newBusinessBtn = document.getElementById("new-business-btn");
+		this.businessDefault = document.getElementById("business-default");
+		this.deleteBusinessBtn = document.getElementById("delete-business-btn");
+		this.businessApply = document.getElementById("business-apply");
+		this.businessApplyText = document.getElementById("business-apply-text");
+		this.applyBusinessBtn = document.getElementById("apply-business-btn");
+
+		// Backup & restore elements
+		this.importMode = document.getElementById("import-mode");
+		this.importFile = document.getElementById("import-file");
+		this.exportBtn = document.getElementById("export-btn");
+		this.importBtn = document.getElementById("import-btn");
+		this.importSummary = document.getElementById("import-summary");
+
+		// Account elements
+		this.accountChip = document.getElementById("account-chip");
+		this.logoutBtn = document.getElementById("logout-btn");
+		this.authScreen = document.getElementById("auth-screen");
+		this.authTitle = document.getElementById("auth-title");
+		this.authInviteNote = document.getElementById("auth-invite-note");
+		this.loginForm = document.getElementById("login-form");
+		this.loginEmail = document.getElementById("login-email");
+		this.loginPassword = document.getElementById("login-password");
+		this.signupForm = document.getElementById("signup-form");
+		this.signupName = document.getElementById("signup-name");
+		this.signupEmail = document.getElementById("signup-email");
+		this.signupPassword = document.getElementById("signup-password");
+		this.showSignupLink = document.getElementById("show-signup");
+		this.showLoginLink = document.getElementById("show-login");
+
+		// Team elements
+		this.teamSection = document.getElementById("team-section");
+		this.teamMembers = document.getElementById("team-members");
+		this.teamInvites = document.getElementById("team-invites");
+		this.inviteEmail = document.getElementById("invite-email");
+		this.inviteRole = document.getElementById("invite-role");
+		this.inviteBtn = document.getElementById("invite-btn");
+		this.inviteLink = document.getElementById("invite-link");
+		this.inviteLinkInput = document.getElementById("invite-link-input");
+		this.copyInviteBtn = document.getElementById("copy-invite-btn");
 
 		// Tab elements
 		this.tabButtons = document.querySelectorAll(".tab-btn");
@@ -270,6 +961,7 @@ class LabelManager {
 		// Preview elements
 		this.labelPreview = document.getElementById("label-preview");
 		this.copyPreviewBtn = document.getElementById("copy-preview-btn");
+		this.labelLint = document.getElementById("label-lint");
 
 		// Business warning overlay
 		this.businessWarningOverlay = document.getElementById(
@@ -292,21 +984,65 @@ class LabelManager {
 
 		// Preview update listeners - update on any form input change
 		this.labelName.addEventListener("input", () => this.updatePreview());
-		this.labelText.addEventListener("input", () => this.updatePreview());
-		this.additionalIngredients.addEventListener("input", () =>
-			this.updatePreview()
+		this.labelText.addEventListener("input", () => {
+			this.renderAllergenSuggestions();
+			this.updatePreview();
+		});
+		this.additionalIngredients.addEventListener("input", () => {
+			this.renderAllergenSuggestions();
+			this.renderAdditionalAmounts();
+			this.updatePreview();
+		});
+		this.recipeEnabled.addEventListener("change", () =>
+			this.handleRecipeToggle()
 		);
+		this.recipeOrder.addEventListener("change", () => {
+			this.renderSelectedPresets();
+			this.updatePreview();
+		});
+		this.recipeGroupMinor.addEventListener("change", () => {
+			this.updateRecipeShares();
+			this.updatePreview();
+		});
 		this.netQuantity.addEventListener("input", () => this.updatePreview());
-		this.netQuantityUnit.addEventListener("change", () => this.updatePreview());
+		this.netQuantityUnit.addEventListener("change", () => {
+			this.updateNetCountVisibility();
+			this.updatePreview();
+		});
+		this.netCount.addEventListener("input", () => this.updatePreview());
+		this.netCountUnit.addEventListener("input", () => this.updatePreview());
 		this.showBlankQuantity.addEventListener("change", () => {
 			this.handleBlankQuantityToggle();
 			this.updatePreview();
 		});
-		this.allergenDetails.addEventListener("input", () => this.updatePreview());
+		this.allergenDetails.addEventListener("input", () => {
+			this.renderAllergenSuggestions();
+			this.updatePreview();
+		});
+		this.labelSizeSelect.addEventListener("change", () => {
+			this.handleLabelSizeChange();
+			this.updatePreview();
+		});
+		[this.labelWidth, this.labelHeight, this.labelSizeUnit].forEach((el) => {
+			el.addEventListener("input", () => this.updatePreview());
+		});
+		this.nutritionEnabled.addEventListener("change", () =>
+			this.handleNutritionToggle()
+		);
+		[
+			this.servingSize,
+			this.servingSizeGrams,
+			this.servingsPerContainer,
+			this.nutritionFormat,
+		].forEach((el) => {
+			el.addEventListener("input", () => this.updatePreview());
+		});
 
 		// Allergen checkbox listeners
 		document.querySelectorAll('input[name="allergen"]').forEach((cb) => {
-			cb.addEventListener("change", () => this.updatePreview());
+			cb.addEventListener("change", () =>
+				this.handleAllergenCheckboxChange(cb)
+			);
 		});
 
 		// Copy preview button
@@ -319,6 +1055,14 @@ class LabelManager {
 		this.togglePresetFormBtn.addEventListener("click", () =>
 			this.togglePresetForm()
 		);
+		this.presetReferenceSelect.addEventListener("change", () =>
+			this.insertPresetReference()
+		);
+		[this.presetName, this.presetIngredients].forEach((el) => {
+			el.addEventListener("input", () =>
+				this.renderPresetAllergenTags(this.readPresetAllergenTags())
+			);
+		});
 		this.presetCancelBtn.addEventListener("click", () =>
 			this.cancelPresetEdit()
 		);
@@ -343,6 +1087,22 @@ class LabelManager {
 			this.clearIngredientSelectSearch()
 		);
 
+		// Connection and sync listeners
+		this.syncStatus.addEventListener("click", () => this.openSyncModal());
+		this.syncClose.addEventListener("click", () => this.closeSyncModal());
+		this.syncModal.addEventListener("click", (e) => {
+			if (e.target === this.syncModal) {
+				this.closeSyncModal();
+			}
+		});
+		this.syncNowBtn.addEventListener("click", () => this.checkConnection());
+		window.addEventListener("online", () => this.checkConnection());
+		window.addEventListener("offline", () => this.setOnline(false));
+		// Save right away when the page is hidden - it may not come back
+		document.addEventListener("visibilitychange", () => {
+			if (document.visibilityState === "hidden") this.saveOfflineCache();
+		});
+
 		// Help modal listeners
 		this.helpBtn.addEventListener("click", () => this.openHelpModal());
 		this.helpClose.addEventListener("click", () => this.closeHelpModal());
@@ -356,7 +1116,81 @@ class LabelManager {
 			if (e.key === "Escape" && this.helpModal.style.display !== "none") {
 				this.closeHelpModal();
 			}
+			if (e.key === "Escape" && this.printModal.style.display !== "none") {
+				this.closePrintModal();
+			}
+			if (e.key === "Escape" && this.regenerateModal.style.display !== "none") {
+				this.closeRegenerateModal();
+			}
+			if (
+				e.key === "Escape" &&
+				this.presetUsageModal.style.display !== "none"
+			) {
+				this.closePresetUsage();
+			}
+			if (e.key === "Escape" && this.syncModal.style.display !== "none") {
+				this.closeSyncModal();
+			}
+		});
+
+		// Print sheet modal listeners
+		this.openPrintBtn.addEventListener("click", () => this.openPrintModal());
+		this.printClose.addEventListener("click", () => this.closePrintModal());
+		this.printModal.addEventListener("click", (e) => {
+			if (e.target === this.printModal) {
+				this.closePrintModal();
+			}
+		});
+		this.printStock.addEventListener("change", () => this.updatePrintSummary());
+		this.printStartCell.addEventListener("input", () =>
+			this.updatePrintSummary()
+		);
+		this.printSubmitBtn.addEventListener("click", () =>
+			this.printLabelSheets()
+		);
+
+		// Ingredient usage modal listeners
+		this.presetUsageClose.addEventListener("click", () =>
+			this.closePresetUsage()
+		);
+		this.presetUsageModal.addEventListener("click", (e) => {
+			if (e.target === this.presetUsageModal) {
+				this.closePresetUsage();
+			}
+		});
+		this.presetReplaceSelect.addEventListener("change", () => {
+			this.presetReplaceBtn.disabled = !this.presetReplaceSelect.value;
+		});
+		this.presetReplaceBtn.addEventListener("click", () =>
+			this.handlePresetReplaceDelete()
+		);
+		this.presetForceDeleteBtn.addEventListener("click", () =>
+			this.handlePresetForceDelete()
+		);
+
+		// Regenerate labels modal listeners
+		this.regenerateClose.addEventListener("click", () =>
+			this.closeRegenerateModal()
+		);
+		this.regenerateSkipBtn.addEventListener("click", () =>
+			this.closeRegenerateModal()
+		);
+		this.regenerateModal.addEventListener("click", (e) => {
+			if (e.target === this.regenerateModal) {
+				this.closeRegenerateModal();
+			}
+		});
+		this.regenerateSelectAll.addEventListener("change", () => {
+			this.regenerateList
+				.querySelectorAll('input[type="checkbox"]')
+				.forEach((cb) => {
+					cb.checked = this.regenerateSelectAll.checked;
+				});
+			this.updateRegenerateSubmit();
 		});
+		this.regenerateSubmitBtn.addEventListener("click", () =>
+			this.handleRegenerateLabels()
+		);
 
 		// Help tab navigation listeners
 		this.helpTabButtons = document.querySelectorAll(".help-tab-btn");
@@ -372,10 +1206,164 @@ class LabelManager {
 			btn.addEventListener("click", () => this.switchTab(btn.dataset.tab));
 		});
 
-		// Save business info button
+		// Business profiles
 		this.saveBusinessBtn.addEventListener("click", () =>
 			this.handleSaveBusinessInfo()
 		);
+		this.businessProfileSelect.addEventListener("change", () =>
+			this.switchBusinessProfile(this.businessProfileSelect.value)
+		);
+		this.newBusinessBtn.addEventListener("click", () =>
+			this.switchBusinessProfile(null)
+		);
+		this.deleteBusinessBtn.addEventListener("click", () =>
+			this.deleteBusiness()
+		);
+		this.applyBusinessBtn.addEventListener("click", () =>
+			this.applyBusinessToLabels()
+		);
+		this.labelBusiness.addEventListener("change", () => {
+			document.getElementById("business-select-error").textContent = "";
+			this.updateLabelSizeOptions();
+			this.updatePreview();
+		});
+
+		// Backup & restore
+		this.exportBtn.addEventListener("click", () => this.exportWorkspace());
+		this.importBtn.addEventListener("click", () => this.importFile.click());
+		this.importFile.addEventListener("change", () => {
+			const file = this.importFile.files[0];
+			// Clear the input so picking the same file again still fires change
+			this.importFile.value = "";
+			if (file) this.importWorkspace(file);
+		});
+
+		// Accounts
+		this.loginForm.addEventListener("submit", (e) => {
+			e.preventDefault();
+			this.login();
+		});
+		this.signupForm.addEventListener("submit", (e) => {
+			e.preventDefault();
+			this.signup();
+		});
+		this.showSignupLink.addEventListener("click", (e) => {
+			e.preventDefault();
+			this.switchAuthForm("signup");
+		});
+		this.showLoginLink.addEventListener("click", (e) => {
+			e.preventDefault();
+			this.switchAuthForm("login");
+		});
+		this.logoutBtn.addEventListener("click", () => this.logout());
+
+		// Team
+		this.inviteBtn.addEventListener("click", () => this.inviteTeammate());
+		this.copyInviteBtn.addEventListener("click", () => this.copyInviteLink());
+		this.teamMembers.addEventListener("change", (e) => {
+			const select = e.target.closest(".team-role-select");
+			if (select) this.changeMemberRole(select.dataset.id, select.value);
+		});
+		this.teamMembers.addEventListener("click", (e) => {
+			const button = e.target.closest(".team-remove-btn");
+			if (button) this.removeMember(button.dataset.id);
+		});
+		this.teamInvites.addEventListener("click", (e) => {
+			const button = e.target.closest(".team-cancel-invite-btn");
+			if (button) this.cancelInvite(button.dataset.id);
+		});
+
+		// Show what the entered state requires as the business fields change
+		[
+			this.businessName,
+			this.businessAddress,
+			this.businessCity,
+			this.businessState,
+			this.businessZip,
+			this.businessPhone,
+			this.businessPermit,
+			this.businessCounty,
+		].forEach((input) =>
+			input.addEventListener("input", () => this.renderStateRequirements())
+		);
+
+		// Production runs
+		this.runLabel.addEventListener("change", () => this.updateRunSummary());
+		this.runBakeDate.addEventListener("change", () => this.updateRunSummary());
+		this.createRunBtn.addEventListener("click", () => this.handleCreateRun());
+		this.runSearch.addEventListener("input", () => this.renderRuns());
+		this.lotCodePattern.addEventListener("input", () =>
+			this.updateRunSummary()
+		);
+
+		// Traceability
+		this.traceBtn.addEventListener("click", () => this.runTrace());
+		this.traceExportBtn.addEventListener("click", () => this.exportTraceCsv());
+		this.traceIngredient.addEventListener("keydown", (e) => {
+			if (e.key === "Enter") this.runTrace();
+		});
+
+		// Bulk label import
+		this.bulkFile.addEventListener("change", async () => {
+			const file = this.bulkFile.files[0];
+			if (!file) return;
+			this.bulkText.value = await file.text();
+			this.bulkFile.value = "";
+			this.previewBulkLabels();
+		});
+		this.bulkTemplateBtn.addEventListener("click", () =>
+			this.downloadFile(
+				"label-import-template.csv",
+				`${LabelBulk.TEMPLATE_HEADER}\r\n`,
+				"text/csv"
+			)
+		);
+		this.bulkText.addEventListener("input", () => {
+			// The preview is stale once the rows change
+			this.bulkRows = [];
+			this.bulkImportBtn.disabled = true;
+		});
+		this.bulkPreviewBtn.addEventListener("click", () =>
+			this.previewBulkLabels()
+		);
+		this.bulkImportBtn.addEventListener("click", () => this.importBulkLabels());
+
+		// Ingredient import
+		this.presetImportSource.addEventListener("change", () => {
+			const spec = this.presetImportSource.value === "spec";
+			this.presetImportCsv.style.display = spec ? "none" : "";
+			this.presetImportSpec.style.display = spec ? "" : "none";
+			this.presetImportText.placeholder = spec
+				? "INGREDIENTS: ENRICHED FLOUR (WHEAT FLOUR, NIACIN, REDUCED IRON), SUGAR, SALT. CONTAINS: WHEAT."
+				: "name,brand,sub-ingredients";
+			this.clearPresetImportPreview();
+		});
+		this.presetImportFile.addEventListener("change", async () => {
+			const file = this.presetImportFile.files[0];
+			if (!file) return;
+			this.presetImportText.value = await file.text();
+			this.presetImportFile.value = "";
+			this.previewPresetImport();
+		});
+		this.presetImportTemplateBtn.addEventListener("click", () =>
+			this.downloadFile(
+				"ingredient-import-template.csv",
+				`${LabelPresetImport.TEMPLATE_HEADER}\r\n`,
+				"text/csv"
+			)
+		);
+		[
+			this.presetImportText,
+			this.presetImportName,
+			this.presetImportBrand,
+			this.presetImportTidy,
+		].forEach((input) =>
+			input.addEventListener("input", () => this.clearPresetImportPreview())
+		);
+		this.presetImportPreviewBtn.addEventListener("click", () =>
+			this.previewPresetImport()
+		);
+		this.presetImportBtn.addEventListener("click", () => this.importPresets());
 
 		// Go to business tab button (from warning overlay)
 		this.goToBusinessBtn.addEventListener("click", () => {
@@ -396,19 +1384,147 @@ class LabelManager {
 		});
 	}
 
-	// Handle save business info button click
-	handleSaveBusinessInfo() {
+	// Handle save business profile button click
+	async handleSaveBusinessInfo() {
 		const businessData = {
+			...this.readBusinessForm(),
+			lotCodePattern:
+				this.lotCodePattern.value.trim() || LabelRuns.DEFAULT_LOT_PATTERN,
+			defaultLabelSize: this.readLabelSize(
+				this.businessLabelWidth,
+				this.businessLabelHeight,
+				this.businessLabelUnit
+			),
+			isDefault: this.businessDefault.checked,
+		};
+
+		if (await this.saveBusiness(businessData)) {
+			this.showToast("Business profile saved");
+		}
+	}
+
+	// Business fields as currently typed in the Business tab
+	readBusinessForm() {
+		return {
 			businessName: this.businessName.value.trim(),
 			businessAddress: this.businessAddress.value.trim(),
 			businessCity: this.businessCity.value.trim(),
 			businessState: this.businessState.value.trim().toUpperCase(),
 			businessZip: this.businessZip.value.trim(),
 			businessPhone: this.businessPhone.value.trim(),
+			businessPermit: this.businessPermit.value.trim(),
+			businessCounty: this.businessCounty.value.trim(),
 		};
+	}
+
+	// Show the entered state's disclaimer, required fields, prohibited products and notes
+	renderStateRequirements() {
+		const info = this.readBusinessForm();
+		const pack = LabelCottageRules.getStatePack(info.businessState);
+		const missing = LabelCottageRules.findMissingBusinessFields(info, pack);
+
+		this.cottageDisclaimerHint.textContent = `Adds: "${pack.disclaimer}"`;
+
+		if (!info.businessState) {
+			this.stateRequirements.innerHTML =
+				'<p class="form-hint">Enter your state to see its cottage food labeling requirements.</p>';
+			return;
+		}
+
+		const title = pack.isDefault
+			? `No rule pack for ${this.escapeHtml(info.businessState)} - using the default requirements`
+			: `${this.escapeHtml(pack.name)} cottage food requirements`;
+		const fields = pack.requiredFields
+			.map((key) => {
+				const done = !missing.includes(key);
+				return `<li class="${done ? "requirement-met" : "requirement-missing"}">${done ? "✓" : "✗"} ${this.escapeHtml(LabelCottageRules.BUSINESS_FIELDS[key])}</li>`;
+			})
+			.join("");
+		const prohibited =
+			pack.prohibitedProducts.length > 0
+				? `<p><strong>Not allowed:</strong> ${pack.prohibitedProducts.map((term) => this.escapeHtml(term)).join(", ")}</p>`
+				: "";
+		const notes = pack.notes
+			.map((note) => `<li>${this.escapeHtml(note)}</li>`)
+			.join("");
+
+		this.stateRequirements.innerHTML = `
+			<div class="state-requirements-title">${title}</div>
+			<p><strong>Disclaimer${pack.requiresDisclaimer ? " (required)" : ""}:</strong> "${this.escapeHtml(pack.disclaimer)}"</p>
+			<p><strong>Required on the label:</strong></p>
+			<ul class="state-requirements-fields">${fields}</ul>
+			${prohibited}
+			${notes ? `<ul class="state-requirements-notes">${notes}</ul>` : ""}
+		`;
+	}
+
+	// Download the whole workspace as one JSON archive
+	async exportWorkspace() {
+		try {
+			const archive = await this.apiRequest("/api/export");
+			this.downloadFile(
+				`label-workspace-${archive.exportedAt.slice(0, 10)}.json`,
+				JSON.stringify(archive, null, 2),
+				"application/json"
+			);
+			const summary = LabelArchive.summarizeArchive(archive);
+			this.showToast(
+				`Exported ${summary.labels} labels, ${summary.presets} ingredients, ${summary.runs} runs and ${summary.businesses} business profiles`
+			);
+		} catch (error) {
+			console.error("Failed to export workspace", error);
+		}
+	}
+
+	// Restore an archive file in the chosen mode, then reload everything from the server
+	async importWorkspace(file) {
+		let archive;
+		try {
+			archive = JSON.parse(await file.text());
+		} catch {
+			this.showToast("That file isn't valid JSON", "error");
+			return;
+		}
+		const archiveError = LabelArchive.validateArchive(archive);
+		if (archiveError) {
+			this.showToast(archiveError, "error");
+			return;
+		}
+
+		const mode = this.importMode.value;
+		const summary = LabelArchive.summarizeArchive(archive);
+		const contents = `${summary.labels} labels, ${summary.presets} ingredients, ${summary.runs} runs and ${summary.businesses} business profiles`;
+		const question =
+			mode === "replace"
+				? `Replace this workspace with ${contents}? Current labels, ingredients, runs and business profiles will be deleted.`
+				: `Add ${contents} to this workspace?`;
+		if (!confirm(question)) return;
 
-		this.saveBusinessInfo(businessData);
-		this.showToast("Business info saved! Will be used for all future labels.");
+		try {
+			const result = await this.apiRequest(
+				`/api/import?mode=${encodeURIComponent(mode)}`,
+				{ method: "POST", body: archive }
+			);
+			const reused =
+				result.reusedPresets > 0
+					? ` (${result.reusedPresets} matched existing ingredients)`
+					: "";
+			const reusedBusinesses =
+				result.reusedBusinesses > 0
+					? ` (${result.reusedBusinesses} matched existing profiles)`
+					: "";
+			const skippedRuns =
+				result.skippedRuns > 0
+					? ` ${result.skippedRuns} runs were skipped because their lot codes are already in use.`
+					: "";
+			this.importSummary.textContent = `Imported ${result.labels} labels, ${result.presets} ingredients${reused}, ${result.runs} runs and ${result.businesses} business profiles${reusedBusinesses}.${skippedRuns}`;
+			this.cancelEdit();
+			this.cancelPresetEdit();
+			await this.loadInitialData();
+			this.showToast("Workspace imported");
+		} catch (error) {
+			console.error("Failed to import workspace", error);
+		}
 	}
 
 	// Open help modal
@@ -423,24 +1539,1571 @@ class LabelManager {
 		document.body.style.overflow = "";
 	}
 
-	// Switch active help tab
-	switchHelpTab(tabId) {
-		// Update button states
-		this.helpTabButtons.forEach((btn) => {
-			btn.classList.toggle("active", btn.dataset.helpTab === tabId);
+	// Switch active help tab
+	switchHelpTab(tabId) {
+		// Update button states
+		this.helpTabButtons.forEach((btn) => {
+			btn.classList.toggle("active", btn.dataset.helpTab === tabId);
+		});
+
+		// Update panel visibility
+		this.helpTabPanels.forEach((panel) => {
+			panel.classList.toggle("active", panel.id === `help-tab-${tabId}`);
+		});
+	}
+
+	// ========== ACCOUNTS & TEAM ==========
+
+	getAuthToken() {
+		try {
+			return localStorage.getItem(AUTH_TOKEN_KEY);
+		} catch {
+			return null;
+		}
+	}
+
+	setAuthToken(token) {
+		try {
+			if (token) localStorage.setItem(AUTH_TOKEN_KEY, token);
+			else localStorage.removeItem(AUTH_TOKEN_KEY);
+		} catch {
+			// Storage blocked - the session lasts until the page reloads
+		}
+	}
+
+	// Resume the saved session, or show the sign-in screen (sign-up for invite links)
+	async startSession() {
+		if (!this.getAuthToken()) {
+			this.showAuthScreen(this.inviteToken ? "signup" : "login");
+			return;
+		}
+		try {
+			const { user } = await this.apiRequest("/api/auth/me", {
+				silent: true,
+			});
+			this.setCurrentUser(user);
+		} catch (error) {
+			// A 401 already brought up the sign-in screen; otherwise let the data load report the problem
+			if (error.status === 401) return;
+			// Offline: carry on as the account that last signed in here, with its cached data
+			const account = error.status
+				? null
+				: await LabelOfflineCache.loadAccount();
+			if (account) this.setCurrentUser(account);
+		}
+		this.loadInitialData();
+	}
+
+	showAuthScreen(mode) {
+		this.switchAuthForm(mode);
+		this.authScreen.style.display = "flex";
+		document.body.style.overflow = "hidden";
+		if (this.inviteToken) this.loadInvite();
+	}
+
+	hideAuthScreen() {
+		this.authScreen.style.display = "none";
+		document.body.style.overflow = "";
+		this.loginForm.reset();
+		this.signupForm.reset();
+	}
+
+	// mode: "login" | "signup"
+	switchAuthForm(mode) {
+		const signup = mode === "signup";
+		this.loginForm.style.display = signup ? "none" : "";
+		this.signupForm.style.display = signup ? "" : "none";
+		this.authTitle.textContent = signup ? "Create Account" : "Sign In";
+		this.clearFieldErrors("login");
+		this.clearFieldErrors("signup");
+		(signup ? this.signupEmail : this.loginEmail).focus();
+	}
+
+	// Show who an invite link is for and fill in their email
+	async loadInvite() {
+		try {
+			const invite = await this.apiRequest(
+				`/api/auth/invite?token=${encodeURIComponent(this.inviteToken)}`,
+				{ silent: true }
+			);
+			this.signupEmail.value = invite.email;
+			this.authInviteNote.textContent = `You've been invited to a workspace as ${ROLE_NAMES[invite.role] || invite.role}. Create your account to join.`;
+		} catch {
+			this.inviteToken = "";
+			this.authInviteNote.textContent =
+				"This invite link is invalid or has expired - ask for a new one.";
+		}
+		this.authInviteNote.style.display = "";
+	}
+
+	async login() {
+		this.clearFieldErrors("login");
+		try {
+			const session = await this.apiRequest("/api/auth/login", {
+				method: "POST",
+				body: {
+					email: this.loginEmail.value.trim(),
+					password: this.loginPassword.value,
+				},
+				fieldErrors: "login",
+			});
+			this.completeSignIn(session);
+		} catch (error) {
+			console.error("Failed to sign in", error);
+		}
+	}
+
+	async signup() {
+		this.clearFieldErrors("signup");
+		const body = {
+			name: this.signupName.value.trim(),
+			email: this.signupEmail.value.trim(),
+			password: this.signupPassword.value,
+		};
+		if (this.inviteToken) body.inviteToken = this.inviteToken;
+		try {
+			const session = await this.apiRequest("/api/auth/signup", {
+				method: "POST",
+				body,
+				fieldErrors: "signup",
+			});
+			// The invite is used up - drop it from the address bar
+			if (this.inviteToken) {
+				this.inviteToken = "";
+				this.authInviteNote.style.display = "none";
+				window.history.replaceState(null, "", window.location.pathname);
+			}
+			this.completeSignIn(session);
+		} catch (error) {
+			console.error("Failed to create account", error);
+		}
+	}
+
+	// Keep the new session and load the workspace
+	completeSignIn({ token, user }) {
+		this.setAuthToken(token);
+		this.setCurrentUser(user);
+		this.hideAuthScreen();
+		this.loadInitialData();
+		this.showToast(`Signed in as ${user.name || user.email}`);
+	}
+
+	setCurrentUser(user) {
+		this.currentUser = user;
+		this.updateAccountDisplay();
+		LabelOfflineCache.saveAccount(user);
+		if (user.role === "owner" && this.isOnline) this.loadTeam();
+	}
+
+	// Header chip, read-only mode for viewers and the owner-only team section
+	updateAccountDisplay() {
+		const user = this.currentUser;
+		this.accountChip.textContent = user
+			? `${user.name || user.email} · ${ROLE_NAMES[user.role] || user.role}`
+			: "";
+		this.accountChip.style.display = user ? "" : "none";
+		this.updateSyncStatus();
+		this.logoutBtn.style.display = user ? "" : "none";
+		document.body.classList.toggle("read-only", !!user && !this.canEdit());
+		this.teamSection.style.display =
+			user && user.role === "owner" ? "" : "none";
+		// Viewers have no Create Label tab to be on
+		const labelTab = document.getElementById("tab-label");
+		if (user && !this.canEdit() && labelTab.classList.contains("active")) {
+			this.switchTab("presets");
+		}
+	}
+
+	// Viewers are read-only; the server refuses their changes too
+	canEdit() {
+		return !!this.currentUser && this.currentUser.role !== "viewer";
+	}
+
+	async logout() {
+		const pending = this.syncQueue.length;
+		if (
+			pending > 0 &&
+			!confirm(
+				`${pending} change${pending === 1 ? " hasn't" : "s haven't"} reached the server yet and will be lost. Log out anyway?`
+			)
+		) {
+			return;
+		}
+		// Nothing of the workspace stays on this device
+		const ownerId = this.currentUser && this.currentUser.ownerId;
+		this.clearSyncState();
+		await Promise.all([
+			LabelOfflineCache.clearWorkspace(ownerId),
+			LabelOfflineCache.clearAccount(),
+		]);
+		try {
+			await this.apiRequest("/api/auth/logout", {
+				method: "POST",
+				silent: true,
+			});
+		} catch {
+			// The session is dropped locally either way
+		}
+		this.endSession();
+	}
+
+	// Forget the session and everything loaded with it, then ask to sign in
+	endSession() {
+		this.setAuthToken(null);
+		// Cached data and unsent changes stay for the next sign-in to the workspace
+		this.saveOfflineCache();
+		this.currentUser = null;
+		this.clearSyncState();
+		this.team = { members: [], invites: [] };
+		this.labels = [];
+		this.presets = [];
+		this.runs = [];
+		this.businesses = [];
+		this.editingBusinessId = null;
+		this.cancelEdit();
+		this.cancelPresetEdit();
+		this.inviteLink.style.display = "none";
+		this.updateAccountDisplay();
+		this.renderAll();
+		this.showAuthScreen("login");
+	}
+
+	async loadTeam() {
+		try {
+			this.team = await this.apiRequest("/api/team", { silent: true });
+		} catch (error) {
+			console.error("Failed to load team", error);
+		}
+		this.renderTeam();
+	}
+
+	renderTeam() {
+		const me = this.currentUser || {};
+		this.teamMembers.innerHTML = this.team.members
+			.map((member) => {
+				const fixed = member.id === me.id || member.id === me.ownerId;
+				const role = fixed
+					? `<span class="team-role">${ROLE_NAMES[member.role] || member.role}${member.id === me.id ? " (you)" : ""}</span>`
+					: `<select class="team-role-select" data-id="${member.id}" aria-label="Role">
+						${Object.entries(ROLE_NAMES)
+							.map(
+								([value, name]) =>
+									`<option value="${value}"${value === member.role ? " selected" : ""}>${name}</option>`
+							)
+							.join("")}
+					</select>`;
+				return `
+					<div class="team-row">
+						<div class="team-row-info">
+							<strong>${this.escapeHtml(member.name || member.email)}</strong>
+							<span class="team-row-detail">${this.escapeHtml(member.email)}</span>
+						</div>
+						${role}
+						${fixed ? "" : `<button type="button" class="btn btn-secondary btn-small team-remove-btn" data-id="${member.id}">Remove</button>`}
+					</div>
+				`;
+			})
+			.join("");
+		this.teamInvites.innerHTML =
+			this.team.invites.length > 0
+				? `<h3>Pending Invites</h3>${this.team.invites
+						.map(
+							(invite) => `
+					<div class="team-row">
+						<div class="team-row-info">
+							<strong>${this.escapeHtml(invite.email)}</strong>
+							<span class="team-row-detail">${ROLE_NAMES[invite.role] || invite.role} · expires ${new Date(invite.expiresAt).toLocaleDateString()}</span>
+						</div>
+						<button type="button" class="btn btn-secondary btn-small team-cancel-invite-btn" data-id="${invite.id}">Cancel</button>
+					</div>
+				`
+						)
+						.join("")}`
+				: "";
+	}
+
+	// Create an invite link for the entered email and role
+	async inviteTeammate() {
+		this.clearFieldErrors("invite");
+		try {
+			const result = await this.apiRequest("/api/team/invites", {
+				method: "POST",
+				body: {
+					email: this.inviteEmail.value.trim(),
+					role: this.inviteRole.value,
+				},
+				fieldErrors: "invite",
+			});
+			this.inviteLinkInput.value = result.link;
+			this.inviteLink.style.display = "";
+			this.inviteEmail.value = "";
+			this.showToast(`Invite link created for ${result.invite.email}`);
+			this.loadTeam();
+		} catch (error) {
+			console.error("Failed to create invite", error);
+		}
+	}
+
+	async copyInviteLink() {
+		try {
+			await navigator.clipboard.writeText(this.inviteLinkInput.value);
+			this.showToast("Invite link copied");
+		} catch {
+			this.inviteLinkInput.select();
+			this.showToast("Press Ctrl+C to copy the link", "info");
+		}
+	}
+
+	async changeMemberRole(id, role) {
+		try {
+			await this.apiRequest(`/api/team/members/${encodeURIComponent(id)}`, {
+				method: "PUT",
+				body: { role },
+			});
+			this.showToast("Role updated");
+		} catch (error) {
+			console.error("Failed to change role", error);
+		}
+		this.loadTeam();
+	}
+
+	async removeMember(id) {
+		const member = this.team.members.find((item) => item.id === id);
+		if (
+			!member ||
+			!confirm(
+				`Remove ${member.name || member.email} from this workspace? They keep their account but lose access to its labels.`
+			)
+		) {
+			return;
+		}
+		try {
+			await this.apiRequest(`/api/team/members/${encodeURIComponent(id)}`, {
+				method: "DELETE",
+			});
+			this.showToast("Member removed");
+			this.loadTeam();
+		} catch (error) {
+			console.error("Failed to remove member", error);
+		}
+	}
+
+	async cancelInvite(id) {
+		try {
+			await this.apiRequest(`/api/team/invites/${encodeURIComponent(id)}`, {
+				method: "DELETE",
+			});
+			this.loadTeam();
+		} catch (error) {
+			console.error("Failed to cancel invite", error);
+		}
+	}
+
+	// ========== OFFLINE & SYNC ==========
+
+	// Record whether the server answers; coming back sends the queued changes, while offline the
+	// server is checked every RECONNECT_INTERVAL
+	setOnline(online) {
+		const changed = this.isOnline !== online;
+		this.isOnline = online;
+		if (online) {
+			clearInterval(this.reconnectTimer);
+			this.reconnectTimer = null;
+			if (changed) this.syncPendingChanges();
+		} else if (!this.reconnectTimer) {
+			this.reconnectTimer = setInterval(
+				() => this.checkConnection(),
+				RECONNECT_INTERVAL
+			);
+		}
+		if (changed) this.updateSyncStatus();
+	}
+
+	// Ask the server whether it's there, then send whatever is queued
+	async checkConnection() {
+		try {
+			await this.apiRequest("/api/test", { silent: true });
+		} catch {
+			// Still offline - the status chip says so
+		}
+		this.syncPendingChanges();
+	}
+
+	// Save a label, preset or business change: to the server when it can be reached, otherwise to the
+	// sync queue. Changes wait behind earlier queued ones (and a sync under way) so the server gets
+	// them in order, and carry the version they were made against (If-Match) so edits made elsewhere
+	// meanwhile aren't overwritten. options are passed on to apiRequest; { queue: false } refuses to
+	// queue changes that need the server's answer. Resolves like the API - the saved document, or
+	// { success } for a delete ({ success, queued } when queued) - and rejects with the server's error
+	async sendChange(change, options = {}) {
+		const current =
+			change.action === "create"
+				? null
+				: this[change.collection].find((doc) => doc.id === change.id);
+		const baseVersion = LabelSync.getVersion(current);
+		const queueEmpty = !this.syncing && this.syncQueue.length === 0;
+		if (this.isOnline && (queueEmpty || options.queue === false)) {
+			try {
+				return await this.apiRequest(LabelSync.getChangePath(change), {
+					...options,
+					method: LabelSync.CHANGE_METHODS[change.action],
+					body: change.body,
+					headers: baseVersion ? { "If-Match": baseVersion } : {},
+					silent: true,
+				});
+			} catch (error) {
+				if (error.status === 412) this.showChangedElsewhere(change, error);
+				else if (error.status) this.showToast(error.message, "error");
+				if (error.status) throw error;
+				// The server went away - queue it instead
+			}
+		}
+		if (options.queue === false) {
+			const message =
+				"This needs a connection to the server - try again when you're back online";
+			this.showToast(message, "error");
+			throw new Error(message);
+		}
+		return this.queueChange({ ...change, baseVersion });
+	}
+
+	// Another device changed (or deleted) the document first: show its version and let the user
+	// redo the change on top of it
+	showChangedElsewhere(change, error) {
+		const current = error.data && error.data.current;
+		if (current) {
+			this[change.collection] = this[change.collection].map((doc) =>
+				doc.id === current.id ? current : doc
+			);
+			this.renderAll();
+		}
+		this.showToast(
+			`${error.message}. It now shows the latest version - make your change again to keep it.`,
+			"error"
+		);
+	}
+
+	// Queue a change for when the server is back; resolves to the document as it will be
+	queueChange(change) {
+		const queued = {
+			...change,
+			id: change.action === "create" ? LabelSync.createLocalId() : change.id,
+			queuedAt: new Date().toISOString(),
+		};
+		const current = this[change.collection].find((doc) => doc.id === queued.id);
+		this.syncQueue = LabelSync.enqueueChange(this.syncQueue, queued);
+		this.updateSyncStatus();
+		this.scheduleCacheSave();
+		return (
+			LabelSync.applyChange(current, queued) || { success: true, queued: true }
+		);
+	}
+
+	// Send queued changes to the server, oldest first. Changes it refuses - edited or deleted by
+	// someone else meanwhile (412, 404) or no longer valid - become conflicts for the user to settle
+	// in the sync status panel. Stops when the connection drops again; reloads once anything was sent
+	async syncPendingChanges() {
+		const user = this.currentUser;
+		if (
+			this.syncing ||
+			!this.isOnline ||
+			this.syncQueue.length === 0 ||
+			!user ||
+			this.syncOwnerId !== user.ownerId
+		) {
+			return;
+		}
+		this.syncing = true;
+		this.updateSyncStatus();
+		let sent = 0;
+		let refused = 0;
+		try {
+			while (this.syncQueue.length > 0 && this.currentUser === user) {
+				// Out of the queue while in flight, so changes made meanwhile don't merge into it
+				const [change, ...rest] = this.syncQueue;
+				this.syncQueue = rest;
+				try {
+					const result = await this.apiRequest(
+						LabelSync.getChangePath(change),
+						{
+							method: LabelSync.CHANGE_METHODS[change.action],
+							body: change.body,
+							headers: change.baseVersion
+								? { "If-Match": change.baseVersion }
+								: {},
+							silent: true,
+						}
+					);
+					this.syncQueue = LabelSync.completeChange(
+						this.syncQueue,
+						change,
+						result
+					);
+					if (change.action === "create" && result && result.id) {
+						this.replaceLocalId(change.id, result.id);
+					}
+					sent++;
+				} catch (error) {
+					// Offline again, or signed out - it goes back to the front for next time
+					if (!error.status || error.status === 401) {
+						if (this.currentUser === user) {
+							this.syncQueue = [change, ...this.syncQueue];
+						}
+						break;
+					}
+					this.syncConflicts = [
+						...this.syncConflicts,
+						{
+							change,
+							name: this.getChangeName(change),
+							status: error.status,
+							message: error.message,
+							current: (error.data && error.data.current) || null,
+						},
+					];
+					refused++;
+				}
+				this.updateSyncStatus();
+			}
+		} finally {
+			this.syncing = false;
+			this.updateSyncStatus();
+			this.scheduleCacheSave();
+		}
+		if (refused > 0) {
+			this.showToast(
+				`${refused} change${refused === 1 ? "" : "s"} couldn't be synced - click the sync status to review`,
+				"error"
+			);
+		} else if (sent > 0 && this.syncQueue.length === 0) {
+			this.showToast(`Synced ${sent} change${sent === 1 ? "" : "s"}`);
+		}
+		// The server has the final say on what everything looks like now
+		if (sent + refused > 0 && this.currentUser === user) {
+			this.loadInitialData();
+		}
+	}
+
+	// Point everything at the server's id for a document created offline
+	replaceLocalId(localId, id) {
+		LabelSync.COLLECTIONS.forEach((collection) => {
+			this[collection] = LabelSync.replaceId(this[collection], localId, id);
+		});
+		this.selectedPresetOrder = LabelSync.replaceId(
+			this.selectedPresetOrder,
+			localId,
+			id
+		);
+		[
+			"editingLabelId",
+			"editingPresetId",
+			"editingBusinessId",
+			"lastCreatedLabelId",
+		].forEach((key) => {
+			if (this[key] === localId) this[key] = id;
+		});
+	}
+
+	// Name of the document a change is about, for the sync panel
+	getChangeName(change) {
+		const doc =
+			this[change.collection].find((item) => item.id === change.id) ||
+			change.body ||
+			{};
+		return change.collection === "businesses"
+			? this.getBusinessDisplayName(doc)
+			: doc.name || "";
+	}
+
+	// Load the signed-in workspace's offline cache; the first time after signing in it also brings
+	// back the changes that were still queued. Resolves to the cached record, or null
+	async restoreSyncQueue() {
+		const ownerId = this.currentUser && this.currentUser.ownerId;
+		if (!ownerId) return null;
+		const cached = await LabelOfflineCache.loadWorkspace(ownerId);
+		if (this.syncOwnerId !== ownerId) {
+			this.syncOwnerId = ownerId;
+			this.syncQueue = (cached && cached.queue) || [];
+			this.syncConflicts = (cached && cached.conflicts) || [];
+			this.updateSyncStatus();
+		}
+		return cached;
+	}
+
+	// Show the cached data; it already includes the queued changes
+	restoreOfflineData(cached) {
+		this.labels = cached.labels || [];
+		this.presets = cached.presets || [];
+		this.businesses = cached.businesses || [];
+		this.runs = cached.runs || [];
+		this.dataLoaded = true;
+	}
+
+	// Save to the offline cache shortly, so a burst of changes is written once
+	scheduleCacheSave() {
+		clearTimeout(this.cacheSaveTimer);
+		this.cacheSaveTimer = setTimeout(() => this.saveOfflineCache(), 500);
+	}
+
+	saveOfflineCache() {
+		clearTimeout(this.cacheSaveTimer);
+		this.cacheSaveTimer = null;
+		if (!this.dataLoaded || !this.currentUser) return Promise.resolve(false);
+		return LabelOfflineCache.saveWorkspace(this.currentUser.ownerId, {
+			labels: this.labels,
+			presets: this.presets,
+			businesses: this.businesses,
+			runs: this.runs,
+			queue: this.syncQueue,
+			conflicts: this.syncConflicts,
+		});
+	}
+
+	// Forget the loaded queue and conflicts; the offline cache keeps its copy
+	clearSyncState() {
+		clearTimeout(this.cacheSaveTimer);
+		this.cacheSaveTimer = null;
+		this.syncQueue = [];
+		this.syncConflicts = [];
+		this.syncOwnerId = null;
+		this.dataLoaded = false;
+		this.updateSyncStatus();
+	}
+
+	// Header chip: online, offline or syncing, with the number of queued changes and conflicts
+	updateSyncStatus() {
+		const pending = this.syncQueue.length;
+		const conflicts = this.syncConflicts.length;
+		let state = "online";
+		let text = "✓ Online";
+		if (this.syncing) {
+			state = "syncing";
+			text = "🔄 Syncing…";
+		} else if (!this.isOnline) {
+			state = "offline";
+			text = pending > 0 ? `⚠️ Offline · ${pending} pending` : "⚠️ Offline";
+		} else if (pending > 0) {
+			state = "pending";
+			text = `⏳ ${pending} pending`;
+		}
+		if (conflicts > 0) {
+			state = "conflict";
+			text += ` · ${conflicts} conflict${conflicts === 1 ? "" : "s"}`;
+		}
+		this.syncStatus.textContent = text;
+		this.syncStatus.className = `sync-status sync-${state}`;
+		this.syncStatus.style.display = this.currentUser ? "" : "none";
+		if (this.syncModal.style.display !== "none") this.renderSyncModal();
+	}
+
+	openSyncModal() {
+		this.renderSyncModal();
+		this.syncModal.style.display = "flex";
+		document.body.style.overflow = "hidden";
+	}
+
+	closeSyncModal() {
+		this.syncModal.style.display = "none";
+		document.body.style.overflow = "";
+	}
+
+	// Queued changes, and conflicts with a choice of keeping the user's version or the server's
+	renderSyncModal() {
+		const pending = this.syncQueue.length;
+		this.syncSummary.textContent = this.isOnline
+			? "Connected to the server. Changes are saved as you make them."
+			: "The server can't be reached. Labels, ingredients and business profiles you change are saved on this device and sent when it's back; other features need the connection.";
+		this.syncNowBtn.disabled = this.syncing;
+
+		this.syncPendingList.innerHTML = "";
+		const pendingHeading = document.createElement("h3");
+		pendingHeading.textContent = `Waiting to Sync (${pending})`;
+		this.syncPendingList.appendChild(pendingHeading);
+		if (pending === 0) {
+			const empty = document.createElement("p");
+			empty.className = "form-hint";
+			empty.textContent = "Everything has reached the server.";
+			this.syncPendingList.appendChild(empty);
+		} else {
+			const list = document.createElement("ul");
+			list.className = "trace-list";
+			this.syncQueue.forEach((change) => {
+				const item = document.createElement("li");
+				item.textContent = LabelSync.describeChange(
+					change,
+					this.getChangeName(change)
+				);
+				list.appendChild(item);
+			});
+			this.syncPendingList.appendChild(list);
+		}
+
+		this.syncConflictList.innerHTML = "";
+		if (this.syncConflicts.length === 0) return;
+		const conflictHeading = document.createElement("h3");
+		conflictHeading.textContent = `Conflicts (${this.syncConflicts.length})`;
+		this.syncConflictList.appendChild(conflictHeading);
+		const list = document.createElement("ul");
+		list.className = "trace-list";
+		this.syncConflicts.forEach((conflict, index) => {
+			const item = document.createElement("li");
+			item.className = "sync-conflict-item";
+			item.innerHTML = `<div><strong>${this.escapeHtml(LabelSync.describeChange(conflict.change, conflict.name))}</strong><div class="trace-reasons">${this.escapeHtml(conflict.message)}</div></div>`;
+			const actions = document.createElement("div");
+			actions.className = "sync-conflict-actions";
+			// A delete of something already gone has nothing left to keep
+			if (!(conflict.status === 404 && conflict.change.action === "delete")) {
+				const keepBtn = document.createElement("button");
+				keepBtn.type = "button";
+				keepBtn.className = "btn btn-primary btn-small";
+				keepBtn.textContent = "Keep Mine";
+				keepBtn.addEventListener("click", () => this.keepConflict(index));
+				actions.appendChild(keepBtn);
+			}
+			const discardBtn = document.createElement("button");
+			discardBtn.type = "button";
+			discardBtn.className = "btn btn-secondary btn-small";
+			discardBtn.textContent =
+				conflict.status === 412 ? "Keep Theirs" : "Discard";
+			discardBtn.addEventListener("click", () => this.discardConflict(index));
+			actions.appendChild(discardBtn);
+			item.appendChild(actions);
+			list.appendChild(item);
+		});
+		this.syncConflictList.appendChild(list);
+	}
+
+	// Send a refused change again, overwriting the server's version (or re-creating the document)
+	keepConflict(index) {
+		const conflict = this.syncConflicts[index];
+		if (!conflict) return;
+		this.syncConflicts = this.syncConflicts.filter(
+			(item, position) => position !== index
+		);
+		this.syncQueue = LabelSync.requeueChange(
+			this.syncQueue,
+			conflict.change,
+			conflict.status,
+			new Date().toISOString()
+		);
+		this.updateSyncStatus();
+		this.scheduleCacheSave();
+		this.syncPendingChanges();
+	}
+
+	// Drop a refused change; what the server has stays
+	discardConflict(index) {
+		this.syncConflicts = this.syncConflicts.filter(
+			(item, position) => position !== index
+		);
+		this.updateSyncStatus();
+		this.scheduleCacheSave();
+	}
+
+	// ========== PRINT SHEETS ==========
+
+	// Open print modal, optionally pre-selecting labels with one copy each
+	openPrintModal(labelIds = null) {
+		if (this.labels.length === 0) {
+			this.showToast("Create a label before printing", "info");
+			return;
+		}
+
+		if (Array.isArray(labelIds)) {
+			this.printCopies = {};
+			labelIds.forEach((id) => {
+				this.printCopies[id] = 1;
+			});
+		}
+
+		// Populate stock options once
+		if (this.printStock.options.length === 0) {
+			LABEL_STOCKS.forEach((stock) => {
+				const option = document.createElement("option");
+				option.value = stock.id;
+				option.textContent = stock.name;
+				this.printStock.appendChild(option);
+			});
+		}
+
+		this.renderPrintLabelList();
+		this.updatePrintSummary();
+		this.printModal.style.display = "flex";
+		document.body.style.overflow = "hidden";
+	}
+
+	// Close print modal
+	closePrintModal() {
+		this.printRun = null;
+		this.printModal.style.display = "none";
+		document.body.style.overflow = "";
+	}
+
+	// Get the currently selected label stock profile
+	getPrintStock() {
+		return (
+			LABEL_STOCKS.find((stock) => stock.id === this.printStock.value) ||
+			LABEL_STOCKS[0]
+		);
+	}
+
+	// Render the label list with copy count inputs
+	renderPrintLabelList() {
+		this.printLabelList.innerHTML = "";
+
+		this.getAllLabels().forEach((label) => {
+			const item = document.createElement("div");
+			item.className = "print-label-item";
+
+			const nameSpan = document.createElement("span");
+			nameSpan.className = "print-label-name";
+			nameSpan.textContent = label.name || "Untitled label";
+
+			const copiesInput = document.createElement("input");
+			copiesInput.type = "number";
+			copiesInput.min = "0";
+			copiesInput.step = "1";
+			copiesInput.value = this.printCopies[label.id] || 0;
+			copiesInput.title = "Number of copies";
+			copiesInput.addEventListener("input", () => {
+				this.printCopies[label.id] = Math.max(
+					0,
+					parseInt(copiesInput.value, 10) || 0
+				);
+				this.updatePrintSummary();
+			});
+
+			item.appendChild(nameSpan);
+			item.appendChild(copiesInput);
+			this.printLabelList.appendChild(item);
+		});
+	}
+
+	// Get the 1-based start cell, clamped to the cells on one sheet
+	getPrintStartCell(stock) {
+		const perSheet = stock.columns * stock.rows;
+		const startCell = parseInt(this.printStartCell.value, 10) || 1;
+		return Math.min(Math.max(startCell, 1), perSheet);
+	}
+
+	// Build the ordered list of cell contents: null for skipped cells, then each label repeated by its copy count
+	buildPrintSlots(startCell) {
+		const slots = new Array(startCell - 1).fill(null);
+		this.getAllLabels().forEach((label) => {
+			const copies = this.printCopies[label.id] || 0;
+			// A run prints its snapshot with the dates and lot code stamped on
+			const printed =
+				this.printRun && this.printRun.labelId === label.id
+					? LabelRuns.applyRunToLabel(this.printRun)
+					: label;
+			for (let i = 0; i < copies; i++) {
+				slots.push(printed);
+			}
+		});
+		return slots;
+	}
+
+	// Update the sheet summary and first-sheet cell map
+	updatePrintSummary() {
+		const stock = this.getPrintStock();
+		const perSheet = stock.columns * stock.rows;
+		const startCell = this.getPrintStartCell(stock);
+		const slots = this.buildPrintSlots(startCell);
+		const labelCount = slots.filter((slot) => slot).length;
+		const sheetCount = labelCount > 0 ? Math.ceil(slots.length / perSheet) : 0;
+
+		// Labels whose content cannot fit this stock's cells at the 8pt minimum
+		const cellSize = { width: stock.labelWidth, height: stock.labelHeight };
+		const overflowing = this.getAllLabels().filter(
+			(label) =>
+				this.printCopies[label.id] > 0 &&
+				!this.fitLabelTypography(label, cellSize).fits
+		);
+
+		this.printStockDetails.textContent = `${stock.columns} × ${stock.rows} on ${stock.pageWidth}" × ${stock.pageHeight}" page`;
+		this.printSummary.textContent =
+			labelCount > 0
+				? `${labelCount} label${labelCount !== 1 ? "s" : ""} on ${sheetCount} sheet${sheetCount !== 1 ? "s" : ""}`
+				: "Set a copy count for at least one label";
+		if (overflowing.length > 0) {
+			this.printSummary.textContent += ` · ⚠ Doesn't fit at ${FDA_MIN_FONT_PT}pt and will be cut off: ${overflowing.map((label) => label.name).join(", ")}`;
+		}
+
+		// Cell map of the first sheet: skipped, filled, or empty
+		this.printSheetMap.style.gridTemplateColumns = `repeat(${stock.columns}, 1fr)`;
+		this.printSheetMap.innerHTML = "";
+		for (let i = 0; i < perSheet; i++) {
+			const cell = document.createElement("div");
+			cell.className = "print-sheet-cell";
+			if (i < startCell - 1) {
+				cell.classList.add("skipped");
+			} else if (slots[i]) {
+				cell.classList.add("filled");
+				cell.title = slots[i].name;
+			}
+			this.printSheetMap.appendChild(cell);
+		}
+
+		this.printSubmitBtn.disabled = labelCount === 0;
+	}
+
+	// Build a standalone HTML document with one page per sheet and each label tiled into its cell
+	buildPrintDocument(stock, slots) {
+		const perSheet = stock.columns * stock.rows;
+		const cellSize = { width: stock.labelWidth, height: stock.labelHeight };
+		const pages = [];
+
+		// Fit each label's typography to the cell once, then reuse it for every copy
+		const fitted = new Map();
+		const renderCell = (label) => {
+			if (!fitted.has(label.id)) {
+				const fit = this.fitLabelTypography(label, cellSize);
+				fitted.set(
+					label.id,
+					this.buildFormattedLabelHtml(label, {
+						size: cellSize,
+						fontSizes: fit.fontSizes,
+					})
+				);
+			}
+			return fitted.get(label.id);
+		};
+
+		for (let start = 0; start < slots.length; start += perSheet) {
+			const cells = slots
+				.slice(start, start + perSheet)
+				.map((label, i) => {
+					if (!label) return "";
+					const column = i % stock.columns;
+					const row = Math.floor(i / stock.columns);
+					const left =
+						stock.marginLeft + column * (stock.labelWidth + stock.columnGap);
+					const top =
+						stock.marginTop + row * (stock.labelHeight + stock.rowGap);
+					return `<div class="cell" style="left: ${left}in; top: ${top}in;">${renderCell(label)}</div>`;
+				})
+				.join("");
+			pages.push(`<div class="sheet">${cells}</div>`);
+		}
+
+		return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>Label Sheets</title>
+<style>
+@page { size: ${stock.pageWidth}in ${stock.pageHeight}in; margin: 0; }
+* { box-sizing: border-box; }
+html, body { margin: 0; padding: 0; }
+.sheet { position: relative; width: ${stock.pageWidth}in; height: ${stock.pageHeight}in; overflow: hidden; page-break-after: always; break-after: page; }
+.sheet:last-child { page-break-after: auto; break-after: auto; }
+.cell { position: absolute; width: ${stock.labelWidth}in; height: ${stock.labelHeight}in; overflow: hidden; }
+</style>
+</head>
+<body>${pages.join("")}</body>
+</html>`;
+	}
+
+	// Render the sheets into a hidden frame and open the browser print dialog (choose "Save as PDF" for a PDF)
+	printLabelSheets() {
+		const stock = this.getPrintStock();
+		const slots = this.buildPrintSlots(this.getPrintStartCell(stock));
+		if (!slots.some((slot) => slot)) {
+			this.showToast("Set a copy count for at least one label", "error");
+			return;
+		}
+
+		// Confirm before printing labels that fail the compliance check
+		const lintErrors = [];
+		new Set(slots.filter((slot) => slot)).forEach((label) => {
+			this.lintLabel(label).errors.forEach((issue) =>
+				lintErrors.push({
+					...issue,
+					message: `${label.name}: ${issue.message}`,
+				})
+			);
+		});
+		if (!this.confirmLintErrors(lintErrors, "Print")) return;
+
+		const frame = document.createElement("iframe");
+		frame.className = "print-frame";
+		document.body.appendChild(frame);
+
+		const frameDoc = frame.contentWindow.document;
+		frameDoc.open();
+		frameDoc.write(this.buildPrintDocument(stock, slots));
+		frameDoc.close();
+
+		// Wait for layout before printing, then clean up the frame
+		setTimeout(() => {
+			frame.contentWindow.focus();
+			frame.contentWindow.print();
+			setTimeout(() => frame.remove(), 1000);
+		}, 250);
+	}
+
+	// ========== PRODUCTION RUNS ==========
+
+	// Fill the run label picker, keeping the current choice when it still exists
+	renderRunLabelOptions() {
+		const current = this.runLabel.value;
+		this.runLabel.innerHTML = "";
+		this.getAllLabels().forEach((label) => {
+			const option = document.createElement("option");
+			option.value = label.id;
+			option.textContent = label.name || "Untitled label";
+			this.runLabel.appendChild(option);
+		});
+		if (this.getLabelById(current)) this.runLabel.value = current;
+		if (!this.runBakeDate.value) this.runBakeDate.value = LabelRuns.today();
+		this.updateRunSummary();
+	}
+
+	// Preview the best-by date and lot code the next run would get
+	updateRunSummary() {
+		const label = this.getLabelById(this.runLabel.value);
+		const bakeDate = this.runBakeDate.value;
+		if (!label || !LabelRuns.parseDate(bakeDate)) {
+			this.runSummary.textContent = "";
+			return;
+		}
+		const run = LabelRuns.createRun(label, {
+			bakeDate,
+			sequence: LabelRuns.nextSequence(this.runs, bakeDate),
+			lotPattern: this.getLabelBusiness(label).lotCodePattern,
+		});
+		const bestBy = run.bestByDate
+			? `Best by ${LabelRuns.formatLabelDate(run.bestByDate)}`
+			: "No best-by date (set a shelf life on the label)";
+		this.runSummary.textContent = `${bestBy} · Lot ${run.lotCode}`;
+	}
+
+	// Create a run on the server, which assigns the sequence and lot code
+	async handleCreateRun() {
+		const label = this.getLabelById(this.runLabel.value);
+		const quantity = parseInt(this.runQuantity.value, 10);
+		const bakeDate = this.runBakeDate.value;
+		this.runError.textContent = "";
+		if (!label) {
+			this.runError.textContent = "Create a label first";
+			return;
+		}
+		if (!(quantity > 0)) {
+			this.runError.textContent = "Quantity must be at least 1";
+			return;
+		}
+		if (!LabelRuns.parseDate(bakeDate)) {
+			this.runError.textContent = "Pick a bake date";
+			return;
+		}
+
+		try {
+			const run = await this.apiRequest("/api/runs", {
+				method: "POST",
+				body: { labelId: label.id, quantity, bakeDate },
+			});
+			this.runs.unshift(run);
+			this.renderRuns();
+			this.showToast(`Run ${run.lotCode} created for "${label.name}"`);
+		} catch (error) {
+			console.error("Failed to create run", error);
+		}
+	}
+
+	// Render the runs that match the search box
+	renderRuns() {
+		const query = this.runSearch.value;
+		const runs = this.runs.filter((run) =>
+			LabelRuns.matchesRunSearch(run, query)
+		);
+		this.runCount.textContent = `${this.runs.length} run${this.runs.length !== 1 ? "s" : ""}`;
+		this.runsList.innerHTML = "";
+		this.runsEmpty.style.display = runs.length === 0 ? "block" : "none";
+		if (runs.length === 0) {
+			this.runsEmpty.querySelector("p").textContent = query.trim()
+				? `No runs match "${query.trim()}".`
+				: "No production runs yet.";
+		}
+		runs.forEach((run) => this.runsList.appendChild(this.createRunRow(run)));
+		this.updateRunSummary();
+	}
+
+	// One row in the runs list
+	createRunRow(run) {
+		const row = document.createElement("div");
+		row.className = "run-row";
+		const bestBy = run.bestByDate
+			? LabelRuns.formatLabelDate(run.bestByDate)
+			: "—";
+		row.innerHTML = `
+			<div class="run-lot">${this.escapeHtml(run.lotCode)}</div>
+			<div class="run-details">
+				<strong>${this.escapeHtml(run.labelName)}</strong> × ${this.escapeHtml(run.quantity)}
+				<span class="run-dates">Baked ${LabelRuns.formatLabelDate(run.bakeDate)} · Best by ${bestBy}</span>
+			</div>
+			<div class="run-actions">
+				<button type="button" class="btn btn-print btn-small">🖨️ Print</button>
+				<button type="button" class="btn btn-zpl btn-small" title="Download ZPL for thermal printers">🏷️ ZPL</button>
+				<button type="button" class="btn btn-delete btn-small">🗑️</button>
+			</div>
+		`;
+		row
+			.querySelector(".btn-print")
+			.addEventListener("click", () => this.printRunLabels(run));
+		row
+			.querySelector(".btn-zpl")
+			.addEventListener("click", () =>
+				this.downloadLabelZpl(LabelRuns.applyRunToLabel(run), run.quantity)
+			);
+		row
+			.querySelector(".btn-delete")
+			.addEventListener("click", () => this.handleRunDelete(run));
+		return row;
+	}
+
+	// Open the print modal with the run's quantity of stamped labels
+	printRunLabels(run) {
+		if (!this.getLabelById(run.labelId)) {
+			this.showToast(
+				"This run's label was deleted - download ZPL to reprint it",
+				"error"
+			);
+			return;
+		}
+		this.openPrintModal([]);
+		this.printRun = run;
+		this.printCopies = { [run.labelId]: run.quantity };
+		this.renderPrintLabelList();
+		this.updatePrintSummary();
+	}
+
+	async handleRunDelete(run) {
+		if (!confirm(`Delete production run ${run.lotCode}?`)) return;
+		try {
+			await this.apiRequest(`/api/runs/${run.id}`, { method: "DELETE" });
+			this.runs = this.runs.filter((r) => r.id !== run.id);
+			this.renderRuns();
+			this.showToast(`Run ${run.lotCode} deleted`);
+		} catch (error) {
+			console.error("Failed to delete run", error);
+		}
+	}
+
+	// ========== TRACEABILITY ==========
+
+	// Fill the preset picker and brand suggestions from the saved presets
+	renderTraceOptions() {
+		const current = this.tracePreset.value;
+		this.tracePreset.innerHTML = '<option value="">Any preset</option>';
+		this.getSortedPresets().forEach((preset) => {
+			const option = document.createElement("option");
+			option.value = preset.id;
+			option.textContent = preset.brandName
+				? `${preset.name} (${preset.brandName})`
+				: preset.name;
+			this.tracePreset.appendChild(option);
+		});
+		if (this.getPresetById(current)) this.tracePreset.value = current;
+
+		const brands = [
+			...new Set(
+				this.presets.map((preset) => preset.brandName).filter((b) => b)
+			),
+		].sort();
+		this.traceBrands.innerHTML = brands
+			.map((brand) => `<option value="${this.escapeHtml(brand)}"></option>`)
+			.join("");
+	}
+
+	getTraceCriteria() {
+		return {
+			presetId: this.tracePreset.value,
+			brandName: this.traceBrand.value.trim(),
+			ingredient: this.traceIngredient.value.trim(),
+			from: this.traceFrom.value,
+			to: this.traceTo.value,
+		};
+	}
+
+	// Search labels and runs for the chosen preset, brand or ingredient
+	runTrace() {
+		const criteria = this.getTraceCriteria();
+		this.traceError.textContent = "";
+		if (!LabelTrace.hasCriteria(criteria)) {
+			this.traceError.textContent =
+				"Choose a preset or enter a brand or ingredient to trace";
+			this.traceExportBtn.disabled = true;
+			this.traceResults.innerHTML = "";
+			return null;
+		}
+
+		const result = LabelTrace.traceIngredient(criteria, {
+			labels: this.labels,
+			presets: this.presets,
+			runs: this.runs,
+		});
+		this.traceExportBtn.disabled =
+			result.labels.length === 0 && result.runs.length === 0;
+		this.renderTraceResults(result);
+		return result;
+	}
+
+	renderTraceResults(result) {
+		const reasonsHtml = (reasons) =>
+			`<div class="trace-reasons">${reasons.map((reason) => this.escapeHtml(reason)).join(" · ")}</div>`;
+		const labelItems = result.labels
+			.map(
+				({ label, reasons }) =>
+					`<li><strong>${this.escapeHtml(label.name)}</strong>${reasonsHtml(reasons)}</li>`
+			)
+			.join("");
+		const runItems = result.runs
+			.map(
+				({ run, reasons }) =>
+					`<li><span class="run-lot">${this.escapeHtml(run.lotCode)}</span> <strong>${this.escapeHtml(run.labelName)}</strong> × ${this.escapeHtml(run.quantity)} - baked ${LabelRuns.formatLabelDate(run.bakeDate)}${reasonsHtml(reasons)}</li>`
+			)
+			.join("");
+
+		this.traceResults.innerHTML = `
+			<h3>Labels (${result.labels.length})</h3>
+			${labelItems ? `<ul class="trace-list">${labelItems}</ul>` : '<p class="form-hint">No labels use it.</p>'}
+			<h3>Production Runs (${result.runs.length})</h3>
+			${runItems ? `<ul class="trace-list">${runItems}</ul>` : '<p class="form-hint">No runs in this date range used it.</p>'}
+		`;
+	}
+
+	// Download the trace for the current search as CSV
+	exportTraceCsv() {
+		const result = this.runTrace();
+		if (!result) return;
+		this.downloadFile("traceability.csv", LabelTrace.toCsv(result), "text/csv");
+	}
+
+	// ========== BULK IMPORT ==========
+
+	// Validate the pasted or uploaded rows and show what each will become
+	previewBulkLabels() {
+		const { rows } = LabelBulk.parseBulkLabels(this.bulkText.value, {
+			presets: this.presets,
+			labels: this.labels,
+		});
+		this.bulkRows = rows;
+		this.bulkSummary.textContent = "";
+		if (rows.length === 0) {
+			this.bulkPreview.innerHTML =
+				'<p class="form-hint">No rows to import.</p>';
+			this.bulkImportBtn.disabled = true;
+			return;
+		}
+
+		const rowsHtml = rows
+			.map((row) => {
+				const label = row.label;
+				const messages = [
+					...row.errors.map(
+						(message) =>
+							`<li class="lint-error">${this.escapeHtml(message)}</li>`
+					),
+					...row.warnings.map(
+						(message) =>
+							`<li class="lint-warning">${this.escapeHtml(message)}</li>`
+					),
+				].join("");
+				const quantity = label.netQuantity
+					? `${label.netQuantity} ${label.netQuantityUnit || ""}`
+					: "";
+				return `
+					<tr class="${row.valid ? "bulk-row-valid" : "bulk-row-invalid"}">
+						<td>${row.row}</td>
+						<td>${row.valid ? "✅" : "❌"}</td>
+						<td><strong>${this.escapeHtml(label.name)}</strong>${label.creationMode === "preset" ? ' <span class="bulk-mode">presets</span>' : ""}</td>
+						<td>${this.escapeHtml(label.text || "")}</td>
+						<td>${this.escapeHtml(quantity)}</td>
+						<td>${this.escapeHtml(label.allergens.join(", "))}</td>
+						<td>${messages ? `<ul class="lint-list">${messages}</ul>` : ""}</td>
+					</tr>`;
+			})
+			.join("");
+		this.bulkPreview.innerHTML = `
+			<table class="bulk-table">
+				<thead>
+					<tr><th>Line</th><th></th><th>Name</th><th>Ingredients</th><th>Net Qty</th><th>Allergens</th><th>Notes</th></tr>
+				</thead>
+				<tbody>${rowsHtml}</tbody>
+			</table>`;
+
+		const valid = rows.filter((row) => row.valid).length;
+		this.bulkImportBtn.disabled = valid === 0;
+		this.bulkImportBtn.textContent = `📥 Create ${valid} Label${valid === 1 ? "" : "s"}`;
+		this.bulkSummary.textContent =
+			valid === rows.length
+				? `All ${rows.length} rows are ready to import.`
+				: `${valid} of ${rows.length} rows are ready - rows with errors will be skipped.`;
+	}
+
+	// Create the valid preview rows in one request, on the default business profile
+	async importBulkLabels() {
+		const validRows = this.bulkRows.filter((row) => row.valid);
+		if (validRows.length === 0) return;
+		const business = this.getLabelBusiness(null);
+		const defaults = {
+			businessId: business.id || "",
+			...this.getBusinessFields(business),
+			color: this.defaultColor,
+			includeCottageDisclaimer: true,
+			labelSize: business.defaultLabelSize || null,
+		};
+		this.bulkImportBtn.disabled = true;
+		try {
+			const result = await this.apiRequest("/api/labels/bulk", {
+				method: "POST",
+				body: {
+					labels: validRows.map((row) => ({
+						...defaults,
+						...row.label,
+						row: row.row,
+					})),
+				},
+			});
+			result.results
+				.filter((item) => item.status === "created")
+				.forEach((item) => this.labels.push(item.label));
+			const failed = result.results.filter((item) => item.status !== "created");
+			this.bulkRows = [];
+			this.bulkPreview.innerHTML = failed.length
+				? `<ul class="lint-list">${failed
+						.map(
+							(item) =>
+								`<li class="lint-error">Line ${item.row} (${this.escapeHtml(item.name || "unnamed")}): ${this.escapeHtml(item.errors.join("; "))}</li>`
+						)
+						.join("")}</ul>`
+				: "";
+			this.bulkSummary.textContent = `Created ${result.created} label${result.created === 1 ? "" : "s"}${result.failed ? `, ${result.failed} failed` : ""}.`;
+			if (!failed.length) this.bulkText.value = "";
+			this.render();
+			this.showToast(`Imported ${result.created} labels`);
+		} catch (error) {
+			console.error("Failed to import labels", error);
+			this.bulkImportBtn.disabled = false;
+		}
+	}
+
+	// ========== INGREDIENT IMPORT ==========
+
+	// The preview is stale once the text or options change
+	clearPresetImportPreview() {
+		this.presetImportRows = [];
+		this.presetImportBtn.disabled = true;
+	}
+
+	// Parse the CSV rows or spec sheet text and show each ingredient, flagging ones already saved
+	previewPresetImport() {
+		const options = {
+			presets: this.presets,
+			tidy: this.presetImportTidy.checked,
+		};
+		const { rows } =
+			this.presetImportSource.value === "spec"
+				? LabelPresetImport.parseSpecSheet(this.presetImportText.value, {
+						...options,
+						name: this.presetImportName.value,
+						brandName: this.presetImportBrand.value,
+					})
+				: LabelPresetImport.parsePresetCsv(
+						this.presetImportText.value,
+						options
+					);
+		this.presetImportRows = rows;
+		this.presetImportSummary.textContent = "";
+		if (rows.length === 0) {
+			this.presetImportPreview.innerHTML =
+				'<p class="form-hint">No rows to import.</p>';
+			this.presetImportBtn.disabled = true;
+			return;
+		}
+
+		const rowsHtml = rows
+			.map((row, index) => {
+				const messages = [
+					...row.errors.map(
+						(message) =>
+							`<li class="lint-error">${this.escapeHtml(message)}</li>`
+					),
+					...row.warnings.map(
+						(message) =>
+							`<li class="lint-warning">${this.escapeHtml(message)}</li>`
+					),
+				];
+				if (row.duplicateOf) {
+					messages.unshift(
+						`<li class="lint-warning">Already saved as "${this.escapeHtml(row.duplicateOf.name)}" - ${this.escapeHtml(LabelPresets.formatPresetIngredients(row.duplicateOf, (id) => this.getPresetById(id)))}</li>`
+					);
+				}
+				const actions = row.duplicateOf
+					? `<select class="preset-import-action" data-index="${index}">
+							<option value="skip">Skip</option>
+							<option value="update">Update existing</option>
+							<option value="add">Add anyway</option>
+						</select>`
+					: `<select class="preset-import-action" data-index="${index}">
+							<option value="add">Add</option>
+							<option value="skip">Skip</option>
+						</select>`;
+				const ingredients = LabelPresets.formatPresetIngredients(
+					row.preset,
+					(id) => this.getPresetById(id)
+				);
+				return `
+					<tr class="${row.valid ? "bulk-row-valid" : "bulk-row-invalid"}">
+						<td>${row.row}</td>
+						<td>${row.valid ? actions : "❌"}</td>
+						<td><strong>${this.escapeHtml(row.preset.name)}</strong>${row.preset.brandName ? `<br><small>${this.escapeHtml(row.preset.brandName)}</small>` : ""}</td>
+						<td>${this.escapeHtml(ingredients)}</td>
+						<td>${messages.length ? `<ul class="lint-list">${messages.join("")}</ul>` : ""}</td>
+					</tr>`;
+			})
+			.join("");
+		this.presetImportPreview.innerHTML = `
+			<table class="bulk-table">
+				<thead>
+					<tr><th>Line</th><th>Action</th><th>Name</th><th>Ingredient list</th><th>Notes</th></tr>
+				</thead>
+				<tbody>${rowsHtml}</tbody>
+			</table>`;
+		this.presetImportPreview
+			.querySelectorAll(".preset-import-action")
+			.forEach((select) =>
+				select.addEventListener("change", () => this.updatePresetImportButton())
+			);
+		this.updatePresetImportButton();
+	}
+
+	// Valid rows with the action picked for each in the preview
+	getPresetImportChoices() {
+		return Array.from(
+			this.presetImportPreview.querySelectorAll(".preset-import-action")
+		)
+			.map((select) => ({
+				row: this.presetImportRows[Number(select.dataset.index)],
+				action: select.value,
+			}))
+			.filter((choice) => choice.row && choice.action !== "skip");
+	}
+
+	updatePresetImportButton() {
+		const rows = this.presetImportRows;
+		const count = this.getPresetImportChoices().length;
+		const duplicates = rows.filter((row) => row.duplicateOf).length;
+		const invalid = rows.filter((row) => !row.valid).length;
+		this.presetImportBtn.disabled = count === 0;
+		this.presetImportBtn.textContent = `📥 Import ${count} Ingredient${count === 1 ? "" : "s"}`;
+		this.presetImportSummary.textContent = [
+			`${count} of ${rows.length} row${rows.length === 1 ? "" : "s"} will be imported.`,
+			duplicates
+				? `${duplicates} already saved - skipped unless you choose otherwise.`
+				: "",
+			invalid ? `${invalid} with errors will be skipped.` : "",
+		]
+			.filter((part) => part)
+			.join(" ");
+	}
+
+	// Save the chosen rows in one request, then offer to refresh labels using updated ingredients
+	async importPresets() {
+		const choices = this.getPresetImportChoices();
+		if (choices.length === 0) return;
+		this.presetImportBtn.disabled = true;
+		try {
+			const result = await this.apiRequest("/api/presets/bulk", {
+				method: "POST",
+				body: {
+					presets: choices.map(({ row, action }) => ({
+						...row.preset,
+						row: row.row,
+						...(action === "update" ? { id: row.duplicateOf.id } : {}),
+					})),
+				},
+			});
+			const updatedIds = [];
+			result.results.forEach((item) => {
+				if (item.status === "created") this.presets.push(item.preset);
+				if (item.status === "updated") {
+					const index = this.presets.findIndex(
+						(preset) => preset.id === item.preset.id
+					);
+					if (index !== -1) this.presets[index] = item.preset;
+					updatedIds.push(item.preset.id);
+				}
+			});
+			const failed = result.results.filter((item) => item.status === "error");
+			this.presetImportRows = [];
+			this.presetImportPreview.innerHTML = failed.length
+				? `<ul class="lint-list">${failed
+						.map(
+							(item) =>
+								`<li class="lint-error">Line ${item.row} (${this.escapeHtml(item.name || "unnamed")}): ${this.escapeHtml(item.errors.join("; "))}</li>`
+						)
+						.join("")}</ul>`
+				: "";
+			this.presetImportSummary.textContent = `Added ${result.created}, updated ${result.updated}${result.failed ? `, ${result.failed} failed` : ""}.`;
+			if (!failed.length) this.presetImportText.value = "";
+			this.renderPresets();
+			this.updatePresetDropdown();
+			this.showToast(
+				`Imported ${result.created + result.updated} ingredient${result.created + result.updated === 1 ? "" : "s"}`
+			);
+			if (updatedIds.length > 0) this.reviewAffectedLabels(updatedIds);
+		} catch (error) {
+			console.error("Failed to import ingredients", error);
+			this.presetImportBtn.disabled = false;
+		}
+	}
+
+	// ========== THERMAL PRINTER (ZPL) ==========
+
+	// Download a label as a ZPL file using the chosen density and size
+	downloadLabelZpl(label, copies = 1) {
+		const choice = this.zplSize.value;
+		const size =
+			LABEL_SIZES.find((s) => s.id === choice) ||
+			label.labelSize ||
+			this.getLabelBusiness(label).defaultLabelSize ||
+			LabelZpl.DEFAULT_SIZE;
+		const zpl = LabelZpl.labelToZpl(label, {
+			dpi: this.zplDpi.value,
+			width: size.width,
+			height: size.height,
+			unit: size.unit,
+			copies,
 		});
+		const fileName =
+			[label.name || "label", label.lotCode]
+				.filter((part) => part)
+				.join("-")
+				.replace(/[^a-z0-9]+/gi, "-")
+				.toLowerCase() || "label";
+		this.downloadFile(`${fileName}.zpl`, zpl, "text/plain");
+		this.showToast(`ZPL for "${label.name}" downloaded`);
+	}
 
-		// Update panel visibility
-		this.helpTabPanels.forEach((panel) => {
-			panel.classList.toggle("active", panel.id === `help-tab-${tabId}`);
-		});
+	// Trigger a browser download of generated file content
+	downloadFile(fileName, content, mimeType) {
+		const blob = new Blob([content], { type: mimeType });
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement("a");
+		link.href = url;
+		link.download = fileName;
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		setTimeout(() => URL.revokeObjectURL(url), 1000);
 	}
 
 	// Update the label preview based on current form values
 	// Shows formatted HTML preview
 	updatePreview() {
-		const labelName = this.labelName.value.trim() || "Label Name";
 		const mode = this.creationMode.value;
+		this.renderFormLint();
 
 		// Get ingredients text
 		let ingredientsText = "";
@@ -470,142 +3133,594 @@ class LabelManager {
 
 		this.labelPreview.classList.add("has-content");
 
-		// Build the preview data object
-		const previewData = {
-			name: labelName,
+		// Build formatted HTML preview, at true physical scale when a label size applies
+		const previewData = this.getFormLabelData(ingredientsText);
+		const size = this.getEffectiveLabelSize(previewData);
+		if (!size) {
+			const previewHtml = this.buildFormattedLabelHtml(previewData);
+			this.labelPreview.innerHTML = `<div class="preview-formatted">${previewHtml}</div>`;
+			return;
+		}
+
+		const fit = this.fitLabelTypography(previewData, size);
+		const previewHtml = this.buildFormattedLabelHtml(previewData, {
+			size,
+			fontSizes: fit.fontSizes,
+		});
+		const fitNote = fit.fits
+			? `${this.formatLabelSize(size)} label · text at ${fit.fontSizes.small}pt`
+			: `⚠ Content does not fit a ${this.formatLabelSize(size)} label even at ${FDA_MIN_FONT_PT}pt`;
+		this.labelPreview.innerHTML = `<div class="preview-formatted preview-physical">${previewHtml}</div><p class="preview-size-note${fit.fits ? "" : " overflow"}">${this.escapeHtml(fitNote)}</p>`;
+	}
+
+	// Build label data from the current form values (used by preview and size validation)
+	getFormLabelData(ingredientsText) {
+		return {
+			name: this.labelName.value.trim() || "Label Name",
 			text: ingredientsText,
-			netQuantity: this.netQuantity.value,
-			netQuantityUnit: this.netQuantityUnit.value,
+			...this.getNetQuantityData(),
 			showBlankQuantity: this.showBlankQuantity.checked,
-			allergens: allergens,
-			allergenDetails: allergenDetails,
-			...this.businessInfo,
+			allergens: this.getSelectedAllergens(),
+			allergenDetails: this.allergenDetails.value.trim(),
+			businessId: this.labelBusiness.value,
+			...this.getBusinessFields(this.getFormBusiness()),
 			includeCottageDisclaimer: this.cottageDisclaimer.checked,
+			labelSize: this.getFormLabelSize(),
+			nutritionFacts: this.computeFormNutritionFacts(),
+		};
+	}
+
+	// ========== COMPLIANCE LINT ==========
+
+	// Context the linter needs to resolve preset references and state rules
+	getLintContext() {
+		return { getPresetById: (id) => this.getPresetById(id) };
+	}
+
+	// Lint a stored label or form data
+	lintLabel(label) {
+		return LabelLint.lintLabel(label, this.getLintContext());
+	}
+
+	// The label currently in the form, in the shape the linter checks
+	getFormLintLabel() {
+		const mode = this.creationMode.value;
+		const ingredientsText =
+			mode === "manual"
+				? this.labelText.value.trim()
+				: this.buildFormattedLabelText();
+		return {
+			...this.getFormLabelData(ingredientsText),
+			creationMode: mode,
+			selectedPresetIds: mode === "preset" ? this.getSelectedPresets() : [],
+			dismissedAllergenTerms: [...this.dismissedAllergenTerms],
 		};
+	}
+
+	// Error and warning list markup for a lint result
+	buildLintListHtml(result) {
+		const items = [...result.errors, ...result.warnings]
+			.map(
+				(issue) =>
+					`<li class="lint-${issue.severity}">${issue.severity === "error" ? "❌" : "⚠️"} ${this.escapeHtml(issue.message)}</li>`
+			)
+			.join("");
+		return `<ul class="lint-list">${items}</ul>`;
+	}
 
-		// Build formatted HTML preview
-		const previewHtml = this.buildFormattedLabelHtml(previewData);
-		this.labelPreview.innerHTML = `<div class="preview-formatted">${previewHtml}</div>`;
+	// Show compliance errors and warnings for the form's label
+	renderFormLint() {
+		const hasContent =
+			this.labelName.value.trim() ||
+			this.labelText.value.trim() ||
+			this.selectedPresetOrder.length > 0 ||
+			this.additionalIngredients.value.trim();
+		const result = hasContent ? this.lintLabel(this.getFormLintLabel()) : null;
+		if (!result || result.issues.length === 0) {
+			this.labelLint.style.display = hasContent ? "block" : "none";
+			this.labelLint.innerHTML = hasContent
+				? '<div class="lint-ok">✅ No compliance issues found</div>'
+				: "";
+			return result;
+		}
+		this.labelLint.style.display = "block";
+		this.labelLint.innerHTML = `<div class="lint-title">Compliance check: ${result.errors.length} error${result.errors.length !== 1 ? "s" : ""}, ${result.warnings.length} warning${result.warnings.length !== 1 ? "s" : ""}</div>${this.buildLintListHtml(result)}`;
+		return result;
 	}
 
-	// Build formatted HTML for label (used in preview, storage, and rich text copy)
-	// This generates clean, centered FDA-compliant label HTML matching the design spec
-	// FDA Requirements: minimum 8pt font, consistent single-line spacing
-	// Uses pt units for proper Google Docs/rich text compatibility
-	buildFormattedLabelHtml(label) {
-		const cleanIngredients = this.stripBracketsFromIngredients(
-			label.text || label.ingredientsText || ""
+	// Ask before saving or printing labels with compliance errors
+	confirmLintErrors(errors, action) {
+		if (errors.length === 0) return true;
+		const list = errors.map((issue) => `• ${issue.message}`).join("\n");
+		return confirm(
+			`${errors.length} compliance error${errors.length !== 1 ? "s" : ""}:\n\n${list}\n\n${action} anyway?`
 		);
+	}
 
-		// Consistent spacing between sections (8px single-line spacing)
-		const sectionMargin = "margin-bottom: 8px;";
-		const fontFamily =
-			"font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;";
+	// ========== NUTRITION FACTS ==========
+
+	// Render one input per nutrient in the ingredient form
+	renderPresetNutrientInputs() {
+		this.presetNutrients.innerHTML = "";
+		LabelNutrition.NUTRIENTS.forEach((nutrient) => {
+			const field = document.createElement("label");
+			field.className = "nutrient-field";
+			field.htmlFor = `nutrient-${nutrient.key}`;
+			field.textContent = nutrient.unit
+				? `${nutrient.name} (${nutrient.unit})`
+				: nutrient.name;
+
+			const input = document.createElement("input");
+			input.type = "number";
+			input.id = `nutrient-${nutrient.key}`;
+			input.min = "0";
+			input.step = "any";
+			input.dataset.nutrient = nutrient.key;
+
+			field.appendChild(input);
+			this.presetNutrients.appendChild(field);
+		});
+	}
 
-		// Font sizes in pt for proper rich text/Google Docs compatibility
-		const largeFontSize = "font-size: 14pt;"; // Product name & net weight
-		const smallFontSize = "font-size: 8pt;"; // FDA minimum for other text
+	// Read nutrient values per 100 g from the ingredient form (null if none entered)
+	readPresetNutrients() {
+		const nutrients = {};
+		this.presetNutrients
+			.querySelectorAll("input[data-nutrient]")
+			.forEach((input) => {
+				if (input.value.trim() !== "") {
+					nutrients[input.dataset.nutrient] = parseFloat(input.value) || 0;
+				}
+			});
+		return Object.keys(nutrients).length > 0 ? nutrients : null;
+	}
 
-		// Product name - bold, centered (same size as net weight for consistency)
-		const productNameHtml = label.name
-			? `<div style="text-align: center; font-weight: 700; ${largeFontSize} ${sectionMargin} ${fontFamily}">${this.escapeHtml(label.name)}</div>`
-			: "";
+	// Fill the ingredient form's nutrient inputs
+	setPresetNutrients(nutrients) {
+		this.presetNutrients
+			.querySelectorAll("input[data-nutrient]")
+			.forEach((input) => {
+				const value = nutrients ? nutrients[input.dataset.nutrient] : undefined;
+				input.value = value === undefined || value === null ? "" : value;
+			});
+	}
 
-		// Ingredients with underlined AND bold "Ingredients:" label, bold preset names (not sub-ingredients)
-		// Format: "Preset Name (ingredient1, ingredient2)" - only preset name is bold
-		let ingredientsHtml = "";
-		if (cleanIngredients) {
-			const formattedIngredients =
-				this.formatIngredientsWithBoldPresetNames(cleanIngredients);
-			ingredientsHtml = `<div style="text-align: center; line-height: 1.6; ${sectionMargin} ${smallFontSize} ${fontFamily}"><span style="text-decoration: underline; font-weight: 700;">Ingredients:</span> ${formattedIngredients}</div>`;
-		}
-
-		// Allergens - bold CONTAINS label, centered (8pt minimum)
-		let allergenHtml = "";
-		if (label.allergens && label.allergens.length > 0) {
-			const allergenText = label.allergens.join(", ").toUpperCase();
-			allergenHtml = `<div style="text-align: center; font-weight: 700; ${sectionMargin} ${smallFontSize} ${fontFamily}">CONTAINS: ${this.escapeHtml(allergenText)}</div>`;
-		}
-
-		// Business info - bold name and address, no comma between name and address
-		// Format: "Business Name Address, City, State Zip" - all bold
-		let businessInfoHtml = "";
-		if (label.businessName) {
-			// Build address: no comma between business name and street address
-			let addressStr = label.businessName;
-			if (label.businessAddress) {
-				addressStr += " " + label.businessAddress; // No comma between name and address
-			}
-			// City, State, Zip with commas
-			const cityStateZip = [
-				label.businessCity,
-				label.businessState,
-				label.businessZip,
-			]
-				.filter((p) => p)
-				.join(", ");
-			if (cityStateZip) {
-				addressStr += ", " + cityStateZip;
+	// Show or hide Nutrition Facts fields and per-ingredient gram inputs
+	handleNutritionToggle() {
+		this.nutritionFields.style.display = this.nutritionEnabled.checked
+			? "block"
+			: "none";
+		this.nutritionError.textContent = "";
+		this.renderSelectedPresets();
+		this.renderAdditionalAmounts();
+		this.updatePreview();
+	}
+
+	// Nutrition settings stored on the label
+	getNutritionSettings() {
+		return {
+			enabled: this.nutritionEnabled.checked,
+			format: this.nutritionFormat.value,
+			servingSize: this.servingSize.value.trim(),
+			servingSizeGrams: parseFloat(this.servingSizeGrams.value) || 0,
+			servingsPerContainer: this.servingsPerContainer.value.trim(),
+		};
+	}
+
+	// Restore nutrition settings from a stored label
+	setNutritionSettings(nutrition) {
+		const settings = nutrition || {};
+		this.nutritionEnabled.checked = !!settings.enabled;
+		this.nutritionFormat.value = settings.format || "vertical";
+		this.servingSize.value = settings.servingSize || "";
+		this.servingSizeGrams.value = settings.servingSizeGrams || "";
+		this.servingsPerContainer.value = settings.servingsPerContainer || "";
+		this.nutritionFields.style.display = settings.enabled ? "block" : "none";
+		this.nutritionError.textContent = "";
+	}
+
+	// Compute Nutrition Facts from recipe amounts and nutrient data (null when disabled or incomplete)
+	// Additional ingredients count toward the recipe weight but add no nutrients
+	computeFormNutritionFacts() {
+		if (
+			!this.nutritionEnabled.checked ||
+			this.creationMode.value !== "preset"
+		) {
+			return null;
+		}
+		const items = this.getRecipeItems().map((item) => ({
+			grams: item.grams || 0,
+			nutrients: item.preset ? item.preset.nutrients || null : null,
+		}));
+		return LabelNutrition.computeNutritionFacts(items, {
+			format: this.nutritionFormat.value,
+			servingSize: this.servingSize.value.trim(),
+			servingSizeGrams: this.servingSizeGrams.value,
+			servingsPerContainer: this.servingsPerContainer.value.trim(),
+		});
+	}
+
+	// ========== RECIPE AMOUNTS ==========
+
+	// Amount inputs show for recipe ordering and for Nutrition Facts
+	isRecipeAmountsVisible() {
+		return this.recipeEnabled.checked || this.nutritionEnabled.checked;
+	}
+
+	// Show or hide recipe options and amount inputs
+	handleRecipeToggle() {
+		this.recipeFields.style.display = this.recipeEnabled.checked
+			? "block"
+			: "none";
+		this.recipeError.textContent = "";
+		this.renderSelectedPresets();
+		this.renderAdditionalAmounts();
+		this.updatePreview();
+	}
+
+	// Recipe settings stored on the label (amounts only for current ingredients)
+	getRecipeSettings() {
+		const amounts = {};
+		this.getRecipeItems().forEach((item) => {
+			if (this.recipeAmounts[item.key]) {
+				amounts[item.key] = { ...this.recipeAmounts[item.key] };
 			}
-			businessInfoHtml = `<div style="text-align: center; font-weight: 700; ${smallFontSize} ${sectionMargin} ${fontFamily}">${this.escapeHtml(addressStr)}</div>`;
+		});
+		return {
+			enabled: this.recipeEnabled.checked,
+			order: this.recipeOrder.value,
+			groupMinor: this.recipeGroupMinor.checked,
+			amounts,
+		};
+	}
+
+	// Restore recipe settings; older labels stored Nutrition Facts grams per preset
+	setRecipeSettings(recipe, nutrition) {
+		const settings = recipe || {};
+		this.recipeEnabled.checked = !!settings.enabled;
+		this.recipeOrder.value = settings.order === "manual" ? "manual" : "weight";
+		this.recipeGroupMinor.checked = !!settings.groupMinor;
+		this.recipeAmounts = {};
+		if (settings.amounts) {
+			Object.entries(settings.amounts).forEach(([key, value]) => {
+				this.recipeAmounts[key] = { ...value };
+			});
+		} else if (nutrition && nutrition.ingredientGrams) {
+			Object.entries(nutrition.ingredientGrams).forEach(([key, grams]) => {
+				this.recipeAmounts[key] = { amount: grams, unit: "g" };
+			});
 		}
+		this.recipeFields.style.display = settings.enabled ? "block" : "none";
+		this.recipeError.textContent = "";
+	}
+
+	// The form's preset selection, additional ingredients and recipe amounts, shaped like a saved label
+	getFormIngredientSource() {
+		return {
+			selectedPresetIds: this.getSelectedPresets(),
+			additionalIngredientsText: this.additionalIngredients.value.trim(),
+			recipe: {
+				enabled: this.recipeEnabled.checked,
+				order: this.recipeOrder.value,
+				groupMinor: this.recipeGroupMinor.checked,
+				amounts: this.recipeAmounts,
+			},
+		};
+	}
+
+	// Recipe items in selection order: selected presets, then additional ingredients
+	// Each item is { key, name, text, grams, estimated, preset }
+	getRecipeItems() {
+		if (this.creationMode.value !== "preset") return [];
+		return LabelIngredients.getRecipeItems(
+			this.getFormIngredientSource(),
+			(id) => this.getPresetById(id)
+		);
+	}
+
+	// Additional ingredients typed in the free-text field
+	getAdditionalIngredientNames() {
+		return this.parseIngredients(this.additionalIngredients.value.trim());
+	}
 
-		// Net weight - bold, centered (same size as product name)
-		let netQuantityHtml = "";
-		if (label.netQuantity) {
-			netQuantityHtml = `<div style="text-align: center; font-weight: 700; ${largeFontSize} ${sectionMargin} ${fontFamily}">Net Wt. ${this.escapeHtml(label.netQuantity)} ${this.escapeHtml(label.netQuantityUnit || "pieces")}</div>`;
-		} else if (label.showBlankQuantity) {
-			// Show blank quantity placeholder when checkbox is checked but no value entered
-			netQuantityHtml = `<div style="text-align: center; font-weight: 700; ${largeFontSize} ${sectionMargin} ${fontFamily}">Net Wt. <span style="display: inline-block; min-width: 40px;"></span> ${this.escapeHtml(label.netQuantityUnit || "pieces")}</div>`;
+	// Selected preset IDs as listed - heaviest first when ordering by weight
+	getDisplayPresetOrder() {
+		if (!this.recipeEnabled.checked || this.recipeOrder.value !== "weight") {
+			return this.getSelectedPresets();
 		}
+		const { major, minor } = LabelRecipe.orderRecipeItems(
+			this.getRecipeItems().filter((item) => item.preset),
+			{ order: "weight" }
+		);
+		return [...major, ...minor].map((item) => item.key);
+	}
 
-		// Cottage food disclaimer - bold, all caps, centered (8pt minimum)
-		let cottageHtml = "";
-		if (label.includeCottageDisclaimer) {
-			cottageHtml = `<div style="text-align: center; font-weight: 700; ${smallFontSize} text-transform: uppercase; letter-spacing: 0.3px; ${fontFamily}">MADE IN A COTTAGE FOOD OPERATION THAT IS NOT SUBJECT TO GOVERNMENT FOOD SAFETY INSPECTION</div>`;
+	// Reordering by hand overrides weight order, starting from the order currently shown
+	beginManualOrder() {
+		if (!this.recipeEnabled.checked || this.recipeOrder.value !== "weight") {
+			return;
 		}
+		this.selectedPresetOrder = this.getDisplayPresetOrder();
+		this.recipeOrder.value = "manual";
+		this.showToast("Switched to manual ingredient order");
+	}
 
-		// Combine all sections - clean, minimal design with consistent spacing
-		const labelHtml = `<div style="background: #ffffff; padding: 24px; ${fontFamily} max-width: 500px; margin: 0 auto;">${productNameHtml}${ingredientsHtml}${allergenHtml}${businessInfoHtml}${netQuantityHtml}${cottageHtml}</div>`;
+	// Amount + unit inputs for one recipe item
+	createAmountField(key, name) {
+		const field = document.createElement("span");
+		field.className = "ingredient-amount";
+
+		const entry = this.recipeAmounts[key] || {};
+		const amountInput = document.createElement("input");
+		amountInput.type = "number";
+		amountInput.min = "0";
+		amountInput.step = "any";
+		amountInput.placeholder = "0";
+		amountInput.title = `Amount of ${name} in the recipe`;
+		amountInput.value = entry.amount || "";
+
+		const unitSelect = document.createElement("select");
+		LabelRecipe.UNITS.forEach((unit) => {
+			const option = document.createElement("option");
+			option.value = unit.value;
+			option.textContent = unit.label;
+			unitSelect.appendChild(option);
+		});
+		unitSelect.value = entry.unit || "g";
 
-		return labelHtml;
-	}
+		const share = document.createElement("span");
+		share.className = "ingredient-share";
+		share.dataset.key = key;
 
-	// Format ingredients with bold preset names only (not sub-ingredients in parentheses)
-	// e.g. "Cookie Mix (flour, sugar), Butter" -> "<strong>Cookie Mix</strong> (flour, sugar), <strong>Butter</strong>"
-	formatIngredientsWithBoldPresetNames(text) {
-		if (!text) return "";
-
-		// Split by comma, but not commas inside parentheses
-		const parts = [];
-		let current = "";
-		let parenDepth = 0;
-
-		for (const char of text) {
-			if (char === "(") parenDepth++;
-			if (char === ")") parenDepth--;
-			if (char === "," && parenDepth === 0) {
-				parts.push(current.trim());
-				current = "";
+		const update = () => {
+			const amount = parseFloat(amountInput.value);
+			if (amount > 0) {
+				this.recipeAmounts[key] = { amount, unit: unitSelect.value };
 			} else {
-				current += char;
+				delete this.recipeAmounts[key];
+			}
+			this.updateRecipeShares();
+			this.updatePreview();
+		};
+		amountInput.addEventListener("input", update);
+		unitSelect.addEventListener("change", update);
+
+		// Re-sort once the amount is committed so typing doesn't lose focus
+		const resort = () => {
+			if (this.recipeEnabled.checked && this.recipeOrder.value === "weight") {
+				this.renderSelectedPresets();
+			}
+		};
+		amountInput.addEventListener("change", resort);
+		unitSelect.addEventListener("change", resort);
+
+		field.appendChild(amountInput);
+		field.appendChild(unitSelect);
+		field.appendChild(share);
+		return field;
+	}
+
+	// Amount rows for additional ingredients
+	renderAdditionalAmounts() {
+		this.additionalAmounts.innerHTML = "";
+		const names = this.getAdditionalIngredientNames();
+		if (!this.isRecipeAmountsVisible() || names.length === 0) {
+			this.additionalAmounts.style.display = "none";
+			return;
+		}
+		this.additionalAmounts.style.display = "block";
+		names.forEach((name) => {
+			const row = document.createElement("div");
+			row.className = "additional-amount-row";
+			const nameSpan = document.createElement("span");
+			nameSpan.className = "additional-amount-name";
+			nameSpan.textContent = name;
+			row.appendChild(nameSpan);
+			row.appendChild(
+				this.createAmountField(`extra:${name.toLowerCase()}`, name)
+			);
+			this.additionalAmounts.appendChild(row);
+		});
+		this.updateRecipeShares();
+	}
+
+	// Refresh each ingredient's share of the recipe and the recipe summary
+	updateRecipeShares() {
+		const items = this.getRecipeItems();
+		const { minor, totalGrams } = LabelRecipe.orderRecipeItems(items, {
+			order: this.recipeOrder.value,
+			groupMinor: this.recipeGroupMinor.checked,
+		});
+		const showShares = this.recipeEnabled.checked && totalGrams > 0;
+
+		document.querySelectorAll(".ingredient-share").forEach((share) => {
+			const item = items.find(
+				(candidate) => candidate.key === share.dataset.key
+			);
+			if (!showShares || !item || !item.grams) {
+				share.textContent = "";
+				share.title = "";
+				return;
 			}
+			const percent = (item.grams / totalGrams) * 100;
+			share.textContent = `${item.estimated ? "≈" : ""}${percent < 1 ? percent.toFixed(1) : Math.round(percent)}%`;
+			share.title = item.estimated
+				? `No density on file for ${item.name} - assumed water (1 g/ml). Enter a weight for accuracy.`
+				: `${Math.round(item.grams)} g`;
+		});
+
+		if (!showShares) {
+			this.recipeSummary.textContent = "";
+			return;
+		}
+		const minorNote =
+			minor.length > 0
+				? ` · ${minor.length} ingredient${minor.length !== 1 ? "s" : ""} at 2% or less grouped at the end`
+				: "";
+		this.recipeSummary.textContent = `Recipe total: ${Math.round(totalGrams).toLocaleString()} g${minorNote}`;
+	}
+
+	// ========== LABEL SIZE & AUTO-FIT ==========
+
+	// Read a {width, height, unit} size from a set of inputs, or null if incomplete
+	readLabelSize(widthInput, heightInput, unitInput) {
+		const width = parseFloat(widthInput.value);
+		const height = parseFloat(heightInput.value);
+		if (!(width > 0) || !(height > 0)) return null;
+		return { width, height, unit: unitInput.value === "mm" ? "mm" : "in" };
+	}
+
+	// Get the label size chosen in the Create Label form (null means use the business default)
+	getFormLabelSize() {
+		const choice = this.labelSizeSelect.value;
+		if (choice === "default") return null;
+		if (choice === "custom") {
+			return this.readLabelSize(
+				this.labelWidth,
+				this.labelHeight,
+				this.labelSizeUnit
+			);
 		}
-		if (current.trim()) parts.push(current.trim());
+		const preset = LABEL_SIZES.find((size) => size.id === choice);
+		return preset
+			? { width: preset.width, height: preset.height, unit: preset.unit }
+			: null;
+	}
 
-		// Format each part: bold only the name before parentheses, not the content inside
-		const formatted = parts.map((part) => {
-			const parenIndex = part.indexOf("(");
-			if (parenIndex > 0) {
-				const name = part.substring(0, parenIndex).trim();
-				const rest = part.substring(parenIndex); // Keep parenthetical content as-is (not escaped, preserves formatting)
-				return `<strong>${this.escapeHtml(name)}</strong> ${rest}`;
+	// Restore the label size selector from a stored size
+	setFormLabelSize(size) {
+		if (!size) {
+			this.labelSizeSelect.value = "default";
+		} else {
+			const preset = LABEL_SIZES.find(
+				(p) =>
+					p.width === size.width &&
+					p.height === size.height &&
+					p.unit === size.unit
+			);
+			if (preset) {
+				this.labelSizeSelect.value = preset.id;
+			} else {
+				this.labelSizeSelect.value = "custom";
+				this.labelWidth.value = size.width;
+				this.labelHeight.value = size.height;
+				this.labelSizeUnit.value = size.unit || "in";
 			}
-			// No parentheses - bold the whole ingredient
-			return `<strong>${this.escapeHtml(part)}</strong>`;
+		}
+		this.handleLabelSizeChange();
+	}
+
+	// Show custom width/height inputs only for custom sizes
+	handleLabelSizeChange() {
+		this.customSizeGroup.style.display =
+			this.labelSizeSelect.value === "custom" ? "flex" : "none";
+		this.sizeError.textContent = "";
+	}
+
+	// Populate label size options, naming the default size of the form's business profile
+	updateLabelSizeOptions() {
+		const selected = this.labelSizeSelect.value || "default";
+		const defaultSize = this.getFormBusiness().defaultLabelSize;
+		const defaultText = defaultSize
+			? `Business default (${this.formatLabelSize(this.toInches(defaultSize))})`
+			: "Business default (no fixed size)";
+
+		this.labelSizeSelect.innerHTML = "";
+		const options = [
+			{ id: "default", name: defaultText },
+			...LABEL_SIZES,
+			{ id: "custom", name: "Custom size…" },
+		];
+		options.forEach((size) => {
+			const option = document.createElement("option");
+			option.value = size.id;
+			option.textContent = size.name;
+			this.labelSizeSelect.appendChild(option);
+		});
+		this.labelSizeSelect.value = selected;
+
+		// Thermal sizes: each label's own size, or a fixed stock size
+		const zplSelected = this.zplSize.value || "label";
+		this.zplSize.innerHTML = "";
+		[{ id: "label", name: "Label's size" }, ...LABEL_SIZES].forEach((size) => {
+			const option = document.createElement("option");
+			option.value = size.id;
+			option.textContent = size.name;
+			this.zplSize.appendChild(option);
+		});
+		this.zplSize.value = zplSelected;
+	}
+
+	// Convert a stored size to inches
+	toInches(size) {
+		if (!size) return null;
+		const factor = size.unit === "mm" ? 1 / 25.4 : 1;
+		return { width: size.width * factor, height: size.height * factor };
+	}
+
+	// Get the physical size (in inches) a label renders at: its own size, else its business profile's default
+	getEffectiveLabelSize(label) {
+		return this.toInches(
+			label.labelSize || this.getLabelBusiness(label).defaultLabelSize || null
+		);
+	}
+
+	// Format an inch size for display, e.g. 2" × 2"
+	formatLabelSize(size) {
+		const round = (n) => Math.round(n * 100) / 100;
+		return `${round(size.width)}" × ${round(size.height)}"`;
+	}
+
+	// Find the largest typography that fits the label at its physical size, shrinking down to the FDA 8pt floor
+	// Returns { fontSizes, fits } - fits is false when content overflows even at the smallest step
+	fitLabelTypography(label, size) {
+		const steps = [];
+		for (let large = 14, small = 10; large >= FDA_MIN_FONT_PT; large--) {
+			steps.push({ large, small, lineHeight: 1.5, spacing: 6 });
+			small = Math.max(FDA_MIN_FONT_PT, small - 0.5);
+		}
+		// Final squeeze: tighter line height and spacing at the minimum size
+		steps.push({
+			large: FDA_MIN_FONT_PT,
+			small: FDA_MIN_FONT_PT,
+			lineHeight: 1.15,
+			spacing: 2,
 		});
 
-		return formatted.join(", ");
+		const measurer = document.createElement("div");
+		measurer.className = "label-fit-measurer";
+		document.body.appendChild(measurer);
+
+		let result = { fontSizes: steps[steps.length - 1], fits: false };
+		for (const fontSizes of steps) {
+			measurer.innerHTML = this.buildFormattedLabelHtml(label, {
+				size,
+				fontSizes,
+			});
+			const box = measurer.firstElementChild;
+			if (
+				box.scrollHeight <= box.clientHeight + 1 &&
+				box.scrollWidth <= box.clientWidth + 1
+			) {
+				result = { fontSizes, fits: true };
+				break;
+			}
+		}
+
+		measurer.remove();
+		return result;
+	}
+
+	// Build formatted HTML for label (used in preview, print, and rich text copy)
+	// Rendering lives in the shared LabelRenderer so the API produces identical output
+	// Options: size (inches) renders a fixed physical box; fontSizes overrides the default typography
+	buildFormattedLabelHtml(label, options = {}) {
+		return LabelRenderer.renderLabelHtml(label, options);
+	}
+
+	// Format ingredients with bold preset names only (not sub-ingredients in parentheses)
+	formatIngredientsWithBoldPresetNames(text) {
+		return LabelRenderer.formatIngredientsHtml(text);
 	}
 
 	// Copy the label as rich text (HTML) to clipboard
@@ -667,17 +3782,17 @@ class LabelManager {
 		}, 2000);
 	}
 
-	// CREATE: Add new label via API
+	// CREATE: Add new label via API (queued while offline)
 	async createLabel(labelData) {
 		const payload = {
 			...labelData,
 			color: labelData.color || this.defaultColor,
 		};
 		try {
-			const createdLabel = await this.apiRequest("/api/labels", {
-				method: "POST",
-				body: payload,
-			});
+			const createdLabel = await this.sendChange(
+				{ collection: "labels", action: "create", body: payload },
+				{ fieldErrors: "label" }
+			);
 			if (createdLabel) {
 				this.labels.push(createdLabel);
 				// Track last created label for copy functionality
@@ -704,45 +3819,6 @@ class LabelManager {
 		}
 	}
 
-	// CREATE: Batch create multiple labels (helper, currently unused)
-	async createBatchLabels(mainText, additionalTexts, size) {
-		const createdLabels = [];
-		if (mainText && mainText.trim()) {
-			const main = await this.createLabel({
-				text: mainText.trim(),
-				color: this.defaultColor,
-				size: size,
-			});
-			if (main) createdLabels.push(main);
-		}
-
-		if (Array.isArray(additionalTexts)) {
-			for (const text of additionalTexts) {
-				if (text && text.trim()) {
-					const extra = await this.createLabel({
-						text: text.trim(),
-						color: this.defaultColor,
-						size: size,
-					});
-					if (extra) createdLabels.push(extra);
-				}
-			}
-		}
-
-		return createdLabels;
-	}
-
-	// Parse comma-separated labels
-	parseAdditionalLabels(text) {
-		if (!text || !text.trim()) {
-			return [];
-		}
-		return text
-			.split(",")
-			.map((label) => label.trim())
-			.filter((label) => label.length > 0);
-	}
-
 	// READ: Get all labels
 	getAllLabels() {
 		return this.labels;
@@ -753,12 +3829,12 @@ class LabelManager {
 		return this.labels.find((label) => label.id === id);
 	}
 
-	// UPDATE: Edit existing label via API
+	// UPDATE: Edit existing label via API (queued while offline)
 	async updateLabel(id, updatedData) {
 		try {
-			const updatedLabel = await this.apiRequest(
-				`/api/labels/${encodeURIComponent(id)}`,
-				{ method: "PUT", body: updatedData }
+			const updatedLabel = await this.sendChange(
+				{ collection: "labels", action: "update", id, body: updatedData },
+				{ fieldErrors: "label" }
 			);
 			if (!updatedLabel) return false;
 			const index = this.labels.findIndex((label) => label.id === id);
@@ -772,12 +3848,10 @@ class LabelManager {
 		}
 	}
 
-	// DELETE: Remove label via API
+	// DELETE: Remove label via API (queued while offline)
 	async deleteLabel(id) {
 		try {
-			await this.apiRequest(`/api/labels/${encodeURIComponent(id)}`, {
-				method: "DELETE",
-			});
+			await this.sendChange({ collection: "labels", action: "delete", id });
 			const index = this.labels.findIndex((label) => label.id === id);
 			if (index !== -1) {
 				this.labels.splice(index, 1);
@@ -795,13 +3869,13 @@ class LabelManager {
 
 	// ========== PRESET CRUD OPERATIONS ==========
 
-	// CREATE: Add new preset via API
+	// CREATE: Add new preset via API (queued while offline)
 	async createPreset(presetData) {
 		try {
-			const newPreset = await this.apiRequest("/api/presets", {
-				method: "POST",
-				body: presetData,
-			});
+			const newPreset = await this.sendChange(
+				{ collection: "presets", action: "create", body: presetData },
+				{ fieldErrors: "preset" }
+			);
 			if (newPreset) {
 				this.presets.push(newPreset);
 			}
@@ -898,11 +3972,25 @@ class LabelManager {
 			this.renderPresets();
 		} catch (error) {
 			console.error("Search failed", error);
-			this.presetSearchResults = [];
+			this.presetSearchResults = this.isOnline
+				? []
+				: this.searchPresetsLocally(query);
 			this.renderPresets();
 		}
 	}
 
+	// Presets whose name, brand or sub-ingredients contain the query - the server's search, for
+	// when it can't be reached
+	searchPresetsLocally(query) {
+		const needle = query.trim().toLowerCase();
+		return this.presets.filter((preset) =>
+			[preset.name, preset.brandName, ...(preset.ingredients || [])].some(
+				(value) =>
+					typeof value === "string" && value.toLowerCase().includes(needle)
+			)
+		);
+	}
+
 	// Clear search input and results
 	clearPresetSearch() {
 		this.presetSearchInput.value = "";
@@ -955,7 +4043,9 @@ class LabelManager {
 			this.renderPresetCheckboxes();
 		} catch (error) {
 			console.error("Ingredient select search failed", error);
-			this.ingredientSelectSearchResults = [];
+			this.ingredientSelectSearchResults = this.isOnline
+				? []
+				: this.searchPresetsLocally(query);
 			this.renderPresetCheckboxes();
 		}
 	}
@@ -972,13 +4062,13 @@ class LabelManager {
 		this.renderPresetCheckboxes();
 	}
 
-	// UPDATE: Edit existing preset via API
+	// UPDATE: Edit existing preset via API (queued while offline)
 	async updatePreset(id, updatedData) {
 		console.log("Updating preset", id, updatedData);
 		try {
-			const updatedPreset = await this.apiRequest(
-				`/api/presets/${encodeURIComponent(id)}`,
-				{ method: "PUT", body: updatedData }
+			const updatedPreset = await this.sendChange(
+				{ collection: "presets", action: "update", id, body: updatedData },
+				{ fieldErrors: "preset" }
 			);
 			if (!updatedPreset) return false;
 			const index = this.presets.findIndex((preset) => preset.id === id);
@@ -992,16 +4082,36 @@ class LabelManager {
 		}
 	}
 
-	// DELETE: Remove preset via API
-	async deletePreset(id) {
+	// DELETE: Remove preset via API (queued while offline, unless it's in use)
+	// options: { force } removes it from labels and other presets, { replaceWith } points them at another preset
+	async deletePreset(id, options = {}) {
+		const params = new URLSearchParams();
+		if (options.force) params.set("force", "true");
+		if (options.replaceWith) params.set("replaceWith", options.replaceWith);
+		const query = params.toString() ? `?${params}` : "";
 		try {
-			await this.apiRequest(`/api/presets/${encodeURIComponent(id)}`, {
-				method: "DELETE",
-			});
+			// The server rewrites the labels and presets that use it, so that can't wait in the queue
+			const result = await this.sendChange(
+				{ collection: "presets", action: "delete", id, query },
+				{ queue: !query }
+			);
 			const index = this.presets.findIndex((preset) => preset.id === id);
 			if (index !== -1) {
 				this.presets.splice(index, 1);
 			}
+			// The server updates the labels and presets that used it
+			((result && result.presets) || []).forEach((updated) => {
+				const presetIndex = this.presets.findIndex(
+					(preset) => preset.id === updated.id
+				);
+				if (presetIndex !== -1) this.presets[presetIndex] = updated;
+			});
+			((result && result.labels) || []).forEach((updated) => {
+				const labelIndex = this.labels.findIndex(
+					(label) => label.id === updated.id
+				);
+				if (labelIndex !== -1) this.labels[labelIndex] = updated;
+			});
 			return true;
 		} catch (error) {
 			console.error("Failed to delete preset", error);
@@ -1009,23 +4119,198 @@ class LabelManager {
 		}
 	}
 
-	// Parse comma-separated ingredients
-	parseIngredients(text) {
-		if (!text || !text.trim()) {
-			return [];
-		}
-		return text
-			.split(",")
-			.map((ingredient) => ingredient.trim())
-			.filter((ingredient) => ingredient.length > 0);
+	// Parse comma-separated ingredients; commas inside parentheses or brackets don't split
+	parseIngredients(text) {
+		return LabelIngredientParser.splitTopLevel(text);
+	}
+
+	// Get selected allergens from checkboxes
+	getSelectedAllergens() {
+		const checkboxes = document.querySelectorAll(
+			'input[name="allergen"]:checked'
+		);
+		return Array.from(checkboxes).map((cb) => cb.value);
+	}
+
+	// Allergens implied by the selected ingredients' allergen tags (preset mode only)
+	getDerivedAllergens() {
+		if (this.creationMode.value !== "preset") {
+			return { allergens: [], sources: {} };
+		}
+		const presets = this.getSelectedPresets().map((id) =>
+			this.getPresetById(id)
+		);
+		return LabelAllergens.deriveAllergens(presets, (id) =>
+			this.getPresetById(id)
+		);
+	}
+
+	// Auto-check implied allergens; uncheck ones that were only implied by removed ingredients
+	syncDerivedAllergens() {
+		const previous = this.derivedAllergens.sources;
+		this.derivedAllergens = this.getDerivedAllergens();
+		const sources = this.derivedAllergens.sources;
+
+		this.allergenOverrides.forEach((allergen) => {
+			if (!sources[allergen]) this.allergenOverrides.delete(allergen);
+		});
+
+		document.querySelectorAll('input[name="allergen"]').forEach((cb) => {
+			if (sources[cb.value]) {
+				if (!this.allergenOverrides.has(cb.value)) cb.checked = true;
+			} else if (previous[cb.value]) {
+				cb.checked = false;
+			}
+		});
+		this.renderAllergenSources();
+	}
+
+	// Treat implied allergens missing from a stored label as deliberate overrides
+	restoreAllergenOverrides() {
+		this.derivedAllergens = this.getDerivedAllergens();
+		const checked = this.getSelectedAllergens();
+		this.allergenOverrides = new Set(
+			this.derivedAllergens.allergens.filter(
+				(allergen) => !checked.includes(allergen)
+			)
+		);
+		this.renderAllergenSources();
+	}
+
+	// Confirm before dropping an allergen that an ingredient implies
+	handleAllergenCheckboxChange(cb) {
+		const sources = this.derivedAllergens.sources[cb.value];
+		if (sources) {
+			if (cb.checked) {
+				this.allergenOverrides.delete(cb.value);
+			} else if (
+				confirm(
+					`⚠️ ${cb.value} comes from ${sources.join(", ")}.\n\nFDA requires every major allergen in your ingredients to be declared. Remove ${cb.value} from the CONTAINS statement anyway?`
+				)
+			) {
+				this.allergenOverrides.add(cb.value);
+			} else {
+				cb.checked = true;
+			}
+		}
+		this.renderAllergenSources();
+		this.renderAllergenSuggestions();
+		this.updatePreview();
+	}
+
+	// Show which ingredient implied each allergen, and a warning for unchecked ones
+	renderAllergenSources() {
+		const sources = this.derivedAllergens.sources;
+		document.querySelectorAll('input[name="allergen"]').forEach((cb) => {
+			const label = cb.closest(".checkbox-label");
+			let note = label.querySelector(".allergen-source");
+			if (!note) {
+				note = document.createElement("small");
+				note.className = "allergen-source";
+				label.appendChild(note);
+			}
+			note.textContent = sources[cb.value]
+				? `from ${sources[cb.value].join(", ")}`
+				: "";
+			label.classList.toggle("allergen-derived", !!sources[cb.value]);
+			label.classList.toggle(
+				"allergen-overridden",
+				this.allergenOverrides.has(cb.value)
+			);
+		});
+
+		const missing = [...this.allergenOverrides];
+		this.allergenWarning.style.display = missing.length > 0 ? "block" : "none";
+		this.allergenWarning.innerHTML = missing
+			.map(
+				(allergen) =>
+					`⚠️ <strong>${this.escapeHtml(allergen)}</strong> is not declared, but ${this.escapeHtml(sources[allergen].join(", "))} contains it.`
+			)
+			.join("<br>");
+	}
+
+	// Free-text ingredients that no preset tag covers
+	getFreeTextIngredients() {
+		return this.creationMode.value === "manual"
+			? this.labelText.value
+			: this.additionalIngredients.value;
+	}
+
+	// Keyword matches in free text that the allergen declaration doesn't cover yet
+	getAllergenSuggestions() {
+		const checked = this.getSelectedAllergens();
+		const details = this.allergenDetails.value.toLowerCase();
+		return LabelAllergens.detectAllergens(this.getFreeTextIngredients()).filter(
+			(match) =>
+				!this.dismissedAllergenTerms.has(match.term.toLowerCase()) &&
+				(!checked.includes(match.allergen) ||
+					(match.detail && !details.includes(match.detail.toLowerCase())))
+		);
+	}
+
+	// List detected allergen keywords with apply/dismiss actions
+	renderAllergenSuggestions() {
+		const suggestions = this.getAllergenSuggestions();
+		this.allergenSuggestions.innerHTML = "";
+		this.allergenSuggestions.style.display =
+			suggestions.length > 0 ? "block" : "none";
+		if (suggestions.length === 0) {
+			this.allergenError.textContent = "";
+			return;
+		}
+
+		const title = document.createElement("div");
+		title.className = "allergen-suggestions-title";
+		title.textContent = "🔎 Possible allergens in your ingredients:";
+		this.allergenSuggestions.appendChild(title);
+
+		const seen = new Set();
+		suggestions.forEach((match) => {
+			const key = match.term.toLowerCase();
+			if (seen.has(key)) return;
+			seen.add(key);
+
+			const item = document.createElement("div");
+			item.className = "allergen-suggestion";
+			const text = document.createElement("span");
+			text.textContent = `"${match.term}" → ${match.allergen}${match.detail ? ` (${match.detail})` : ""}`;
+			const dismissBtn = document.createElement("button");
+			dismissBtn.type = "button";
+			dismissBtn.className = "btn-dismiss-suggestion";
+			dismissBtn.textContent = "Not an allergen";
+			dismissBtn.addEventListener("click", () => {
+				this.dismissedAllergenTerms.add(key);
+				this.renderAllergenSuggestions();
+			});
+			item.appendChild(text);
+			item.appendChild(dismissBtn);
+			this.allergenSuggestions.appendChild(item);
+		});
+
+		const applyBtn = document.createElement("button");
+		applyBtn.type = "button";
+		applyBtn.className = "btn btn-small btn-apply-suggestions";
+		applyBtn.textContent = "Apply to declaration";
+		applyBtn.addEventListener("click", () => this.applyAllergenSuggestions());
+		this.allergenSuggestions.appendChild(applyBtn);
 	}
 
-	// Get selected allergens from checkboxes
-	getSelectedAllergens() {
-		const checkboxes = document.querySelectorAll(
-			'input[name="allergen"]:checked'
+	// Check suggested allergens and add the specific nuts/species to the details
+	applyAllergenSuggestions() {
+		const suggestions = this.getAllergenSuggestions();
+		const allergens = new Set(this.getSelectedAllergens());
+		suggestions.forEach((match) => {
+			allergens.add(match.allergen);
+			this.allergenOverrides.delete(match.allergen);
+		});
+		this.setAllergenCheckboxes([...allergens]);
+		this.allergenDetails.value = LabelAllergens.mergeAllergenDetails(
+			this.allergenDetails.value,
+			suggestions.map((match) => match.detail).filter((detail) => detail)
 		);
-		return Array.from(checkboxes).map((cb) => cb.value);
+		this.renderAllergenSources();
+		this.renderAllergenSuggestions();
+		this.updatePreview();
 	}
 
 	// Set allergen checkboxes
@@ -1038,26 +4323,22 @@ class LabelManager {
 
 	// Collect all FDA label data
 	collectFDAData() {
-		const businessData = {
-			businessName: this.businessName.value.trim(),
-			businessAddress: this.businessAddress.value.trim(),
-			businessCity: this.businessCity.value.trim(),
-			businessState: this.businessState.value.trim().toUpperCase(),
-			businessZip: this.businessZip.value.trim(),
-			businessPhone: this.businessPhone.value.trim(),
-		};
-
-		// Save business info for future labels
-		this.saveBusinessInfo(businessData);
+		const business = this.getFormBusiness();
 
 		return {
-			netQuantity: this.netQuantity.value,
-			netQuantityUnit: this.netQuantityUnit.value,
+			...this.getNetQuantityData(),
 			showBlankQuantity: this.showBlankQuantity.checked,
+			shelfLifeDays: parseInt(this.shelfLifeDays.value, 10) || null,
 			allergens: this.getSelectedAllergens(),
 			allergenDetails: this.allergenDetails.value.trim(),
-			...businessData,
+			dismissedAllergenTerms: [...this.dismissedAllergenTerms],
+			businessId: business.id || "",
+			...this.getBusinessFields(business),
 			includeCottageDisclaimer: this.cottageDisclaimer.checked,
+			labelSize: this.getFormLabelSize(),
+			recipe: this.getRecipeSettings(),
+			nutrition: this.getNutritionSettings(),
+			nutritionFacts: this.computeFormNutritionFacts(),
 		};
 	}
 
@@ -1103,7 +4384,7 @@ class LabelManager {
 					creationMode: "manual",
 					selectedPresetIds: [],
 					additionalIngredientsText: "",
-					ingredients: [],
+					ingredients: LabelIngredientParser.listIngredientNames(text),
 					...fdaData,
 				};
 			}
@@ -1130,7 +4411,7 @@ class LabelManager {
 					creationMode: "manual",
 					selectedPresetIds: [],
 					additionalIngredientsText: "",
-					ingredients: [],
+					ingredients: LabelIngredientParser.listIngredientNames(text),
 					...fdaData,
 				});
 				if (createdLabel) {
@@ -1177,14 +4458,20 @@ class LabelManager {
 			this.presetSelectGroup.style.display = "none";
 			this.selectedPresetsGroup.style.display = "none";
 			this.additionalIngredientsGroup.style.display = "none";
+			this.recipeGroup.style.display = "none";
 			this.labelText.required = true;
 		} else if (mode === "preset") {
 			this.manualInputGroup.style.display = "none";
 			this.presetSelectGroup.style.display = "block";
 			this.additionalIngredientsGroup.style.display = "block";
+			this.recipeGroup.style.display = "block";
 			this.labelText.required = false;
 			this.renderPresetCheckboxes();
 		}
+
+		// Manual labels have no ingredient tags to derive allergens from
+		this.syncDerivedAllergens();
+		this.renderAllergenSuggestions();
 	}
 
 	// Get selected preset IDs in user-specified order
@@ -1212,61 +4499,41 @@ class LabelManager {
 
 	// Collect all ingredients from selected presets and additional manual input
 	collectAllIngredients() {
-		const allIngredients = [];
-
-		// Get ingredients from selected presets
-		const selectedPresetIds = this.getSelectedPresets();
-		selectedPresetIds.forEach((presetId) => {
-			const preset = this.getPresetById(presetId);
-			if (preset) {
-				// For single ingredients (no sub-ingredients), use the preset name itself
-				if (preset.ingredients && preset.ingredients.length > 0) {
-					allIngredients.push(...preset.ingredients);
-				} else {
-					// Single ingredient - use the preset name
-					allIngredients.push(preset.name);
-				}
-			}
-		});
-
-		// Get additional manual ingredients
-		const additionalText = this.additionalIngredients.value.trim();
-		if (additionalText) {
-			const additionalItems = this.parseIngredients(additionalText);
-			allIngredients.push(...additionalItems);
-		}
-
-		return allIngredients;
+		return LabelIngredients.collectIngredients(
+			this.getFormIngredientSource(),
+			(id) => this.getPresetById(id)
+		);
 	}
 
 	// Build formatted label text with preset sections: PresetName (ingredient1, ingredient2)
 	buildFormattedLabelText() {
-		const parts = [];
-
-		// Get ingredients from selected presets in format: PresetName (ingredient1, ingredient2)
-		const selectedPresetIds = this.getSelectedPresets();
-		selectedPresetIds.forEach((presetId) => {
-			const preset = this.getPresetById(presetId);
-			if (preset) {
-				if (preset.ingredients && preset.ingredients.length > 0) {
-					// Multi-ingredient preset: show as "PresetName (ingredient1, ingredient2)"
-					const ingredientsList = preset.ingredients.join(", ");
-					parts.push(`${preset.name} (${ingredientsList})`);
-				} else {
-					// Single ingredient: just show the preset name
-					parts.push(preset.name);
-				}
-			}
-		});
+		return LabelIngredients.buildIngredientText(
+			this.getFormIngredientSource(),
+			(id) => this.getPresetById(id)
+		);
+	}
 
-		// Get additional manual ingredients (added as standalone items)
-		const additionalText = this.additionalIngredients.value.trim();
-		if (additionalText) {
-			const additionalItems = this.parseIngredients(additionalText);
-			parts.push(...additionalItems);
-		}
+	// Count declarations ("12 pieces, Net Wt. 8 oz") only apply to weight and volume units
+	updateNetCountVisibility() {
+		const isCount =
+			LabelNetQuantity.getUnit(this.netQuantityUnit.value).type === "count";
+		this.netCountRow.style.display = isCount ? "none" : "block";
+	}
 
-		return parts.join(", ");
+	// Net quantity fields from the form; count fields are dropped for count-only units
+	getNetQuantityData() {
+		const unit = this.netQuantityUnit.value;
+		const isCount = LabelNetQuantity.getUnit(unit).type === "count";
+		return {
+			netQuantity: this.netQuantity.value,
+			netQuantityUnit: unit,
+			netCount: isCount ? "" : this.netCount.value,
+			netCountUnit: isCount ? "" : this.netCountUnit.value.trim(),
+			netQuantityBase: LabelNetQuantity.getCanonicalAmount(
+				this.netQuantity.value,
+				unit
+			),
+		};
 	}
 
 	// Handle blank quantity checkbox toggle
@@ -1292,6 +4559,14 @@ class LabelManager {
 		presetSelectError.textContent = "";
 		this.nameError.textContent = "";
 		this.quantityError.textContent = "";
+		this.sizeError.textContent = "";
+		this.nutritionError.textContent = "";
+		this.allergenError.textContent = "";
+		this.recipeError.textContent = "";
+		const businessSelectError = document.getElementById(
+			"business-select-error"
+		);
+		businessSelectError.textContent = "";
 
 		// Validate label name (always required)
 		const labelName = this.labelName.value.trim();
@@ -1306,6 +4581,14 @@ class LabelManager {
 			return false;
 		}
 
+		// The business profile must have everything its state requires
+		if (!this.isBusinessComplete(this.getFormBusiness())) {
+			businessSelectError.textContent =
+				"Finish this business profile on the Business tab first";
+			this.labelBusiness.focus();
+			return false;
+		}
+
 		// Validate net quantity (required unless "show blank" is checked)
 		if (!this.showBlankQuantity.checked && !this.netQuantity.value.trim()) {
 			this.quantityError.textContent = "Net quantity is required";
@@ -1335,6 +4618,66 @@ class LabelManager {
 			}
 		}
 
+		// Allergen keywords in free text must be declared or dismissed
+		this.renderAllergenSuggestions();
+		if (this.getAllergenSuggestions().length > 0) {
+			this.allergenError.textContent =
+				"Your ingredients mention allergens that aren't declared. Apply or dismiss each suggestion.";
+			this.allergenSuggestions.scrollIntoView({
+				behavior: "smooth",
+				block: "center",
+			});
+			return false;
+		}
+
+		// Recipe mode needs an amount for every ingredient to order them by weight
+		if (this.recipeEnabled.checked && mode === "preset") {
+			const missing = this.getRecipeItems().filter((item) => !item.grams);
+			if (missing.length > 0) {
+				this.recipeError.textContent = `Enter an amount for ${missing.map((item) => item.name).join(", ")}`;
+				return false;
+			}
+		}
+
+		// Nutrition Facts need a serving size and recipe amounts from the Ingredient List
+		if (this.nutritionEnabled.checked) {
+			if (mode !== "preset") {
+				this.nutritionError.textContent =
+					"Nutrition Facts panels need ingredients from the Ingredient List";
+				return false;
+			}
+			if (!(parseFloat(this.servingSizeGrams.value) > 0)) {
+				this.nutritionError.textContent = "Enter the grams per serving";
+				this.servingSizeGrams.focus();
+				return false;
+			}
+			if (!this.computeFormNutritionFacts()) {
+				this.nutritionError.textContent =
+					"Enter amounts for the selected ingredients to compute Nutrition Facts";
+				return false;
+			}
+		}
+
+		// Content must fit the physical label size at the FDA 8pt minimum
+		const ingredientsText =
+			mode === "manual"
+				? this.labelText.value.trim()
+				: this.buildFormattedLabelText();
+		const labelData = this.getFormLabelData(ingredientsText);
+		const size = this.getEffectiveLabelSize(labelData);
+		if (size && !this.fitLabelTypography(labelData, size).fits) {
+			this.sizeError.textContent = `Label content does not fit a ${this.formatLabelSize(size)} label even at ${FDA_MIN_FONT_PT}pt. Choose a larger size or shorten the text.`;
+			this.labelSizeSelect.focus();
+			return false;
+		}
+
+		// Compliance errors don't block saving, but need an explicit confirmation
+		const lint = this.renderFormLint();
+		if (lint && !this.confirmLintErrors(lint.errors, "Save")) {
+			this.labelLint.scrollIntoView({ behavior: "smooth", block: "center" });
+			return false;
+		}
+
 		return true;
 	}
 
@@ -1354,8 +4697,14 @@ class LabelManager {
 		this.creationMode.value = mode;
 		this.handleCreationModeChange();
 
+		// Restore recipe and nutrition settings first so selected ingredients render their amount inputs
+		this.setRecipeSettings(label.recipe, label.nutrition);
+		this.setNutritionSettings(label.nutrition);
+
 		// Populate core label fields
 		this.labelName.value = label.name || "";
+		this.labelBusiness.value = this.getLabelBusiness(label).id || "";
+		this.updateLabelSizeOptions();
 		if (mode === "manual") {
 			// Manual labels use the free-form text area
 			this.labelText.value = label.text || "";
@@ -1363,10 +4712,17 @@ class LabelManager {
 			if (this.presetCheckboxes) {
 				this.setSelectedPresets([]);
 			}
+			this.showMissingPresetsWarning(0);
 			this.additionalIngredients.value = "";
 		} else {
 			// Preset-based labels: restore preset selection + additional ingredients
-			const selectedPresetIds = label.selectedPresetIds || [];
+			// Ingredients deleted since the label was saved can't be selected - say so rather than drop them quietly
+			const selectedPresetIds = (label.selectedPresetIds || []).filter((id) =>
+				this.getPresetById(id)
+			);
+			this.showMissingPresetsWarning(
+				(label.selectedPresetIds || []).length - selectedPresetIds.length
+			);
 			if (this.presetCheckboxes) {
 				this.setSelectedPresets(selectedPresetIds);
 			}
@@ -1374,15 +4730,26 @@ class LabelManager {
 			// Keep manual text in sync with stored label text for completeness
 			this.labelText.value = label.text || "";
 		}
+		this.renderAdditionalAmounts();
 
 		// Populate FDA fields
 		this.netQuantity.value = label.netQuantity || "";
 		this.netQuantityUnit.value = label.netQuantityUnit || "pieces";
+		this.netCount.value = label.netCount || "";
+		this.netCountUnit.value = label.netCountUnit || "";
+		this.updateNetCountVisibility();
+		this.shelfLifeDays.value = label.shelfLifeDays || "";
 		this.showBlankQuantity.checked = !!label.showBlankQuantity;
 		this.handleBlankQuantityToggle(); // Update required state based on checkbox
 		this.setAllergenCheckboxes(label.allergens || []);
+		this.restoreAllergenOverrides();
 		this.allergenDetails.value = label.allergenDetails || "";
+		this.dismissedAllergenTerms = new Set(
+			(label.dismissedAllergenTerms || []).map((term) => term.toLowerCase())
+		);
+		this.renderAllergenSuggestions();
 		this.cottageDisclaimer.checked = !!label.includeCottageDisclaimer;
+		this.setFormLabelSize(label.labelSize || null);
 
 		// Clear any previous errors
 		document.getElementById("text-error").textContent = "";
@@ -1401,6 +4768,15 @@ class LabelManager {
 		this.form.scrollIntoView({ behavior: "smooth", block: "start" });
 	}
 
+	// Warn that a label being edited referenced ingredients that no longer exist
+	showMissingPresetsWarning(count) {
+		this.missingPresetsWarning.style.display = count > 0 ? "block" : "none";
+		this.missingPresetsWarning.textContent =
+			count > 0
+				? `⚠️ ${count} ingredient${count === 1 ? "" : "s"} on this label ${count === 1 ? "has" : "have"} been deleted and ${count === 1 ? "is" : "are"} no longer selected. Saving will update the ingredient list without ${count === 1 ? "it" : "them"} - select a replacement if needed.`
+				: "";
+	}
+
 	// Cancel edit mode
 	cancelEdit() {
 		this.editingLabelId = null;
@@ -1415,11 +4791,14 @@ class LabelManager {
 		this.cancelBtn.style.display = "none";
 		this.creationMode.value = "preset";
 
-		// Clear selected presets order
+		// Clear selected presets order, recipe and nutrition settings
 		this.selectedPresetOrder = [];
+		this.setRecipeSettings(null);
+		this.setNutritionSettings(null);
 		this.clearIngredientSelectSearch();
 
 		this.handleCreationModeChange();
+		this.renderAdditionalAmounts();
 		this.labelName.value = "";
 		document.getElementById("text-error").textContent = "";
 		document.getElementById("preset-select-error").textContent = "";
@@ -1428,15 +4807,26 @@ class LabelManager {
 		// Reset FDA fields (but preserve business info)
 		this.netQuantity.value = "";
 		this.netQuantityUnit.value = "pieces";
+		this.netCount.value = "";
+		this.netCountUnit.value = "";
+		this.updateNetCountVisibility();
+		this.shelfLifeDays.value = "";
 		this.showBlankQuantity.checked = false;
 		this.netQuantity.required = true;
 		this.quantityError.textContent = "";
 		this.setAllergenCheckboxes([]);
+		this.restoreAllergenOverrides();
 		this.allergenDetails.value = "";
+		this.dismissedAllergenTerms = new Set();
+		this.renderAllergenSuggestions();
 		this.cottageDisclaimer.checked = true;
+		this.setFormLabelSize(null);
+		this.showMissingPresetsWarning(0);
 
-		// Re-populate business info (persists across labels)
-		this.populateBusinessInfo();
+		// New labels start on the default business profile
+		this.labelBusiness.value = (this.getDefaultBusiness() || {}).id || "";
+		document.getElementById("business-select-error").textContent = "";
+		this.updateLabelSizeOptions();
 	}
 
 	// Delete label with confirmation
@@ -1551,6 +4941,7 @@ class LabelManager {
 		} else {
 			this.presetFormWrapper.style.display = "block";
 			this.togglePresetFormBtn.textContent = "− Hide Form";
+			this.renderPresetReferenceOptions();
 			this.presetName.focus();
 		}
 	}
@@ -1566,7 +4957,9 @@ class LabelManager {
 		const name = this.presetName.value.trim();
 		const brandName = this.presetBrandName.value.trim();
 		const ingredientsText = this.presetIngredients.value.trim();
-		const ingredients = this.parseIngredients(ingredientsText);
+		const ingredients = this.parsePresetEntries(ingredientsText);
+		const nutrients = this.readPresetNutrients();
+		const allergenTags = this.readPresetAllergenTags();
 
 		let success = false;
 		if (this.editingPresetId) {
@@ -1575,10 +4968,14 @@ class LabelManager {
 				name,
 				brandName,
 				ingredients,
+				nutrients,
+				allergenTags,
 			});
 			if (success) {
+				const presetId = this.editingPresetId;
 				this.editingPresetId = null;
 				this.showToast(`Ingredient "${name}" updated!`);
+				this.reviewAffectedLabels(presetId);
 			}
 		} else {
 			// Create new ingredient
@@ -1586,6 +4983,8 @@ class LabelManager {
 				name,
 				brandName,
 				ingredients,
+				nutrients,
+				allergenTags,
 			});
 			if (newPreset) {
 				success = true;
@@ -1602,6 +5001,118 @@ class LabelManager {
 		}
 	}
 
+	// After a preset edit (or an import updating several), offer to update the labels whose ingredient
+	// statement changed
+	reviewAffectedLabels(presetIds) {
+		const ids = Array.isArray(presetIds) ? presetIds : [presetIds];
+		const getPresetById = (id) => this.getPresetById(id);
+		this.labelChanges = [];
+		ids.forEach((presetId) =>
+			LabelIngredients.findAffectedLabels(
+				this.labels,
+				presetId,
+				getPresetById
+			).forEach((change) => {
+				if (
+					!this.labelChanges.some((seen) => seen.label.id === change.label.id)
+				) {
+					this.labelChanges.push(change);
+				}
+			})
+		);
+		if (this.labelChanges.length === 0) return;
+
+		const preset = this.getPresetById(ids[0]);
+		const subject =
+			ids.length > 1
+				? `${ids.length} updated ingredients are`
+				: `"${preset ? preset.name : "This ingredient"}" is`;
+		const count = this.labelChanges.length;
+		this.regenerateIntro.textContent = `${subject} used in ${count} label${count === 1 ? "" : "s"} whose ingredient list would change. Review the changes and choose which labels to update.`;
+		this.regenerateSelectAll.checked = true;
+		this.renderLabelChanges();
+		this.regenerateModal.style.display = "flex";
+		document.body.style.overflow = "hidden";
+	}
+
+	// Close the regenerate modal, leaving labels unchanged
+	closeRegenerateModal() {
+		this.labelChanges = [];
+		this.regenerateModal.style.display = "none";
+		document.body.style.overflow = "";
+	}
+
+	// One row per affected label: checkbox, name and a word diff of the ingredient list
+	renderLabelChanges() {
+		this.regenerateList.innerHTML = "";
+		this.labelChanges.forEach(({ label, before, after }) => {
+			const item = document.createElement("div");
+			item.className = "regenerate-item";
+
+			const header = document.createElement("label");
+			header.className = "checkbox-label regenerate-item-header";
+			const checkbox = document.createElement("input");
+			checkbox.type = "checkbox";
+			checkbox.value = label.id;
+			checkbox.checked = true;
+			checkbox.addEventListener("change", () => this.updateRegenerateSubmit());
+			header.appendChild(checkbox);
+			header.appendChild(
+				document.createTextNode(` ${label.name || "Untitled label"}`)
+			);
+
+			const diff = document.createElement("div");
+			diff.className = "regenerate-diff";
+			diff.innerHTML = LabelIngredients.diffIngredientText(before, after)
+				.map((part) =>
+					part.type === "same"
+						? this.escapeHtml(part.text)
+						: `<span class="diff-${part.type}">${this.escapeHtml(part.text)}</span>`
+				)
+				.join("");
+
+			item.appendChild(header);
+			item.appendChild(diff);
+			this.regenerateList.appendChild(item);
+		});
+		this.updateRegenerateSubmit();
+	}
+
+	// IDs of the labels ticked in the regenerate modal
+	getSelectedLabelChanges() {
+		return [
+			...this.regenerateList.querySelectorAll('input[type="checkbox"]:checked'),
+		].map((cb) => cb.value);
+	}
+
+	updateRegenerateSubmit() {
+		const count = this.getSelectedLabelChanges().length;
+		this.regenerateSubmitBtn.disabled = count === 0;
+		this.regenerateSubmitBtn.textContent = `🔄 Update ${count} Label${count === 1 ? "" : "s"}`;
+	}
+
+	// Regenerate the ticked labels on the server in one request
+	async handleRegenerateLabels() {
+		const labelIds = this.getSelectedLabelChanges();
+		if (labelIds.length === 0) return;
+		this.regenerateSubmitBtn.disabled = true;
+		try {
+			const result = await this.apiRequest("/api/labels/regenerate", {
+				method: "POST",
+				body: { labelIds },
+			});
+			this.replaceLabels(
+				result.updated.map(({ previousText, ...label }) => label)
+			);
+			this.closeRegenerateModal();
+			const count = result.updated.length;
+			this.showToast(`Updated ${count} label${count === 1 ? "" : "s"}`);
+		} catch (error) {
+			console.error("Failed to regenerate labels", error);
+			this.updateRegenerateSubmit();
+		}
+	}
+
 	// Validate ingredient form
 	validatePresetForm() {
 		const nameError = document.getElementById("preset-name-error");
@@ -1620,19 +5131,120 @@ class LabelManager {
 			return false;
 		}
 
-		// Sub-ingredients are now optional - no validation required
+		// Sub-ingredients are optional, but "@Name" references must resolve
+		const ingredientsText = this.presetIngredients.value.trim();
+		const unknown = this.parseIngredients(ingredientsText)
+			.filter((entry) => entry.startsWith(LabelPresets.REFERENCE_PREFIX))
+			.filter((entry) => !this.findPresetByReference(entry));
+		if (unknown.length > 0) {
+			ingredientsError.textContent = `No saved ingredient named ${unknown.map((entry) => `"${entry.slice(1).trim()}"`).join(", ")}`;
+			this.presetIngredients.focus();
+			return false;
+		}
+
+		// Referencing an ingredient that (eventually) includes this one would loop forever
+		const cycle = LabelPresets.findReferenceCycle(
+			{
+				id: this.editingPresetId,
+				name,
+				ingredients: this.parsePresetEntries(ingredientsText),
+			},
+			(id) => this.getPresetById(id)
+		);
+		if (cycle) {
+			ingredientsError.textContent = `Circular reference: ${cycle.join(" → ")}`;
+			this.presetIngredients.focus();
+			return false;
+		}
 
 		return true;
 	}
 
+	// Find the preset named by an "@Name" sub-ingredient reference (case-insensitive)
+	findPresetByReference(entry) {
+		const name = entry
+			.slice(LabelPresets.REFERENCE_PREFIX.length)
+			.trim()
+			.toLowerCase();
+		return this.presets.find((preset) => preset.name.toLowerCase() === name);
+	}
+
+	// Parse the sub-ingredients text box; "@Name" entries become { presetId } references
+	parsePresetEntries(text) {
+		return this.parseIngredients(text).map((entry) => {
+			if (!entry.startsWith(LabelPresets.REFERENCE_PREFIX)) return entry;
+			const preset = this.findPresetByReference(entry);
+			return preset ? { presetId: preset.id } : entry;
+		});
+	}
+
+	// Display name of a sub-ingredient entry (referenced presets use their current name)
+	getPresetEntryName(entry) {
+		if (!LabelPresets.isPresetReference(entry)) return entry;
+		const preset = this.getPresetById(entry.presetId);
+		return preset ? preset.name : "(deleted ingredient)";
+	}
+
+	// Sub-ingredients text for the form, writing references as "@Name"
+	formatPresetEntriesForInput(entries = []) {
+		return entries
+			.filter(
+				(entry) =>
+					!LabelPresets.isPresetReference(entry) ||
+					this.getPresetById(entry.presetId)
+			)
+			.map((entry) =>
+				LabelPresets.isPresetReference(entry)
+					? `${LabelPresets.REFERENCE_PREFIX}${this.getPresetEntryName(entry)}`
+					: entry
+			)
+			.join(", ");
+	}
+
+	// Fill the "include a saved ingredient" picker with every other preset
+	renderPresetReferenceOptions() {
+		this.presetReferenceSelect.innerHTML =
+			'<option value="">+ Include a saved ingredient...</option>';
+		[...this.presets]
+			.filter((preset) => preset.id !== this.editingPresetId)
+			.sort((a, b) => a.name.localeCompare(b.name))
+			.forEach((preset) => {
+				const option = document.createElement("option");
+				option.value = preset.id;
+				option.textContent = preset.name;
+				this.presetReferenceSelect.appendChild(option);
+			});
+	}
+
+	// Append an "@Name" reference to the sub-ingredients text box
+	insertPresetReference() {
+		const preset = this.getPresetById(this.presetReferenceSelect.value);
+		this.presetReferenceSelect.value = "";
+		if (!preset) return;
+		const current = this.presetIngredients.value.trim();
+		const reference = `${LabelPresets.REFERENCE_PREFIX}${preset.name}`;
+		this.presetIngredients.value = current
+			? `${current}, ${reference}`
+			: reference;
+		this.presetIngredients.dispatchEvent(new Event("input"));
+		this.presetIngredients.focus();
+	}
+
 	// Edit ingredient - populate form
 	editPreset(id) {
 		const preset = this.getPresetById(id);
 		if (preset) {
 			this.editingPresetId = id;
+			this.renderPresetReferenceOptions();
 			this.presetName.value = preset.name;
 			this.presetBrandName.value = preset.brandName || "";
-			this.presetIngredients.value = preset.ingredients.join(", ");
+			this.presetIngredients.value = this.formatPresetEntriesForInput(
+				preset.ingredients
+			);
+			this.setPresetNutrients(preset.nutrients);
+			this.renderPresetAllergenTags(
+				LabelAllergens.getPresetAllergenTags(preset)
+			);
 
 			this.presetFormTitle.textContent = "Edit Ingredient";
 			this.presetSubmitBtn.textContent = "Update Ingredient";
@@ -1659,28 +5271,242 @@ class LabelManager {
 		this.togglePresetFormBtn.textContent = "+ New Ingredient";
 		document.getElementById("preset-name-error").textContent = "";
 		document.getElementById("preset-ingredients-error").textContent = "";
+		this.setPresetNutrients(null);
+		this.renderPresetAllergenTags([]);
+	}
+
+	// Render one allergen tag row per sub-ingredient (or the ingredient itself when it has none)
+	renderPresetAllergenTags(tags = []) {
+		const name = this.presetName.value.trim();
+		// Referenced ingredients carry their own tags
+		const entries = this.parseIngredients(this.presetIngredients.value.trim());
+		const subIngredients = entries.filter(
+			(entry) => !entry.startsWith(LabelPresets.REFERENCE_PREFIX)
+		);
+		const isSelfRow = entries.length === 0;
+		const rows = isSelfRow ? (name ? [name] : []) : subIngredients;
+
+		// Match existing tags by ingredient; a renamed single ingredient keeps its own tag
+		const tagsByIngredient = new Map(
+			tags.map((tag) => [tag.ingredient.toLowerCase(), tag.allergens])
+		);
+		const wasSelfRow = !!this.presetAllergenTags.querySelector(
+			'.allergen-tag-row[data-self="true"]'
+		);
+
+		this.presetAllergenTags.innerHTML = "";
+		if (rows.length === 0) {
+			this.presetAllergenTags.innerHTML =
+				'<p class="allergen-tag-empty">Enter a name or sub-ingredients to tag allergens.</p>';
+			return;
+		}
+
+		rows.forEach((ingredient) => {
+			let allergens = tagsByIngredient.get(ingredient.toLowerCase());
+			if (!allergens && isSelfRow && wasSelfRow && tags.length === 1) {
+				allergens = tags[0].allergens;
+			}
+			allergens = allergens || [];
+
+			const row = document.createElement("div");
+			row.className = "allergen-tag-row";
+			row.dataset.ingredient = ingredient;
+			row.dataset.self = String(isSelfRow);
+
+			const nameSpan = document.createElement("span");
+			nameSpan.className = "allergen-tag-ingredient";
+			nameSpan.textContent = ingredient;
+			row.appendChild(nameSpan);
+
+			LabelAllergens.MAJOR_ALLERGENS.forEach((allergen) => {
+				const chip = document.createElement("label");
+				chip.className = "allergen-tag-chip";
+				const input = document.createElement("input");
+				input.type = "checkbox";
+				input.dataset.allergen = allergen;
+				input.checked = allergens.includes(allergen);
+				chip.appendChild(input);
+				chip.appendChild(document.createTextNode(` ${allergen}`));
+				row.appendChild(chip);
+			});
+
+			this.presetAllergenTags.appendChild(row);
+		});
+	}
+
+	// Read allergen tags from the ingredient form
+	readPresetAllergenTags() {
+		return [...this.presetAllergenTags.querySelectorAll(".allergen-tag-row")]
+			.map((row) => ({
+				ingredient: row.dataset.ingredient,
+				allergens: [
+					...row.querySelectorAll("input[data-allergen]:checked"),
+				].map((input) => input.dataset.allergen),
+			}))
+			.filter((tag) => tag.allergens.length > 0);
 	}
 
 	// Delete ingredient with confirmation
 	async handlePresetDelete(id) {
 		const preset = this.getPresetById(id);
+		if (!preset) return;
+		// Ingredients in use get the where-used panel with replace and force options instead
+		const usage = this.getPresetUsage(id);
+		if (usage.labels.length > 0 || usage.presets.length > 0) {
+			this.openPresetUsage(id, true);
+			return;
+		}
 		if (
-			preset &&
 			confirm(
 				`Are you sure you want to delete the "${preset.name}" ingredient?`
 			)
 		) {
-			const presetName = preset.name;
-			const success = await this.deletePreset(id);
-			if (success) {
-				// If we were editing this ingredient, cancel edit mode
-				if (this.editingPresetId === id) {
-					this.cancelPresetEdit();
-				}
-				this.renderPresets();
-				this.updatePresetDropdown();
-				this.showToast(`Ingredient "${presetName}" deleted`);
-			}
+			await this.finishPresetDelete(id);
+		}
+	}
+
+	// Delete a preset and refresh everything that showed it
+	async finishPresetDelete(id, options = {}) {
+		const preset = this.getPresetById(id);
+		const presetName = preset ? preset.name : "";
+		const success = await this.deletePreset(id, options);
+		if (!success) return false;
+		// If we were editing this ingredient, cancel edit mode
+		if (this.editingPresetId === id) {
+			this.cancelPresetEdit();
+		}
+		// Keep an open label form in step with the server's changes
+		if (this.selectedPresetOrder.includes(id)) {
+			this.setSelectedPresets(
+				this.selectedPresetOrder
+					.map((presetId) => (presetId === id ? options.replaceWith : presetId))
+					.filter(
+						(presetId, index, list) =>
+							presetId && list.indexOf(presetId) === index
+					)
+			);
+			this.updatePreview();
+		}
+		this.renderPresets();
+		this.updatePresetDropdown();
+		this.render();
+		this.showToast(`Ingredient "${presetName}" deleted`);
+		return true;
+	}
+
+	// Labels and presets that use a preset, directly or through other presets
+	getPresetUsage(id) {
+		return LabelTrace.findPresetUsage(id, {
+			labels: this.labels,
+			presets: this.presets,
+		});
+	}
+
+	// Where-used panel; in delete mode it also offers replace and force delete
+	openPresetUsage(id, deleteMode = false) {
+		const preset = this.getPresetById(id);
+		if (!preset) return;
+		this.usagePresetId = id;
+		const usage = this.getPresetUsage(id);
+
+		this.presetUsageTitle.textContent = deleteMode
+			? `🗑️ "${preset.name}" Is In Use`
+			: `🔎 Where "${preset.name}" Is Used`;
+		this.presetUsageList.innerHTML = "";
+		const count = usage.labels.length;
+		const heading = document.createElement("h3");
+		heading.textContent = `Labels (${count})`;
+		this.presetUsageList.appendChild(heading);
+		if (count === 0) {
+			const empty = document.createElement("p");
+			empty.className = "form-hint";
+			empty.textContent = "No labels use this ingredient.";
+			this.presetUsageList.appendChild(empty);
+		} else {
+			const list = document.createElement("ul");
+			list.className = "trace-list";
+			usage.labels.forEach(({ label, reasons }) => {
+				const item = document.createElement("li");
+				item.className = "preset-usage-item";
+				item.innerHTML = `<div><strong>${this.escapeHtml(label.name || "Untitled label")}</strong><div class="trace-reasons">${reasons.map((reason) => this.escapeHtml(reason)).join(" · ")}</div></div>`;
+				const editBtn = document.createElement("button");
+				editBtn.type = "button";
+				editBtn.className = "btn btn-edit btn-small";
+				editBtn.textContent = "✏️ Edit";
+				editBtn.addEventListener("click", () => {
+					this.closePresetUsage();
+					this.editLabel(label.id);
+				});
+				item.appendChild(editBtn);
+				list.appendChild(item);
+			});
+			this.presetUsageList.appendChild(list);
+		}
+		if (usage.presets.length > 0) {
+			const presetHeading = document.createElement("h3");
+			presetHeading.textContent = `Ingredients (${usage.presets.length})`;
+			const presetList = document.createElement("ul");
+			presetList.className = "trace-list";
+			usage.presets.forEach((parent) => {
+				const item = document.createElement("li");
+				item.innerHTML = `<strong>${this.escapeHtml(parent.name)}</strong><div class="trace-reasons">Includes ${this.escapeHtml(preset.name)}</div>`;
+				presetList.appendChild(item);
+			});
+			this.presetUsageList.appendChild(presetHeading);
+			this.presetUsageList.appendChild(presetList);
+		}
+
+		this.presetDeleteOptions.style.display = deleteMode ? "block" : "none";
+		if (deleteMode) {
+			this.presetReplaceSelect.innerHTML =
+				'<option value="">Choose an ingredient…</option>';
+			this.getSortedPresets()
+				.filter((candidate) => candidate.id !== id)
+				.forEach((candidate) => {
+					const option = document.createElement("option");
+					option.value = candidate.id;
+					option.textContent = candidate.brandName
+						? `${candidate.name} (${candidate.brandName})`
+						: candidate.name;
+					this.presetReplaceSelect.appendChild(option);
+				});
+			this.presetReplaceBtn.disabled = true;
+		}
+		this.presetUsageModal.style.display = "flex";
+		document.body.style.overflow = "hidden";
+	}
+
+	closePresetUsage() {
+		this.usagePresetId = null;
+		this.presetUsageModal.style.display = "none";
+		document.body.style.overflow = "";
+	}
+
+	// Point labels and presets at the chosen replacement, then delete
+	async handlePresetReplaceDelete() {
+		const id = this.usagePresetId;
+		const replaceWith = this.presetReplaceSelect.value;
+		if (!id || !replaceWith) return;
+		if (await this.finishPresetDelete(id, { replaceWith })) {
+			this.closePresetUsage();
+		}
+	}
+
+	// Remove the preset from everything that uses it, then delete
+	async handlePresetForceDelete() {
+		const id = this.usagePresetId;
+		const preset = this.getPresetById(id);
+		if (!preset) return;
+		const usage = this.getPresetUsage(id);
+		if (
+			!confirm(
+				`Delete "${preset.name}" and remove it from ${usage.labels.length} label(s) and ${usage.presets.length} other ingredient(s)?`
+			)
+		) {
+			return;
+		}
+		if (await this.finishPresetDelete(id, { force: true })) {
+			this.closePresetUsage();
 		}
 	}
 
@@ -1762,6 +5588,9 @@ class LabelManager {
 
 	// Render the ordered list of selected presets with reorder buttons and drag-and-drop
 	renderSelectedPresets() {
+		// Keep the CONTAINS allergens in step with the selected ingredients
+		this.syncDerivedAllergens();
+
 		// Show/hide the group based on selection
 		if (this.selectedPresetOrder.length === 0) {
 			this.selectedPresetsGroup.style.display = "none";
@@ -1771,7 +5600,8 @@ class LabelManager {
 		this.selectedPresetsGroup.style.display = "block";
 		this.selectedPresetsList.innerHTML = "";
 
-		this.selectedPresetOrder.forEach((presetId, index) => {
+		const displayOrder = this.getDisplayPresetOrder();
+		displayOrder.forEach((presetId, index) => {
 			const preset = this.getPresetById(presetId);
 			if (!preset) return;
 
@@ -1815,7 +5645,7 @@ class LabelManager {
 			downBtn.className = "btn-reorder btn-reorder-down";
 			downBtn.innerHTML = "↓";
 			downBtn.title = "Move down";
-			downBtn.disabled = index === this.selectedPresetOrder.length - 1;
+			downBtn.disabled = index === displayOrder.length - 1;
 			downBtn.addEventListener("click", () => this.movePresetDown(preset.id));
 
 			reorderBtns.appendChild(upBtn);
@@ -1829,6 +5659,19 @@ class LabelManager {
 				: "";
 			nameSpan.innerHTML = `${this.escapeHtml(preset.name)}${brandText}`;
 
+			// Recipe amount for weight ordering and Nutrition Facts
+			let amountField = null;
+			if (this.isRecipeAmountsVisible()) {
+				amountField = this.createAmountField(preset.id, preset.name);
+				if (this.nutritionEnabled.checked && !preset.nutrients) {
+					const missing = document.createElement("span");
+					missing.className = "no-nutrient-data";
+					missing.textContent = "No nutrient data";
+					missing.title = "Add nutrition per 100 g in the Ingredient List tab";
+					amountField.appendChild(missing);
+				}
+			}
+
 			// Remove button
 			const removeBtn = document.createElement("button");
 			removeBtn.type = "button";
@@ -1842,9 +5685,12 @@ class LabelManager {
 			item.appendChild(dragHandle);
 			item.appendChild(reorderBtns);
 			item.appendChild(nameSpan);
+			if (amountField) item.appendChild(amountField);
 			item.appendChild(removeBtn);
 			this.selectedPresetsList.appendChild(item);
 		});
+
+		this.updateRecipeShares();
 	}
 
 	// Drag-and-drop handlers for reordering selected presets
@@ -1883,6 +5729,7 @@ class LabelManager {
 		}
 
 		if (this.draggedPresetId && this.draggedPresetId !== targetPresetId) {
+			this.beginManualOrder();
 			// Reorder the array
 			const fromIndex = this.selectedPresetOrder.indexOf(this.draggedPresetId);
 			const toIndex = this.selectedPresetOrder.indexOf(targetPresetId);
@@ -1908,6 +5755,7 @@ class LabelManager {
 
 	// Move preset up in the order
 	movePresetUp(id) {
+		this.beginManualOrder();
 		const index = this.selectedPresetOrder.indexOf(id);
 		if (index > 0) {
 			// Swap with previous item
@@ -1922,6 +5770,7 @@ class LabelManager {
 
 	// Move preset down in the order
 	movePresetDown(id) {
+		this.beginManualOrder();
 		const index = this.selectedPresetOrder.indexOf(id);
 		if (index < this.selectedPresetOrder.length - 1) {
 			// Swap with next item
@@ -1959,6 +5808,8 @@ class LabelManager {
 	// Render all labels to the DOM
 	render() {
 		const labels = this.getAllLabels();
+		this.renderRunLabelOptions();
+		this.renderBusinessApply();
 
 		// Update label count
 		this.labelCount.textContent = `${labels.length} label${labels.length !== 1 ? "s" : ""}`;
@@ -1987,65 +5838,81 @@ class LabelManager {
 		const card = document.createElement("div");
 		card.className = "label-card fda-label";
 
-		// Build allergen statement
-		let allergenStatement = "";
-		if (label.allergens && label.allergens.length > 0) {
-			let allergenText = label.allergens.join(", ");
-			if (label.allergenDetails) {
-				allergenText += ` (${label.allergenDetails})`;
-			}
-			allergenStatement = `<div class="label-allergens"><strong>CONTAINS:</strong> ${this.escapeHtml(allergenText)}</div>`;
+		// Card sections come from the shared renderer so they match the printed label
+		const sections = {};
+		LabelRenderer.getLabelSections(label).forEach((section) => {
+			sections[section.type] = section;
+		});
+
+		const allergenStatement = sections.allergens
+			? `<div class="label-allergens">${this.escapeHtml(sections.allergens.text)}</div>`
+			: "";
+		const businessInfo = sections.business
+			? `<div class="label-business">📍 ${this.escapeHtml(sections.business.text)}</div>`
+			: "";
+
+		let netQuantityStr = "";
+		if (sections.netQuantity) {
+			const { count, prefix, amount, unit, declaration } = sections.netQuantity;
+			const amountHtml = amount
+				? this.escapeHtml(amount)
+				: `<span style="display: inline-block; min-width: 40px;"></span>`;
+			const main = declaration
+				? this.escapeHtml(declaration)
+				: `${amountHtml} ${this.escapeHtml(unit)}`;
+			const prefixHtml = prefix
+				? `<strong>${this.escapeHtml(prefix)}</strong> `
+				: "";
+			const countHtml = count ? `${this.escapeHtml(count)}, ` : "";
+			netQuantityStr = `<div class="label-quantity">${countHtml}${prefixHtml}${main}</div>`;
 		}
 
-		// Build business info
-		let businessInfo = "";
-		if (label.businessName) {
-			const addressParts = [
-				label.businessAddress,
-				label.businessCity,
-				label.businessState,
-				label.businessZip,
+		// Compliance badge and issue list
+		const lint = this.lintLabel(label);
+		let lintBadge = "";
+		let lintList = "";
+		if (lint.issues.length > 0) {
+			const badgeClass =
+				lint.errors.length > 0
+					? "label-badge-lint-error"
+					: "label-badge-lint-warning";
+			const counts = [
+				lint.errors.length > 0
+					? `${lint.errors.length} error${lint.errors.length !== 1 ? "s" : ""}`
+					: "",
+				lint.warnings.length > 0
+					? `${lint.warnings.length} warning${lint.warnings.length !== 1 ? "s" : ""}`
+					: "",
 			]
-				.filter((p) => p)
+				.filter((text) => text)
 				.join(", ");
-			const phoneStr = label.businessPhone
-				? ` ☎ ${this.escapeHtml(label.businessPhone)}`
-				: "";
-			businessInfo = `<div class="label-business"><strong>${this.escapeHtml(label.businessName)}</strong> 📍 ${this.escapeHtml(addressParts)}${phoneStr}</div>`;
+			lintBadge = `<div class="label-badge ${badgeClass}">${lint.errors.length > 0 ? "❌" : "⚠️"} ${counts}</div>`;
+			lintList = `<details class="label-lint"><summary>Compliance issues</summary>${this.buildLintListHtml(lint)}</details>`;
 		}
 
-		// Build net quantity
-		let netQuantityStr = "";
-		if (label.netQuantity) {
-			netQuantityStr = `<div class="label-quantity"><strong>Net Wt.</strong> ${this.escapeHtml(
-				label.netQuantity
-			)} ${this.escapeHtml(label.netQuantityUnit || "pieces")}</div>`;
-		} else if (label.showBlankQuantity) {
-			netQuantityStr = `<div class="label-quantity"><strong>Net Wt.</strong> <span style="display: inline-block; min-width: 40px;"></span> ${this.escapeHtml(
-				label.netQuantityUnit || "pieces"
-			)}</div>`;
-		}
-
-		// Cottage food disclaimer
-		let cottageDisclaimer = "";
-		if (label.includeCottageDisclaimer) {
-			cottageDisclaimer = `<div class="label-disclaimer">MADE IN A COTTAGE FOOD OPERATION THAT IS NOT SUBJECT TO GOVERNMENT FOOD SAFETY INSPECTION</div>`;
-		}
-
-		// Ingredients section with bold ingredient names (used for both display and rich text copy)
-		const cleanIngredients = this.stripBracketsFromIngredients(label.text);
-		let ingredientsSection = "";
-		if (cleanIngredients) {
-			const formattedIngredients =
-				this.formatIngredientsWithBoldPresetNames(cleanIngredients);
-			ingredientsSection = `
+		// Badge for labels whose content overflows their assigned physical size
+		let sizeBadge = "";
+		const size = this.getEffectiveLabelSize(label);
+		if (size && !this.fitLabelTypography(label, size).fits) {
+			sizeBadge = `<div class="label-badge label-badge-overflow" title="Content does not fit at the ${FDA_MIN_FONT_PT}pt minimum">⚠ Doesn't fit ${this.escapeHtml(this.formatLabelSize(size))}</div>`;
+		}
+
+		const cottageDisclaimer = sections.cottageDisclaimer
+			? `<div class="label-disclaimer">${this.escapeHtml(sections.cottageDisclaimer.text)}</div>`
+			: "";
+
+		// Ingredients section with bold ingredient names
+		const ingredientsSection = sections.ingredients
+			? `
 					<div class="label-ingredients">
-						<strong>Ingredients:</strong> ${formattedIngredients}
+						<strong>${sections.ingredients.heading}</strong> ${this.formatIngredientsWithBoldPresetNames(sections.ingredients.text)}
 					</div>
-				`;
-		}
+				`
+			: "";
 
 		card.innerHTML = `
+		            ${lintBadge}
+		            ${sizeBadge}
 		            <div class="label-header">
 		                <div class="label-name">${this.escapeHtml(label.name)}</div>
 		                ${netQuantityStr}
@@ -2054,6 +5921,7 @@ class LabelManager {
 		            ${allergenStatement}
 		            ${businessInfo}
 		            ${cottageDisclaimer}
+		            ${lintList}
 		            <div class="label-actions">
 		                <button class="btn btn-edit" data-id="${label.id}">
 		                    ✏️ Edit
@@ -2061,6 +5929,12 @@ class LabelManager {
 		                <button class="btn btn-copy" data-id="${label.id}">
 		                    📋 Copy
 		                </button>
+		                <button class="btn btn-print" data-id="${label.id}">
+		                    🖨️ Print
+		                </button>
+		                <button class="btn btn-zpl" data-id="${label.id}" title="Download ZPL for thermal printers">
+		                    🏷️ ZPL
+		                </button>
 		                <button class="btn btn-delete" data-id="${label.id}">
 		                    🗑️ Delete
 		                </button>
@@ -2070,10 +5944,14 @@ class LabelManager {
 		// Attach event listeners to buttons
 		const editBtn = card.querySelector(".btn-edit");
 		const copyBtn = card.querySelector(".btn-copy");
+		const printBtn = card.querySelector(".btn-print");
+		const zplBtn = card.querySelector(".btn-zpl");
 		const deleteBtn = card.querySelector(".btn-delete");
 
 		editBtn.addEventListener("click", () => this.editLabel(label.id));
 		copyBtn.addEventListener("click", () => this.copyRichText(label, copyBtn));
+		printBtn.addEventListener("click", () => this.openPrintModal([label.id]));
+		zplBtn.addEventListener("click", () => this.downloadLabelZpl(label));
 		deleteBtn.addEventListener("click", () => this.handleDelete(label.id));
 
 		return card;
@@ -2081,69 +5959,7 @@ class LabelManager {
 
 	// Build full label text for copying
 	buildFullLabelText(label) {
-		// Strip brackets and normalize whitespace in ingredient text
-		const cleanIngredients = this.stripBracketsFromIngredients(label.text);
-
-		// Build lines for each logical section to ensure single-line spacing
-		const lines = [];
-
-		if (label.name) {
-			lines.push(label.name);
-		}
-
-		if (cleanIngredients) {
-			lines.push(`Ingredients: ${cleanIngredients}`);
-		}
-
-		if (label.allergens && label.allergens.length > 0) {
-			let allergenText = label.allergens.join(", ");
-			if (label.allergenDetails) {
-				allergenText += ` (${label.allergenDetails})`;
-			}
-			lines.push(`CONTAINS: ${allergenText}`);
-		}
-
-		// Business info - all on one line
-		if (label.businessName) {
-			const addressParts = [
-				label.businessName,
-				label.businessAddress,
-				label.businessCity,
-				label.businessState,
-				label.businessZip,
-				label.businessPhone,
-			]
-				.filter((p) => p)
-				.join(", ");
-			if (addressParts) {
-				lines.push(addressParts);
-			}
-		}
-
-		if (label.netQuantity) {
-			lines.push(
-				`Net Wt. ${label.netQuantity} ${label.netQuantityUnit || "pieces"}`
-			);
-		} else if (label.showBlankQuantity) {
-			lines.push(`Net Wt.      ${label.netQuantityUnit || "pieces"}`);
-		}
-
-		if (label.includeCottageDisclaimer) {
-			lines.push(
-				"MADE IN A COTTAGE FOOD OPERATION THAT IS NOT SUBJECT TO GOVERNMENT FOOD SAFETY INSPECTION"
-			);
-		}
-
-		// Join with a single newline to avoid double-line spacing
-		return lines.join("\n");
-	}
-
-	// Clean up ingredient text for copying
-	// Format is now: INGREDIENT (sub ingredients) - no stripping needed
-	stripBracketsFromIngredients(text) {
-		if (!text) return "";
-		// Just clean up any extra whitespace
-		return text.replace(/\s+/g, " ").trim();
+		return LabelRenderer.renderLabelText(label);
 	}
 
 	// Escape HTML to prevent XSS
@@ -2158,6 +5974,7 @@ class LabelManager {
 	// Render all presets to the DOM
 	renderPresets() {
 		const allPresets = this.getAllPresets();
+		this.renderTraceOptions();
 		const sortedPresets = this.getSortedPresets();
 		const isSearchActive = this.presetSearchResults !== null;
 
@@ -2203,7 +6020,11 @@ class LabelManager {
 		if (hasIngredients) {
 			const ingredientsList = preset.ingredients
 				.slice(0, 3)
-				.map((ing) => this.escapeHtml(ing))
+				.map((entry) =>
+					LabelPresets.isPresetReference(entry)
+						? `<strong>${this.escapeHtml(this.getPresetEntryName(entry))}</strong>`
+						: this.escapeHtml(entry)
+				)
 				.join(", ");
 			const moreText =
 				preset.ingredients.length > 3
@@ -2221,12 +6042,30 @@ class LabelManager {
 			? `<div class="preset-brand-name">Brand: ${this.escapeHtml(preset.brandName)}</div>`
 			: "";
 
+		// Allergens from the ingredient's tags and the ingredients it includes
+		const presetAllergens = LabelAllergens.getPresetAllergens(preset, (id) =>
+			this.getPresetById(id)
+		);
+		const allergensHtml =
+			presetAllergens.length > 0
+				? `<div class="preset-allergens">Allergens: ${this.escapeHtml(presetAllergens.join(", "))}</div>`
+				: "";
+
+		// Where used - labels that select it directly or through other ingredients
+		const usageCount = this.getPresetUsage(preset.id).labels.length;
+		const usageHtml =
+			usageCount > 0
+				? `<button type="button" class="preset-usage">Used in ${usageCount} label${usageCount === 1 ? "" : "s"}</button>`
+				: '<span class="preset-usage preset-usage-none">Not used in any labels</span>';
+
 		card.innerHTML = `
             <div class="preset-card-header">
                 <span class="preset-name">${this.escapeHtml(preset.name)}</span>
                 <span class="preset-count">${itemCountText}</span>
             </div>
             ${brandNameHtml}
+            ${allergensHtml}
+            ${usageHtml}
             <div class="preset-ingredients">
                 ${ingredientsDisplay}
             </div>
@@ -2248,6 +6087,10 @@ class LabelManager {
 		deleteBtn.addEventListener("click", () =>
 			this.handlePresetDelete(preset.id)
 		);
+		const usageBtn = card.querySelector("button.preset-usage");
+		if (usageBtn) {
+			usageBtn.addEventListener("click", () => this.openPresetUsage(preset.id));
+		}
 
 		return card;
 	}
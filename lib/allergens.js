@@ -0,0 +1,456 @@
+// Major food allergen tagging, derivation and keyword detection (FALCPA / FASTER Act)
+// Shared by the browser (window.LabelAllergens) and the API server (require)
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory(require("./presets"));
+	} else {
+		root.LabelAllergens = factory(root.LabelPresets);
+	}
+})(typeof self !== "undefined" ? self : this, function (LabelPresets) {
+	// The nine major food allergens, in the order the form lists them
+	const MAJOR_ALLERGENS = [
+		"Milk",
+		"Eggs",
+		"Wheat",
+		"Soy",
+		"Peanuts",
+		"Sesame",
+		"Tree Nuts",
+		"Fish",
+		"Shellfish",
+	];
+
+	// Free-text keywords for each allergen; detail is the specific tree nut, fish or shellfish FDA requires
+	// Entries with allergen: null shadow look-alike terms (e.g. "cocoa butter" is not Milk); nut and
+	// soy milks, creams and butters are listed under their nut or Soy so they don't count as Milk, and
+	// unnamed nuts ("mixed nuts", "nut butter") count as Tree Nuts without a specific nut
+	const ALLERGEN_KEYWORDS = [
+		{
+			allergen: "Milk",
+			terms: [
+				"milk",
+				"whole milk",
+				"skim milk",
+				"buttermilk",
+				"butter",
+				"cream",
+				"sour cream",
+				"cheese",
+				"cream cheese",
+				"yogurt",
+				"whey",
+				"whey protein",
+				"casein",
+				"caseinate",
+				"sodium caseinate",
+				"lactose",
+				"lactalbumin",
+				"ghee",
+				"curds",
+				"half and half",
+				"half-and-half",
+				"milk powder",
+				"nonfat dry milk",
+				"condensed milk",
+				"evaporated milk",
+			],
+		},
+		{
+			allergen: "Eggs",
+			terms: [
+				"egg",
+				"eggs",
+				"egg white",
+				"egg whites",
+				"egg yolk",
+				"egg yolks",
+				"albumin",
+				"meringue",
+				"mayonnaise",
+				"ovalbumin",
+				"lysozyme",
+			],
+		},
+		{
+			allergen: "Wheat",
+			terms: [
+				"wheat",
+				"flour",
+				"all-purpose flour",
+				"bread flour",
+				"wheat flour",
+				"whole wheat",
+				"semolina",
+				"durum",
+				"spelt",
+				"farro",
+				"einkorn",
+				"kamut",
+				"bulgur",
+				"couscous",
+				"seitan",
+				"wheat gluten",
+				"vital wheat gluten",
+				"graham flour",
+				"farina",
+				"bread crumbs",
+				"breadcrumbs",
+				"panko",
+			],
+		},
+		{
+			allergen: "Soy",
+			terms: [
+				"soy",
+				"soya",
+				"soybean",
+				"soybeans",
+				"soy lecithin",
+				"soy sauce",
+				"soy milk",
+				"soymilk",
+				"soy cream",
+				"tofu",
+				"tempeh",
+				"edamame",
+				"miso",
+				"tamari",
+			],
+		},
+		{
+			allergen: "Peanuts",
+			terms: [
+				"peanut",
+				"peanuts",
+				"peanut butter",
+				"peanut oil",
+				"peanut flour",
+				"groundnut",
+				"groundnuts",
+				"arachis oil",
+			],
+		},
+		{
+			allergen: "Sesame",
+			terms: [
+				"sesame",
+				"sesame seed",
+				"sesame seeds",
+				"sesame oil",
+				"tahini",
+				"benne",
+				"gomasio",
+			],
+		},
+		{
+			allergen: "Tree Nuts",
+			detail: "Almonds",
+			terms: [
+				"almond",
+				"almonds",
+				"almond flour",
+				"almond meal",
+				"almond butter",
+				"almond milk",
+				"almond cream",
+				"almond extract",
+				"marzipan",
+				"amaretto",
+			],
+		},
+		{
+			allergen: "Tree Nuts",
+			detail: "Walnuts",
+			terms: ["walnut", "walnuts", "walnut butter", "walnut milk"],
+		},
+		{
+			allergen: "Tree Nuts",
+			detail: "Pecans",
+			terms: ["pecan", "pecans", "pecan butter"],
+		},
+		{
+			allergen: "Tree Nuts",
+			detail: "Cashews",
+			terms: [
+				"cashew",
+				"cashews",
+				"cashew butter",
+				"cashew cream",
+				"cashew milk",
+			],
+		},
+		{
+			allergen: "Tree Nuts",
+			detail: "Pistachios",
+			terms: ["pistachio", "pistachios", "pistachio butter", "pistachio cream"],
+		},
+		{
+			allergen: "Tree Nuts",
+			detail: "Hazelnuts",
+			terms: [
+				"hazelnut",
+				"hazelnuts",
+				"hazelnut butter",
+				"hazelnut milk",
+				"filbert",
+				"filberts",
+				"praline",
+			],
+		},
+		{
+			allergen: "Tree Nuts",
+			detail: "Macadamia Nuts",
+			terms: [
+				"macadamia",
+				"macadamias",
+				"macadamia nut",
+				"macadamia nuts",
+				"macadamia milk",
+			],
+		},
+		{
+			allergen: "Tree Nuts",
+			detail: "Brazil Nuts",
+			terms: ["brazil nut", "brazil nuts"],
+		},
+		{
+			allergen: "Tree Nuts",
+			detail: "Pine Nuts",
+			terms: ["pine nut", "pine nuts", "pignoli"],
+		},
+		{
+			allergen: "Tree Nuts",
+			detail: "Chestnuts",
+			terms: ["chestnut", "chestnuts"],
+		},
+		{
+			allergen: "Tree Nuts",
+			terms: [
+				"tree nut",
+				"tree nuts",
+				"nut",
+				"nuts",
+				"mixed nuts",
+				"nut butter",
+				"nut butters",
+				"nut milk",
+			],
+		},
+		{
+			allergen: "Fish",
+			detail: "Anchovy",
+			terms: ["anchovy", "anchovies", "anchovy paste"],
+		},
+		{ allergen: "Fish", detail: "Salmon", terms: ["salmon"] },
+		{ allergen: "Fish", detail: "Tuna", terms: ["tuna"] },
+		{ allergen: "Fish", detail: "Cod", terms: ["cod", "codfish"] },
+		{ allergen: "Fish", detail: "Tilapia", terms: ["tilapia"] },
+		{ allergen: "Fish", detail: "Pollock", terms: ["pollock"] },
+		{ allergen: "Fish", detail: "Sardines", terms: ["sardine", "sardines"] },
+		{ allergen: "Fish", detail: "Mackerel", terms: ["mackerel"] },
+		{ allergen: "Fish", detail: "Halibut", terms: ["halibut"] },
+		{ allergen: "Fish", detail: "Trout", terms: ["trout"] },
+		{ allergen: "Fish", detail: "Catfish", terms: ["catfish"] },
+		{
+			allergen: "Fish",
+			terms: ["fish", "fish sauce", "fish oil", "worcestershire sauce"],
+		},
+		{
+			allergen: "Shellfish",
+			detail: "Shrimp",
+			terms: ["shrimp", "shrimps", "prawn", "prawns"],
+		},
+		{
+			allergen: "Shellfish",
+			detail: "Crab",
+			terms: ["crab", "crabs", "crabmeat"],
+		},
+		{
+			allergen: "Shellfish",
+			detail: "Lobster",
+			terms: ["lobster", "lobsters", "langoustine"],
+		},
+		{
+			allergen: "Shellfish",
+			detail: "Crawfish",
+			terms: ["crawfish", "crayfish"],
+		},
+		{
+			allergen: "Shellfish",
+			terms: ["shellfish", "crustacean", "crustaceans"],
+		},
+		{
+			allergen: null,
+			terms: [
+				"cocoa butter",
+				"cacao butter",
+				"shea butter",
+				"apple butter",
+				"coconut milk",
+				"coconut cream",
+				"coconut butter",
+				"oat milk",
+				"rice milk",
+				"cream of tartar",
+				"buckwheat",
+				"buckwheat flour",
+				"rice flour",
+				"corn flour",
+				"oat flour",
+				"coconut flour",
+				"chickpea flour",
+				"tapioca flour",
+				"potato flour",
+				"nutmeg",
+				"water chestnut",
+				"water chestnuts",
+				"egg-free",
+				"dairy-free",
+				"nut-free",
+			],
+		},
+	];
+
+	// Flattened keyword list, longest terms first so "almond flour" wins over "flour"
+	const KEYWORD_INDEX = ALLERGEN_KEYWORDS.flatMap((entry) =>
+		entry.terms.map((term) => ({
+			term,
+			allergen: entry.allergen,
+			detail: entry.detail || null,
+			pattern: new RegExp(
+				`(^|[^a-z])(${term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")})(?![a-z])`,
+				"g"
+			),
+		}))
+	).sort((a, b) => b.term.length - a.term.length);
+
+	// Find allergen keywords in free text
+	// Returns [{ term, allergen, detail }] in the order they appear
+	function detectAllergens(text) {
+		const lower = String(text || "").toLowerCase();
+		const claimed = new Array(lower.length).fill(false);
+		const matches = [];
+
+		KEYWORD_INDEX.forEach((keyword) => {
+			keyword.pattern.lastIndex = 0;
+			let match;
+			while ((match = keyword.pattern.exec(lower)) !== null) {
+				const start = match.index + match[1].length;
+				const end = start + match[2].length;
+				// Longer terms already claimed this span
+				if (claimed.slice(start, end).some((taken) => taken)) continue;
+				claimed.fill(true, start, end);
+				if (keyword.allergen) {
+					matches.push({
+						index: start,
+						term: String(text).slice(start, end),
+						allergen: keyword.allergen,
+						detail: keyword.detail,
+					});
+				}
+			}
+		});
+
+		return matches
+			.sort((a, b) => a.index - b.index)
+			.map(({ term, allergen, detail }) => ({ term, allergen, detail }));
+	}
+
+	// Append specific nuts/species to an allergen details string, skipping ones already listed
+	function mergeAllergenDetails(existing, details) {
+		const parts = String(existing || "")
+			.split(/[,;]/)
+			.map((part) => part.trim())
+			.filter((part) => part);
+		const known = new Set(parts.map((part) => part.toLowerCase()));
+		(details || []).forEach((detail) => {
+			if (!known.has(detail.toLowerCase())) {
+				known.add(detail.toLowerCase());
+				parts.push(detail);
+			}
+		});
+		return parts.join(", ");
+	}
+
+	// Keep only known allergens, de-duplicated and in MAJOR_ALLERGENS order
+	function normalizeAllergenList(allergens) {
+		const set = new Set(Array.isArray(allergens) ? allergens : []);
+		return MAJOR_ALLERGENS.filter((allergen) => set.has(allergen));
+	}
+
+	// Allergen tags stored on a preset: [{ ingredient, allergens }]
+	// A tag whose ingredient is the preset name applies to the preset itself
+	function getPresetAllergenTags(preset) {
+		if (!preset || !Array.isArray(preset.allergenTags)) return [];
+		return preset.allergenTags
+			.map((tag) => ({
+				ingredient: String((tag && tag.ingredient) || "").trim(),
+				allergens: normalizeAllergenList(tag && tag.allergens),
+			}))
+			.filter((tag) => tag.ingredient && tag.allergens.length > 0);
+	}
+
+	// All allergens a preset contains, from its own tag, its sub-ingredient tags
+	// and (given a lookup) the presets it references
+	function getPresetAllergens(preset, getPresetById) {
+		const presets = preset ? [preset] : [];
+		return getPresetById
+			? deriveAllergens(presets, getPresetById).allergens
+			: normalizeAllergenList(
+					getPresetAllergenTags(preset).flatMap((tag) => tag.allergens)
+				);
+	}
+
+	// Human-readable source of a tag, e.g. "Butter" or "Cookie Base › Butter"
+	function formatAllergenSource(path) {
+		return path.filter((part) => part).join(" › ");
+	}
+
+	// Derive CONTAINS allergens from presets and the presets they reference,
+	// recording which ingredient implied each one
+	// Returns { allergens: [...], sources: { Milk: ["Cookie Dough › Chocolate Chips › milkfat"] } }
+	function deriveAllergens(presets, getPresetById) {
+		const sources = {};
+		const addTags = (preset, path, visitedIds) => {
+			getPresetAllergenTags(preset).forEach((tag) => {
+				const tagPath =
+					tag.ingredient.toLowerCase() === String(preset.name).toLowerCase()
+						? path
+						: [...path, tag.ingredient];
+				const source = formatAllergenSource(tagPath);
+				tag.allergens.forEach((allergen) => {
+					if (!sources[allergen]) sources[allergen] = [];
+					if (!sources[allergen].includes(source)) {
+						sources[allergen].push(source);
+					}
+				});
+			});
+			if (!getPresetById) return;
+			LabelPresets.getPresetReferences(preset).forEach((entry) => {
+				const child = getPresetById(entry.presetId);
+				// Skip missing presets and reference cycles
+				if (!child || visitedIds.includes(child.id)) return;
+				addTags(child, [...path, child.name], [...visitedIds, child.id]);
+			});
+		};
+		(presets || []).forEach((preset) => {
+			if (preset) addTags(preset, [preset.name], [preset.id]);
+		});
+		return {
+			allergens: MAJOR_ALLERGENS.filter((allergen) => sources[allergen]),
+			sources,
+		};
+	}
+
+	return {
+		MAJOR_ALLERGENS,
+		normalizeAllergenList,
+		getPresetAllergenTags,
+		getPresetAllergens,
+		formatAllergenSource,
+		deriveAllergens,
+		ALLERGEN_KEYWORDS,
+		detectAllergens,
+		mergeAllergenDetails,
+	};
+});
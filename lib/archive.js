@@ -0,0 +1,299 @@
+// Workspace archive - one versioned JSON file with every label, preset, production run and business profile
+// Shared by the browser (window.LabelArchive) and the API server (require)
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory(require("./presets"));
+	} else {
+		root.LabelArchive = factory(root.LabelPresets);
+	}
+})(typeof self !== "undefined" ? self : this, function (LabelPresets) {
+	const ARCHIVE_FORMAT = "label-creator-workspace";
+	// Version 2 holds a list of business profiles; version 1 had a single business document
+	const ARCHIVE_VERSION = 2;
+	const IMPORT_MODES = ["merge", "replace"];
+
+	// Archive for the given collections; documents keep their client-facing ids
+	function createArchive(data) {
+		return {
+			format: ARCHIVE_FORMAT,
+			version: ARCHIVE_VERSION,
+			exportedAt: new Date().toISOString(),
+			businesses: data.businesses || [],
+			presets: data.presets || [],
+			labels: data.labels || [],
+			runs: data.runs || [],
+		};
+	}
+
+	// Error message for a file that isn't an archive this version can read, otherwise null
+	function validateArchive(archive) {
+		if (!archive || typeof archive !== "object" || Array.isArray(archive)) {
+			return "Not a workspace archive";
+		}
+		if (archive.format !== ARCHIVE_FORMAT) {
+			return "Not a workspace archive";
+		}
+		if (!(archive.version >= 1) || archive.version > ARCHIVE_VERSION) {
+			return `Unsupported archive version ${archive.version} (this app reads version ${ARCHIVE_VERSION})`;
+		}
+		for (const key of ["businesses", "presets", "labels", "runs"]) {
+			if (archive[key] !== undefined && !Array.isArray(archive[key])) {
+				return `Archive ${key} must be a list`;
+			}
+			const index = (archive[key] || []).findIndex(
+				(doc) => getDocumentShapeError(key, doc) !== null
+			);
+			if (index !== -1) {
+				return `Archive ${key}[${index}] ${getDocumentShapeError(key, archive[key][index])}`;
+			}
+		}
+		if (archive.business !== undefined && !isPlainObject(archive.business)) {
+			return "Archive business must be an object";
+		}
+		return null;
+	}
+
+	function isPlainObject(value) {
+		return !!value && typeof value === "object" && !Array.isArray(value);
+	}
+
+	// What's wrong with the parts of an archived document remapArchive rewrites, or null
+	// (the fields themselves are checked against the schemas by the server)
+	function getDocumentShapeError(key, doc) {
+		if (!isPlainObject(doc)) return "must be an object";
+		if (key === "presets") {
+			const ingredients = doc.ingredients;
+			if (ingredients !== undefined && ingredients !== null) {
+				if (!Array.isArray(ingredients)) return "ingredients must be a list";
+				if (
+					ingredients.some(
+						(entry) =>
+							typeof entry !== "string" &&
+							!(isPlainObject(entry) && typeof entry.presetId === "string")
+					)
+				) {
+					return "ingredients must be names or preset references";
+				}
+			}
+		}
+		if (key === "labels") return getLabelShapeError(doc);
+		if (key === "runs") {
+			if (doc.labelSnapshot === undefined || doc.labelSnapshot === null) {
+				return null;
+			}
+			if (!isPlainObject(doc.labelSnapshot)) {
+				return "labelSnapshot must be an object";
+			}
+			const error = getLabelShapeError(doc.labelSnapshot);
+			return error ? `labelSnapshot ${error}` : null;
+		}
+		return null;
+	}
+
+	function getLabelShapeError(label) {
+		if (
+			label.selectedPresetIds !== undefined &&
+			label.selectedPresetIds !== null &&
+			!Array.isArray(label.selectedPresetIds)
+		) {
+			return "selectedPresetIds must be a list";
+		}
+		for (const [field, mapField] of [
+			["recipe", "amounts"],
+			["nutrition", "ingredientGrams"],
+		]) {
+			const value = label[field];
+			if (value === undefined || value === null) continue;
+			if (!isPlainObject(value)) return `${field} must be an object`;
+			if (
+				value[mapField] !== undefined &&
+				value[mapField] !== null &&
+				!isPlainObject(value[mapField])
+			) {
+				return `${field}.${mapField} must be an object`;
+			}
+		}
+		return null;
+	}
+
+	// Business profiles of an archive; a version 1 archive's single business becomes the default profile
+	function getArchiveBusinesses(archive) {
+		if (Array.isArray(archive.businesses)) return archive.businesses;
+		return archive.business ? [{ ...archive.business, isDefault: true }] : [];
+	}
+
+	// Record counts, e.g. for confirming an import
+	function summarizeArchive(archive) {
+		return {
+			businesses: getArchiveBusinesses(archive).length,
+			presets: (archive.presets || []).length,
+			labels: (archive.labels || []).length,
+			runs: (archive.runs || []).length,
+		};
+	}
+
+	// Key for spotting the same business profile in two workspaces: name, address and city, ignoring case
+	function getBusinessKey(business) {
+		return ["businessName", "businessAddress", "businessCity"]
+			.map((field) =>
+				String(business[field] || "")
+					.trim()
+					.toLowerCase()
+			)
+			.join("|");
+	}
+
+	// Every id a document may be referenced by: the client-facing id, which for legacy presets is
+	// their custom id field, and the Mongo _id (plain or extended JSON { $oid })
+	function getDocumentIds(doc) {
+		const ids = [];
+		if (doc.id) ids.push(String(doc.id));
+		if (doc._id) ids.push(String(doc._id.$oid || doc._id));
+		return ids.filter((id, index) => ids.indexOf(id) === index);
+	}
+
+	// Copy of a document without its ids - the import assigns new ones
+	function withoutIds(doc) {
+		const copy = { ...doc };
+		delete copy._id;
+		delete copy.id;
+		return copy;
+	}
+
+	// Preset- and business-referencing fields of a label with ids translated through the maps
+	function remapLabelFields(label, mapPresetId, mapBusinessId) {
+		const remapped = { ...label, businessId: mapBusinessId(label.businessId) };
+		if (Array.isArray(label.selectedPresetIds)) {
+			remapped.selectedPresetIds = label.selectedPresetIds.map(mapPresetId);
+		}
+		const remapKeys = (values) => {
+			const result = {};
+			Object.entries(values).forEach(([key, value]) => {
+				result[key.startsWith("extra:") ? key : mapPresetId(key)] = value;
+			});
+			return result;
+		};
+		if (label.recipe && label.recipe.amounts) {
+			remapped.recipe = {
+				...label.recipe,
+				amounts: remapKeys(label.recipe.amounts),
+			};
+		}
+		if (label.nutrition && label.nutrition.ingredientGrams) {
+			remapped.nutrition = {
+				...label.nutrition,
+				ingredientGrams: remapKeys(label.nutrition.ingredientGrams),
+			};
+		}
+		return remapped;
+	}
+
+	// Give every archived document a new id and rewrite the references between them
+	// options.newId() returns a fresh id; options.findExistingPreset(preset) and
+	// options.findExistingBusiness(business) may return the id of a saved preset or business profile to
+	// reuse instead of adding the archived one (merge mode)
+	// Returns { businesses, presets, labels, runs, reusedPresets, reusedBusinesses } - documents carry
+	// their new id in `id`
+	function remapArchive(archive, options) {
+		const businessIds = {};
+		const presetIds = {};
+		const labelIds = {};
+		const newBusinesses = [];
+		const newPresets = [];
+		let reusedBusinesses = 0;
+		let reusedPresets = 0;
+
+		let defaultBusinessId = "";
+		getArchiveBusinesses(archive).forEach((business) => {
+			const existingId = options.findExistingBusiness
+				? options.findExistingBusiness(business)
+				: null;
+			const id = existingId || options.newId();
+			getDocumentIds(business).forEach((oldId) => {
+				businessIds[oldId] = id;
+			});
+			if (business.isDefault || !defaultBusinessId) defaultBusinessId = id;
+			if (existingId) reusedBusinesses++;
+			else newBusinesses.push({ ...withoutIds(business), id });
+		});
+		// Labels without a profile of the archive (e.g. from a version 1 archive) get its default one
+		const mapBusinessId = (id) =>
+			businessIds[id] || defaultBusinessId || id || "";
+
+		(archive.presets || []).forEach((preset) => {
+			const existingId = options.findExistingPreset
+				? options.findExistingPreset(preset)
+				: null;
+			const id = existingId || options.newId();
+			getDocumentIds(preset).forEach((oldId) => {
+				presetIds[oldId] = id;
+			});
+			if (existingId) reusedPresets++;
+			else newPresets.push({ preset, id });
+		});
+		// References to presets outside the archive are kept as they are
+		const mapPresetId = (id) => presetIds[id] || id;
+
+		const presets = newPresets.map(({ preset, id }) => ({
+			...withoutIds(preset),
+			id,
+			ingredients: (preset.ingredients || []).map((entry) =>
+				LabelPresets.isPresetReference(entry)
+					? { ...entry, presetId: mapPresetId(entry.presetId) }
+					: entry
+			),
+		}));
+
+		const labels = (archive.labels || []).map((label) => {
+			const id = options.newId();
+			getDocumentIds(label).forEach((oldId) => {
+				labelIds[oldId] = id;
+			});
+			return {
+				...remapLabelFields(withoutIds(label), mapPresetId, mapBusinessId),
+				id,
+			};
+		});
+
+		const runs = (archive.runs || []).map((run) => {
+			const labelId = labelIds[run.labelId] || run.labelId;
+			return {
+				...withoutIds(run),
+				id: options.newId(),
+				labelId,
+				labelSnapshot: run.labelSnapshot
+					? {
+							...remapLabelFields(
+								withoutIds(run.labelSnapshot),
+								mapPresetId,
+								mapBusinessId
+							),
+							id: labelId,
+						}
+					: run.labelSnapshot,
+			};
+		});
+
+		return {
+			businesses: newBusinesses,
+			presets,
+			labels,
+			runs,
+			reusedPresets,
+			reusedBusinesses,
+		};
+	}
+
+	return {
+		ARCHIVE_FORMAT,
+		ARCHIVE_VERSION,
+		IMPORT_MODES,
+		createArchive,
+		validateArchive,
+		getArchiveBusinesses,
+		summarizeArchive,
+		getBusinessKey,
+		getDocumentIds,
+		remapArchive,
+	};
+});
@@ -0,0 +1,402 @@
+// Bulk label import - CSV or pasted spreadsheet rows turned into labels, with per-row validation
+// Shared by the browser (window.LabelBulk) and the API server (require)
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory(
+			require("./label-ingredients"),
+			require("./allergens"),
+			require("./net-quantity"),
+			require("./ingredient-parser")
+		);
+	} else {
+		root.LabelBulk = factory(
+			root.LabelIngredients,
+			root.LabelAllergens,
+			root.LabelNetQuantity,
+			root.LabelIngredientParser
+		);
+	}
+})(
+	typeof self !== "undefined" ? self : this,
+	function (
+		LabelIngredients,
+		LabelAllergens,
+		LabelNetQuantity,
+		LabelIngredientParser
+	) {
+		// Header names accepted for each column, lowercase
+		const COLUMN_ALIASES = {
+			name: ["name", "label", "label name", "product", "product name"],
+			ingredients: ["ingredients", "ingredient", "ingredient list"],
+			presets: ["presets", "preset", "preset names"],
+			netQuantity: [
+				"net quantity",
+				"quantity",
+				"net qty",
+				"net wt",
+				"net weight",
+				"amount",
+			],
+			unit: ["unit", "units", "net quantity unit", "uom"],
+			allergens: ["allergens", "allergen", "contains"],
+			netCount: ["count", "net count"],
+			shelfLifeDays: ["shelf life", "shelf life days", "shelf life (days)"],
+		};
+
+		// Column order for rows pasted without a header row
+		const DEFAULT_COLUMNS = [
+			"name",
+			"ingredients",
+			"netQuantity",
+			"unit",
+			"allergens",
+		];
+
+		// Header row for a blank template
+		const TEMPLATE_HEADER =
+			"name,ingredients,presets,net quantity,unit,allergens,count,shelf life days";
+
+		// More rows than this in one request are refused
+		const MAX_ROWS = 500;
+
+		// Spellings people use in spreadsheets, mapped to LabelNetQuantity units
+		const UNIT_ALIASES = {
+			ounce: "oz",
+			ounces: "oz",
+			"oz.": "oz",
+			pound: "lb",
+			pounds: "lb",
+			lbs: "lb",
+			gram: "g",
+			grams: "g",
+			kilogram: "kg",
+			kilograms: "kg",
+			"fl. oz": "fl oz",
+			"fl oz.": "fl oz",
+			floz: "fl oz",
+			"fluid ounces": "fl oz",
+			pint: "pt",
+			pints: "pt",
+			quart: "qt",
+			quarts: "qt",
+			gallon: "gal",
+			gallons: "gal",
+			ml: "mL",
+			milliliters: "mL",
+			l: "L",
+			liter: "L",
+			liters: "L",
+			litre: "L",
+			litres: "L",
+			piece: "pieces",
+			pcs: "pieces",
+			each: "pieces",
+			count: "pieces",
+			ct: "pieces",
+		};
+
+		// Allergen spellings beyond the MAJOR_ALLERGENS names themselves
+		const ALLERGEN_ALIASES = {
+			dairy: "Milk",
+			egg: "Eggs",
+			peanut: "Peanuts",
+			soybean: "Soy",
+			soybeans: "Soy",
+			soya: "Soy",
+			"tree nut": "Tree Nuts",
+			"crustacean shellfish": "Shellfish",
+		};
+
+		// LabelNetQuantity unit for a spreadsheet value, or null
+		function normalizeUnit(value) {
+			const text = String(value || "").trim();
+			if (!text) return null;
+			if (LabelNetQuantity.UNITS[text]) return text;
+			const lower = text.toLowerCase();
+			const match = Object.keys(LabelNetQuantity.UNITS).find(
+				(unit) => unit.toLowerCase() === lower
+			);
+			return match || UNIT_ALIASES[lower] || null;
+		}
+
+		// MAJOR_ALLERGENS name for a spreadsheet value, or null
+		function normalizeAllergen(value) {
+			const lower = String(value || "")
+				.trim()
+				.toLowerCase();
+			return (
+				LabelAllergens.MAJOR_ALLERGENS.find(
+					(allergen) => allergen.toLowerCase() === lower
+				) ||
+				ALLERGEN_ALIASES[lower] ||
+				null
+			);
+		}
+
+		// Parse CSV (or tab-separated rows pasted from a spreadsheet) into records of cells
+		// Quoted cells may contain delimiters, doubled quotes and line breaks
+		// Returns [{ line, cells }] with the 1-based line each record starts on; blank lines are skipped
+		function parseDelimited(text) {
+			const source = String(text || "");
+			const firstLine = source.split(/\r?\n/).find((line) => line.trim()) || "";
+			const delimiter = firstLine.includes("\t") ? "\t" : ",";
+			const records = [];
+			let cells = [];
+			let cell = "";
+			let quoted = false;
+			let line = 1;
+			let startLine = 1;
+
+			const endRecord = () => {
+				cells.push(cell);
+				if (cells.some((value) => value.trim())) {
+					records.push({ line: startLine, cells });
+				}
+				cells = [];
+				cell = "";
+			};
+
+			for (let i = 0; i < source.length; i++) {
+				const char = source[i];
+				if (quoted) {
+					if (char === '"' && source[i + 1] === '"') {
+						cell += '"';
+						i++;
+					} else if (char === '"') {
+						quoted = false;
+					} else {
+						if (char === "\n") line++;
+						cell += char;
+					}
+				} else if (char === '"' && !cell.trim()) {
+					quoted = true;
+					cell = "";
+				} else if (char === delimiter) {
+					cells.push(cell);
+					cell = "";
+				} else if (char === "\n" || char === "\r") {
+					if (char === "\r" && source[i + 1] === "\n") i++;
+					endRecord();
+					line++;
+					startLine = line;
+				} else {
+					cell += char;
+				}
+			}
+			endRecord();
+			return records;
+		}
+
+		// Split a cell into items on commas or semicolons outside parentheses and brackets
+		function splitList(text) {
+			return LabelIngredientParser.splitTopLevel(text, ",;");
+		}
+
+		// Field for a header cell, or null
+		function getColumnField(header) {
+			const lower = String(header || "")
+				.trim()
+				.toLowerCase();
+			return (
+				Object.keys(COLUMN_ALIASES).find((field) =>
+					COLUMN_ALIASES[field].includes(lower)
+				) || null
+			);
+		}
+
+		// Columns of a first record that is a header row, or null when it is data
+		function getHeaderColumns(cells) {
+			const columns = cells.map(getColumnField);
+			return columns.includes("name") &&
+				columns.filter((field) => field).length >= 2
+				? columns
+				: null;
+		}
+
+		// Validate one row's values and build the label it describes
+		// Returns { label, errors, warnings }
+		function buildRowLabel(values, context) {
+			const errors = [];
+			const warnings = [];
+			const name = (values.name || "").trim();
+			if (!name) errors.push("Name is required");
+
+			// Presets named in the presets column must exist; in the ingredients column a preset name
+			// selects the preset and anything else is an additional ingredient
+			const selectedPresetIds = [];
+			const select = (preset) => {
+				if (!selectedPresetIds.includes(preset.id)) {
+					selectedPresetIds.push(preset.id);
+				}
+			};
+			splitList(values.presets).forEach((presetName) => {
+				const preset = context.findPreset(presetName, warnings);
+				if (preset) select(preset);
+				else errors.push(`Unknown preset "${presetName}"`);
+			});
+			const additional = [];
+			splitList(values.ingredients).forEach((ingredient) => {
+				const preset = context.findPreset(ingredient, warnings);
+				if (preset) select(preset);
+				else additional.push(ingredient);
+			});
+			if (selectedPresetIds.length === 0 && additional.length === 0) {
+				errors.push("Ingredients or presets are required");
+			}
+
+			const label = { name };
+			if (selectedPresetIds.length > 0) {
+				Object.assign(label, {
+					creationMode: "preset",
+					selectedPresetIds,
+					additionalIngredientsText: additional.join(", "),
+				});
+				Object.assign(
+					label,
+					LabelIngredients.regenerateLabel(label, context.getPresetById)
+				);
+			} else {
+				Object.assign(label, {
+					creationMode: "manual",
+					selectedPresetIds: [],
+					additionalIngredientsText: "",
+					text: additional.join(", "),
+					ingredients: LabelIngredientParser.listIngredientNames(
+						additional.join(", ")
+					),
+				});
+			}
+
+			const quantity = (values.netQuantity || "").trim();
+			if (!quantity) {
+				errors.push("Net quantity is required");
+			} else if (!(Number(quantity) > 0)) {
+				errors.push(`Net quantity "${quantity}" is not a positive number`);
+			}
+			label.netQuantity = quantity;
+			const unitText = (values.unit || "").trim();
+			label.netQuantityUnit = normalizeUnit(unitText) || "";
+			if (!unitText) errors.push("Unit is required");
+			else if (!label.netQuantityUnit)
+				errors.push(`Unknown unit "${unitText}"`);
+
+			const countText = (values.netCount || "").trim();
+			if (countText && !(parseInt(countText, 10) > 0)) {
+				errors.push(`Count "${countText}" is not a positive whole number`);
+			}
+			label.netCount = countText ? String(parseInt(countText, 10) || "") : "";
+			label.netCountUnit = "";
+			const shelfLife = (values.shelfLifeDays || "").trim();
+			if (shelfLife && !(parseInt(shelfLife, 10) > 0)) {
+				errors.push(`Shelf life "${shelfLife}" is not a number of days`);
+			}
+			label.shelfLifeDays = parseInt(shelfLife, 10) || null;
+
+			const allergens = [];
+			splitList(values.allergens).forEach((value) => {
+				const allergen = normalizeAllergen(value);
+				if (!allergen) errors.push(`Unknown allergen "${value}"`);
+				else if (!allergens.includes(allergen)) allergens.push(allergen);
+			});
+			label.allergens = LabelAllergens.normalizeAllergenList(allergens);
+
+			// Allergens the ingredients imply but the row doesn't declare
+			const implied = new Set(
+				LabelAllergens.deriveAllergens(
+					(label.selectedPresetIds || []).map(context.getPresetById),
+					context.getPresetById
+				).allergens
+			);
+			LabelAllergens.detectAllergens(label.text || "").forEach((match) =>
+				implied.add(match.allergen)
+			);
+			implied.forEach((allergen) => {
+				if (!label.allergens.includes(allergen)) {
+					warnings.push(
+						`Ingredients suggest ${allergen}, which isn't declared`
+					);
+				}
+			});
+
+			return { label, errors, warnings };
+		}
+
+		// Parse and validate bulk rows against the saved presets and labels
+		// options: { presets, labels } - existing labels are only used to warn about duplicate names
+		// Returns { columns, rows: [{ row, values, label, errors, warnings, valid }] }
+		function parseBulkLabels(text, options = {}) {
+			const presets = options.presets || [];
+			const getPresetById = (id) => presets.find((preset) => preset.id === id);
+			const findPreset = (presetName, warnings) => {
+				const lower = presetName.toLowerCase();
+				const matches = presets.filter(
+					(preset) =>
+						String(preset.name || "")
+							.trim()
+							.toLowerCase() === lower
+				);
+				if (matches.length > 1) {
+					warnings.push(
+						`${matches.length} presets are named "${presetName}" - using the first`
+					);
+				}
+				return matches[0] || null;
+			};
+			const existingNames = new Set(
+				(options.labels || []).map((label) =>
+					String(label.name || "")
+						.trim()
+						.toLowerCase()
+				)
+			);
+
+			const records = parseDelimited(text);
+			const header =
+				records.length > 0 ? getHeaderColumns(records[0].cells) : null;
+			const columns = header || DEFAULT_COLUMNS;
+			const seenNames = {};
+
+			const rows = (header ? records.slice(1) : records).map((record) => {
+				const values = {};
+				columns.forEach((field, index) => {
+					if (field) values[field] = (record.cells[index] || "").trim();
+				});
+				const result = buildRowLabel(values, { findPreset, getPresetById });
+
+				const key = result.label.name.toLowerCase();
+				if (key && seenNames[key]) {
+					result.warnings.push(
+						`Same name as the row on line ${seenNames[key]}`
+					);
+				} else if (key) {
+					seenNames[key] = record.line;
+				}
+				if (key && existingNames.has(key)) {
+					result.warnings.push(
+						`A label named "${result.label.name}" already exists`
+					);
+				}
+				return {
+					row: record.line,
+					values,
+					...result,
+					valid: result.errors.length === 0,
+				};
+			});
+
+			return { columns: columns.filter((field) => field), rows };
+		}
+
+		return {
+			COLUMN_ALIASES,
+			DEFAULT_COLUMNS,
+			TEMPLATE_HEADER,
+			MAX_ROWS,
+			normalizeUnit,
+			normalizeAllergen,
+			parseDelimited,
+			splitList,
+			parseBulkLabels,
+		};
+	}
+);
@@ -0,0 +1,120 @@
+// Per-state cottage food rule packs - disclaimer wording, required business fields and label checks
+// Shared by the browser (window.LabelCottageRules) and the API server (require)
+// Packs are plain JSON (see rules/states/*.json) registered at startup; unknown states use DEFAULT_PACK
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory();
+	} else {
+		root.LabelCottageRules = factory();
+	}
+})(typeof self !== "undefined" ? self : this, function () {
+	// Business fields a pack can require, with the names shown to the user
+	const BUSINESS_FIELDS = {
+		businessName: "business name",
+		businessAddress: "street address",
+		businessCity: "city",
+		businessState: "state",
+		businessZip: "ZIP code",
+		businessPhone: "phone number",
+		businessPermit: "permit number",
+		businessCounty: "county",
+	};
+
+	// Rules for states without a pack of their own. The disclaimer is offered but not required: only
+	// packs that opt in with requiresDisclaimer make it a lint error, so businesses that aren't
+	// cottage operations don't get one
+	const DEFAULT_PACK = {
+		state: "",
+		name: "Default",
+		disclaimer:
+			"MADE IN A COTTAGE FOOD OPERATION THAT IS NOT SUBJECT TO GOVERNMENT FOOD SAFETY INSPECTION",
+		requiresDisclaimer: false,
+		requiredFields: [
+			"businessName",
+			"businessAddress",
+			"businessCity",
+			"businessState",
+			"businessZip",
+		],
+		prohibitedProducts: [],
+		checks: {},
+		notes: [],
+	};
+
+	const packs = {};
+
+	// Fill in defaults and normalize the state code
+	function normalizePack(pack) {
+		const state = String((pack && pack.state) || "")
+			.trim()
+			.toUpperCase();
+		return {
+			...DEFAULT_PACK,
+			...pack,
+			state,
+			name: (pack && pack.name) || state,
+			requiredFields: (
+				(pack && pack.requiredFields) ||
+				DEFAULT_PACK.requiredFields
+			).filter((key) => BUSINESS_FIELDS[key]),
+			prohibitedProducts: (pack && pack.prohibitedProducts) || [],
+			checks: (pack && pack.checks) || {},
+			notes: (pack && pack.notes) || [],
+		};
+	}
+
+	// Register a state pack, replacing any earlier pack for the same state
+	function registerStatePack(pack) {
+		const normalized = normalizePack(pack);
+		if (!normalized.state) throw new Error("State pack needs a state code");
+		packs[normalized.state] = normalized;
+		return normalized;
+	}
+
+	function registerStatePacks(list) {
+		return (list || []).map(registerStatePack);
+	}
+
+	// Rules for a state code; falls back to DEFAULT_PACK (with isDefault set)
+	function getStatePack(state) {
+		const code = String(state || "")
+			.trim()
+			.toUpperCase();
+		return packs[code] || { ...DEFAULT_PACK, state: code, isDefault: true };
+	}
+
+	// Registered packs sorted by state code
+	function listStatePacks() {
+		return Object.keys(packs)
+			.sort()
+			.map((code) => packs[code]);
+	}
+
+	// Required business field keys a label or business profile leaves blank
+	function findMissingBusinessFields(info, pack) {
+		return pack.requiredFields.filter(
+			(key) => !String((info && info[key]) || "").trim()
+		);
+	}
+
+	// Products the state doesn't allow, matched as whole words in the label name and ingredients
+	function findProhibitedProducts(label, pack) {
+		const text = `${label.name || ""} ${label.text || ""}`.toLowerCase();
+		return pack.prohibitedProducts.filter((term) =>
+			new RegExp(
+				`(^|[^a-z])${term.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?![a-z])`
+			).test(text)
+		);
+	}
+
+	return {
+		BUSINESS_FIELDS,
+		DEFAULT_PACK,
+		registerStatePack,
+		registerStatePacks,
+		getStatePack,
+		listStatePacks,
+		findMissingBusinessFields,
+		findProhibitedProducts,
+	};
+});
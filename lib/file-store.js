@@ -0,0 +1,502 @@
+// Embedded JSON-file storage - the subset of the MongoDB driver the API server uses, kept in memory
+// and written to one JSON file per collection, so the app runs without a database server
+// Server only (uses fs); see lib/storage.js for the interface and how a backend is chosen
+const fs = require("fs");
+const path = require("path");
+const { ObjectId } = require("mongodb");
+
+// Order MongoDB sorts values of different types in; lower comes first
+function getTypeRank(value) {
+	if (value === undefined || value === null) return 0;
+	if (typeof value === "number") return 1;
+	if (typeof value === "string") return 2;
+	if (value instanceof ObjectId) return 5;
+	if (typeof value === "boolean") return 6;
+	if (value instanceof Date) return 7;
+	if (Array.isArray(value)) return 4;
+	return 3;
+}
+
+// Compare two values the way MongoDB sorts them: by type first, then by value (strings by code unit)
+function compareValues(a, b) {
+	const rankA = getTypeRank(a);
+	const rankB = getTypeRank(b);
+	if (rankA !== rankB) return rankA - rankB;
+	if (rankA === 0) return 0;
+	if (a instanceof ObjectId) {
+		return compareValues(a.toHexString(), b.toHexString());
+	}
+	if (a instanceof Date) return a.getTime() - b.getTime();
+	if (rankA === 3 || rankA === 4) {
+		return compareValues(JSON.stringify(a), JSON.stringify(b));
+	}
+	return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function isPlainObject(value) {
+	return (
+		value !== null &&
+		typeof value === "object" &&
+		!Array.isArray(value) &&
+		!(value instanceof ObjectId) &&
+		!(value instanceof Date) &&
+		!(value instanceof RegExp)
+	);
+}
+
+// Deep equality, with ObjectIds equal when their hex strings are
+function valuesEqual(a, b) {
+	if (a instanceof ObjectId || b instanceof ObjectId) {
+		return a instanceof ObjectId && b instanceof ObjectId && a.equals(b);
+	}
+	if (a instanceof Date || b instanceof Date) {
+		return (
+			a instanceof Date && b instanceof Date && a.getTime() === b.getTime()
+		);
+	}
+	if (Array.isArray(a) || Array.isArray(b)) {
+		return (
+			Array.isArray(a) &&
+			Array.isArray(b) &&
+			a.length === b.length &&
+			a.every((item, index) => valuesEqual(item, b[index]))
+		);
+	}
+	if (isPlainObject(a) && isPlainObject(b)) {
+		const keys = Object.keys(a);
+		return (
+			keys.length === Object.keys(b).length &&
+			keys.every((key) => valuesEqual(a[key], b[key]))
+		);
+	}
+	return a === b;
+}
+
+// Value at a dotted path, e.g. "labelSnapshot.name"; undefined when any step is missing
+function getPath(doc, fieldPath) {
+	return fieldPath.split(".").reduce((value, key) => {
+		if (value === undefined || value === null) return undefined;
+		return value[key];
+	}, doc);
+}
+
+function setPath(doc, fieldPath, value) {
+	const keys = fieldPath.split(".");
+	const last = keys.pop();
+	const parent = keys.reduce((target, key) => {
+		if (!isPlainObject(target[key])) target[key] = {};
+		return target[key];
+	}, doc);
+	parent[last] = value;
+}
+
+function unsetPath(doc, fieldPath) {
+	const keys = fieldPath.split(".");
+	const last = keys.pop();
+	const parent = getPath(doc, keys.join("."));
+	if (keys.length === 0) delete doc[last];
+	else if (isPlainObject(parent)) delete parent[last];
+}
+
+// A field value matches an equality condition when it's equal, when it's an array holding an equal
+// item, or (for null) when the field is missing
+function matchesEquality(value, expected) {
+	if (expected === null) return value === undefined || value === null;
+	if (expected instanceof RegExp) return matchesRegex(value, expected);
+	if (valuesEqual(value, expected)) return true;
+	return (
+		Array.isArray(value) && value.some((item) => valuesEqual(item, expected))
+	);
+}
+
+// Strings (or array items that are strings) matching a pattern
+function matchesRegex(value, regex) {
+	return [].concat(value).some((item) => {
+		regex.lastIndex = 0;
+		return typeof item === "string" && regex.test(item);
+	});
+}
+
+// Range operators only compare values of the same type, like MongoDB
+function matchesRange(value, bound, test) {
+	return []
+		.concat(value)
+		.some(
+			(item) =>
+				item !== undefined &&
+				getTypeRank(item) === getTypeRank(bound) &&
+				test(compareValues(item, bound))
+		);
+}
+
+const OPERATORS = {
+	$eq: (value, expected) => matchesEquality(value, expected),
+	$ne: (value, expected) => !matchesEquality(value, expected),
+	$gt: (value, bound) => matchesRange(value, bound, (order) => order > 0),
+	$gte: (value, bound) => matchesRange(value, bound, (order) => order >= 0),
+	$lt: (value, bound) => matchesRange(value, bound, (order) => order < 0),
+	$lte: (value, bound) => matchesRange(value, bound, (order) => order <= 0),
+	$in: (value, list) =>
+		list.some((expected) => matchesEquality(value, expected)),
+	$nin: (value, list) =>
+		!list.some((expected) => matchesEquality(value, expected)),
+	$exists: (value, exists) => (value !== undefined) === !!exists,
+	$regex: (value, pattern, condition) =>
+		matchesRegex(
+			value,
+			pattern instanceof RegExp
+				? pattern
+				: new RegExp(pattern, condition.$options || "")
+		),
+	// Read together with $regex
+	$options: () => true,
+};
+
+// Whether one field's value meets its condition: operators like { $gte, $lte } or a plain value
+function matchesCondition(value, condition) {
+	if (!isPlainObject(condition)) return matchesEquality(value, condition);
+	const keys = Object.keys(condition);
+	if (!keys.some((key) => key.startsWith("$"))) {
+		return matchesEquality(value, condition);
+	}
+	return keys.every((key) => {
+		const operator = OPERATORS[key];
+		if (!operator) throw new Error(`Unsupported query operator ${key}`);
+		return operator(value, condition[key], condition);
+	});
+}
+
+// Whether a document matches a MongoDB-style query
+function matchesQuery(doc, query = {}) {
+	return Object.keys(query).every((key) => {
+		if (key === "$or") return query.$or.some((part) => matchesQuery(doc, part));
+		if (key === "$and") {
+			return query.$and.every((part) => matchesQuery(doc, part));
+		}
+		if (key === "$nor") {
+			return !query.$nor.some((part) => matchesQuery(doc, part));
+		}
+		if (key.startsWith("$")) {
+			throw new Error(`Unsupported query operator ${key}`);
+		}
+		return matchesCondition(getPath(doc, key), query[key]);
+	});
+}
+
+// Apply an update document ($set, $unset, $inc) to a stored document in place
+function applyUpdate(doc, update) {
+	Object.keys(update).forEach((operator) => {
+		const fields = update[operator];
+		if (operator === "$set") {
+			Object.keys(fields).forEach((key) =>
+				setPath(doc, key, clone(fields[key]))
+			);
+		} else if (operator === "$unset") {
+			Object.keys(fields).forEach((key) => unsetPath(doc, key));
+		} else if (operator === "$inc") {
+			Object.keys(fields).forEach((key) =>
+				setPath(doc, key, (getPath(doc, key) || 0) + fields[key])
+			);
+		} else {
+			throw new Error(`Unsupported update operator ${operator}`);
+		}
+	});
+}
+
+// Deep copy; ObjectIds are immutable and shared
+function clone(value) {
+	if (Array.isArray(value)) return value.map(clone);
+	if (value instanceof Date) return new Date(value.getTime());
+	if (isPlainObject(value)) {
+		const copy = {};
+		Object.keys(value).forEach((key) => {
+			if (value[key] !== undefined) copy[key] = clone(value[key]);
+		});
+		return copy;
+	}
+	return value;
+}
+
+// Plain JSON for a document: ObjectIds and dates become extended JSON { $oid } and { $date }
+function toJson(value) {
+	if (value instanceof ObjectId) return { $oid: value.toHexString() };
+	if (value instanceof Date) return { $date: value.toISOString() };
+	if (Array.isArray(value)) return value.map(toJson);
+	if (isPlainObject(value)) {
+		const json = {};
+		Object.keys(value).forEach((key) => {
+			if (value[key] !== undefined) json[key] = toJson(value[key]);
+		});
+		return json;
+	}
+	return value;
+}
+
+// Reverse of toJson
+function fromJson(value) {
+	if (Array.isArray(value)) return value.map(fromJson);
+	if (isPlainObject(value)) {
+		const keys = Object.keys(value);
+		if (keys.length === 1 && keys[0] === "$oid")
+			return new ObjectId(value.$oid);
+		if (keys.length === 1 && keys[0] === "$date") return new Date(value.$date);
+		const doc = {};
+		keys.forEach((key) => {
+			doc[key] = fromJson(value[key]);
+		});
+		return doc;
+	}
+	return value;
+}
+
+// Fields a query pins to one value, for the document an upsert creates
+function getEqualityFields(query) {
+	const fields = {};
+	Object.keys(query).forEach((key) => {
+		const condition = query[key];
+		if (key.startsWith("$")) return;
+		if (
+			isPlainObject(condition) &&
+			Object.keys(condition).some((k) => k.startsWith("$"))
+		) {
+			if ("$eq" in condition) setPath(fields, key, clone(condition.$eq));
+			return;
+		}
+		setPath(fields, key, clone(condition));
+	});
+	return fields;
+}
+
+function duplicateKeyError(name, id) {
+	const error = new Error(
+		`E11000 duplicate key error collection: ${name} dup key: { _id: ${id} }`
+	);
+	error.code = 11000;
+	return error;
+}
+
+// Result of find(): chain sort / skip / limit, then toArray()
+function createCursor(load) {
+	let sortSpec = null;
+	let skipCount = 0;
+	let limitCount = 0;
+	const cursor = {
+		sort(spec) {
+			sortSpec = spec;
+			return cursor;
+		},
+		skip(count) {
+			skipCount = count;
+			return cursor;
+		},
+		limit(count) {
+			limitCount = count;
+			return cursor;
+		},
+		async toArray() {
+			let docs = load();
+			if (sortSpec) {
+				const keys = Object.keys(sortSpec);
+				// Array.prototype.sort is stable, so ties keep insertion order
+				docs = docs.slice().sort((a, b) => {
+					for (const key of keys) {
+						const order = compareValues(getPath(a, key), getPath(b, key));
+						if (order !== 0) return sortSpec[key] < 0 ? -order : order;
+					}
+					return 0;
+				});
+			}
+			docs = docs.slice(
+				skipCount,
+				limitCount ? skipCount + limitCount : undefined
+			);
+			return docs.map(clone);
+		},
+	};
+	return cursor;
+}
+
+// One collection, loaded from <dir>/<name>.json on first use and rewritten after every change
+function createCollection(name, file) {
+	let docs = fs.existsSync(file)
+		? fromJson(JSON.parse(fs.readFileSync(file, "utf8")))
+		: [];
+	let writing = Promise.resolve();
+
+	// Writes go one after another, each to a temporary file renamed over the old one. A failed
+	// write rejects only its own caller; the next one still runs (and writes everything).
+	const save = () => {
+		const json = JSON.stringify(toJson(docs));
+		const write = writing.then(async () => {
+			const temp = `${file}.tmp`;
+			await fs.promises.writeFile(temp, json);
+			await fs.promises.rename(temp, file);
+		});
+		writing = write.catch(() => {});
+		return write;
+	};
+
+	const find = (query) => docs.filter((doc) => matchesQuery(doc, query));
+
+	const insert = (doc) => {
+		if (doc._id === undefined) doc._id = new ObjectId();
+		if (docs.some((existing) => valuesEqual(existing._id, doc._id))) {
+			throw duplicateKeyError(name, doc._id);
+		}
+		docs.push(clone(doc));
+		return doc._id;
+	};
+
+	const upsert = (query, doc) => {
+		const created = { ...getEqualityFields(query), ...doc };
+		return insert(created);
+	};
+
+	return {
+		collectionName: name,
+		find(query = {}) {
+			return createCursor(() => find(query));
+		},
+		async findOne(query = {}) {
+			const doc = docs.find((item) => matchesQuery(item, query));
+			return doc ? clone(doc) : null;
+		},
+		async countDocuments(query = {}) {
+			return find(query).length;
+		},
+		async insertOne(doc) {
+			const insertedId = insert(doc);
+			await save();
+			return { acknowledged: true, insertedId };
+		},
+		async insertMany(list) {
+			const insertedIds = {};
+			list.forEach((doc, index) => {
+				insertedIds[index] = insert(doc);
+			});
+			await save();
+			return { acknowledged: true, insertedCount: list.length, insertedIds };
+		},
+		async updateOne(query, update, options = {}) {
+			const doc = docs.find((item) => matchesQuery(item, query));
+			if (doc) {
+				applyUpdate(doc, update);
+			} else if (options.upsert) {
+				const created = getEqualityFields(query);
+				applyUpdate(created, update);
+				const upsertedId = insert(created);
+				await save();
+				return {
+					acknowledged: true,
+					matchedCount: 0,
+					modifiedCount: 0,
+					upsertedCount: 1,
+					upsertedId,
+				};
+			}
+			if (doc) await save();
+			return {
+				acknowledged: true,
+				matchedCount: doc ? 1 : 0,
+				modifiedCount: doc ? 1 : 0,
+				upsertedCount: 0,
+				upsertedId: null,
+			};
+		},
+		async updateMany(query, update) {
+			const matched = find(query);
+			matched.forEach((doc) => applyUpdate(doc, update));
+			if (matched.length > 0) await save();
+			return {
+				acknowledged: true,
+				matchedCount: matched.length,
+				modifiedCount: matched.length,
+				upsertedCount: 0,
+				upsertedId: null,
+			};
+		},
+		// Returns the document before the update, or after it with { returnDocument: "after" }
+		async findOneAndUpdate(query, update, options = {}) {
+			const doc = docs.find((item) => matchesQuery(item, query));
+			if (!doc) return null;
+			const before = clone(doc);
+			applyUpdate(doc, update);
+			await save();
+			return options.returnDocument === "after" ? clone(doc) : before;
+		},
+		async replaceOne(query, replacement, options = {}) {
+			const index = docs.findIndex((item) => matchesQuery(item, query));
+			if (index !== -1) {
+				docs[index] = { ...clone(replacement), _id: docs[index]._id };
+				await save();
+				return {
+					acknowledged: true,
+					matchedCount: 1,
+					modifiedCount: 1,
+					upsertedCount: 0,
+				};
+			}
+			if (!options.upsert) {
+				return {
+					acknowledged: true,
+					matchedCount: 0,
+					modifiedCount: 0,
+					upsertedCount: 0,
+				};
+			}
+			const upsertedId = upsert(query, replacement);
+			await save();
+			return {
+				acknowledged: true,
+				matchedCount: 0,
+				modifiedCount: 0,
+				upsertedCount: 1,
+				upsertedId,
+			};
+		},
+		async deleteOne(query) {
+			const index = docs.findIndex((item) => matchesQuery(item, query));
+			if (index === -1) return { acknowledged: true, deletedCount: 0 };
+			docs.splice(index, 1);
+			await save();
+			return { acknowledged: true, deletedCount: 1 };
+		},
+		async deleteMany(query = {}) {
+			const before = docs.length;
+			docs = docs.filter((doc) => !matchesQuery(doc, query));
+			const deletedCount = before - docs.length;
+			if (deletedCount > 0) await save();
+			return { acknowledged: true, deletedCount };
+		},
+		// Every lookup scans the collection; indexes aren't needed at this size
+		async createIndex(spec) {
+			return Object.keys(spec).join("_");
+		},
+	};
+}
+
+// Database-like object whose collections live in dir (created if missing)
+function createFileStore(dir) {
+	fs.mkdirSync(dir, { recursive: true });
+	const collections = {};
+	return {
+		collection(name) {
+			if (!/^[a-z0-9_-]+$/i.test(name)) {
+				throw new Error(`Invalid collection name "${name}"`);
+			}
+			if (!collections[name]) {
+				collections[name] = createCollection(
+					name,
+					path.join(dir, `${name}.json`)
+				);
+			}
+			return collections[name];
+		},
+	};
+}
+
+module.exports = {
+	createFileStore,
+	matchesQuery,
+	compareValues,
+};
@@ -0,0 +1,212 @@
+// Ingredient list parsing - splits ingredient statements without breaking nested parentheses and brackets
+// Shared by the browser (window.LabelIngredientParser) and the API server (require)
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory();
+	} else {
+		root.LabelIngredientParser = factory();
+	}
+})(typeof self !== "undefined" ? self : this, function () {
+	const OPEN_BRACKETS = "([";
+	const CLOSE_BRACKETS = ")]";
+
+	// "Contains 2% or less of:" heading that starts the minor-ingredient group
+	const MINOR_GROUP_PATTERN =
+		/^(contains \d+(?:\.\d+)?% or less of(?: each of the following)?:)\s*(.*)$/i;
+
+	// Bracket group holding only a percentage, e.g. "(22%)"
+	const PERCENT_PATTERN = /^\s*(\d+(?:\.\d+)?)\s*%\s*$/;
+
+	// Percentage written after the name without brackets, e.g. "Salt 2%"
+	const TRAILING_PERCENT_PATTERN = /^(.*\S)\s+(\d+(?:\.\d+)?)\s*%$/;
+
+	// Separator between alternatives, e.g. "canola and/or sunflower oil"
+	const ALTERNATIVES_PATTERN = /\s+and\/or\s+/i;
+
+	// Words kept upper case when tidying an ALL CAPS spec sheet
+	const UPPERCASE_WORDS = ["BHA", "BHT", "TBHQ", "DATEM", "EDTA", "MSG", "USP"];
+
+	// Split on separators outside parentheses and brackets, trimming and dropping empty items
+	// (options.keepSpacing keeps every item exactly as written, for formatting the original text)
+	// e.g. "Chips (sugar, cocoa), salt" -> ["Chips (sugar, cocoa)", "salt"]
+	function splitTopLevel(text, separators = ",", options = {}) {
+		const items = [];
+		let depth = 0;
+		let current = "";
+		for (const char of String(text || "")) {
+			if (OPEN_BRACKETS.includes(char)) depth++;
+			if (CLOSE_BRACKETS.includes(char)) depth = Math.max(0, depth - 1);
+			if (depth === 0 && separators.includes(char)) {
+				items.push(current);
+				current = "";
+			} else {
+				current += char;
+			}
+		}
+		items.push(current);
+		if (options.keepSpacing) return items;
+		return items.map((item) => item.trim()).filter((item) => item);
+	}
+
+	// Split one item into the text outside brackets and its top-level bracket groups
+	// e.g. "Chocolate (30%) (sugar, cocoa)" -> { name: "Chocolate", groups: [{ bracket: "(", inner: "30%" }, ...] }
+	function splitItem(item) {
+		const outside = [];
+		const groups = [];
+		let depth = 0;
+		let bracket = "";
+		let current = "";
+		for (const char of item) {
+			if (OPEN_BRACKETS.includes(char)) {
+				depth++;
+				if (depth === 1) {
+					outside.push(current);
+					current = "";
+					bracket = char;
+					continue;
+				}
+			} else if (CLOSE_BRACKETS.includes(char) && depth > 0) {
+				depth--;
+				if (depth === 0) {
+					groups.push({ bracket, inner: current });
+					current = "";
+					continue;
+				}
+			}
+			current += char;
+		}
+		// An unclosed bracket runs to the end of the item
+		if (depth > 0) groups.push({ bracket, inner: current });
+		else outside.push(current);
+		return {
+			name: outside
+				.map((part) => part.trim())
+				.filter((part) => part)
+				.join(" "),
+			groups,
+		};
+	}
+
+	// Parse one item: the minor-group heading, the name, its "and/or" alternatives, a percentage given
+	// in brackets or after the name and the sub-ingredients listed in brackets
+	function parseItem(item) {
+		let text = item;
+		let heading = "";
+		const minorGroup = text.match(MINOR_GROUP_PATTERN);
+		if (minorGroup) {
+			heading = minorGroup[1];
+			text = minorGroup[2];
+		}
+		const split = splitItem(text);
+		let name = split.name;
+		const groups = split.groups;
+		const trailingPercent = name.match(TRAILING_PERCENT_PATTERN);
+		if (trailingPercent) name = trailingPercent[1];
+		const node = {
+			name,
+			children: [],
+			bracket: "(",
+			percent: null,
+			alternatives: [],
+			heading,
+		};
+		groups.forEach((group) => {
+			const percent = group.inner.match(PERCENT_PATTERN);
+			if (percent && node.percent === null) {
+				node.percent = Number(percent[1]);
+				return;
+			}
+			if (node.children.length === 0) node.bracket = group.bracket;
+			node.children.push(...parseIngredientTree(group.inner));
+		});
+		if (trailingPercent && node.percent === null) {
+			node.percent = Number(trailingPercent[2]);
+		}
+		const alternatives = name.split(ALTERNATIVES_PATTERN);
+		if (alternatives.length > 1) node.alternatives = alternatives;
+		return node;
+	}
+
+	// Parse an ingredient statement into a tree of
+	// { name, children, bracket, percent, alternatives, heading } - bracket is "(" or "[" around the
+	// children, percent a number from e.g. "(22%)" or "Salt 2%" or null, alternatives the names an "and/or" joins,
+	// heading a "Contains 2% or less of:" that starts the item
+	// e.g. "Chips (sugar, cocoa), canola and/or palm oil"
+	//   -> [{ name: "Chips", children: [sugar, cocoa] }, { name: "canola and/or palm oil", alternatives: ["canola", "palm oil"] }]
+	function parseIngredientTree(text) {
+		return splitTopLevel(text).map(parseItem);
+	}
+
+	// Format a tree back into statement text, e.g. "Chocolate (30%) (sugar, cocoa [processed with alkali])"
+	function formatIngredientTree(nodes) {
+		return nodes
+			.map((node) => {
+				let text = [node.heading, node.name].filter((part) => part).join(" ");
+				if (node.percent !== null && node.percent !== undefined) {
+					text += ` (${node.percent}%)`;
+				}
+				if (node.children.length > 0) {
+					const bracket = node.bracket || "(";
+					const close = CLOSE_BRACKETS[OPEN_BRACKETS.indexOf(bracket)];
+					text += ` ${bracket}${formatIngredientTree(node.children)}${close}`;
+				}
+				return text;
+			})
+			.join(", ");
+	}
+
+	// Every ingredient name at every level, compound items before their sub-ingredients and
+	// "and/or" alternatives as separate names
+	// e.g. "Chips (sugar, cocoa), canola and/or palm oil" -> ["Chips", "sugar", "cocoa", "canola", "palm oil"]
+	function listIngredientNames(text) {
+		const collect = (nodes) =>
+			nodes.flatMap((node) => [
+				...(node.alternatives.length > 0 ? node.alternatives : [node.name]),
+				...collect(node.children),
+			]);
+		return collect(parseIngredientTree(text)).filter((name) => name);
+	}
+
+	// The ingredient statement from text pasted off a supplier spec sheet: drops the "Ingredients:"
+	// heading, line breaks, a trailing period and any "Contains:" / "May contain" allergen statement
+	function extractIngredientStatement(text) {
+		let statement = String(text || "")
+			.replace(/\s*\r?\n\s*/g, " ")
+			.trim();
+		statement = statement.replace(/^ingredients?\s*:\s*/i, "");
+		const allergenStatement = statement.search(
+			/(^|[.;]\s*)(contains|may contain|allergens?)\s*:/i
+		);
+		if (allergenStatement !== -1) {
+			statement = statement.slice(0, allergenStatement);
+		}
+		return statement.replace(/[.\s]+$/, "");
+	}
+
+	// Lower-case text typed in ALL CAPS, keeping abbreviations, single letters (vitamin A) and codes (B12)
+	function tidyCase(text) {
+		const value = String(text || "");
+		if (/[a-z]/.test(value) || !/[A-Z]/.test(value)) return value;
+		return value.replace(/[A-Z0-9&]+/g, (word) =>
+			UPPERCASE_WORDS.includes(word) ||
+			word.length === 1 ||
+			/\d/.test(word) ||
+			word.includes("&")
+				? word
+				: word.toLowerCase()
+		);
+	}
+
+	return {
+		MINOR_GROUP_PATTERN,
+		PERCENT_PATTERN,
+		OPEN_BRACKETS,
+		CLOSE_BRACKETS,
+		splitTopLevel,
+		parseIngredientTree,
+		formatIngredientTree,
+		listIngredientNames,
+		extractIngredientStatement,
+		tidyCase,
+	};
+});
@@ -0,0 +1,254 @@
+// Label ingredient statements built from presets - the same text for the form, for saved labels and for
+// regenerating labels after a preset changes
+// Shared by the browser (window.LabelIngredients) and the API server (require)
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory(
+			require("./presets"),
+			require("./recipe"),
+			require("./ingredient-parser"),
+			require("./allergens"),
+			require("./nutrition")
+		);
+	} else {
+		root.LabelIngredients = factory(
+			root.LabelPresets,
+			root.LabelRecipe,
+			root.LabelIngredientParser,
+			root.LabelAllergens,
+			root.LabelNutrition
+		);
+	}
+})(
+	typeof self !== "undefined" ? self : this,
+	function (
+		LabelPresets,
+		LabelRecipe,
+		LabelIngredientParser,
+		LabelAllergens,
+		LabelNutrition
+	) {
+		// Split comma-separated ingredients, keeping compound items like "Chips (sugar, cocoa)" whole
+		function parseIngredientList(text) {
+			return LabelIngredientParser.splitTopLevel(text);
+		}
+
+		// Presets a source selects, in order; missing presets are skipped
+		// source: { selectedPresetIds, additionalIngredientsText, recipe: { enabled, order, groupMinor, amounts } }
+		function getSelectedPresets(source, getPresetById) {
+			return (source.selectedPresetIds || [])
+				.map((id) => getPresetById(id))
+				.filter((preset) => preset);
+		}
+
+		// Recipe items in selection order: selected presets, then additional ingredients
+		// Each item is { key, name, text, grams, estimated, preset }
+		function getRecipeItems(source, getPresetById) {
+			const amounts = (source.recipe && source.recipe.amounts) || {};
+			const toItem = (key, name, text, preset) => {
+				const entry = amounts[key];
+				const converted = entry
+					? LabelRecipe.toGrams(entry.amount, entry.unit, name)
+					: null;
+				return {
+					key,
+					name,
+					text,
+					grams: converted ? converted.grams : null,
+					estimated: converted ? converted.estimated : false,
+					preset,
+				};
+			};
+
+			const items = getSelectedPresets(source, getPresetById).map((preset) =>
+				toItem(
+					preset.id,
+					preset.name,
+					LabelPresets.formatPresetIngredients(preset, getPresetById),
+					preset
+				)
+			);
+			parseIngredientList(source.additionalIngredientsText).forEach((name) => {
+				items.push(toItem(`extra:${name.toLowerCase()}`, name, name, null));
+			});
+			return items;
+		}
+
+		// Ingredient statement: PresetName (ingredient1, Nested (a, b)), then additional ingredients
+		// Recipe mode orders by weight (or the manual override) and can group minor ingredients
+		function buildIngredientText(source, getPresetById) {
+			const recipe = source.recipe || {};
+			if (recipe.enabled) {
+				return LabelRecipe.formatRecipeIngredients(
+					getRecipeItems(source, getPresetById),
+					{ order: recipe.order, groupMinor: recipe.groupMinor }
+				);
+			}
+			return [
+				...getSelectedPresets(source, getPresetById).map((preset) =>
+					LabelPresets.formatPresetIngredients(preset, getPresetById)
+				),
+				...parseIngredientList(source.additionalIngredientsText),
+			].join(", ");
+		}
+
+		// Leaf ingredients at every nesting level, then every name in the additional ingredients
+		function collectIngredients(source, getPresetById) {
+			return [
+				...getSelectedPresets(source, getPresetById).flatMap((preset) =>
+					LabelPresets.collectPresetIngredients(preset, getPresetById)
+				),
+				...LabelIngredientParser.listIngredientNames(
+					source.additionalIngredientsText
+				),
+			];
+		}
+
+		// Nutrition Facts from recipe amounts and preset nutrient data, like the form computes them
+		// (null when disabled or incomplete); additional ingredients add weight but no nutrients
+		function computeNutritionFacts(source, getPresetById) {
+			const nutrition = source.nutrition || {};
+			if (!nutrition.enabled) return null;
+			const items = getRecipeItems(source, getPresetById).map((item) => ({
+				grams: item.grams || 0,
+				nutrients: item.preset ? item.preset.nutrients || null : null,
+			}));
+			return LabelNutrition.computeNutritionFacts(items, nutrition);
+		}
+
+		// Fresh { text, ingredients, allergens, nutritionFacts } for a preset-mode label, or null for
+		// labels typed by hand. Allergens the presets now imply join the declared ones; declared ones
+		// are kept, since only the user can say an allergen no longer applies. nutritionFacts is only
+		// returned for labels with nutrition settings.
+		function regenerateLabel(label, getPresetById) {
+			if (!label || label.creationMode !== "preset") return null;
+			const derived = LabelAllergens.deriveAllergens(
+				getSelectedPresets(label, getPresetById),
+				getPresetById
+			).allergens;
+			const fresh = {
+				text: buildIngredientText(label, getPresetById),
+				ingredients: collectIngredients(label, getPresetById),
+				allergens: LabelAllergens.normalizeAllergenList([
+					...(label.allergens || []),
+					...derived,
+				]),
+			};
+			if (label.nutrition) {
+				fresh.nutritionFacts = computeNutritionFacts(label, getPresetById);
+			}
+			return fresh;
+		}
+
+		// True when a preset-mode label selects the preset directly or through nested references
+		function labelUsesPreset(label, presetId, getPresetById) {
+			if (!label || label.creationMode !== "preset") return false;
+			const reaches = (preset, visited) => {
+				if (!preset || visited.includes(preset.id)) return false;
+				if (preset.id === presetId) return true;
+				return LabelPresets.getPresetReferences(preset).some((entry) =>
+					reaches(getPresetById(entry.presetId), [...visited, preset.id])
+				);
+			};
+			return (label.selectedPresetIds || []).some(
+				(id) => id === presetId || reaches(getPresetById(id), [])
+			);
+		}
+
+		// Labels using a preset whose ingredient statement would change if regenerated
+		// Returns [{ label, before, after, ingredients }]
+		function findAffectedLabels(labels, presetId, getPresetById) {
+			return (labels || [])
+				.filter((label) => labelUsesPreset(label, presetId, getPresetById))
+				.map((label) => {
+					const fresh = regenerateLabel(label, getPresetById);
+					return {
+						label,
+						before: label.text || "",
+						after: fresh.text,
+						ingredients: fresh.ingredients,
+					};
+				})
+				.filter((change) => change.before !== change.after);
+		}
+
+		// Selection fields of a label with one preset swapped for another, or removed when toId is empty
+		// Recipe amounts move to the replacement unless it already has its own
+		// Returns { selectedPresetIds, recipe } - recipe only when the label has one
+		function replaceSelectedPreset(label, fromId, toId) {
+			const selectedPresetIds = [];
+			(label.selectedPresetIds || []).forEach((id) => {
+				const next = id === fromId ? toId : id;
+				if (next && !selectedPresetIds.includes(next)) {
+					selectedPresetIds.push(next);
+				}
+			});
+			if (!label.recipe) return { selectedPresetIds };
+			const recipe = { ...label.recipe };
+			if (recipe.amounts && recipe.amounts[fromId]) {
+				const amounts = { ...recipe.amounts };
+				if (toId && !amounts[toId]) amounts[toId] = amounts[fromId];
+				delete amounts[fromId];
+				recipe.amounts = amounts;
+			}
+			return { selectedPresetIds, recipe };
+		}
+
+		// Word-level diff of two ingredient statements (longest common subsequence)
+		// Returns [{ type: "same" | "added" | "removed", text }] with whitespace kept on the words
+		function diffIngredientText(before, after) {
+			const split = (text) => String(text || "").match(/\S+\s*/g) || [];
+			const oldWords = split(before);
+			const newWords = split(after);
+			const same = (a, b) => a.trim() === b.trim();
+
+			// lengths[i][j] = common words between oldWords[i..] and newWords[j..]
+			const lengths = oldWords.map(() =>
+				new Array(newWords.length + 1).fill(0)
+			);
+			lengths.push(new Array(newWords.length + 1).fill(0));
+			for (let i = oldWords.length - 1; i >= 0; i--) {
+				for (let j = newWords.length - 1; j >= 0; j--) {
+					lengths[i][j] = same(oldWords[i], newWords[j])
+						? lengths[i + 1][j + 1] + 1
+						: Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+				}
+			}
+
+			const parts = [];
+			const push = (type, text) => {
+				const last = parts[parts.length - 1];
+				if (last && last.type === type) last.text += text;
+				else parts.push({ type, text });
+			};
+			let i = 0;
+			let j = 0;
+			while (i < oldWords.length && j < newWords.length) {
+				if (same(oldWords[i], newWords[j])) {
+					push("same", newWords[j]);
+					i++;
+					j++;
+				} else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+					push("removed", oldWords[i++]);
+				} else {
+					push("added", newWords[j++]);
+				}
+			}
+			oldWords.slice(i).forEach((word) => push("removed", word));
+			newWords.slice(j).forEach((word) => push("added", word));
+			return parts;
+		}
+
+		return {
+			parseIngredientList,
+			getRecipeItems,
+			buildIngredientText,
+			collectIngredients,
+			regenerateLabel,
+			labelUsesPreset,
+			findAffectedLabels,
+			replaceSelectedPreset,
+			diffIngredientText,
+		};
+	}
+);
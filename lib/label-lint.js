@@ -0,0 +1,231 @@
+// Label compliance linter - checks a label against a ruleset and reports errors and warnings
+// Shared by the browser (window.LabelLint) and the API server (require)
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory(
+			require("./label-renderer"),
+			require("./allergens"),
+			require("./cottage-rules")
+		);
+	} else {
+		root.LabelLint = factory(
+			root.LabelRenderer,
+			root.LabelAllergens,
+			root.LabelCottageRules
+		);
+	}
+})(
+	typeof self !== "undefined" ? self : this,
+	function (LabelRenderer, LabelAllergens, LabelCottageRules) {
+		// Net quantity units by measurement system
+		const FLUID_UNITS = ["fl oz", "pt", "qt", "gal", "mL", "L"];
+		const US_UNITS = ["oz", "lb", "fl oz", "pt", "qt", "gal"];
+		const METRIC_UNITS = ["g", "kg", "mL", "L"];
+		const METRIC_PATTERN = /\d\s*(g|kg|mL|L)\b/;
+		const US_PATTERN = /\d\s*(oz|lb|fl oz|pt|qt|gal)\b/;
+
+		// Allergens implied by the label's presets and by keywords in its ingredient text
+		// Returns { Milk: ["Butter › cream", "\"whey\""] }
+		function findImpliedAllergens(label, context) {
+			const sources = {};
+			const add = (allergen, source) => {
+				if (!sources[allergen]) sources[allergen] = [];
+				if (!sources[allergen].includes(source)) sources[allergen].push(source);
+			};
+
+			if (context.getPresetById && label.creationMode === "preset") {
+				const presets = (label.selectedPresetIds || []).map((id) =>
+					context.getPresetById(id)
+				);
+				const derived = LabelAllergens.deriveAllergens(
+					presets,
+					context.getPresetById
+				);
+				Object.entries(derived.sources).forEach(([allergen, list]) =>
+					list.forEach((source) => add(allergen, source))
+				);
+			}
+
+			const dismissed = new Set(
+				(label.dismissedAllergenTerms || []).map((term) => term.toLowerCase())
+			);
+			LabelAllergens.detectAllergens(label.text || "")
+				.filter((match) => !dismissed.has(match.term.toLowerCase()))
+				.forEach((match) => add(match.allergen, `"${match.term}"`));
+
+			return sources;
+		}
+
+		// Ruleset - each check returns a list of messages for the label
+		const RULES = [
+			{
+				id: "business-address",
+				severity: "error",
+				field: "business",
+				description:
+					"Name and place of business, plus any fields the state requires, must appear on the label",
+				check(label, context) {
+					const pack = context.getStatePack(label.businessState);
+					const missing = LabelCottageRules.findMissingBusinessFields(
+						label,
+						pack
+					).map((key) => LabelCottageRules.BUSINESS_FIELDS[key]);
+					if (missing.length === 0) return [];
+					const fields = missing.join(", ");
+					return [
+						`${fields.charAt(0).toUpperCase()}${fields.slice(1)} missing - complete the Business tab`,
+					];
+				},
+			},
+			{
+				id: "net-weight-fluid-unit",
+				severity: "error",
+				field: "netQuantity",
+				description:
+					'"Net Wt." declares weight; fluid units need "Net Vol." or "Net Contents"',
+				check(label) {
+					const net = LabelRenderer.getLabelSections(label).find(
+						(section) => section.type === "netQuantity"
+					);
+					return net &&
+						net.prefix === "Net Wt." &&
+						FLUID_UNITS.includes(label.netQuantityUnit)
+						? [
+								`"Net Wt." used with a fluid unit (${label.netQuantityUnit}) - use a weight unit or a volume declaration`,
+							]
+						: [];
+				},
+			},
+			{
+				id: "dual-unit-net-quantity",
+				severity: "warning",
+				field: "netQuantity",
+				description:
+					"Net quantity must be declared in both US customary and metric units",
+				check(label) {
+					if (label.showBlankQuantity || !label.netQuantity) return [];
+					const net = LabelRenderer.getLabelSections(label).find(
+						(section) => section.type === "netQuantity"
+					);
+					if (!net) return [];
+					if (
+						US_UNITS.includes(label.netQuantityUnit) &&
+						!METRIC_PATTERN.test(net.text)
+					) {
+						return [
+							`Net quantity has no metric equivalent (e.g. "${label.netQuantity} ${label.netQuantityUnit} (… g)")`,
+						];
+					}
+					if (
+						METRIC_UNITS.includes(label.netQuantityUnit) &&
+						!US_PATTERN.test(net.text)
+					) {
+						return ["Net quantity has no US customary equivalent (oz / fl oz)"];
+					}
+					return [];
+				},
+			},
+			{
+				id: "tree-nut-species",
+				severity: "error",
+				field: "allergens",
+				description:
+					"Tree nut declarations must name the specific nut (e.g. almonds, pecans)",
+				check(label) {
+					if (!(label.allergens || []).includes("Tree Nuts")) return [];
+					const named = LabelAllergens.detectAllergens(
+						label.allergenDetails || ""
+					).some((match) => match.allergen === "Tree Nuts" && match.detail);
+					return named
+						? []
+						: [
+								"Tree Nuts declared without naming the nut - add the species (e.g. Almonds, Pecans) to the allergen details",
+							];
+				},
+			},
+			{
+				id: "undeclared-allergen",
+				severity: "error",
+				field: "allergens",
+				description:
+					"Every major allergen the ingredients contain must be declared",
+				check(label, context) {
+					const declared = label.allergens || [];
+					const implied = findImpliedAllergens(label, context);
+					return LabelAllergens.MAJOR_ALLERGENS.filter(
+						(allergen) => implied[allergen] && !declared.includes(allergen)
+					).map(
+						(allergen) =>
+							`${allergen} not declared, but the ingredients include ${implied[allergen].join(", ")}`
+					);
+				},
+			},
+			{
+				id: "cottage-disclaimer",
+				severity: "error",
+				field: "cottageDisclaimer",
+				description:
+					"The cottage food disclaimer is required where the business state requires it",
+				check(label, context) {
+					if (label.includeCottageDisclaimer || !label.businessState) return [];
+					const pack = context.getStatePack(label.businessState);
+					return pack.requiresDisclaimer
+						? [`${label.businessState} requires the cottage food disclaimer`]
+						: [];
+				},
+			},
+			{
+				id: "prohibited-product",
+				severity: "error",
+				field: "name",
+				description:
+					"The product must be one the state allows cottage food operations to sell",
+				check(label, context) {
+					if (!label.businessState) return [];
+					const pack = context.getStatePack(label.businessState);
+					return LabelCottageRules.findProhibitedProducts(label, pack).map(
+						(term) =>
+							`${pack.name} does not allow cottage food sales of "${term}" products`
+					);
+				},
+			},
+		];
+
+		// Run every rule against a label; the state's pack can turn rules off or change their severity
+		// context: { getPresetById, getStatePack } - both optional
+		// Returns { ok, issues, errors, warnings } where each issue is { rule, severity, field, message }
+		function lintLabel(label, context = {}) {
+			const fullContext = {
+				getStatePack: LabelCottageRules.getStatePack,
+				...context,
+			};
+			const target = label || {};
+			const checks = fullContext.getStatePack(target.businessState).checks;
+			const issues = [];
+			RULES.forEach((rule) => {
+				const severity = checks[rule.id] || rule.severity;
+				if (severity === "off") return;
+				rule.check(target, fullContext).forEach((message) =>
+					issues.push({
+						rule: rule.id,
+						severity,
+						field: rule.field,
+						message,
+					})
+				);
+			});
+			const errors = issues.filter((issue) => issue.severity === "error");
+			const warnings = issues.filter((issue) => issue.severity === "warning");
+			return { ok: errors.length === 0, issues, errors, warnings };
+		}
+
+		return {
+			RULES,
+			FLUID_UNITS,
+			US_UNITS,
+			METRIC_UNITS,
+			findImpliedAllergens,
+			lintLabel,
+		};
+	}
+);
@@ -0,0 +1,397 @@
+// Shared label renderer - the single source of label content and formatting
+// Used by the browser (window.LabelRenderer) and the API server (require)
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory(
+			require("./nutrition"),
+			require("./cottage-rules"),
+			require("./net-quantity"),
+			require("./production-runs"),
+			require("./ingredient-parser")
+		);
+	} else {
+		root.LabelRenderer = factory(
+			root.LabelNutrition,
+			root.LabelCottageRules,
+			root.LabelNetQuantity,
+			root.LabelRuns,
+			root.LabelIngredientParser
+		);
+	}
+})(
+	typeof self !== "undefined" ? self : this,
+	function (
+		LabelNutrition,
+		LabelCottageRules,
+		LabelNetQuantity,
+		LabelRuns,
+		LabelIngredientParser
+	) {
+		// Disclaimer for states without their own rule pack
+		const COTTAGE_DISCLAIMER = LabelCottageRules.DEFAULT_PACK.disclaimer;
+
+		// FDA minimum type size for label text other than the principal display panel
+		const MIN_FONT_PT = 8;
+
+		// Default typography for labels without a physical size
+		const DEFAULT_TYPOGRAPHY = {
+			large: 14,
+			small: MIN_FONT_PT,
+			lineHeight: 1.6,
+			spacing: 8,
+		};
+
+		const FORMATS = ["html", "text", "markdown", "json"];
+
+		// Escape HTML special characters (DOM-free so it also runs on the server)
+		function escapeHtml(text) {
+			return String(text == null ? "" : text)
+				.replace(/&/g, "&amp;")
+				.replace(/</g, "&lt;")
+				.replace(/>/g, "&gt;")
+				.replace(/"/g, "&quot;")
+				.replace(/'/g, "&#39;");
+		}
+
+		// Escape Markdown control characters in label content
+		function escapeMarkdown(text) {
+			return String(text).replace(/([\\`*_[\]#|<>])/g, "\\$1");
+		}
+
+		// Clean up ingredient text - collapse whitespace
+		function normalizeIngredients(text) {
+			if (!text) return "";
+			return String(text).replace(/\s+/g, " ").trim();
+		}
+
+		// Name text of an item, bold when asked; a trailing percentage ("Salt 2%") stays plain
+		function formatNameHtml(text, bold) {
+			if (!bold) return escapeHtml(text);
+			const [, before, name, after] = text.match(
+				/^(\s*)(.*?)((?:\s*\d+(?:\.\d+)?\s*%)?\s*)$/
+			);
+			return `${before}${name ? `<strong>${escapeHtml(name)}</strong>` : ""}${escapeHtml(after)}`;
+		}
+
+		// One item as written: its name text and bracket groups in their original order, with
+		// sub-ingredient groups formatted in turn and percentage groups left plain
+		function formatIngredientItemHtml(item, depth) {
+			const { OPEN_BRACKETS, CLOSE_BRACKETS, PERCENT_PATTERN } =
+				LabelIngredientParser;
+			let html = "";
+			let rest = item;
+			const minorGroup = rest
+				.trimStart()
+				.match(LabelIngredientParser.MINOR_GROUP_PATTERN);
+			if (minorGroup) {
+				const start = rest.indexOf(minorGroup[1]) + minorGroup[1].length;
+				html += escapeHtml(rest.slice(0, start));
+				rest = rest.slice(start);
+			}
+
+			// Outside text and top-level bracket groups
+			const parts = [];
+			let bracketDepth = 0;
+			let current = "";
+			for (const char of rest) {
+				if (OPEN_BRACKETS.includes(char)) {
+					if (bracketDepth === 0) {
+						parts.push({ text: current });
+						current = "";
+					}
+					bracketDepth++;
+				} else if (CLOSE_BRACKETS.includes(char) && bracketDepth > 0) {
+					bracketDepth--;
+					if (bracketDepth === 0) {
+						parts.push({
+							group: current.slice(1),
+							open: current[0],
+							close: char,
+						});
+						current = "";
+						continue;
+					}
+				}
+				current += char;
+			}
+			// An unclosed bracket runs to the end of the item
+			if (bracketDepth > 0) {
+				parts.push({ group: current.slice(1), open: current[0], close: "" });
+			} else {
+				parts.push({ text: current });
+			}
+
+			const isPercent = (part) =>
+				part.group !== undefined && PERCENT_PATTERN.test(part.group);
+			const compound = parts.some(
+				(part) => part.group !== undefined && !isPercent(part)
+			);
+			return (
+				html +
+				parts
+					.map((part) => {
+						if (part.text !== undefined) {
+							return formatNameHtml(part.text, compound || depth === 0);
+						}
+						if (isPercent(part)) {
+							return escapeHtml(`${part.open}${part.group}${part.close}`);
+						}
+						return `${part.open}${formatIngredientListHtml(part.group, depth + 1)}${part.close}`;
+					})
+					.join("")
+			);
+		}
+
+		// Comma-separated items as written, each formatted by formatIngredientItemHtml
+		function formatIngredientListHtml(text, depth) {
+			return LabelIngredientParser.splitTopLevel(text, ",", {
+				keepSpacing: true,
+			})
+				.map((item) => formatIngredientItemHtml(item, depth))
+				.join(",");
+		}
+
+		// Format ingredients with bold ingredient names at the top level and bold compound
+		// names at every nested level, keeping the statement exactly as written
+		// e.g. "Cookie Dough (flour, Chips (sugar, cocoa)), Butter"
+		//   -> "<strong>Cookie Dough</strong> (flour, <strong>Chips</strong> (sugar, cocoa)), <strong>Butter</strong>"
+		function formatIngredientsHtml(text) {
+			if (!text) return "";
+			return formatIngredientListHtml(String(text), 0);
+		}
+
+		// Allergen statement, e.g. "CONTAINS: MILK, TREE NUTS (ALMONDS)"
+		function formatAllergenStatement(label) {
+			if (!label.allergens || label.allergens.length === 0) return "";
+			let allergenText = label.allergens.join(", ");
+			if (label.allergenDetails) {
+				allergenText += ` (${label.allergenDetails})`;
+			}
+			return `CONTAINS: ${allergenText.toUpperCase()}`;
+		}
+
+		// Business line: "Business Name Address, City, State, Zip, Phone, Permit #123 (County)"
+		// (no comma between name and address)
+		function formatBusinessLine(label) {
+			if (!label.businessName) return "";
+			let addressStr = label.businessName;
+			if (label.businessAddress) {
+				addressStr += " " + label.businessAddress;
+			}
+			const rest = [
+				label.businessCity,
+				label.businessState,
+				label.businessZip,
+				label.businessPhone,
+				formatPermit(label),
+			]
+				.filter((p) => p)
+				.join(", ");
+			if (rest) {
+				addressStr += ", " + rest;
+			}
+			return addressStr;
+		}
+
+		// Permit number and issuing county, e.g. "Permit #PR-1234 (Los Angeles County)"
+		function formatPermit(label) {
+			const county = label.businessCounty
+				? `${label.businessCounty} County`
+				: "";
+			if (!label.businessPermit) return county;
+			return county
+				? `Permit #${label.businessPermit} (${county})`
+				: `Permit #${label.businessPermit}`;
+		}
+
+		// Production run stamp, e.g. "Produced: 03/01/2025 · Best By: 03/15/2025 · Lot: 25060-001"
+		function formatProductionLine(label) {
+			return [
+				label.productionDate &&
+					`Produced: ${LabelRuns.formatLabelDate(label.productionDate)}`,
+				label.bestByDate &&
+					`Best By: ${LabelRuns.formatLabelDate(label.bestByDate)}`,
+				label.lotCode && `Lot: ${label.lotCode}`,
+			]
+				.filter((part) => part)
+				.join(" · ");
+		}
+
+		// Ordered label sections shared by every output format
+		function getLabelSections(label) {
+			const sections = [];
+			const ingredients = normalizeIngredients(
+				label.text || label.ingredientsText || ""
+			);
+
+			if (label.name) {
+				sections.push({ type: "name", text: label.name });
+			}
+			if (ingredients) {
+				sections.push({
+					type: "ingredients",
+					heading: "Ingredients:",
+					text: ingredients,
+				});
+			}
+			const allergenStatement = formatAllergenStatement(label);
+			if (allergenStatement) {
+				sections.push({ type: "allergens", text: allergenStatement });
+			}
+			const businessLine = formatBusinessLine(label);
+			if (businessLine) {
+				sections.push({ type: "business", text: businessLine });
+			}
+			const netQuantity = LabelNetQuantity.getNetQuantity(label);
+			if (netQuantity) {
+				sections.push({
+					type: "netQuantity",
+					...netQuantity,
+					text: LabelNetQuantity.formatNetQuantity(netQuantity),
+				});
+			}
+			const productionLine = formatProductionLine(label);
+			if (productionLine) {
+				sections.push({ type: "production", text: productionLine });
+			}
+			if (label.includeCottageDisclaimer) {
+				sections.push({
+					type: "cottageDisclaimer",
+					text: LabelCottageRules.getStatePack(label.businessState).disclaimer,
+				});
+			}
+			if (label.nutritionFacts) {
+				sections.push({
+					type: "nutritionFacts",
+					facts: label.nutritionFacts,
+					text: LabelNutrition.renderNutritionFactsText(label.nutritionFacts),
+				});
+			}
+			return sections;
+		}
+
+		// Build formatted HTML for a label (used in preview, print, rich text copy and the API)
+		// Clean, centered FDA-compliant layout; FDA requires a minimum 8pt font and consistent single-line spacing
+		// Uses pt units for proper Google Docs/rich text compatibility
+		// Options: size (inches) renders a fixed physical box; fontSizes overrides the default typography
+		function renderLabelHtml(label, options = {}) {
+			const typography = options.fontSizes || DEFAULT_TYPOGRAPHY;
+
+			// Consistent spacing between sections
+			const sectionMargin = `margin-bottom: ${typography.spacing}px;`;
+			const fontFamily =
+				"font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;";
+
+			// Font sizes in pt for proper rich text/Google Docs compatibility
+			const largeFontSize = `font-size: ${typography.large}pt;`; // Product name & net weight
+			const smallFontSize = `font-size: ${typography.small}pt;`; // FDA minimum is 8pt for other text
+
+			const sectionHtml = {
+				// Product name - bold, centered (same size as net weight for consistency)
+				name: (section) =>
+					`<div style="text-align: center; font-weight: 700; ${largeFontSize} ${sectionMargin} ${fontFamily}">${escapeHtml(section.text)}</div>`,
+				// Underlined and bold "Ingredients:" label, bold preset names (not sub-ingredients)
+				ingredients: (section) =>
+					`<div style="text-align: center; line-height: ${typography.lineHeight}; ${sectionMargin} ${smallFontSize} ${fontFamily}"><span style="text-decoration: underline; font-weight: 700;">${section.heading}</span> ${formatIngredientsHtml(section.text)}</div>`,
+				// Allergens - bold CONTAINS statement
+				allergens: (section) =>
+					`<div style="text-align: center; font-weight: 700; ${sectionMargin} ${smallFontSize} ${fontFamily}">${escapeHtml(section.text)}</div>`,
+				// Business info - bold name and address
+				business: (section) =>
+					`<div style="text-align: center; font-weight: 700; ${smallFontSize} ${sectionMargin} ${fontFamily}">${escapeHtml(section.text)}</div>`,
+				// Net quantity - bold, same size as product name; blank quantities leave a fill-in gap
+				netQuantity: (section) => {
+					const amount = section.amount
+						? escapeHtml(section.amount)
+						: `<span style="display: inline-block; min-width: 40px;"></span>`;
+					const main = section.declaration
+						? escapeHtml(section.declaration)
+						: `${amount} ${escapeHtml(section.unit)}`;
+					const prefix = section.prefix ? `${escapeHtml(section.prefix)} ` : "";
+					const count = section.count ? `${escapeHtml(section.count)}, ` : "";
+					return `<div style="text-align: center; font-weight: 700; ${largeFontSize} ${sectionMargin} ${fontFamily}">${count}${prefix}${main}</div>`;
+				},
+				// Production run dates and lot code - bold so they stand out for recalls
+				production: (section) =>
+					`<div style="text-align: center; font-weight: 700; ${smallFontSize} ${sectionMargin} ${fontFamily}">${escapeHtml(section.text)}</div>`,
+				// Cottage food disclaimer - bold, all caps
+				cottageDisclaimer: (section) =>
+					`<div style="text-align: center; font-weight: 700; ${smallFontSize} text-transform: uppercase; letter-spacing: 0.3px; ${fontFamily}">${escapeHtml(section.text)}</div>`,
+				// Nutrition Facts panel - vertical or linear format, at the small text size
+				nutritionFacts: (section) =>
+					`<div style="margin-top: ${typography.spacing}px;">${LabelNutrition.renderNutritionFactsHtml(section.facts, { fontSize: typography.small })}</div>`,
+			};
+
+			const body = getLabelSections(label)
+				.map((section) => sectionHtml[section.type](section))
+				.join("");
+
+			// Fixed physical box when a label size is given, otherwise a flexible 500px card
+			const boxStyle = options.size
+				? `width: ${options.size.width}in; height: ${options.size.height}in; padding: 0.06in; box-sizing: border-box; overflow: hidden; display: flex; flex-direction: column; justify-content: center;`
+				: "padding: 24px; max-width: 500px;";
+
+			return `<div style="background: #ffffff; ${boxStyle} ${fontFamily} margin: 0 auto;">${body}</div>`;
+		}
+
+		// Plain text label - one line per section, single-line spacing
+		function renderLabelText(label) {
+			return getLabelSections(label)
+				.map((section) =>
+					section.heading ? `${section.heading} ${section.text}` : section.text
+				)
+				.join("\n");
+		}
+
+		// Markdown label - name as a heading, emphasis matching the HTML label
+		function renderLabelMarkdown(label) {
+			return getLabelSections(label)
+				.map((section) => {
+					const text = escapeMarkdown(section.text);
+					if (section.type === "name") return `# ${text}`;
+					if (section.type === "business" || section.type === "nutritionFacts")
+						return text;
+					if (section.heading) return `**${section.heading}** ${text}`;
+					return `**${text}**`;
+				})
+				.join("\n\n");
+		}
+
+		// Structured label content for scripts and other tools
+		function renderLabelJson(label) {
+			return {
+				id: label.id || (label._id ? label._id.toString() : undefined),
+				name: label.name || "",
+				sections: getLabelSections(label),
+				text: renderLabelText(label),
+			};
+		}
+
+		// Render a label in one of FORMATS
+		function renderLabel(label, format, options = {}) {
+			if (format === "html") return renderLabelHtml(label, options);
+			if (format === "text") return renderLabelText(label);
+			if (format === "markdown") return renderLabelMarkdown(label);
+			if (format === "json") return renderLabelJson(label);
+			throw new Error(`Unsupported format: ${format}`);
+		}
+
+		return {
+			COTTAGE_DISCLAIMER,
+			MIN_FONT_PT,
+			FORMATS,
+			escapeHtml,
+			normalizeIngredients,
+			formatIngredientsHtml,
+			formatAllergenStatement,
+			formatBusinessLine,
+			formatProductionLine,
+			getLabelSections,
+			renderLabelHtml,
+			renderLabelText,
+			renderLabelMarkdown,
+			renderLabelJson,
+			renderLabel,
+		};
+	}
+);
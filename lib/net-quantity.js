@@ -0,0 +1,163 @@
+// Net quantity of contents - unit types, canonical amounts and dual US/metric declarations (21 CFR 101.105)
+// Shared by the browser (window.LabelNetQuantity) and the API server (require)
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory();
+	} else {
+		root.LabelNetQuantity = factory();
+	}
+})(typeof self !== "undefined" ? self : this, function () {
+	// Units offered for the net quantity; factor converts to grams (weight) or milliliters (volume)
+	const UNITS = {
+		oz: { type: "weight", system: "us", factor: 28.349523125 },
+		lb: { type: "weight", system: "us", factor: 453.59237 },
+		g: { type: "weight", system: "metric", factor: 1 },
+		kg: { type: "weight", system: "metric", factor: 1000 },
+		"fl oz": { type: "volume", system: "us", factor: 29.5735295625 },
+		pt: { type: "volume", system: "us", factor: 473.176473 },
+		qt: { type: "volume", system: "us", factor: 946.352946 },
+		gal: { type: "volume", system: "us", factor: 3785.411784 },
+		mL: { type: "volume", system: "metric", factor: 1 },
+		L: { type: "volume", system: "metric", factor: 1000 },
+		pieces: { type: "count" },
+	};
+
+	// Declaration prefix by unit type; count-only declarations have none
+	const PREFIXES = { weight: "Net Wt.", volume: "Net Vol.", count: "" };
+
+	const DEFAULT_COUNT_UNIT = "pieces";
+
+	// Unit details, treating unknown units as counts
+	function getUnit(unit) {
+		return UNITS[unit] || UNITS.pieces;
+	}
+
+	// Round down to at most three significant figures so the declaration never overstates the contents
+	function roundDown(value) {
+		if (!(value > 0)) return "0";
+		const digits = Math.floor(Math.log10(value)) + 1;
+		const decimals = Math.max(0, 3 - digits);
+		const factor = Math.pow(10, 3 - digits);
+		// The small epsilon keeps exact round trips (12 oz -> g -> oz) from dropping to 11.9
+		const rounded = Math.floor(value * factor + 1e-6) / factor;
+		return String(Number(rounded.toFixed(decimals)));
+	}
+
+	// Canonical amount in grams or milliliters, or null for counts and invalid amounts
+	function getCanonicalAmount(amount, unit) {
+		const value = Number(amount);
+		const details = getUnit(unit);
+		if (!(value > 0) || details.type === "count") return null;
+		return {
+			amount: Number((value * details.factor).toFixed(3)),
+			unit: details.type === "weight" ? "g" : "mL",
+		};
+	}
+
+	// Metric declaration, e.g. "340 g" or "1.36 kg"
+	function formatMetric(base, type) {
+		const [small, large] = type === "weight" ? ["g", "kg"] : ["mL", "L"];
+		return base >= 1000
+			? `${roundDown(base / 1000)} ${large}`
+			: `${roundDown(base)} ${small}`;
+	}
+
+	// US customary declaration in ounces (or fl oz) up to the next large unit, e.g. "17.6 oz" or "4.5 lb"
+	function formatUsSimple(base, type) {
+		if (type === "weight") {
+			const ounces = base / UNITS.oz.factor;
+			return ounces >= 64
+				? `${roundDown(base / UNITS.lb.factor)} lb`
+				: `${roundDown(ounces)} oz`;
+		}
+		const fluidOunces = base / UNITS["fl oz"].factor;
+		return fluidOunces >= 128
+			? `${roundDown(base / UNITS.gal.factor)} gal`
+			: `${roundDown(fluidOunces)} fl oz`;
+	}
+
+	// Larger-unit breakdown FDA wants alongside ounces between 1 lb and 4 lb (or 1 pt and 1 gal),
+	// e.g. "1 lb 8 oz" or "1 qt 4 fl oz"; empty outside that range
+	function formatUsBreakdown(base, type) {
+		const [small, smallFactor, steps] =
+			type === "weight"
+				? ["oz", UNITS.oz.factor, [{ unit: "lb", size: 16, max: 64 }]]
+				: [
+						"fl oz",
+						UNITS["fl oz"].factor,
+						[
+							{ unit: "qt", size: 32, max: 128 },
+							{ unit: "pt", size: 16, max: 32 },
+						],
+					];
+		const ounces = Number((base / smallFactor).toFixed(6));
+		const step = steps.find(
+			(candidate) => ounces >= candidate.size && ounces < candidate.max
+		);
+		if (!step) return "";
+		const whole = Math.floor(ounces / step.size);
+		const remainder = ounces - whole * step.size;
+		return remainder > 0
+			? `${whole} ${step.unit} ${roundDown(remainder)} ${small}`
+			: `${whole} ${step.unit}`;
+	}
+
+	// Net quantity parts for a label - amount is empty for a blank (fill-in) quantity
+	// Returns { count, prefix, amount, unit, declaration } or null, e.g. for 24 oz with netCount 12:
+	// { count: "12 pieces", prefix: "Net Wt.", amount: "24", unit: "oz", declaration: "24 oz (1 lb 8 oz) 680 g" }
+	function getNetQuantity(label) {
+		const unit = label.netQuantityUnit || "pieces";
+		const details = getUnit(unit);
+		const prefix = PREFIXES[details.type];
+		const amount = label.netQuantity ? String(label.netQuantity) : "";
+		if (!amount && !label.showBlankQuantity) return null;
+
+		// Count-only declaration, e.g. "12 pieces"
+		if (details.type === "count") {
+			return { count: "", prefix, amount, unit, declaration: "" };
+		}
+
+		const count =
+			Number(label.netCount) > 0
+				? `${label.netCount} ${label.netCountUnit || DEFAULT_COUNT_UNIT}`
+				: "";
+		const value = Number(amount);
+		if (!(value > 0)) {
+			return { count, prefix, amount, unit, declaration: "" };
+		}
+		// Unrounded grams or milliliters, so exact US amounts convert back exactly
+		const base = value * details.factor;
+
+		let declaration;
+		if (details.system === "metric") {
+			declaration = `${formatMetric(base, details.type)} (${formatUsSimple(base, details.type)})`;
+		} else {
+			// Under 4 lb (or 1 gal) the US amount is stated in ounces, with the larger units in parentheses
+			const breakdown = formatUsBreakdown(base, details.type);
+			const usAmount = formatUsSimple(base, details.type);
+			const metric = formatMetric(base, details.type);
+			declaration = breakdown
+				? `${usAmount} (${breakdown}) ${metric}`
+				: `${usAmount} (${metric})`;
+		}
+		return { count, prefix, amount, unit, declaration };
+	}
+
+	// One-line declaration, e.g. "12 pieces, Net Wt. 8 oz (226 g)"; blanks show a fill-in gap
+	function formatNetQuantity(net, blank = "______") {
+		const main = net.declaration || `${net.amount || blank} ${net.unit}`;
+		const body = net.prefix ? `${net.prefix} ${main}` : main;
+		return net.count ? `${net.count}, ${body}` : body;
+	}
+
+	return {
+		UNITS,
+		PREFIXES,
+		DEFAULT_COUNT_UNIT,
+		getUnit,
+		roundDown,
+		getCanonicalAmount,
+		getNetQuantity,
+		formatNetQuantity,
+	};
+});
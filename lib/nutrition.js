@@ -0,0 +1,279 @@
+// Nutrition Facts computation and rendering (21 CFR 101.9)
+// Shared by the browser (window.LabelNutrition) and the API server (require)
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory();
+	} else {
+		root.LabelNutrition = factory();
+	}
+})(typeof self !== "undefined" ? self : this, function () {
+	// Nutrients in panel order; dailyValue is the FDA Daily Value for adults and children 4+
+	const NUTRIENTS = [
+		{ key: "calories", name: "Calories", unit: "" },
+		{ key: "totalFat", name: "Total Fat", unit: "g", dailyValue: 78 },
+		{
+			key: "saturatedFat",
+			name: "Saturated Fat",
+			unit: "g",
+			dailyValue: 20,
+			indent: 1,
+		},
+		{ key: "transFat", name: "Trans Fat", unit: "g", indent: 1 },
+		{ key: "cholesterol", name: "Cholesterol", unit: "mg", dailyValue: 300 },
+		{ key: "sodium", name: "Sodium", unit: "mg", dailyValue: 2300 },
+		{
+			key: "totalCarbohydrate",
+			name: "Total Carbohydrate",
+			unit: "g",
+			dailyValue: 275,
+		},
+		{
+			key: "dietaryFiber",
+			name: "Dietary Fiber",
+			unit: "g",
+			dailyValue: 28,
+			indent: 1,
+		},
+		{ key: "totalSugars", name: "Total Sugars", unit: "g", indent: 1 },
+		{
+			key: "addedSugars",
+			name: "Added Sugars",
+			unit: "g",
+			dailyValue: 50,
+			indent: 2,
+		},
+		{ key: "protein", name: "Protein", unit: "g" },
+		{
+			key: "vitaminD",
+			name: "Vitamin D",
+			unit: "mcg",
+			dailyValue: 20,
+			micronutrient: true,
+		},
+		{
+			key: "calcium",
+			name: "Calcium",
+			unit: "mg",
+			dailyValue: 1300,
+			micronutrient: true,
+		},
+		{
+			key: "iron",
+			name: "Iron",
+			unit: "mg",
+			dailyValue: 18,
+			micronutrient: true,
+		},
+		{
+			key: "potassium",
+			name: "Potassium",
+			unit: "mg",
+			dailyValue: 4700,
+			micronutrient: true,
+		},
+	];
+
+	const FORMATS = ["vertical", "linear"];
+
+	// Round to the nearest multiple of step, avoiding floating point noise
+	function roundTo(value, step) {
+		return Number((Math.round(value / step) * step).toFixed(2));
+	}
+
+	// FDA rounding rules for declared amounts
+	// Returns { value, display } - display may be "less than" wording (e.g. "<1g")
+	function roundNutrient(key, amount) {
+		const value = Number(amount) || 0;
+		const nutrient = NUTRIENTS.find((n) => n.key === key);
+		const unit = nutrient ? nutrient.unit : "";
+		const result = (rounded) => ({
+			value: rounded,
+			display: `${rounded}${unit}`,
+		});
+
+		switch (key) {
+			case "calories":
+				if (value < 5) return result(0);
+				return result(value <= 50 ? roundTo(value, 5) : roundTo(value, 10));
+			case "totalFat":
+			case "saturatedFat":
+			case "transFat":
+				if (value < 0.5) return result(0);
+				return result(value < 5 ? roundTo(value, 0.5) : roundTo(value, 1));
+			case "cholesterol":
+				if (value < 2) return result(0);
+				if (value <= 5) return { value: 5, display: "<5mg" };
+				return result(roundTo(value, 5));
+			case "sodium":
+			case "potassium":
+				if (value < 5) return result(0);
+				return result(value <= 140 ? roundTo(value, 5) : roundTo(value, 10));
+			case "totalCarbohydrate":
+			case "dietaryFiber":
+			case "totalSugars":
+			case "addedSugars":
+			case "protein":
+				if (value < 0.5) return result(0);
+				if (value < 1) return { value: 1, display: "<1g" };
+				return result(roundTo(value, 1));
+			case "vitaminD":
+			case "iron":
+				return result(roundTo(value, 0.1));
+			case "calcium":
+				return result(roundTo(value, 10));
+			default:
+				return result(roundTo(value, 1));
+		}
+	}
+
+	// Percent Daily Value - nearest 1% for macronutrients;
+	// vitamins and minerals: <2% as 0, nearest 2% to 10%, nearest 5% to 50%, nearest 10% above
+	function roundDailyValue(key, amount) {
+		const nutrient = NUTRIENTS.find((n) => n.key === key);
+		if (!nutrient || !nutrient.dailyValue) return null;
+		const percent = ((Number(amount) || 0) / nutrient.dailyValue) * 100;
+		if (!nutrient.micronutrient) return Math.round(percent);
+		if (percent < 2) return 0;
+		if (percent <= 10) return roundTo(percent, 2);
+		if (percent <= 50) return roundTo(percent, 5);
+		return roundTo(percent, 10);
+	}
+
+	// Compute unrounded nutrients per serving from recipe items
+	// items: [{ grams, nutrients }] with nutrients per 100 g; serving: { servingSize, servingSizeGrams, servingsPerContainer }
+	function computeNutritionFacts(items, serving) {
+		const totalGrams = items.reduce(
+			(sum, item) => sum + (Number(item.grams) || 0),
+			0
+		);
+		const servingGrams = Number(serving.servingSizeGrams) || 0;
+		if (totalGrams <= 0 || servingGrams <= 0) return null;
+
+		const perServing = {};
+		NUTRIENTS.forEach((nutrient) => {
+			const recipeTotal = items.reduce((sum, item) => {
+				const per100g = item.nutrients
+					? Number(item.nutrients[nutrient.key]) || 0
+					: 0;
+				return sum + ((Number(item.grams) || 0) * per100g) / 100;
+			}, 0);
+			perServing[nutrient.key] = (recipeTotal / totalGrams) * servingGrams;
+		});
+
+		return {
+			format: FORMATS.includes(serving.format) ? serving.format : "vertical",
+			servingSize: serving.servingSize || "",
+			servingSizeGrams: servingGrams,
+			servingsPerContainer: serving.servingsPerContainer || "",
+			perServing,
+		};
+	}
+
+	// Rounded panel rows for display
+	function getPanelRows(facts) {
+		return NUTRIENTS.map((nutrient) => {
+			const amount = facts.perServing[nutrient.key] || 0;
+			const rounded = roundNutrient(nutrient.key, amount);
+			// %DV follows the declared amount so the panel reads consistently ("less than" amounts use the actual value)
+			const basis =
+				nutrient.micronutrient || rounded.display.startsWith("<")
+					? amount
+					: rounded.value;
+			return {
+				...nutrient,
+				amount: rounded,
+				percentDailyValue: roundDailyValue(nutrient.key, basis),
+			};
+		});
+	}
+
+	// Serving size line, e.g. "1 cookie (30g)"
+	function formatServingSize(facts) {
+		const grams = `${roundTo(facts.servingSizeGrams, 1)}g`;
+		return facts.servingSize ? `${facts.servingSize} (${grams})` : grams;
+	}
+
+	function escapeHtml(text) {
+		return String(text == null ? "" : text)
+			.replace(/&/g, "&amp;")
+			.replace(/</g, "&lt;")
+			.replace(/>/g, "&gt;")
+			.replace(/"/g, "&quot;");
+	}
+
+	// Linear (running text) panel used for small packages and plain text output
+	function renderNutritionFactsText(facts) {
+		const rows = getPanelRows(facts);
+		const parts = rows.map((row) => {
+			if (row.key === "calories") return `Calories ${row.amount.value}`;
+			const dv =
+				row.percentDailyValue !== null ? ` (${row.percentDailyValue}% DV)` : "";
+			const name = row.key === "addedSugars" ? "Incl. Added Sugars" : row.name;
+			return row.micronutrient
+				? `${row.name} ${row.percentDailyValue}%`
+				: `${name} ${row.amount.display}${dv}`;
+		});
+		const servings = facts.servingsPerContainer
+			? `Servings: ${facts.servingsPerContainer}, `
+			: "";
+		return `Nutrition Facts ${servings}Serv. size: ${formatServingSize(facts)}, Amount per serving: ${parts.join(", ")}.`;
+	}
+
+	// Nutrition Facts panel as inline-styled HTML (vertical or linear format)
+	function renderNutritionFactsHtml(facts, options = {}) {
+		const fontFamily = "font-family: Helvetica, Arial, sans-serif;";
+		const fontSize = `font-size: ${options.fontSize || 8}pt;`;
+
+		if (facts.format === "linear") {
+			const text = escapeHtml(renderNutritionFactsText(facts)).replace(
+				"Nutrition Facts",
+				'<strong style="font-size: 1.3em;">Nutrition Facts</strong>'
+			);
+			return `<div style="border: 1px solid #000; padding: 2px 4px; text-align: left; line-height: 1.2; ${fontSize} ${fontFamily}">${text}</div>`;
+		}
+
+		const rule = (weight) => `border-top: ${weight}px solid #000;`;
+		const rows = getPanelRows(facts);
+		const calories = rows.find((row) => row.key === "calories");
+
+		const nutrientRows = rows
+			.filter((row) => row.key !== "calories" && !row.micronutrient)
+			.map((row) => {
+				const name =
+					row.key === "addedSugars"
+						? `Includes ${escapeHtml(row.amount.display)} Added Sugars`
+						: `${row.indent ? escapeHtml(row.name) : `<strong>${escapeHtml(row.name)}</strong>`} ${escapeHtml(row.amount.display)}`;
+				const dv =
+					row.percentDailyValue !== null
+						? `<strong>${row.percentDailyValue}%</strong>`
+						: "";
+				return `<tr style="${rule(1)}"><td style="padding: 1px 0 1px ${(row.indent || 0) * 8}px;">${name}</td><td style="text-align: right;">${dv}</td></tr>`;
+			})
+			.join("");
+
+		const micronutrientRows = rows
+			.filter((row) => row.micronutrient)
+			.map(
+				(row, index) =>
+					`<tr style="${rule(index === 0 ? 6 : 1)}"><td style="padding: 1px 0;">${escapeHtml(row.name)} ${escapeHtml(row.amount.display)}</td><td style="text-align: right;">${row.percentDailyValue}%</td></tr>`
+			)
+			.join("");
+
+		const servings = facts.servingsPerContainer
+			? `<div>${escapeHtml(facts.servingsPerContainer)} servings per container</div>`
+			: "";
+
+		return `<div style="border: 1px solid #000; padding: 2px 4px; text-align: left; max-width: 2.6in; margin: 0 auto; line-height: 1.2; ${fontSize} ${fontFamily}"><div style="font-size: 2.4em; font-weight: 900; line-height: 1;">Nutrition Facts</div>${servings}<div style="font-weight: 700; display: flex; justify-content: space-between;"><span>Serving size</span><span>${escapeHtml(formatServingSize(facts))}</span></div><div style="${rule(8)} font-weight: 700; font-size: 0.9em;">Amount per serving</div><div style="display: flex; justify-content: space-between; align-items: baseline; font-weight: 900;"><span style="font-size: 1.8em;">Calories</span><span style="font-size: 2.4em;">${calories.amount.value}</span></div><table style="width: 100%; border-collapse: collapse; ${rule(4)}"><tr><td></td><td style="text-align: right; font-weight: 700;">% Daily Value*</td></tr>${nutrientRows}${micronutrientRows}</table><div style="${rule(4)} font-size: 0.85em;">* The % Daily Value (DV) tells you how much a nutrient in a serving of food contributes to a daily diet. 2,000 calories a day is used for general nutrition advice.</div></div>`;
+	}
+
+	return {
+		NUTRIENTS,
+		FORMATS,
+		roundNutrient,
+		roundDailyValue,
+		computeNutritionFacts,
+		getPanelRows,
+		renderNutritionFactsText,
+		renderNutritionFactsHtml,
+	};
+});
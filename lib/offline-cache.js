@@ -0,0 +1,132 @@
+// Offline cache - the signed-in account and each workspace's labels, presets, business profiles,
+// production runs and unsent changes, kept in IndexedDB so the app still opens without the server
+// Browser only (window.LabelOfflineCache). Every call resolves, to null or false when IndexedDB is
+// missing or fails (private browsing, old browsers) - the app then just works online only.
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory(root);
+	} else {
+		root.LabelOfflineCache = factory(root);
+	}
+})(typeof self !== "undefined" ? self : this, function (root) {
+	const DB_NAME = "labelCreator";
+	const DB_VERSION = 1;
+	// One store of { key, ...data } records: "account" and "workspace:<ownerId>"
+	const STORE = "records";
+	const ACCOUNT_KEY = "account";
+
+	let dbPromise = null;
+
+	function isAvailable() {
+		return !!(root && root.indexedDB);
+	}
+
+	function openDb() {
+		if (!isAvailable()) return Promise.resolve(null);
+		if (!dbPromise) {
+			dbPromise = new Promise((resolve) => {
+				const request = root.indexedDB.open(DB_NAME, DB_VERSION);
+				request.onupgradeneeded = () => {
+					request.result.createObjectStore(STORE, { keyPath: "key" });
+				};
+				request.onsuccess = () => resolve(request.result);
+				request.onerror = () => {
+					console.warn("Offline cache unavailable", request.error);
+					resolve(null);
+				};
+			});
+		}
+		return dbPromise;
+	}
+
+	// Run one request against the store; resolves to its result, or fallback on failure
+	async function run(mode, makeRequest, fallback) {
+		const db = await openDb();
+		if (!db) return fallback;
+		return new Promise((resolve) => {
+			try {
+				const request = makeRequest(
+					db.transaction(STORE, mode).objectStore(STORE)
+				);
+				request.onsuccess = () =>
+					resolve(request.result === undefined ? fallback : request.result);
+				request.onerror = () => {
+					console.warn("Offline cache error", request.error);
+					resolve(fallback);
+				};
+			} catch (error) {
+				console.warn("Offline cache error", error);
+				resolve(fallback);
+			}
+		});
+	}
+
+	function getWorkspaceKey(ownerId) {
+		return `workspace:${ownerId}`;
+	}
+
+	// The account that last signed in on this device, or null
+	async function loadAccount() {
+		const record = await run(
+			"readonly",
+			(store) => store.get(ACCOUNT_KEY),
+			null
+		);
+		return record ? record.user : null;
+	}
+
+	function saveAccount(user) {
+		return run(
+			"readwrite",
+			(store) => store.put({ key: ACCOUNT_KEY, user }),
+			false
+		).then((result) => result !== false);
+	}
+
+	function clearAccount() {
+		return run("readwrite", (store) => store.delete(ACCOUNT_KEY), false);
+	}
+
+	// { labels, presets, businesses, runs, queue, conflicts, savedAt } for a workspace, or null
+	async function loadWorkspace(ownerId) {
+		if (!ownerId) return null;
+		return run(
+			"readonly",
+			(store) => store.get(getWorkspaceKey(ownerId)),
+			null
+		);
+	}
+
+	function saveWorkspace(ownerId, data) {
+		if (!ownerId) return Promise.resolve(false);
+		return run(
+			"readwrite",
+			(store) =>
+				store.put({
+					...data,
+					key: getWorkspaceKey(ownerId),
+					savedAt: new Date().toISOString(),
+				}),
+			false
+		).then((result) => result !== false);
+	}
+
+	function clearWorkspace(ownerId) {
+		if (!ownerId) return Promise.resolve(false);
+		return run(
+			"readwrite",
+			(store) => store.delete(getWorkspaceKey(ownerId)),
+			false
+		);
+	}
+
+	return {
+		isAvailable,
+		loadAccount,
+		saveAccount,
+		clearAccount,
+		loadWorkspace,
+		saveWorkspace,
+		clearWorkspace,
+	};
+});
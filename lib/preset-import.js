@@ -0,0 +1,198 @@
+// Ingredient (preset) bulk import - CSV rows or a supplier spec sheet turned into presets, with duplicate checks
+// Shared by the browser (window.LabelPresetImport) and the API server (require)
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory(
+			require("./presets"),
+			require("./ingredient-parser"),
+			require("./bulk-labels")
+		);
+	} else {
+		root.LabelPresetImport = factory(
+			root.LabelPresets,
+			root.LabelIngredientParser,
+			root.LabelBulk
+		);
+	}
+})(
+	typeof self !== "undefined" ? self : this,
+	function (LabelPresets, LabelIngredientParser, LabelBulk) {
+		// Header names accepted for each column, lowercase
+		const COLUMN_ALIASES = {
+			name: ["name", "ingredient name", "preset", "preset name"],
+			brandName: ["brand", "brand name", "supplier", "manufacturer"],
+			ingredients: [
+				"sub-ingredients",
+				"sub ingredients",
+				"subingredients",
+				"ingredients",
+			],
+		};
+
+		// Column order for rows pasted without a header row
+		const DEFAULT_COLUMNS = ["name", "brandName", "ingredients"];
+
+		// Header row for a blank template
+		const TEMPLATE_HEADER = "name,brand,sub-ingredients";
+
+		// Longest name the ingredient form accepts
+		const MAX_NAME_LENGTH = 50;
+
+		function getColumnField(header) {
+			const lower = String(header || "")
+				.trim()
+				.toLowerCase();
+			return (
+				Object.keys(COLUMN_ALIASES).find((field) =>
+					COLUMN_ALIASES[field].includes(lower)
+				) || null
+			);
+		}
+
+		// Sub-ingredient entries from statement text; compound items keep their parentheses as written and
+		// "@Name" items reference saved presets. Returns { entries, errors }
+		function toPresetEntries(text, context) {
+			const entries = [];
+			const errors = [];
+			LabelIngredientParser.splitTopLevel(text).forEach((item) => {
+				if (!item.startsWith(LabelPresets.REFERENCE_PREFIX)) {
+					entries.push(item);
+					return;
+				}
+				const preset = context.findPresetByName(
+					item.slice(LabelPresets.REFERENCE_PREFIX.length).trim()
+				);
+				if (preset) entries.push({ presetId: preset.id });
+				else errors.push(`Unknown ingredient reference "${item}"`);
+			});
+			return { entries, errors };
+		}
+
+		// Validate one row and build the preset it describes
+		// Returns { preset, errors, warnings, duplicateOf } - duplicateOf is the saved preset with the same
+		// name and brand, if any
+		function buildCandidate(values, context) {
+			const errors = [];
+			const warnings = [];
+			const name = (values.name || "").trim();
+			const brandName = (values.brandName || "").trim();
+			if (!name) errors.push("Name is required");
+			else if (name.length > MAX_NAME_LENGTH) {
+				errors.push(`Name is longer than ${MAX_NAME_LENGTH} characters`);
+			}
+
+			const text = context.tidy
+				? LabelIngredientParser.tidyCase(values.ingredients)
+				: values.ingredients;
+			const { entries, errors: entryErrors } = toPresetEntries(text, context);
+			errors.push(...entryErrors);
+
+			const preset = { name, brandName, ingredients: entries };
+			const key = LabelPresets.getPresetKey(preset);
+			const duplicateOf =
+				context.presets.find(
+					(existing) => LabelPresets.getPresetKey(existing) === key
+				) || null;
+			if (!duplicateOf && name) {
+				context.presets
+					.filter(
+						(existing) =>
+							String(existing.name || "")
+								.trim()
+								.toLowerCase() === name.toLowerCase()
+					)
+					.forEach((existing) =>
+						warnings.push(
+							`Another ingredient is named "${existing.name}"${existing.brandName ? ` (${existing.brandName})` : " (no brand)"}`
+						)
+					);
+			}
+			return { preset, errors, warnings, duplicateOf };
+		}
+
+		// Number rows, flag repeats within the import and mark which are valid
+		function finishRows(candidates) {
+			const seen = {};
+			return candidates.map((candidate) => {
+				const key = LabelPresets.getPresetKey(candidate.preset);
+				if (candidate.preset.name && seen[key]) {
+					candidate.warnings.push(
+						`Same name and brand as the row on line ${seen[key]}`
+					);
+				} else if (candidate.preset.name) {
+					seen[key] = candidate.row;
+				}
+				return { ...candidate, valid: candidate.errors.length === 0 };
+			});
+		}
+
+		function getContext(options) {
+			const presets = options.presets || [];
+			return {
+				presets,
+				tidy: !!options.tidy,
+				findPresetByName: (name) =>
+					presets.find(
+						(preset) =>
+							String(preset.name || "")
+								.trim()
+								.toLowerCase() === name.toLowerCase()
+					) || null,
+			};
+		}
+
+		// Parse CSV (or pasted spreadsheet rows) of name, brand, sub-ingredients
+		// options: { presets, tidy } - tidy lower-cases ALL CAPS sub-ingredients
+		// Returns { rows: [{ row, preset, errors, warnings, duplicateOf, valid }] }
+		function parsePresetCsv(text, options = {}) {
+			const context = getContext(options);
+			const records = LabelBulk.parseDelimited(text);
+			const headerColumns =
+				records.length > 0 ? records[0].cells.map(getColumnField) : [];
+			const hasHeader =
+				headerColumns.includes("name") &&
+				headerColumns.filter((field) => field).length >= 2;
+			const columns = hasHeader ? headerColumns : DEFAULT_COLUMNS;
+
+			const candidates = (hasHeader ? records.slice(1) : records).map(
+				(record) => {
+					const values = {};
+					columns.forEach((field, index) => {
+						if (field) values[field] = record.cells[index] || "";
+					});
+					return { row: record.line, ...buildCandidate(values, context) };
+				}
+			);
+			return { rows: finishRows(candidates) };
+		}
+
+		// Parse text pasted from a supplier spec sheet, e.g.
+		// "INGREDIENTS: ENRICHED FLOUR (WHEAT FLOUR, NIACIN), SUGAR. CONTAINS: WHEAT."
+		// options: { name, brandName, presets, tidy } - the name and brand aren't on the spec text itself
+		// Returns { rows } with the one preset, shaped like parsePresetCsv
+		function parseSpecSheet(text, options = {}) {
+			const context = getContext(options);
+			const candidate = buildCandidate(
+				{
+					name: options.name,
+					brandName: options.brandName,
+					ingredients: LabelIngredientParser.extractIngredientStatement(text),
+				},
+				context
+			);
+			if (candidate.preset.ingredients.length === 0) {
+				candidate.errors.push("No ingredients found in the spec text");
+			}
+			return { rows: finishRows([{ row: 1, ...candidate }]) };
+		}
+
+		return {
+			COLUMN_ALIASES,
+			DEFAULT_COLUMNS,
+			TEMPLATE_HEADER,
+			MAX_NAME_LENGTH,
+			parsePresetCsv,
+			parseSpecSheet,
+		};
+	}
+);
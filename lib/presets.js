@@ -0,0 +1,144 @@
+// Compound ingredient presets - entries are plain strings or references to other presets ({ presetId })
+// Shared by the browser (window.LabelPresets) and the API server (require)
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory();
+	} else {
+		root.LabelPresets = factory();
+	}
+})(typeof self !== "undefined" ? self : this, function () {
+	// Prefix that marks a preset reference in the sub-ingredients text box, e.g. "@Chocolate Chips"
+	const REFERENCE_PREFIX = "@";
+
+	// True for an ingredient entry that points at another preset
+	function isPresetReference(entry) {
+		return !!entry && typeof entry === "object" && !!entry.presetId;
+	}
+
+	// Reference entries of a preset, in order
+	function getPresetReferences(preset) {
+		return ((preset && preset.ingredients) || []).filter(isPresetReference);
+	}
+
+	// Expand a preset's entries into a tree: strings stay strings, references become
+	// { name, presetId, children }. Missing presets and references back up the current path are skipped.
+	function expandPresetEntries(preset, getPresetById, path = []) {
+		const trail = [...path, preset.id];
+		return ((preset && preset.ingredients) || [])
+			.map((entry) => {
+				if (!isPresetReference(entry)) return entry;
+				const child = getPresetById(entry.presetId);
+				if (!child || trail.includes(child.id)) return null;
+				return {
+					name: child.name,
+					presetId: child.id,
+					children: expandPresetEntries(child, getPresetById, trail),
+				};
+			})
+			.filter((entry) => entry !== null && entry !== "");
+	}
+
+	// Format one expanded entry with nested parentheses
+	function formatExpandedEntry(entry) {
+		if (typeof entry === "string") return entry;
+		if (entry.children.length === 0) return entry.name;
+		return `${entry.name} (${entry.children.map(formatExpandedEntry).join(", ")})`;
+	}
+
+	// Ingredient statement for a preset, e.g. "Cookie Dough (flour, Chocolate Chips (sugar, cocoa butter))"
+	function formatPresetIngredients(preset, getPresetById) {
+		return formatExpandedEntry({
+			name: preset.name,
+			presetId: preset.id,
+			children: expandPresetEntries(preset, getPresetById),
+		});
+	}
+
+	// Leaf ingredients of a preset at every nesting level; a preset with no entries is its own ingredient
+	function collectPresetIngredients(preset, getPresetById) {
+		const leaves = [];
+		const collect = (entries, name) => {
+			if (entries.length === 0) {
+				leaves.push(name);
+				return;
+			}
+			entries.forEach((entry) => {
+				if (typeof entry === "string") leaves.push(entry);
+				else collect(entry.children, entry.name);
+			});
+		};
+		collect(expandPresetEntries(preset, getPresetById), preset.name);
+		return leaves;
+	}
+
+	// Reference IDs that don't resolve to a preset
+	function findMissingReferences(preset, getPresetById) {
+		return getPresetReferences(preset)
+			.map((entry) => entry.presetId)
+			.filter((id) => !getPresetById(id));
+	}
+
+	// Names along a reference cycle through this preset, e.g. ["Cookie Dough", "Chips", "Cookie Dough"],
+	// or null. New presets (no id yet) can't be referenced, so they can't close a cycle.
+	function findReferenceCycle(preset, getPresetById) {
+		if (!preset || !preset.id) return null;
+		const visited = new Set();
+
+		const visit = (entry, trail) => {
+			if (entry.presetId === preset.id) return [...trail, preset.name];
+			if (visited.has(entry.presetId)) return null;
+			visited.add(entry.presetId);
+			const child = getPresetById(entry.presetId);
+			if (!child) return null;
+			for (const next of getPresetReferences(child)) {
+				const cycle = visit(next, [...trail, child.name]);
+				if (cycle) return cycle;
+			}
+			return null;
+		};
+
+		for (const entry of getPresetReferences(preset)) {
+			const cycle = visit(entry, [preset.name]);
+			if (cycle) return cycle;
+		}
+		return null;
+	}
+
+	// Identity of a preset for duplicate checks: same name and brand, ignoring case and spacing
+	function getPresetKey(preset) {
+		return [preset.name, preset.brandName]
+			.map((value) =>
+				String(value || "")
+					.trim()
+					.replace(/\s+/g, " ")
+					.toLowerCase()
+			)
+			.join("|");
+	}
+
+	// Copy of a preset with its references to one preset pointed at another, or dropped when toId is empty
+	function replacePresetReference(preset, fromId, toId) {
+		return {
+			...preset,
+			ingredients: ((preset && preset.ingredients) || []).flatMap((entry) => {
+				if (!isPresetReference(entry) || entry.presetId !== fromId) {
+					return [entry];
+				}
+				return toId ? [{ ...entry, presetId: toId }] : [];
+			}),
+		};
+	}
+
+	return {
+		REFERENCE_PREFIX,
+		isPresetReference,
+		getPresetReferences,
+		expandPresetEntries,
+		formatPresetIngredients,
+		collectPresetIngredients,
+		findMissingReferences,
+		findReferenceCycle,
+		replacePresetReference,
+		getPresetKey,
+	};
+});
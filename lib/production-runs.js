@@ -0,0 +1,148 @@
+// Production runs - bake dates, best-by dates and lot codes for a batch of printed labels
+// Shared by the browser (window.LabelRuns) and the API server (require)
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory();
+	} else {
+		root.LabelRuns = factory();
+	}
+})(typeof self !== "undefined" ? self : this, function () {
+	// Lot code pattern used when the business hasn't set one
+	const DEFAULT_LOT_PATTERN = "{YY}{julian}-{seq}";
+
+	// Pattern tokens, e.g. bake date 2025-03-01, third run that day -> 25060-003
+	const LOT_TOKENS = {
+		YYYY: (date) => String(date.getUTCFullYear()),
+		YY: (date) => String(date.getUTCFullYear()).slice(-2),
+		MM: (date) => String(date.getUTCMonth() + 1).padStart(2, "0"),
+		DD: (date) => String(date.getUTCDate()).padStart(2, "0"),
+		julian: (date) => String(getDayOfYear(date)).padStart(3, "0"),
+		seq: (date, sequence) => String(sequence).padStart(3, "0"),
+	};
+
+	const DAY_MS = 24 * 60 * 60 * 1000;
+
+	// Parse a YYYY-MM-DD date as UTC midnight, or null
+	function parseDate(value) {
+		const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ""));
+		if (!match) return null;
+		const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+		return date.getUTCDate() === +match[3] ? date : null;
+	}
+
+	// YYYY-MM-DD for a UTC date
+	function toIsoDate(date) {
+		return date.toISOString().slice(0, 10);
+	}
+
+	// Today's date as YYYY-MM-DD in local time (what the baker means by "today")
+	function today() {
+		const now = new Date();
+		return toIsoDate(
+			new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()))
+		);
+	}
+
+	function getDayOfYear(date) {
+		return (
+			Math.floor((date - Date.UTC(date.getUTCFullYear(), 0, 1)) / DAY_MS) + 1
+		);
+	}
+
+	// Best-by date for a bake date and shelf life in days, or "" without a shelf life
+	function computeBestBy(bakeDate, shelfLifeDays) {
+		const date = parseDate(bakeDate);
+		const days = parseInt(shelfLifeDays, 10);
+		if (!date || !(days > 0)) return "";
+		return toIsoDate(new Date(date.getTime() + days * DAY_MS));
+	}
+
+	// Lot code from a pattern; unknown tokens are left as written
+	function formatLotCode(pattern, bakeDate, sequence) {
+		const date = parseDate(bakeDate);
+		if (!date) return "";
+		return String(pattern || DEFAULT_LOT_PATTERN).replace(
+			/\{(\w+)\}/g,
+			(token, name) =>
+				LOT_TOKENS[name] ? LOT_TOKENS[name](date, sequence) : token
+		);
+	}
+
+	// Next sequence number for a bake date: one past the highest used that day, so numbers freed by
+	// deleted runs are never handed out again
+	function nextSequence(runs, bakeDate) {
+		return (
+			(runs || [])
+				.filter((run) => run.bakeDate === bakeDate)
+				.reduce(
+					(highest, run) => Math.max(highest, parseInt(run.sequence, 10) || 0),
+					0
+				) + 1
+		);
+	}
+
+	// MM/DD/YYYY for printing on labels
+	function formatLabelDate(isoDate) {
+		const date = parseDate(isoDate);
+		if (!date) return "";
+		return `${LOT_TOKENS.MM(date)}/${LOT_TOKENS.DD(date)}/${LOT_TOKENS.YYYY(date)}`;
+	}
+
+	// Build a run record for a label; the label is snapshotted so later edits don't change what was printed
+	function createRun(label, options) {
+		const bakeDate = options.bakeDate;
+		const sequence = options.sequence || 1;
+		const snapshot = { ...label };
+		delete snapshot._id;
+		delete snapshot.lint;
+		return {
+			labelId: label.id || (label._id ? label._id.toString() : ""),
+			labelName: label.name || "",
+			quantity: Math.max(1, parseInt(options.quantity, 10) || 1),
+			bakeDate,
+			shelfLifeDays: parseInt(label.shelfLifeDays, 10) || null,
+			bestByDate: computeBestBy(bakeDate, label.shelfLifeDays),
+			sequence,
+			lotCode: formatLotCode(options.lotPattern, bakeDate, sequence),
+			labelSnapshot: snapshot,
+		};
+	}
+
+	// The run's label with its dates and lot code stamped on for rendering
+	function applyRunToLabel(run, label) {
+		return {
+			...(label || run.labelSnapshot || {}),
+			productionDate: run.bakeDate,
+			bestByDate: run.bestByDate,
+			lotCode: run.lotCode,
+		};
+	}
+
+	// Case-insensitive match on lot code, label name or either date
+	function matchesRunSearch(run, query) {
+		const needle = String(query || "")
+			.trim()
+			.toLowerCase();
+		if (!needle) return true;
+		return [run.lotCode, run.labelName, run.bakeDate, run.bestByDate].some(
+			(value) =>
+				String(value || "")
+					.toLowerCase()
+					.includes(needle)
+		);
+	}
+
+	return {
+		DEFAULT_LOT_PATTERN,
+		LOT_TOKENS: Object.keys(LOT_TOKENS),
+		parseDate,
+		today,
+		computeBestBy,
+		formatLotCode,
+		nextSequence,
+		formatLabelDate,
+		createRun,
+		applyRunToLabel,
+		matchesRunSearch,
+	};
+});
@@ -0,0 +1,169 @@
+// Recipe amounts - unit conversion, density lookup and predominance ordering (21 CFR 101.4)
+// Shared by the browser (window.LabelRecipe) and the API server (require)
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory();
+	} else {
+		root.LabelRecipe = factory();
+	}
+})(typeof self !== "undefined" ? self : this, function () {
+	// Grams per weight unit
+	const WEIGHT_UNITS = {
+		g: 1,
+		kg: 1000,
+		oz: 28.349523125,
+		lb: 453.59237,
+	};
+
+	// Milliliters per volume unit (US customary)
+	const VOLUME_UNITS = {
+		ml: 1,
+		l: 1000,
+		tsp: 4.92892159375,
+		tbsp: 14.78676478125,
+		cup: 236.5882365,
+		"fl oz": 29.5735295625,
+	};
+
+	// Units offered in the form, in display order
+	const UNITS = [
+		{ value: "g", label: "g" },
+		{ value: "kg", label: "kg" },
+		{ value: "oz", label: "oz" },
+		{ value: "lb", label: "lb" },
+		{ value: "tsp", label: "tsp" },
+		{ value: "tbsp", label: "tbsp" },
+		{ value: "cup", label: "cup" },
+		{ value: "fl oz", label: "fl oz" },
+		{ value: "ml", label: "ml" },
+		{ value: "l", label: "L" },
+	];
+
+	// Typical densities in g/ml for converting volume to weight; longest matching keyword wins
+	const DENSITIES = {
+		"all-purpose flour": 0.528,
+		"bread flour": 0.539,
+		"cake flour": 0.486,
+		"whole wheat flour": 0.507,
+		"almond flour": 0.406,
+		flour: 0.528,
+		"powdered sugar": 0.507,
+		"confectioners sugar": 0.507,
+		"brown sugar": 0.93,
+		sugar: 0.845,
+		butter: 0.959,
+		"olive oil": 0.91,
+		oil: 0.92,
+		honey: 1.42,
+		molasses: 1.42,
+		"maple syrup": 1.37,
+		syrup: 1.37,
+		"heavy cream": 0.994,
+		"sour cream": 0.96,
+		cream: 0.994,
+		milk: 1.03,
+		buttermilk: 1.03,
+		yogurt: 1.03,
+		water: 1,
+		egg: 1.03,
+		salt: 1.22,
+		"baking soda": 1.22,
+		"baking powder": 0.81,
+		cornstarch: 0.507,
+		"cocoa powder": 0.355,
+		cocoa: 0.355,
+		"chocolate chips": 0.719,
+		"rolled oats": 0.376,
+		oats: 0.376,
+		"peanut butter": 1.08,
+		"vanilla extract": 0.95,
+		vanilla: 0.95,
+		cinnamon: 0.53,
+		raisins: 0.634,
+		walnuts: 0.478,
+		pecans: 0.478,
+		almonds: 0.6,
+		rice: 0.85,
+		yeast: 0.61,
+	};
+
+	// Water density, assumed when an ingredient isn't in DENSITIES
+	const DEFAULT_DENSITY = 1;
+
+	// FDA allows ingredients at 2% or less of the recipe to follow this heading in any order
+	const MINOR_THRESHOLD = 0.02;
+	const MINOR_GROUP_HEADING = "Contains 2% or less of:";
+
+	// Density for an ingredient name, or null when no keyword matches
+	function findDensity(name) {
+		const lower = String(name || "").toLowerCase();
+		const match = Object.keys(DENSITIES)
+			.filter((keyword) => lower.includes(keyword))
+			.sort((a, b) => b.length - a.length)[0];
+		return match ? DENSITIES[match] : null;
+	}
+
+	// Convert an amount to grams; volume uses the ingredient's density
+	// Returns { grams, estimated } (estimated when water density was assumed) or null
+	function toGrams(amount, unit, name) {
+		const value = Number(amount);
+		if (!(value > 0)) return null;
+		if (WEIGHT_UNITS[unit]) {
+			return { grams: value * WEIGHT_UNITS[unit], estimated: false };
+		}
+		if (VOLUME_UNITS[unit]) {
+			const density = findDensity(name);
+			return {
+				grams: value * VOLUME_UNITS[unit] * (density || DEFAULT_DENSITY),
+				estimated: density === null,
+			};
+		}
+		return null;
+	}
+
+	// Order recipe items [{ text, grams }] - heaviest first for "weight", as given for "manual"
+	// With groupMinor, items at 2% or less of the total move into a trailing minor list
+	// Returns { major: [...], minor: [...], totalGrams }
+	function orderRecipeItems(items, options = {}) {
+		const totalGrams = items.reduce((sum, item) => sum + (item.grams || 0), 0);
+		const ordered =
+			options.order === "manual"
+				? [...items]
+				: [...items].sort((a, b) => (b.grams || 0) - (a.grams || 0));
+
+		if (!options.groupMinor || totalGrams <= 0) {
+			return { major: ordered, minor: [], totalGrams };
+		}
+		const isMinor = (item) => (item.grams || 0) / totalGrams <= MINOR_THRESHOLD;
+		const major = ordered.filter((item) => !isMinor(item));
+		const minor = ordered.filter(isMinor);
+		// A label can't consist only of the minor group
+		if (major.length === 0) return { major: ordered, minor: [], totalGrams };
+		return { major, minor, totalGrams };
+	}
+
+	// Ingredient statement text, e.g. "Flour, Sugar, Butter, Contains 2% or less of: Salt, Vanilla"
+	function formatRecipeIngredients(items, options = {}) {
+		const { major, minor } = orderRecipeItems(items, options);
+		const parts = major.map((item) => item.text);
+		if (minor.length > 0) {
+			const [first, ...rest] = minor.map((item) => item.text);
+			parts.push(`${MINOR_GROUP_HEADING} ${first}`, ...rest);
+		}
+		return parts.join(", ");
+	}
+
+	return {
+		WEIGHT_UNITS,
+		VOLUME_UNITS,
+		UNITS,
+		DENSITIES,
+		DEFAULT_DENSITY,
+		MINOR_THRESHOLD,
+		MINOR_GROUP_HEADING,
+		findDensity,
+		toGrams,
+		orderRecipeItems,
+		formatRecipeIngredients,
+	};
+});
@@ -0,0 +1,439 @@
+// Request-body and query-string schemas for labels, presets, business info, production runs, searches
+// and accounts, with a small validator
+// Used by the API server (require); UMD like the other lib modules, though index.html doesn't load it -
+// the browser relies on the server's { error, fields } responses
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory();
+	} else {
+		root.LabelSchemas = factory();
+	}
+})(typeof self !== "undefined" ? self : this, function () {
+	// A field spec is { type, required, nullable, minLength, maxLength, pattern, min, max, enum, items,
+	// fields, values, maxItems, maxSize, anyOf }. type is a name from TYPE_CHECKS or a list of them; items describes
+	// array entries, fields the keys of an object and values every value of a map-like object.
+	// maxSize caps the JSON length of free-form objects.
+	const TYPE_CHECKS = {
+		string: (value) => typeof value === "string",
+		number: (value) => typeof value === "number" && Number.isFinite(value),
+		integer: (value) => Number.isInteger(value),
+		boolean: (value) => typeof value === "boolean",
+		array: (value) => Array.isArray(value),
+		object: (value) =>
+			value !== null && typeof value === "object" && !Array.isArray(value),
+	};
+
+	// Fields the server sets; clients round-tripping a document may send them back, they're dropped
+	const READ_ONLY_FIELDS = [
+		"id",
+		"_id",
+		"ownerId",
+		"createdAt",
+		"updatedAt",
+		"lint",
+	];
+
+	// Workspace roles, most access first; viewers are read-only
+	const ROLES = ["owner", "editor", "viewer"];
+
+	const shortText = { type: "string", maxLength: 100 };
+	const stringList = (maxLength, maxItems) => ({
+		type: "array",
+		maxItems,
+		items: { type: "string", maxLength },
+	});
+	const labelSize = {
+		type: "object",
+		nullable: true,
+		fields: {
+			width: { type: "number", required: true, min: 0, max: 1000 },
+			height: { type: "number", required: true, min: 0, max: 1000 },
+			unit: { type: "string", enum: ["in", "mm"] },
+		},
+	};
+
+	const BUSINESS_FIELDS = {
+		businessName: { type: "string", maxLength: 100 },
+		businessAddress: { type: "string", maxLength: 100 },
+		businessCity: { type: "string", maxLength: 50 },
+		businessState: { type: "string", maxLength: 2 },
+		businessZip: { type: "string", maxLength: 10 },
+		businessPhone: { type: "string", maxLength: 30 },
+		businessPermit: { type: "string", maxLength: 50 },
+		businessCounty: { type: "string", maxLength: 50 },
+	};
+
+	const BUSINESS_SCHEMA = {
+		...BUSINESS_FIELDS,
+		lotCodePattern: { type: "string", maxLength: 50 },
+		defaultLabelSize: labelSize,
+		// The profile labels get when they don't name one
+		isDefault: { type: "boolean" },
+	};
+
+	const LABEL_SCHEMA = {
+		name: { type: "string", required: true, maxLength: 100 },
+		text: { type: "string", maxLength: 5000 },
+		color: { type: "string", maxLength: 20 },
+		creationMode: { type: "string", enum: ["manual", "preset"] },
+		selectedPresetIds: stringList(100, 200),
+		additionalIngredientsText: { type: "string", maxLength: 2000 },
+		ingredients: stringList(500, 1000),
+		netQuantity: { type: ["string", "number"], maxLength: 20 },
+		netQuantityUnit: { type: "string", maxLength: 20 },
+		netQuantityBase: {
+			type: "object",
+			nullable: true,
+			fields: {
+				amount: { type: "number", required: true },
+				unit: { type: "string", maxLength: 10 },
+			},
+		},
+		netCount: { type: ["string", "number"], maxLength: 20 },
+		netCountUnit: { type: "string", maxLength: 30 },
+		showBlankQuantity: { type: "boolean" },
+		shelfLifeDays: { type: "integer", nullable: true, min: 0, max: 3650 },
+		allergens: stringList(50, 20),
+		allergenDetails: { type: "string", maxLength: 500 },
+		dismissedAllergenTerms: stringList(100, 200),
+		businessId: shortText,
+		...BUSINESS_FIELDS,
+		includeCottageDisclaimer: { type: "boolean" },
+		labelSize,
+		recipe: {
+			type: "object",
+			nullable: true,
+			fields: {
+				enabled: { type: "boolean" },
+				order: { type: "string", enum: ["weight", "manual"] },
+				groupMinor: { type: "boolean" },
+				amounts: {
+					type: "object",
+					maxItems: 500,
+					values: {
+						type: "object",
+						fields: {
+							amount: { type: "number", required: true, min: 0 },
+							unit: { type: "string", maxLength: 20 },
+						},
+					},
+				},
+			},
+		},
+		nutrition: {
+			type: "object",
+			nullable: true,
+			fields: {
+				enabled: { type: "boolean" },
+				format: { type: "string", enum: ["vertical", "linear"] },
+				servingSize: { type: "string", maxLength: 50 },
+				servingSizeGrams: { type: "number", min: 0 },
+				servingsPerContainer: { type: ["string", "number"], maxLength: 20 },
+				// Older labels stored grams per preset here
+				ingredientGrams: {
+					type: "object",
+					maxItems: 500,
+					values: { type: "number", min: 0 },
+				},
+			},
+		},
+		// Computed by lib/nutrition.js from the presets; too nested to describe field by field
+		nutritionFacts: { type: "object", nullable: true, maxSize: 20000 },
+	};
+
+	const PRESET_SCHEMA = {
+		name: { type: "string", required: true, maxLength: 50 },
+		brandName: { type: "string", maxLength: 50 },
+		ingredients: {
+			type: ["array", "string"],
+			maxLength: 2000,
+			maxItems: 200,
+			items: {
+				anyOf: [
+					{ type: "string", maxLength: 500 },
+					{
+						type: "object",
+						fields: {
+							presetId: { type: "string", required: true, maxLength: 100 },
+						},
+					},
+				],
+			},
+		},
+		nutrients: {
+			type: "object",
+			nullable: true,
+			maxItems: 50,
+			values: { type: "number", nullable: true, min: 0 },
+		},
+		allergenTags: {
+			type: "array",
+			maxItems: 200,
+			items: {
+				type: "object",
+				fields: {
+					ingredient: { type: "string", required: true, maxLength: 500 },
+					allergens: stringList(50, 20),
+				},
+			},
+		},
+	};
+
+	const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+
+	// A production run as exported in workspace archives (see lib/production-runs.js createRun)
+	const ARCHIVED_RUN_SCHEMA = {
+		labelId: { type: "string", required: true, maxLength: 100 },
+		labelName: { type: "string", maxLength: 100 },
+		quantity: { type: "integer", required: true, min: 1, max: 1000000 },
+		bakeDate: { type: "string", required: true, pattern: isoDate },
+		shelfLifeDays: { type: "integer", nullable: true, min: 0, max: 3650 },
+		bestByDate: { type: "string", pattern: /^(\d{4}-\d{2}-\d{2})?$/ },
+		sequence: { type: "integer", min: 1 },
+		lotCode: { type: "string", required: true, maxLength: 100 },
+		// The label as printed; rendered through the same escaping as live labels
+		labelSnapshot: { type: "object", nullable: true, maxSize: 100000 },
+	};
+
+	// POST /api/runs - the server fills in everything else from the label and its business profile
+	const NEW_RUN_SCHEMA = {
+		labelId: { type: "string", required: true, maxLength: 100 },
+		// A whole number, or its digits from a form field
+		quantity: {
+			type: ["integer", "string"],
+			required: true,
+			min: 1,
+			max: 1000000,
+			pattern: /^[1-9]\d{0,5}$|^1000000$/,
+		},
+		bakeDate: { type: "string", required: true, pattern: isoDate },
+	};
+
+	// POST /api/labels/regenerate - chosen labels, or every label a preset change affects
+	const REGENERATE_SCHEMA = {
+		labelIds: stringList(100, 1000),
+		presetId: { type: "string", maxLength: 100 },
+	};
+
+	// Query strings arrive as strings; a repeated or nested parameter (?q=a&q=b) fails the type check.
+	// Routes validate them with { ignoreUnknown: true }
+	const dateFilter = { type: "string", pattern: /^(\d{4}-\d{2}-\d{2})?$/ };
+
+	// GET /api/runs
+	const RUN_SEARCH_SCHEMA = {
+		q: { type: "string", maxLength: 100 },
+		labelId: { type: "string", maxLength: 100 },
+		from: dateFilter,
+		to: dateFilter,
+	};
+
+	// GET /api/trace
+	const TRACE_SEARCH_SCHEMA = {
+		presetId: { type: "string", maxLength: 100 },
+		brandName: { type: "string", maxLength: 50 },
+		ingredient: { type: "string", maxLength: 500 },
+		from: dateFilter,
+		to: dateFilter,
+		format: { type: "string", enum: ["json", "csv"] },
+	};
+
+	const email = {
+		type: "string",
+		required: true,
+		maxLength: 254,
+		pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+	};
+
+	const SIGNUP_SCHEMA = {
+		name: shortText,
+		email,
+		password: { type: "string", required: true, minLength: 8, maxLength: 200 },
+		// From an invite link; joins the inviter's workspace instead of starting a new one
+		inviteToken: { type: "string", maxLength: 100 },
+	};
+
+	const LOGIN_SCHEMA = {
+		email: { type: "string", required: true, maxLength: 254 },
+		password: { type: "string", required: true, maxLength: 200 },
+	};
+
+	const INVITE_SCHEMA = {
+		email,
+		role: { type: "string", required: true, enum: ROLES },
+	};
+
+	const MEMBER_SCHEMA = {
+		role: { type: "string", required: true, enum: ROLES },
+	};
+
+	const SCHEMAS = {
+		label: LABEL_SCHEMA,
+		preset: PRESET_SCHEMA,
+		business: BUSINESS_SCHEMA,
+		run: NEW_RUN_SCHEMA,
+		archivedRun: ARCHIVED_RUN_SCHEMA,
+		regenerate: REGENERATE_SCHEMA,
+		"run search": RUN_SEARCH_SCHEMA,
+		"trace search": TRACE_SEARCH_SCHEMA,
+		signup: SIGNUP_SCHEMA,
+		login: LOGIN_SCHEMA,
+		invite: INVITE_SCHEMA,
+		member: MEMBER_SCHEMA,
+	};
+
+	// Error message for one value against its spec, or null; nested problems are added to errors
+	function checkValue(value, spec, path, errors) {
+		if (value === null) {
+			return spec.nullable ? null : "Must not be null";
+		}
+		if (spec.anyOf) {
+			const matches = spec.anyOf.some((option) => {
+				const optionErrors = {};
+				return (
+					checkValue(value, option, path, optionErrors) === null &&
+					Object.keys(optionErrors).length === 0
+				);
+			});
+			return matches ? null : "Has the wrong type";
+		}
+		const types = [].concat(spec.type);
+		const type = types.find((name) => TYPE_CHECKS[name](value));
+		if (!type) return `Must be ${types.map(describeType).join(" or ")}`;
+
+		if (type === "string") {
+			if (spec.minLength && value.length < spec.minLength) {
+				return `Must be at least ${spec.minLength} characters`;
+			}
+			if (spec.maxLength && value.length > spec.maxLength) {
+				return `Must be at most ${spec.maxLength} characters`;
+			}
+			if (spec.pattern && !spec.pattern.test(value.trim())) {
+				return "Has the wrong format";
+			}
+			if (spec.enum && !spec.enum.includes(value)) {
+				return `Must be one of ${spec.enum.join(", ")}`;
+			}
+		}
+		if (type === "number" || type === "integer") {
+			if (spec.min !== undefined && value < spec.min) {
+				return `Must be at least ${spec.min}`;
+			}
+			if (spec.max !== undefined && value > spec.max) {
+				return `Must be at most ${spec.max}`;
+			}
+		}
+		if (type === "array") {
+			if (spec.maxItems && value.length > spec.maxItems) {
+				return `Must have at most ${spec.maxItems} items`;
+			}
+			if (spec.items) {
+				value.forEach((item, index) =>
+					addError(
+						errors,
+						`${path}.${index}`,
+						checkValue(item, spec.items, `${path}.${index}`, errors)
+					)
+				);
+			}
+		}
+		if (type === "object") {
+			if (spec.maxSize && JSON.stringify(value).length > spec.maxSize) {
+				return "Is too large";
+			}
+			const keys = Object.keys(value);
+			if (spec.maxItems && keys.length > spec.maxItems) {
+				return `Must have at most ${spec.maxItems} entries`;
+			}
+			if (spec.fields) checkFields(value, spec.fields, `${path}.`, errors);
+			if (spec.values) {
+				keys.forEach((key) =>
+					addError(
+						errors,
+						`${path}.${key}`,
+						checkValue(value[key], spec.values, `${path}.${key}`, errors)
+					)
+				);
+			}
+		}
+		return null;
+	}
+
+	function describeType(type) {
+		return type === "array"
+			? "a list"
+			: type === "object"
+				? "an object"
+				: type === "integer"
+					? "a whole number"
+					: `a ${type}`;
+	}
+
+	function addError(errors, path, message) {
+		if (message && !errors[path]) errors[path] = message;
+	}
+
+	// Check the known fields of an object and flag the unknown ones
+	function checkFields(input, fields, prefix, errors, options = {}) {
+		if (!options.ignoreUnknown) {
+			Object.keys(input).forEach((key) => {
+				if (!fields[key]) addError(errors, `${prefix}${key}`, "Unknown field");
+			});
+		}
+		Object.keys(fields).forEach((key) => {
+			const spec = fields[key];
+			if (input[key] === undefined) {
+				if (spec.required && !options.partial) {
+					addError(errors, `${prefix}${key}`, "Is required");
+				}
+				return;
+			}
+			addError(
+				errors,
+				`${prefix}${key}`,
+				checkValue(input[key], spec, `${prefix}${key}`, errors)
+			);
+			// Required text must have more than whitespace
+			if (
+				spec.required &&
+				typeof input[key] === "string" &&
+				!input[key].trim()
+			) {
+				addError(errors, `${prefix}${key}`, "Is required");
+			}
+		});
+	}
+
+	// Validate a request body against a named schema
+	// options.partial skips required checks (updates send only the fields that change), and
+	// options.ignoreUnknown lets other fields through unchecked (e.g. a cache-busting query parameter)
+	// Returns { value, errors } - value has the read-only fields removed, errors maps field paths
+	// (e.g. "name", "recipe.amounts.extra:salt.amount") to messages and is empty when the body is valid
+	function validate(schemaName, input, options = {}) {
+		const errors = {};
+		if (!TYPE_CHECKS.object(input)) {
+			return {
+				value: {},
+				errors: { "": "Request body must be a JSON object" },
+			};
+		}
+		const value = { ...input };
+		READ_ONLY_FIELDS.forEach((field) => delete value[field]);
+		checkFields(value, SCHEMAS[schemaName], "", errors, options);
+		return { value, errors };
+	}
+
+	// One-line summary of field errors, e.g. for a toast or a bulk-import row
+	function summarizeErrors(errors) {
+		return Object.entries(errors)
+			.map(([field, message]) => (field ? `${field}: ${message}` : message))
+			.join("; ");
+	}
+
+	return {
+		READ_ONLY_FIELDS,
+		ROLES,
+		SCHEMAS,
+		validate,
+		summarizeErrors,
+	};
+});
@@ -0,0 +1,64 @@
+// Storage backends for the API server, chosen with LABEL_STORAGE:
+// - mongodb (default): a MongoDB server at MONGODB_URI, database MONGODB_DB
+// - file: JSON files in LABEL_DATA_DIR (default ~/.label-creator/data, outside the static files the
+//   development server hands out), no database server needed
+// Server only. Both backends hand out a database object whose collection(name) supports the part of
+// the MongoDB driver the routes use: find(query).sort(spec).skip(n).limit(n).toArray(), findOne,
+// countDocuments, insertOne, insertMany, updateOne, updateMany, findOneAndUpdate, replaceOne,
+// deleteOne and deleteMany, with the query operators $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin,
+// $exists, $regex, $or, $and and $nor and the update operators $set, $unset and $inc.
+// Documents keep ObjectId _ids either way, so ObjectId.isValid checks and legacy string ids
+// (e.g. presets looked up by their own id field) behave the same on both.
+const os = require("os");
+const path = require("path");
+const { MongoClient } = require("mongodb");
+const { createFileStore } = require("./file-store");
+
+const STORAGE_TYPES = ["mongodb", "file"];
+
+function withTimeout(promise, ms) {
+	const timeout = new Promise((_, reject) =>
+		setTimeout(() => reject(new Error(`Timeout after ${ms}ms`)), ms)
+	);
+	return Promise.race([promise, timeout]);
+}
+
+// Storage settings from environment variables
+function getStorageConfig(env) {
+	const type = (env.LABEL_STORAGE || "mongodb").toLowerCase();
+	if (!STORAGE_TYPES.includes(type)) {
+		throw new Error(
+			`Unknown LABEL_STORAGE "${env.LABEL_STORAGE}" - use one of: ${STORAGE_TYPES.join(", ")}`
+		);
+	}
+	return {
+		type,
+		mongoUri: env.MONGODB_URI || "mongodb://127.0.0.1:27017/label_creator",
+		mongoDb: env.MONGODB_DB || "test",
+		dataDir: path.resolve(
+			env.LABEL_DATA_DIR || path.join(os.homedir(), ".label-creator", "data")
+		),
+	};
+}
+
+// Connect to the configured backend; resolves to the database object
+async function openStorage(config) {
+	if (config.type === "file") {
+		console.log(`Using file storage in ${config.dataDir}`);
+		return createFileStore(config.dataDir);
+	}
+	console.log("Connecting to MongoDB...");
+	const client = new MongoClient(config.mongoUri, {
+		serverSelectionTimeoutMS: 5000,
+		connectTimeoutMS: 5000,
+	});
+	await withTimeout(client.connect(), 8000);
+	console.log("MongoDB connected");
+	return client.db(config.mongoDb);
+}
+
+module.exports = {
+	STORAGE_TYPES,
+	getStorageConfig,
+	openStorage,
+};
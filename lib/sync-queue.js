@@ -0,0 +1,202 @@
+// Offline sync queue - label, preset and business changes made while the server is unreachable,
+// kept in order and replayed when it's back. Shared by the browser (window.LabelSync) and the API
+// server (require), which checks the same document versions for conflicts.
+// A change is { collection, action, id, body, query, baseVersion, queuedAt }:
+// - collection: "labels" | "presets" | "businesses"
+// - action: "create" | "update" | "delete"
+// - id: the document's id; creates get a local id (see createLocalId) until the server assigns one
+// - query: extra query string for deletes, e.g. "?replaceWith=..."
+// - baseVersion: getVersion() of the document when it was first changed; the server refuses the change
+//   with 412 when the document has moved on since
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory();
+	} else {
+		root.LabelSync = factory();
+	}
+})(typeof self !== "undefined" ? self : this, function () {
+	const COLLECTIONS = ["labels", "presets", "businesses"];
+
+	// Ids of documents created offline start with this; the server never hands them out
+	const LOCAL_ID_PREFIX = "local-";
+
+	const CHANGE_METHODS = { create: "POST", update: "PUT", delete: "DELETE" };
+
+	// What a change is called in messages, per collection
+	const COLLECTION_NAMES = {
+		labels: "label",
+		presets: "ingredient",
+		businesses: "business profile",
+	};
+
+	function createLocalId() {
+		return `${LOCAL_ID_PREFIX}${Date.now().toString(36)}-${Math.random()
+			.toString(36)
+			.slice(2, 8)}`;
+	}
+
+	// Version of a saved document: when it last changed, or "" for documents without timestamps
+	function getVersion(doc) {
+		return (doc && (doc.updatedAt || doc.createdAt)) || "";
+	}
+
+	// API path a change is sent to
+	function getChangePath(change) {
+		const base = `/api/${change.collection}`;
+		return change.action === "create"
+			? base
+			: `${base}/${encodeURIComponent(change.id)}${change.query || ""}`;
+	}
+
+	// Add a change to the queue, folding it into earlier changes to the same document:
+	// updates merge into a pending create or update (keeping the first baseVersion), and deleting a
+	// document created offline drops it altogether. Returns the new queue.
+	function enqueueChange(queue, change) {
+		const index = queue.findIndex(
+			(item) =>
+				item.collection === change.collection &&
+				item.id === change.id &&
+				item.action !== "delete"
+		);
+		if (index === -1 || change.action === "create") {
+			return [...queue, change];
+		}
+		const pending = queue[index];
+		const rest = queue.filter((item, position) => position !== index);
+		if (change.action === "update") {
+			const merged = { ...pending, body: { ...pending.body, ...change.body } };
+			return [...rest.slice(0, index), merged, ...rest.slice(index)];
+		}
+		// A delete: nothing to send for a document the server never saw
+		if (pending.action === "create") return rest;
+		return [...rest, { ...change, baseVersion: pending.baseVersion }];
+	}
+
+	// A copy of a value with every string equal to oldId replaced by newId - for pointing queued
+	// changes and documents (selectedPresetIds, preset references, businessId) at a server id
+	function replaceId(value, oldId, newId) {
+		if (value === oldId) return newId;
+		if (Array.isArray(value)) {
+			return value.map((item) => replaceId(item, oldId, newId));
+		}
+		if (value && typeof value === "object") {
+			const copy = {};
+			Object.keys(value).forEach((key) => {
+				copy[key] = replaceId(value[key], oldId, newId);
+			});
+			return copy;
+		}
+		return value;
+	}
+
+	// The rest of the queue once the server has accepted a change (result is its response): a created
+	// document's local id becomes the server's everywhere, and later changes to the document expect
+	// the version the server returned
+	function completeChange(queue, change, result) {
+		const id =
+			change.action === "create" && result && result.id ? result.id : change.id;
+		const rest = id === change.id ? queue : replaceId(queue, change.id, id);
+		const version = getVersion(result);
+		if (!version) return rest;
+		return rest.map((item) =>
+			item.collection === change.collection && item.id === id
+				? { ...item, baseVersion: version }
+				: item
+		);
+	}
+
+	// A document as it will be after a change (null after a delete), for showing queued changes
+	// before the server has them
+	function applyChange(doc, change) {
+		if (change.action === "delete") return null;
+		if (change.action === "create") {
+			return { ...change.body, id: change.id, createdAt: change.queuedAt };
+		}
+		return { ...doc, ...change.body };
+	}
+
+	// Apply queued changes to lists of documents keyed by collection, e.g. server data loaded while
+	// changes are still waiting to be sent. Returns new lists; the input is left alone.
+	function applyQueue(data, queue) {
+		const result = { ...data };
+		queue.forEach((change) => {
+			const list = result[change.collection] || [];
+			const index = list.findIndex((doc) => doc.id === change.id);
+			const updated = applyChange(index === -1 ? null : list[index], change);
+			if (change.action === "create") {
+				result[change.collection] = index === -1 ? [...list, updated] : list;
+			} else if (index === -1) {
+				result[change.collection] = list;
+			} else if (updated) {
+				result[change.collection] = list.map((doc, position) =>
+					position === index ? updated : doc
+				);
+			} else {
+				result[change.collection] = list.filter(
+					(doc, position) => position !== index
+				);
+			}
+		});
+		return result;
+	}
+
+	// The change to send when the user keeps their version of a conflicting change: the same change
+	// without the version check, or a create when the server no longer has the document
+	function getRetryChange(change, status) {
+		const retry = { ...change, baseVersion: "" };
+		if (status === 404 && change.action === "update") {
+			return { ...retry, action: "create" };
+		}
+		return retry;
+	}
+
+	// The queue with a refused change the user kept put back at the front, so it goes before later
+	// changes to the same document: a pending update to it merges in, and the rest stop expecting the
+	// version the server refused (the retry's result sets their new one, see completeChange)
+	function requeueChange(queue, change, status, queuedAt) {
+		const retry = { ...getRetryChange(change, status), queuedAt };
+		const isSameDocument = (item) =>
+			item.collection === change.collection && item.id === change.id;
+		const pending =
+			retry.action === "delete"
+				? null
+				: queue.find(
+						(item) => isSameDocument(item) && item.action === "update"
+					);
+		const first = pending
+			? { ...retry, body: { ...retry.body, ...pending.body } }
+			: retry;
+		const rest = queue
+			.filter((item) => item !== pending)
+			.map((item) =>
+				isSameDocument(item) ? { ...item, baseVersion: "" } : item
+			);
+		return [first, ...rest];
+	}
+
+	// One-line description of a change, e.g. `Update label "Granola"`
+	function describeChange(change, name) {
+		const verb = { create: "Create", update: "Update", delete: "Delete" }[
+			change.action
+		];
+		const noun = COLLECTION_NAMES[change.collection] || change.collection;
+		return name ? `${verb} ${noun} "${name}"` : `${verb} ${noun}`;
+	}
+
+	return {
+		COLLECTIONS,
+		LOCAL_ID_PREFIX,
+		CHANGE_METHODS,
+		createLocalId,
+		getVersion,
+		getChangePath,
+		enqueueChange,
+		replaceId,
+		completeChange,
+		applyChange,
+		applyQueue,
+		getRetryChange,
+		requeueChange,
+		describeChange,
+	};
+});
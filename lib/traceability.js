@@ -0,0 +1,231 @@
+// Ingredient recall and traceability - which labels and production runs used a preset, brand or ingredient
+// Shared by the browser (window.LabelTrace) and the API server (require)
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory(require("./presets"));
+	} else {
+		root.LabelTrace = factory(root.LabelPresets);
+	}
+})(typeof self !== "undefined" ? self : this, function (LabelPresets) {
+	const CSV_COLUMNS = [
+		"Type",
+		"Label",
+		"Label ID",
+		"Lot Code",
+		"Bake Date",
+		"Best By",
+		"Quantity",
+		"Matched",
+	];
+
+	// Case-insensitive whole-word search, so "oat" doesn't match "coat". A recall can't miss a label,
+	// so singular and plural forms match each other: "peanut" finds "Peanuts", "eggs" finds "egg" and
+	// "berry" finds "berries".
+	function containsTerm(text, term) {
+		const needle = String(term || "")
+			.trim()
+			.toLowerCase();
+		if (!needle) return false;
+		const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+		let word;
+		if (/[^aeiou]y$/.test(needle)) {
+			word = `${escape(needle.slice(0, -1))}(?:y|ies)`;
+		} else if (/[^aeiou]ies$/.test(needle)) {
+			word = `${escape(needle.slice(0, -3))}(?:y|ies)`;
+		} else {
+			word = `${escape(needle.length > 3 ? needle.replace(/s$/, "") : needle)}(?:e?s)?`;
+		}
+		return new RegExp(`(^|[^a-z0-9])${word}(?![a-z0-9])`).test(
+			String(text || "").toLowerCase()
+		);
+	}
+
+	// Preset IDs a search targets: the chosen preset and every preset of the given brand
+	function getTargetPresets(criteria, presets) {
+		const brand = String(criteria.brandName || "")
+			.trim()
+			.toLowerCase();
+		return (presets || []).filter(
+			(preset) =>
+				(criteria.presetId && preset.id === criteria.presetId) ||
+				(brand &&
+					String(preset.brandName || "")
+						.toLowerCase()
+						.includes(brand))
+		);
+	}
+
+	// Path of preset names from a preset down to one of the targets, e.g. ["Cookie Dough", "Flour"], or null
+	function findPresetPath(preset, targetIds, getPresetById, visited = []) {
+		if (!preset || visited.includes(preset.id)) return null;
+		if (targetIds.includes(preset.id)) return [preset.name];
+		for (const entry of LabelPresets.getPresetReferences(preset)) {
+			const path = findPresetPath(
+				getPresetById(entry.presetId),
+				targetIds,
+				getPresetById,
+				[...visited, preset.id]
+			);
+			if (path) return [preset.name, ...path];
+		}
+		return null;
+	}
+
+	// Whether a label's statement or ingredient list mentions a term
+	function mentionsTerm(label, term) {
+		return (
+			containsTerm(label.text, term) ||
+			(label.ingredients || []).some((ingredient) =>
+				containsTerm(ingredient, term)
+			)
+		);
+	}
+
+	// Why a label matches the search - an empty list means it doesn't
+	function getLabelMatchReasons(label, criteria, context) {
+		const reasons = [];
+		const targetIds = context.targets.map((preset) => preset.id);
+
+		(label.selectedPresetIds || []).forEach((id) => {
+			const path = findPresetPath(
+				context.getPresetById(id),
+				targetIds,
+				context.getPresetById
+			);
+			if (path) reasons.push(`Uses preset ${path.join(" › ")}`);
+		});
+
+		// Labels typed in by hand name the brand in their text rather than through a preset
+		const brand = String(criteria.brandName || "").trim();
+		if (brand && reasons.length === 0 && mentionsTerm(label, brand)) {
+			reasons.push(`Ingredients mention brand "${brand}"`);
+		}
+
+		const term = String(criteria.ingredient || "").trim();
+		if (term) {
+			if (containsTerm(label.text, term)) {
+				reasons.push(`Ingredients mention "${term}"`);
+			} else if (
+				(label.ingredients || []).some((ingredient) =>
+					containsTerm(ingredient, term)
+				)
+			) {
+				reasons.push(`Ingredient list includes "${term}"`);
+			}
+		}
+		return reasons;
+	}
+
+	// Run a traceability search
+	// criteria: { presetId, brandName, ingredient, from, to } - dates (YYYY-MM-DD) filter runs by bake date
+	// Returns { targets, labels: [{ label, reasons }], runs: [{ run, reasons }] }
+	function traceIngredient(criteria, data) {
+		const presets = data.presets || [];
+		const getPresetById = (id) => presets.find((preset) => preset.id === id);
+		const context = {
+			targets: getTargetPresets(criteria, presets),
+			getPresetById,
+		};
+
+		const labels = (data.labels || [])
+			.map((label) => ({
+				label,
+				reasons: getLabelMatchReasons(label, criteria, context),
+			}))
+			.filter((match) => match.reasons.length > 0);
+
+		// Runs are matched on the label as it was printed, falling back to the current label
+		const labelsById = {};
+		(data.labels || []).forEach((label) => {
+			labelsById[label.id] = label;
+		});
+		const runs = (data.runs || [])
+			.filter(
+				(run) =>
+					(!criteria.from || run.bakeDate >= criteria.from) &&
+					(!criteria.to || run.bakeDate <= criteria.to)
+			)
+			.map((run) => ({
+				run,
+				reasons: getLabelMatchReasons(
+					run.labelSnapshot || labelsById[run.labelId] || {},
+					criteria,
+					context
+				),
+			}))
+			.filter((match) => match.reasons.length > 0);
+
+		return { targets: context.targets, labels, runs };
+	}
+
+	// Where a preset is used: labels that select it directly or through other presets, and presets that
+	// reference it directly. Returns { labels: [{ label, reasons }], presets: [preset] }
+	function findPresetUsage(presetId, data) {
+		return {
+			labels: traceIngredient({ presetId }, { ...data, runs: [] }).labels,
+			presets: (data.presets || []).filter((preset) =>
+				LabelPresets.getPresetReferences(preset).some(
+					(entry) => entry.presetId === presetId
+				)
+			),
+		};
+	}
+
+	// True when the criteria name something to search for
+	function hasCriteria(criteria) {
+		return !!(
+			criteria &&
+			(criteria.presetId ||
+				String(criteria.brandName || "").trim() ||
+				String(criteria.ingredient || "").trim())
+		);
+	}
+
+	// Quoted where needed; text that a spreadsheet would run as a formula (=, +, -, @) gets a
+	// leading ' so it shows as typed
+	function escapeCsv(value) {
+		let text = value == null ? "" : String(value);
+		if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+			text = `'${text}`;
+		}
+		return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+	}
+
+	// CSV with one row per matching label and per matching run
+	function toCsv(result) {
+		const rows = [
+			...result.labels.map(({ label, reasons }) => [
+				"Label",
+				label.name,
+				label.id,
+				"",
+				"",
+				"",
+				"",
+				reasons.join("; "),
+			]),
+			...result.runs.map(({ run, reasons }) => [
+				"Run",
+				run.labelName,
+				run.labelId,
+				run.lotCode,
+				run.bakeDate,
+				run.bestByDate,
+				run.quantity,
+				reasons.join("; "),
+			]),
+		];
+		return [CSV_COLUMNS, ...rows]
+			.map((row) => row.map(escapeCsv).join(","))
+			.join("\r\n");
+	}
+
+	return {
+		CSV_COLUMNS,
+		containsTerm,
+		hasCriteria,
+		traceIngredient,
+		findPresetUsage,
+		toCsv,
+	};
+});
@@ -0,0 +1,221 @@
+// ZPL (Zebra Programming Language) export for direct-thermal label printers
+// Shared by the browser (window.LabelZpl) and the API server (require)
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory(require("./label-renderer"));
+	} else {
+		root.LabelZpl = factory(root.LabelRenderer);
+	}
+})(typeof self !== "undefined" ? self : this, function (LabelRenderer) {
+	// Print densities offered by common Zebra printers (dots per inch)
+	const SUPPORTED_DPI = [152, 203, 300, 600];
+	const DEFAULT_DPI = 203;
+	const DEFAULT_SIZE = { width: 4, height: 2, unit: "in" };
+
+	// What Zebra printers accept: ^PQ copies per job, and label sizes in inches from the smallest
+	// stock up to the widest print head and longest label
+	const MAX_COPIES = 9999;
+	const SIZE_LIMITS = {
+		width: { min: 0.5, max: 8.5 },
+		height: { min: 0.5, max: 39 },
+	};
+
+	// FDA minimum type size, and the approximate glyph width of scalable font 0 relative to its height
+	const MIN_FONT_PT = LabelRenderer.MIN_FONT_PT;
+	const CHAR_WIDTH_RATIO = 0.55;
+	const LINE_SPACING = 1.15;
+
+	// Label sections from the shared renderer, sized like the HTML label (name and net quantity large)
+	function buildSections(label) {
+		return LabelRenderer.getLabelSections(label).map((section) => ({
+			text: section.heading
+				? `${section.heading} ${section.text}`
+				: section.text,
+			size:
+				section.type === "name" || section.type === "netQuantity"
+					? "large"
+					: "small",
+		}));
+	}
+
+	// Word-wrap text to lines of at most maxChars, hard-breaking words that are too long
+	function wrapText(text, maxChars) {
+		const limit = Math.max(1, maxChars);
+		const lines = [];
+		let current = "";
+
+		text.split(/\s+/).forEach((word) => {
+			while (word.length > limit) {
+				if (current) {
+					lines.push(current);
+					current = "";
+				}
+				lines.push(word.slice(0, limit));
+				word = word.slice(limit);
+			}
+			if (!word) return;
+			if (!current) {
+				current = word;
+			} else if (current.length + 1 + word.length <= limit) {
+				current += " " + word;
+			} else {
+				lines.push(current);
+				current = word;
+			}
+		});
+		if (current) lines.push(current);
+		return lines;
+	}
+
+	// Escape ZPL control characters in field data (used together with ^FH)
+	function escapeFieldData(text) {
+		return String(text)
+			.replace(/_/g, "_5F")
+			.replace(/\^/g, "_5E")
+			.replace(/~/g, "_7E");
+	}
+
+	// Convert a size to dots at the given density
+	function toDots(value, unit, dpi) {
+		return Math.round(toInches(value, unit) * dpi);
+	}
+
+	// Lay out sections at a given typography, returning positioned lines and the total height in dots
+	function layoutSections(sections, fontSizes, widthDots, dpi) {
+		const lines = [];
+		let height = 0;
+		const gap = Math.round((fontSizes.small / 72) * dpi * 0.5);
+
+		sections.forEach((section, index) => {
+			const pt = section.size === "large" ? fontSizes.large : fontSizes.small;
+			const fontDots = Math.round((pt / 72) * dpi);
+			const maxChars = Math.floor(widthDots / (fontDots * CHAR_WIDTH_RATIO));
+			if (index > 0) height += gap;
+			wrapText(section.text, maxChars).forEach((text) => {
+				lines.push({ text, y: height, fontDots });
+				height += Math.round(fontDots * LINE_SPACING);
+			});
+		});
+		return { lines, height };
+	}
+
+	function toInches(value, unit) {
+		return unit === "mm" ? value / 25.4 : value;
+	}
+
+	// A size in inches kept within what printers take
+	function clampSize(inches, limits) {
+		return Math.min(limits.max, Math.max(limits.min, inches));
+	}
+
+	// Why dpi, unit, copies, width or height (as given, e.g. from a query string) are outside what
+	// printers take, or null when they're fine or left out
+	function getOptionsError(options = {}) {
+		const present = (value) =>
+			value !== undefined && value !== null && value !== "";
+		if (present(options.dpi) && !SUPPORTED_DPI.includes(Number(options.dpi))) {
+			return `Unsupported dpi "${options.dpi}". Use one of: ${SUPPORTED_DPI.join(", ")}`;
+		}
+		if (present(options.unit) && !["in", "mm"].includes(options.unit)) {
+			return `Unsupported unit "${options.unit}". Use in or mm`;
+		}
+		if (present(options.copies)) {
+			const copies = Number(options.copies);
+			if (!Number.isInteger(copies) || copies < 1 || copies > MAX_COPIES) {
+				return `Copies must be a whole number from 1 to ${MAX_COPIES}`;
+			}
+		}
+		const unit = options.unit === "mm" ? "mm" : "in";
+		for (const key of ["width", "height"]) {
+			if (!present(options[key])) continue;
+			const { min, max } = SIZE_LIMITS[key];
+			const inches = toInches(Number(options[key]), unit);
+			if (!(inches >= min && inches <= max)) {
+				const scale = unit === "mm" ? 25.4 : 1;
+				const name = key === "width" ? "Width" : "Height";
+				return `${name} must be from ${+(min * scale).toFixed(1)} to ${+(max * scale).toFixed(1)} ${unit}`;
+			}
+		}
+		return null;
+	}
+
+	// Convert a label to a ZPL program for the given density and label size
+	// Options: dpi, width, height, unit ("in" or "mm"), copies - sizes and copies beyond what
+	// printers take are clamped (see getOptionsError)
+	function labelToZpl(label, options = {}) {
+		const dpi = SUPPORTED_DPI.includes(Number(options.dpi))
+			? Number(options.dpi)
+			: DEFAULT_DPI;
+		const unit = options.unit === "mm" ? "mm" : "in";
+		const width = Number(options.width) > 0 ? Number(options.width) : null;
+		const height = Number(options.height) > 0 ? Number(options.height) : null;
+		const widthDots = toDots(
+			clampSize(toInches(width || DEFAULT_SIZE.width, unit), SIZE_LIMITS.width),
+			"in",
+			dpi
+		);
+		const heightDots = toDots(
+			clampSize(
+				toInches(height || DEFAULT_SIZE.height, unit),
+				SIZE_LIMITS.height
+			),
+			"in",
+			dpi
+		);
+		const copies = Math.min(
+			MAX_COPIES,
+			Math.max(1, parseInt(options.copies, 10) || 1)
+		);
+
+		// Quiet zone around the printable area (0.06in, matching the HTML label padding)
+		const margin = Math.round(dpi * 0.06);
+		const printWidth = widthDots - margin * 2;
+		const printHeight = heightDots - margin * 2;
+
+		// Shrink typography step by step down to the FDA 8pt minimum until the content fits
+		const sections = buildSections(label);
+		let layout = null;
+		let fits = false;
+		for (let large = 14, small = 10; large >= MIN_FONT_PT; large--) {
+			layout = layoutSections(sections, { large, small }, printWidth, dpi);
+			if (layout.height <= printHeight) {
+				fits = true;
+				break;
+			}
+			small = Math.max(MIN_FONT_PT, small - 0.5);
+		}
+
+		// Center the block vertically when it fits, otherwise start at the top
+		const top =
+			margin + (fits ? Math.round((printHeight - layout.height) / 2) : 0);
+
+		const commands = [
+			"^XA",
+			"^CI28",
+			`^PW${widthDots}`,
+			`^LL${heightDots}`,
+			"^LH0,0",
+		];
+		if (!fits) {
+			commands.push(`^FXContent exceeds label height at ${MIN_FONT_PT}pt`);
+		}
+		layout.lines.forEach((line) => {
+			commands.push(
+				`^FO${margin},${top + line.y}^A0N,${line.fontDots},${line.fontDots}^FB${printWidth},1,0,C^FH^FD${escapeFieldData(line.text)}^FS`
+			);
+		});
+		commands.push(`^PQ${copies}`, "^XZ");
+		return commands.join("\n") + "\n";
+	}
+
+	return {
+		SUPPORTED_DPI,
+		DEFAULT_DPI,
+		DEFAULT_SIZE,
+		MAX_COPIES,
+		SIZE_LIMITS,
+		getOptionsError,
+		labelToZpl,
+		wrapText,
+	};
+});